@@ -0,0 +1,358 @@
+// services/chatAgent.js
+// Chat about a project: a model-driven loop that answers the user's message, calling the
+// project tools below when it needs them. The providers are text-only, so the model picks a tool
+// by replying with a JSON object:
+//   { "tool": "lint", "input": {} }          run a tool, its result goes into the next prompt
+//   { "answer": "The subnet is public ..." } reply to the user, ending the turn
+// A reply that is not JSON is taken as the answer. Every turn is kept in the project's chat
+// history (projectStore), so later messages can refer to earlier ones.
+const hcl = require('./hcl');
+const projectStore = require('./projectStore');
+const pipeline = require('./pipeline');
+const policy = require('./policy');
+const { getModelProvider } = require('./llm');
+const { createCacheSession, summarizeSession } = require('./llm/responseCache');
+const { getTarget, CodeSyntaxError } = require('./iacTargets');
+const { JobCancelledError, JobFailure } = require('./jobQueue');
+const { diffFiles } = require('./moduleDiff');
+const { extractResourceGraph } = require('./terraformDiagram');
+const { resolveBudget } = require('./costReport');
+const { formatDiagnostic } = require('./terraformValidator');
+
+const MAX_STEPS = parseInt(process.env.CHAT_MAX_STEPS, 10) || 6;
+const HISTORY_MESSAGES = 20;
+const MAX_CODE_CHARS = 30000;
+const MAX_RESULT_CHARS = 4000;
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max)}\n... (${text.length - max} more characters)` : text;
+}
+
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+function requireTerraform(project, tool) {
+  if (getTarget(project.target).name !== 'terraform') throw new ToolError(`${tool} is only available for Terraform projects.`);
+}
+
+// --- Tools ---
+// Each tool runs against the current revision of the project and resolves to
+// { result, summary }: `result` for the API response and the UI, `summary` the text the model sees.
+
+// Terraform block of an address like aws_subnet.public, data.aws_ami.ubuntu or module.vpc, or
+// of a bare resource name -> { file, address, code } or null
+function findTerraformBlock(files, wanted) {
+  for (const [file, content] of Object.entries(files)) {
+    for (const block of hcl.parse(content).items) {
+      if (block.type !== 'block') continue;
+      const labels = block.labels.map(hcl.labelValue);
+      let address = null;
+      if (block.blockType === 'resource' && labels.length === 2) address = `${labels[0]}.${labels[1]}`;
+      else if (block.blockType === 'data' && labels.length === 2) address = `data.${labels[0]}.${labels[1]}`;
+      else if (block.blockType === 'module' && labels.length === 1) address = `module.${labels[0]}`;
+      if (address && (address === wanted || labels[labels.length - 1] === wanted)) {
+        return { file, address, code: hcl.print({ type: 'body', items: [block] }) };
+      }
+    }
+  }
+  return null;
+}
+
+// Diagram components whose id or name matches the resource name, e.g. "Public Subnet" for aws_subnet.public_subnet
+function diagramComponents(ir, address) {
+  if (!ir) return [];
+  const simplify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const name = simplify(address.split('.').pop());
+  return ir.components.filter((component) => [component.id, component.name].some((value) => {
+    const candidate = simplify(value);
+    return candidate && (candidate === name || name.includes(candidate) || candidate.includes(name));
+  }));
+}
+
+function explainCode(project, { file, resource } = {}) {
+  if (resource) {
+    if (getTarget(project.target).name !== 'terraform') {
+      const matches = Object.entries(project.files).filter(([, content]) => content.includes(resource));
+      if (!matches.length) throw new ToolError(`No file mentions '${resource}'.`);
+      const result = { resource, files: matches.map(([name]) => name) };
+      return { result, summary: matches.map(([name, content]) => `${name}:\n${truncate(content, MAX_RESULT_CHARS)}`).join('\n\n') };
+    }
+    const block = findTerraformBlock(project.files, resource);
+    if (!block) throw new ToolError(`No resource, data source or module '${resource}' in the code.`);
+    const graph = extractResourceGraph(project.code);
+    const references = graph.edges.filter((edge) => edge.from === block.address).map(({ to, label }) => ({ address: to, attribute: label }));
+    const referencedBy = graph.edges.filter((edge) => edge.to === block.address).map(({ from, label }) => ({ address: from, attribute: label }));
+    const node = graph.nodes.find((n) => n.id === block.address);
+    const components = diagramComponents(project.ir, block.address);
+    const result = { ...block, parent: node ? node.parent : null, references, referencedBy, components };
+    const lines = [`${block.address} in ${block.file}:`, block.code];
+    if (result.parent) lines.push(`Placed in: ${result.parent}`);
+    if (references.length) lines.push(`References: ${references.map((r) => `${r.address} (${r.attribute})`).join(', ')}`);
+    if (referencedBy.length) lines.push(`Referenced by: ${referencedBy.map((r) => `${r.address} (${r.attribute})`).join(', ')}`);
+    if (components.length) lines.push(`From the diagram: ${JSON.stringify(components)}`);
+    return { result, summary: lines.join('\n') };
+  }
+  if (file) {
+    if (!(file in project.files)) throw new ToolError(`No file '${file}', the project has ${Object.keys(project.files).join(', ')}.`);
+    return { result: { file, code: project.files[file] }, summary: `${file}:\n${truncate(project.files[file], MAX_RESULT_CHARS)}` };
+  }
+  throw new ToolError('explain_code needs a resource or a file.');
+}
+
+async function lint(job, project) {
+  const { passed, output } = await pipeline.lintDirectory(job, projectStore.getProjectDir(project.id), getTarget(project.target));
+  return { result: { passed, output }, summary: `${passed ? 'Passed' : 'Failed'}:\n${truncate(output, MAX_RESULT_CHARS)}` };
+}
+
+async function validate(job, project) {
+  const target = getTarget(project.target);
+  const { available, diagnostics } = await target.validate(projectStore.getProjectDir(project.id), { signal: job.signal, onOutput: job.log });
+  job.throwIfCancelled();
+  if (!available) return { result: { available, diagnostics }, summary: `${target.validators} is not installed on the server.` };
+  const summary = diagnostics.length ? diagnostics.map(formatDiagnostic).join('\n') : `No diagnostics from ${target.validators}.`;
+  return { result: { available, diagnostics }, summary: truncate(summary, MAX_RESULT_CHARS) };
+}
+
+async function estimateCost(job, project, { budget } = {}) {
+  requireTerraform(project, 'estimate_cost');
+  const limit = resolveBudget(budget);
+  if (limit === undefined) throw new ToolError('budget must be a non-negative number.');
+  const estimate = await pipeline.estimateProjectCost(job, project, limit);
+  const { total, resources, unpriced, summary } = estimate;
+  const lines = [`Monthly total: ${total.min} - ${total.max} ${estimate.currency}`];
+  lines.push(...resources.map((r) => `${r.address}: ${r.monthly.min} - ${r.monthly.max}`));
+  if (unpriced.length) lines.push(`No price for: ${unpriced.join(', ')}`);
+  if (estimate.budget) lines.push(`Budget: ${JSON.stringify(estimate.budget)}`);
+  if (summary) lines.push(summary);
+  return { result: estimate, summary: truncate(lines.join('\n'), MAX_RESULT_CHARS) };
+}
+
+function diff(project, { from, to } = {}) {
+  const toNumber = to === undefined ? project.revision : Number(to);
+  const fromNumber = from === undefined ? toNumber - 1 : Number(from);
+  const fromRevision = projectStore.getRevision(project.id, fromNumber);
+  const toRevision = projectStore.getRevision(project.id, toNumber);
+  if (!fromRevision || !toRevision) throw new ToolError(`Revision not found: ${!fromRevision ? fromNumber : toNumber}`);
+  const text = diffFiles(fromRevision.files, toRevision.files);
+  const result = { from: fromNumber, to: toNumber, instruction: toRevision.instruction, diff: text };
+  return { result, summary: `Revision ${toNumber} (${toRevision.kind}${toRevision.instruction ? `: ${toRevision.instruction}` : ''}) against ${fromNumber}:\n${truncate(text || 'No changes.', MAX_RESULT_CHARS)}` };
+}
+
+function checkPolicies(project) {
+  requireTerraform(project, 'check_policies');
+  const report = policy.checkFiles(project.files);
+  const summary = report.findings.length
+    ? report.findings.map((f) => `${f.id} [${f.severity}] ${f.title}${f.remediation ? ` (${f.remediation})` : ''}`).join('\n')
+    : `No findings: ${report.resources} resources checked against ${report.rules} rules.`;
+  return { result: { revision: project.revision, ...report }, summary: truncate(summary, MAX_RESULT_CHARS) };
+}
+
+async function editCode(job, project, { instruction } = {}, { repairOptions, cache }) {
+  if (!instruction || typeof instruction !== 'string') throw new ToolError('edit_code needs an instruction.');
+  const edit = await pipeline.editProject(project, instruction, { ...repairOptions, signal: job.signal, onOutput: job.log }, cache);
+  const lines = [`Saved as revision ${edit.revision}.`, truncate(edit.diff || 'The edit changed nothing.', MAX_RESULT_CHARS)];
+  if (edit.repair) lines.push(`Validation: ${edit.repair.status}`);
+  if (edit.profile && edit.profile.violations && edit.profile.violations.length) {
+    lines.push(`Profile violations: ${edit.profile.violations.map((v) => `${v.address}: ${v.message}`).join('; ')}`);
+  }
+  return { result: { instruction, ...edit }, summary: lines.join('\n') };
+}
+
+const TOOLS = {
+  explain_code: {
+    usage: '{ "resource": "aws_subnet.public" } or { "file": "main.tf" }',
+    description: 'The code of a resource with what it references, what references it and the diagram components it came from, or a whole file. Use it to answer questions about the code.',
+    run: (job, project, input) => explainCode(project, input),
+  },
+  lint: {
+    usage: '{}',
+    description: 'Run the linters of the project (terraform validate and tflint for Terraform).',
+    run: (job, project) => lint(job, project),
+  },
+  validate: {
+    usage: '{}',
+    description: 'Run the validators of the project and list their diagnostics.',
+    run: (job, project) => validate(job, project),
+  },
+  estimate_cost: {
+    usage: '{} or { "budget": 500 }',
+    description: 'Estimate the monthly cost of the current revision (Terraform only), compared with the previous estimate.',
+    run: (job, project, input) => estimateCost(job, project, input),
+  },
+  diff: {
+    usage: '{} or { "from": 2, "to": 4 }',
+    description: 'Unified diff between two revisions, by default what the latest revision changed.',
+    run: (job, project, input) => diff(project, input),
+  },
+  check_policies: {
+    usage: '{}',
+    description: 'Check the code against the security and compliance policies (Terraform only).',
+    run: (job, project) => checkPolicies(project),
+  },
+  edit_code: {
+    usage: '{ "instruction": "Make the app subnet private" }',
+    description: 'Change the code and save it as a new revision. Only use it when the user asks for a change. The instruction must be complete on its own: spell out what earlier messages referred to.',
+    run: (job, project, input, options) => editCode(job, project, input, options),
+  },
+};
+
+// --- Prompt ---
+
+function describeProject(project) {
+  const target = getTarget(project.target);
+  const lines = [
+    `Diagram: ${project.diagramName || 'unknown'}`,
+    `Code: ${target.label}, files ${Object.keys(project.files).join(', ')}, revision ${project.revision}`,
+    `Cloud providers: ${(project.providers || [project.cloudProvider]).join(', ')}`,
+  ];
+  if (project.ir) {
+    lines.push('Diagram components:');
+    lines.push(...project.ir.components.map((c) => `- ${c.id} "${c.name}": ${c.provider} ${c.type}${c.resourceType ? ` (${c.resourceType})` : ''}`));
+    if (project.ir.connections.length) {
+      lines.push('Diagram connections:');
+      lines.push(...project.ir.connections.map((c) => `- ${c.from} -> ${c.to}${c.label ? ` (${c.label})` : ''}`));
+    }
+  }
+  return lines.join('\n');
+}
+
+function describeHistory(history) {
+  return history.slice(-HISTORY_MESSAGES).map((message) => {
+    const tools = (message.steps || []).map((step) => `${step.tool}${step.ok ? '' : ' (failed)'}`);
+    const used = tools.length ? ` [used ${tools.join(', ')}]` : '';
+    return `${message.role === 'user' ? 'User' : 'Assistant'} (revision ${message.revision}):${used} ${message.content}`;
+  }).join('\n');
+}
+
+function buildPrompt(project, history, message, steps, { final = false } = {}) {
+  const target = getTarget(project.target);
+  const toolList = Object.entries(TOOLS).map(([name, tool]) => `- ${name} ${tool.usage}: ${tool.description}`).join('\n');
+  const results = steps.map((step, i) => `[${i + 1}] ${step.tool} ${JSON.stringify(step.input)}\n${step.ok ? step.summary : `Error: ${step.error}`}`).join('\n\n');
+  const reply = final
+    ? 'You cannot call more tools. Reply with {"answer": "..."} based on the results above.'
+    : `Reply with exactly one JSON object and nothing else, either a tool call:
+{"tool": "<name>", "input": { ... }}
+or your reply to the user when you are done:
+{"answer": "<reply>"}`;
+
+  return `
+You are the assistant of an infrastructure-as-code project generated from an architecture diagram.
+You answer questions about the ${target.language} code and change it when asked, using these tools:
+${toolList}
+
+Answer questions about the code from the code and explain_code, without changing it. Call tools
+instead of guessing their results, and do not repeat a call whose result you already have.
+
+Project:
+${describeProject(project)}
+
+${target.language} code:
+\`\`\`
+${truncate(project.code, MAX_CODE_CHARS)}
+\`\`\`
+
+Conversation so far:
+${describeHistory(history) || '(none)'}
+
+User: ${message}
+
+Tool results of this turn:
+${results || '(none)'}
+
+${reply}
+`;
+}
+
+// -> { answer } or { tool, input }, from the JSON object of the reply or its text
+function parseReply(text) {
+  const stripped = text.replace(/```(?:json)?/gi, '').trim();
+  const start = stripped.indexOf('{');
+  const end = stripped.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    try {
+      const reply = JSON.parse(stripped.slice(start, end + 1));
+      if (reply && typeof reply.tool === 'string') return { tool: reply.tool, input: reply.input && typeof reply.input === 'object' ? reply.input : {} };
+      if (reply && typeof reply.answer === 'string') return { answer: reply.answer };
+    } catch (err) {
+      // Not JSON after all, the text is the answer
+    }
+  }
+  return { answer: stripped };
+}
+
+// What the tools found, for turns where the model never gave an answer
+function fallbackAnswer(steps) {
+  if (!steps.length) return 'Sorry, I could not come up with an answer.';
+  const last = new Map(steps.map((step) => [step.tool, step]));
+  const results = [...last.values()].map((step) => `- ${step.tool}: ${step.ok ? step.summary.split('\n')[0] : step.error}`);
+  return `I stopped after ${steps.length} tool calls without reaching an answer. The last results were:\n${results.join('\n')}`;
+}
+
+async function runTool(job, project, call, options) {
+  const tool = TOOLS[call.tool];
+  if (!tool) return { tool: call.tool, input: call.input, ok: false, error: `Unknown tool '${call.tool}', use one of ${Object.keys(TOOLS).join(', ')}.` };
+  job.stage(call.tool);
+  try {
+    const { result, summary } = await tool.run(job, project, call.input, options);
+    return { tool: call.tool, input: call.input, ok: true, result, summary };
+  } catch (err) {
+    if (err instanceof JobCancelledError || job.signal.aborted) throw err;
+    // The model sees what went wrong and can try something else
+    const known = err instanceof ToolError || err instanceof JobFailure || err instanceof hcl.HclSyntaxError
+      || err instanceof CodeSyntaxError || err instanceof policy.PolicyRuleError;
+    if (!known) console.error(`[ERROR] Chat tool ${call.tool} failed:`, err);
+    const output = err instanceof JobFailure && err.details.output ? `\n${truncate(err.details.output, MAX_RESULT_CHARS)}` : '';
+    return { tool: call.tool, input: call.input, ok: false, error: `${err.message}${output}` };
+  }
+}
+
+// Answer a chat message about a project and add the exchange to its history.
+// `repairOptions` apply to edits (repairLoop.resolveRepairOptions), `cache` is the response cache
+// session of the request.
+// -> { reply, steps: [{ tool, input, ok, result, error }], edits, revision, cache }
+async function chat(job, project, message, { repairOptions = { enabled: false }, cache = createCacheSession() } = {}) {
+  const history = projectStore.listChatMessages(project.id);
+  const startRevision = project.revision;
+  const steps = [];
+  let current = project;
+  let reply = null;
+
+  for (let step = 0; step <= MAX_STEPS && reply === null; step++) {
+    job.stage('think');
+    const final = step === MAX_STEPS;
+    const text = await getModelProvider().generate({ task: 'chat', prompt: buildPrompt(current, history, message, steps, { final }), cache });
+    job.throwIfCancelled();
+    const parsed = parseReply(text);
+    if ('answer' in parsed) {
+      reply = parsed.answer;
+      break;
+    }
+    if (final) break;
+
+    console.log(`[DEBUG] Chat on project ${project.id} calls ${parsed.tool}`, JSON.stringify(parsed.input));
+    steps.push(await runTool(job, current, parsed, { repairOptions, cache }));
+    // Edits make a new revision, later tools work on it
+    if (parsed.tool === 'edit_code' && steps[steps.length - 1].ok) current = projectStore.getProject(project.id);
+  }
+  if (reply === null) reply = fallbackAnswer(steps);
+
+  projectStore.addChatMessages(project.id, [
+    { role: 'user', content: message, steps: [], revision: startRevision },
+    { role: 'assistant', content: reply, steps: steps.map(({ tool, input, ok, error }) => ({ tool, input, ok, error })), revision: current.revision },
+  ]);
+  console.log(`[DEBUG] Chat on project ${project.id} answered after ${steps.length} tool call(s)`);
+
+  return {
+    reply,
+    steps: steps.map(({ tool, input, ok, result, error }) => ({ tool, input, ok, result, error })),
+    edits: steps.filter((step) => step.tool === 'edit_code' && step.ok).map((step) => step.result),
+    revision: current.revision,
+    cache: summarizeSession(cache),
+  };
+}
+
+module.exports = { chat, parseReply, TOOLS, MAX_STEPS };
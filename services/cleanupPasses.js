@@ -0,0 +1,287 @@
+// services/cleanupPasses.js
+// Post-generation fixups for model-written Terraform, expressed as named passes over
+// the HCL syntax tree (see services/hcl). Each pass declares the providers it applies
+// to (null for all) and returns how many changes it made.
+//
+// Source passes run on the raw text before parsing. Repair passes only run when the code does
+// not parse, with the syntax error, and may fix one spot per call; valid code never reaches them.
+const hcl = require('./hcl');
+
+const MAX_REPAIRS = 10;
+
+const sourcePasses = [
+  {
+    name: 'strip-markdown-fences',
+    description: 'Remove ``` fences the model wraps code in',
+    apply: (source) => source.replace(/```(hcl|terraform)?/g, ''),
+  },
+];
+
+// Where the ${ of a quoted string on `line` is still open at the end of the line -> { at, text }
+// to insert, or null. A quote inside the open interpolation that never closes is the end of the
+// string the model forgot the } in ("${path.module/app.zip"), otherwise the string is closed too.
+function openInterpolation(line) {
+  let inString = false;
+  let open = null;
+  let nestedQuote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (open) {
+      if (nestedQuote !== null) {
+        if (ch === '\\') i++;
+        else if (ch === '"') nestedQuote = null;
+      } else if (ch === '"') {
+        nestedQuote = i;
+      } else if (ch === '{') {
+        open.depth++;
+      } else if (ch === '}' && --open.depth === 0) {
+        open = null;
+      }
+    } else if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      else if ((ch === '$' || ch === '%') && line[i + 1] === ch && line[i + 2] === '{') i += 2;
+      else if ((ch === '$' || ch === '%') && line[i + 1] === '{') {
+        open = { depth: 1 };
+        i++;
+      }
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '#' || (ch === '/' && line[i + 1] === '/')) {
+      return null;
+    }
+  }
+  if (!open) return null;
+  return nestedQuote !== null ? { at: nestedQuote, text: '}' } : { at: line.trimEnd().length, text: '}"' };
+}
+
+const repairPasses = [
+  {
+    name: 'close-interpolations',
+    description: 'Close the ${...} interpolation the model left open at the end of a line, the last one up to the line of the syntax error',
+    apply(source, error) {
+      const lines = source.split('\n');
+      for (let index = Math.min(error.line, lines.length) - 1; index >= 0; index--) {
+        const open = openInterpolation(lines[index]);
+        if (!open) continue;
+        lines[index] = lines[index].slice(0, open.at) + open.text + lines[index].slice(open.at);
+        return lines.join('\n');
+      }
+      return source;
+    },
+  },
+];
+
+const LAMBDA_PLACEHOLDER_RUNTIMES = /^(python|node|go|java|ruby)/;
+
+const passes = [
+  {
+    name: 'remove-local-file-resources',
+    description: 'Remove resource "local_file" blocks',
+    providers: null,
+    apply(body) {
+      return hcl.removeItems(body, (item) => hcl.isBlock(item, 'resource', 'local_file'));
+    },
+  },
+  {
+    name: 'remove-archive-file-data',
+    description: 'Remove data "archive_file" blocks',
+    providers: null,
+    apply(body) {
+      return hcl.removeItems(body, (item) => hcl.isBlock(item, 'data', 'archive_file'));
+    },
+  },
+  {
+    name: 'remove-local-source-hashes',
+    description: 'Remove source_code_hash = filebase64sha256(...) that implies local files',
+    providers: null,
+    apply(body) {
+      let changes = 0;
+      for (const block of body.items.filter((item) => item.type === 'block')) {
+        changes += hcl.removeItems(block.body, (item) => item.type === 'attribute'
+          && item.name === 'source_code_hash'
+          && hcl.expressionText(item.expr).startsWith('filebase64sha256'));
+      }
+      return changes;
+    },
+  },
+  {
+    name: 'aws-lambda-inline-placeholder',
+    description: 'Replace local packages of aws_lambda_function with an inline placeholder handler',
+    providers: ['aws'],
+    apply(body) {
+      let changes = 0;
+      for (const block of hcl.findBlocks(body, 'resource', 'aws_lambda_function')) {
+        const fn = block.body;
+        changes += hcl.removeAttribute(fn, 'filename');
+        changes += hcl.removeNestedBlocks(fn, 'inline_code');
+
+        // Packages from S3 or a container image do not depend on local files
+        if (hcl.getAttribute(fn, 's3_bucket') || hcl.getAttribute(fn, 'image_uri')) continue;
+
+        const runtimeValue = hcl.getStringAttribute(fn, 'runtime') || '';
+        const runtime = LAMBDA_PLACEHOLDER_RUNTIMES.test(runtimeValue) ? runtimeValue : 'python3.9';
+        const handlerValue = hcl.getStringAttribute(fn, 'handler');
+        const handler = handlerValue || 'handler.handler';
+        const handlerFunctionName = handler.split('.')[0];
+
+        if (!hcl.getAttribute(fn, 'handler')) {
+          hcl.setAttribute(fn, 'handler', JSON.stringify(handler), { after: hcl.getAttribute(fn, 'function_name') ? 'function_name' : 'role' });
+          changes++;
+        }
+
+        if (!hcl.getAttribute(fn, 'source_code')) {
+          let placeholderCode;
+          if (runtime.startsWith('node')) {
+            placeholderCode = `exports.${handlerFunctionName} = async (event) => { return { statusCode: 200, body: JSON.stringify("OK") }; };`;
+          } else if (runtime.startsWith('python')) {
+            placeholderCode = `def ${handlerFunctionName}(event, context): return {"statusCode": 200, "body": "OK"}`;
+          } else {
+            placeholderCode = `/* Placeholder code for ${handler} */`;
+          }
+          hcl.setAttribute(fn, 'source_code', JSON.stringify(placeholderCode));
+          changes++;
+        }
+      }
+      return changes;
+    },
+  },
+  {
+    name: 'gcp-cloud-function-dummy-source',
+    description: 'Point google_cloud_function at a dummy GCS archive instead of local or repository sources',
+    providers: ['gcp'],
+    apply(body) {
+      let changes = 0;
+      for (const block of hcl.findBlocks(body, 'resource', 'google_cloud_function')) {
+        const fn = block.body;
+        for (const name of ['source_repository', 'build_environment_variables', 'source_archive_bucket', 'source_archive_object']) {
+          changes += hcl.removeAttribute(fn, name) + hcl.removeNestedBlocks(fn, name);
+        }
+        if (!hcl.getAttribute(fn, 'source_archive_url')) {
+          hcl.setAttribute(fn, 'source_archive_url', '"gs://your-dummy-gcp-bucket/dummy-function.zip"');
+          changes++;
+        }
+        if (!hcl.getAttribute(fn, 'entry_point')) {
+          hcl.setAttribute(fn, 'entry_point', '"main"');
+          changes++;
+        }
+      }
+      return changes;
+    },
+  },
+  {
+    name: 'azure-function-app-settings',
+    description: 'Drop app_settings of azurerm_function_app that require deployment from local sources',
+    providers: ['azure'],
+    apply(body) {
+      const localSettings = new Set(['WEBSITE_RUN_FROM_PACKAGE', 'FUNCTIONS_WORKER_RUNTIME', 'APPINSIGHTS_INSTRUMENTATIONKEY']);
+      let changes = 0;
+      for (const block of hcl.findBlocks(body, 'resource', 'azurerm_function_app')) {
+        const settings = hcl.getAttribute(block.body, 'app_settings');
+        const entries = settings && hcl.objectEntries(settings.expr);
+        if (!entries) continue;
+
+        const kept = entries.filter((entry) => !localSettings.has(entry.key));
+        if (kept.length === entries.length) continue;
+        changes += entries.length - kept.length;
+        if (kept.length) {
+          settings.expr = hcl.objectExpression(kept);
+        } else {
+          hcl.removeAttribute(block.body, 'app_settings');
+        }
+      }
+      return changes;
+    },
+  },
+  {
+    name: 'helm-release-local-values',
+    description: 'Drop values of helm_release read from local files',
+    providers: ['kubernetes'],
+    apply(body) {
+      let changes = 0;
+      for (const block of hcl.findBlocks(body, 'resource', 'helm_release')) {
+        const values = hcl.getAttribute(block.body, 'values');
+        if (values && /\b(file|templatefile)\s*\(/.test(hcl.expressionText(values.expr))) {
+          changes += hcl.removeAttribute(block.body, 'values');
+        }
+      }
+      return changes;
+    },
+  },
+  {
+    name: 'oci-function-placeholder-image',
+    description: 'Give oci_functions_function a placeholder OCIR image instead of a local build',
+    providers: ['oci'],
+    apply(body) {
+      let changes = 0;
+      for (const block of hcl.findBlocks(body, 'resource', 'oci_functions_function')) {
+        if (hcl.getAttribute(block.body, 'image')) continue;
+        hcl.setAttribute(block.body, 'image', '"iad.ocir.io/your-tenancy-namespace/placeholder-function:0.0.1"');
+        changes++;
+      }
+      return changes;
+    },
+  },
+];
+
+// Add a pass, e.g. for a new provider. Passes run in registration order.
+function registerPass(pass) {
+  if (!pass.name || typeof pass.apply !== 'function') throw new Error('A cleanup pass needs a name and an apply(body) function');
+  passes.push({ providers: null, ...pass });
+}
+
+// Passes for one provider or, in mixed diagrams, a list of them
+function getPasses(cloudProviders) {
+  const providers = [].concat(cloudProviders);
+  return passes.filter((pass) => !pass.providers || pass.providers.some((provider) => providers.includes(provider)));
+}
+
+// Parse `source`, trying the repair passes for as long as they change something. A repaired
+// text that still does not parse fails with the original error.
+function parseWithRepairs(source, applied) {
+  let text = source;
+  let firstError = null;
+  const repairs = {};
+  for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+    let error;
+    try {
+      const body = hcl.parse(text);
+      Object.entries(repairs).forEach(([name, changes]) => applied.push({ name, changes }));
+      return body;
+    } catch (err) {
+      if (!(err instanceof hcl.HclSyntaxError)) throw err;
+      error = err;
+      firstError = firstError || err;
+    }
+    const repair = repairPasses
+      .map((pass) => ({ pass, next: pass.apply(text, error) }))
+      .find(({ next }) => next !== text);
+    if (!repair) break;
+    text = repair.next;
+    repairs[repair.pass.name] = (repairs[repair.pass.name] || 0) + 1;
+  }
+  throw firstError;
+}
+
+// Run the source passes, parse (repairing if needed), run the tree passes for the providers and print.
+// Returns { code, applied: [{ name, changes }] }; throws HclSyntaxError when the code cannot be parsed.
+function runCleanupPasses(source, cloudProviders) {
+  const applied = [];
+  let text = source;
+  for (const pass of sourcePasses) {
+    const next = pass.apply(text);
+    if (next !== text) applied.push({ name: pass.name, changes: 1 });
+    text = next;
+  }
+
+  const body = parseWithRepairs(text, applied);
+  for (const pass of getPasses(cloudProviders)) {
+    const changes = pass.apply(body);
+    if (changes) applied.push({ name: pass.name, changes });
+    console.log(`[DEBUG] Cleanup pass ${pass.name}: ${changes} change(s)`);
+  }
+
+  return { code: hcl.print(body), applied };
+}
+
+module.exports = { runCleanupPasses, registerPass, getPasses, sourcePasses, repairPasses };
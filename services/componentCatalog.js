@@ -0,0 +1,231 @@
+// services/componentCatalog.js
+// Canonical component types per cloud provider. Diagram parsers produce free-text
+// types ("EC2", "Virtual Machine", "aws ec2 instance"); the normalizer maps them
+// onto these keys through the synonym lists.
+
+// Actors drawn on diagrams that never become cloud resources
+const externalComponents = {
+  external: {
+    label: 'External actor',
+    resourceType: null,
+    synonyms: ['user', 'users', 'client', 'clients', 'internet', 'browser', 'mobile app', 'end user', 'customer', 'on premises', 'on premise', 'external'],
+  },
+};
+
+const catalog = {
+  aws: {
+    vpc: { label: 'VPC', resourceType: 'aws_vpc', synonyms: ['vpc', 'virtual private cloud', 'network'] },
+    subnet: { label: 'Subnet', resourceType: 'aws_subnet', synonyms: ['subnet', 'public subnet', 'private subnet'] },
+    security_group: { label: 'Security group', resourceType: 'aws_security_group', synonyms: ['security group', 'sg', 'firewall'] },
+    internet_gateway: { label: 'Internet gateway', resourceType: 'aws_internet_gateway', synonyms: ['internet gateway', 'igw'] },
+    nat_gateway: { label: 'NAT gateway', resourceType: 'aws_nat_gateway', synonyms: ['nat gateway', 'nat'] },
+    route_table: { label: 'Route table', resourceType: 'aws_route_table', synonyms: ['route table'] },
+    load_balancer: { label: 'Load balancer', resourceType: 'aws_lb', synonyms: ['load balancer', 'elb', 'alb', 'nlb', 'application load balancer', 'network load balancer', 'elastic load balancer'] },
+    instance: { label: 'EC2 instance', resourceType: 'aws_instance', synonyms: ['ec2', 'ec2 instance', 'instance', 'virtual machine', 'vm', 'server', 'web server', 'app server', 'compute'] },
+    autoscaling_group: { label: 'Auto Scaling group', resourceType: 'aws_autoscaling_group', synonyms: ['auto scaling group', 'autoscaling group', 'asg', 'auto scaling'] },
+    kubernetes_cluster: { label: 'EKS cluster', resourceType: 'aws_eks_cluster', synonyms: ['eks', 'eks cluster', 'kubernetes', 'kubernetes cluster', 'elastic kubernetes service'] },
+    container_service: { label: 'ECS cluster', resourceType: 'aws_ecs_cluster', synonyms: ['ecs', 'ecs cluster', 'fargate', 'elastic container service'] },
+    function: { label: 'Lambda function', resourceType: 'aws_lambda_function', synonyms: ['lambda', 'lambda function', 'function', 'serverless function'] },
+    bucket: { label: 'S3 bucket', resourceType: 'aws_s3_bucket', synonyms: ['s3', 's3 bucket', 'bucket', 'object storage', 'storage', 'simple storage service'] },
+    database: { label: 'RDS instance', resourceType: 'aws_db_instance', synonyms: ['rds', 'rds instance', 'database', 'db', 'relational database', 'mysql', 'postgres', 'postgresql', 'aurora'] },
+    nosql_database: { label: 'DynamoDB table', resourceType: 'aws_dynamodb_table', synonyms: ['dynamodb', 'dynamodb table', 'nosql', 'nosql database'] },
+    cache: { label: 'ElastiCache cluster', resourceType: 'aws_elasticache_cluster', synonyms: ['elasticache', 'cache', 'redis', 'memcached'] },
+    queue: { label: 'SQS queue', resourceType: 'aws_sqs_queue', synonyms: ['sqs', 'sqs queue', 'queue', 'message queue', 'simple queue service'] },
+    topic: { label: 'SNS topic', resourceType: 'aws_sns_topic', synonyms: ['sns', 'sns topic', 'topic', 'notification', 'simple notification service'] },
+    api_gateway: { label: 'API Gateway', resourceType: 'aws_api_gateway_rest_api', synonyms: ['api gateway', 'api', 'rest api'] },
+    cdn: { label: 'CloudFront distribution', resourceType: 'aws_cloudfront_distribution', synonyms: ['cloudfront', 'cdn', 'cloudfront distribution'] },
+    dns: { label: 'Route 53 zone', resourceType: 'aws_route53_zone', synonyms: ['route 53', 'route53', 'dns', 'hosted zone'] },
+    iam_role: { label: 'IAM role', resourceType: 'aws_iam_role', synonyms: ['iam', 'iam role', 'role'] },
+  },
+  azure: {
+    resource_group: { label: 'Resource group', resourceType: 'azurerm_resource_group', synonyms: ['resource group', 'rg'] },
+    vpc: { label: 'Virtual network', resourceType: 'azurerm_virtual_network', synonyms: ['vnet', 'virtual network', 'network', 'vpc'] },
+    subnet: { label: 'Subnet', resourceType: 'azurerm_subnet', synonyms: ['subnet', 'public subnet', 'private subnet'] },
+    security_group: { label: 'Network security group', resourceType: 'azurerm_network_security_group', synonyms: ['network security group', 'nsg', 'security group', 'firewall'] },
+    nat_gateway: { label: 'NAT gateway', resourceType: 'azurerm_nat_gateway', synonyms: ['nat gateway', 'nat'] },
+    public_ip: { label: 'Public IP', resourceType: 'azurerm_public_ip', synonyms: ['public ip', 'public ip address'] },
+    load_balancer: { label: 'Load balancer', resourceType: 'azurerm_lb', synonyms: ['load balancer', 'azure load balancer', 'lb'] },
+    application_gateway: { label: 'Application gateway', resourceType: 'azurerm_application_gateway', synonyms: ['application gateway', 'app gateway', 'waf'] },
+    instance: { label: 'Virtual machine', resourceType: 'azurerm_linux_virtual_machine', synonyms: ['virtual machine', 'vm', 'linux vm', 'linux virtual machine', 'server', 'web server', 'app server', 'compute', 'instance'] },
+    scale_set: { label: 'VM scale set', resourceType: 'azurerm_linux_virtual_machine_scale_set', synonyms: ['vm scale set', 'virtual machine scale set', 'vmss', 'scale set'] },
+    kubernetes_cluster: { label: 'AKS cluster', resourceType: 'azurerm_kubernetes_cluster', synonyms: ['aks', 'aks cluster', 'kubernetes', 'kubernetes cluster', 'kubernetes service'] },
+    app_service: { label: 'App Service', resourceType: 'azurerm_linux_web_app', synonyms: ['app service', 'web app', 'app service plan'] },
+    function: { label: 'Function App', resourceType: 'azurerm_linux_function_app', synonyms: ['function app', 'functions', 'function', 'serverless function'] },
+    bucket: { label: 'Storage account', resourceType: 'azurerm_storage_account', synonyms: ['storage account', 'blob storage', 'blob', 'storage', 'object storage', 'bucket'] },
+    database: { label: 'SQL database', resourceType: 'azurerm_mssql_database', synonyms: ['sql database', 'azure sql', 'sql', 'database', 'db', 'relational database', 'sql server'] },
+    nosql_database: { label: 'Cosmos DB account', resourceType: 'azurerm_cosmosdb_account', synonyms: ['cosmos db', 'cosmosdb', 'cosmos', 'nosql', 'nosql database'] },
+    cache: { label: 'Redis cache', resourceType: 'azurerm_redis_cache', synonyms: ['redis cache', 'cache for redis', 'redis', 'cache'] },
+    queue: { label: 'Service Bus queue', resourceType: 'azurerm_servicebus_queue', synonyms: ['service bus', 'service bus queue', 'queue', 'message queue', 'storage queue'] },
+    topic: { label: 'Event Grid topic', resourceType: 'azurerm_eventgrid_topic', synonyms: ['event grid', 'event grid topic', 'topic'] },
+    api_gateway: { label: 'API Management', resourceType: 'azurerm_api_management', synonyms: ['api management', 'apim', 'api gateway', 'api'] },
+    cdn: { label: 'CDN profile', resourceType: 'azurerm_cdn_profile', synonyms: ['cdn', 'front door', 'cdn profile'] },
+    dns: { label: 'DNS zone', resourceType: 'azurerm_dns_zone', synonyms: ['dns', 'dns zone', 'azure dns'] },
+    key_vault: { label: 'Key Vault', resourceType: 'azurerm_key_vault', synonyms: ['key vault', 'keyvault', 'secrets'] },
+  },
+  gcp: {
+    vpc: { label: 'VPC network', resourceType: 'google_compute_network', synonyms: ['vpc', 'vpc network', 'network', 'virtual private cloud'] },
+    subnet: { label: 'Subnetwork', resourceType: 'google_compute_subnetwork', synonyms: ['subnet', 'subnetwork', 'public subnet', 'private subnet'] },
+    security_group: { label: 'Firewall rule', resourceType: 'google_compute_firewall', synonyms: ['firewall', 'firewall rule', 'security group'] },
+    nat_gateway: { label: 'Cloud NAT', resourceType: 'google_compute_router_nat', synonyms: ['cloud nat', 'nat', 'nat gateway'] },
+    router: { label: 'Cloud Router', resourceType: 'google_compute_router', synonyms: ['cloud router', 'router'] },
+    load_balancer: { label: 'Load balancer', resourceType: 'google_compute_global_forwarding_rule', synonyms: ['cloud load balancing', 'load balancer', 'lb', 'https load balancer'] },
+    instance: { label: 'Compute Engine instance', resourceType: 'google_compute_instance', synonyms: ['compute engine', 'gce', 'compute engine instance', 'vm', 'virtual machine', 'instance', 'server', 'web server', 'app server', 'compute'] },
+    instance_group: { label: 'Managed instance group', resourceType: 'google_compute_instance_group_manager', synonyms: ['managed instance group', 'instance group', 'mig'] },
+    kubernetes_cluster: { label: 'GKE cluster', resourceType: 'google_container_cluster', synonyms: ['gke', 'gke cluster', 'kubernetes engine', 'kubernetes', 'kubernetes cluster'] },
+    cloud_run: { label: 'Cloud Run service', resourceType: 'google_cloud_run_v2_service', synonyms: ['cloud run', 'cloud run service'] },
+    function: { label: 'Cloud Function', resourceType: 'google_cloudfunctions_function', synonyms: ['cloud function', 'cloud functions', 'function', 'serverless function'] },
+    bucket: { label: 'Cloud Storage bucket', resourceType: 'google_storage_bucket', synonyms: ['cloud storage', 'gcs', 'storage bucket', 'bucket', 'object storage', 'storage'] },
+    database: { label: 'Cloud SQL instance', resourceType: 'google_sql_database_instance', synonyms: ['cloud sql', 'sql', 'database', 'db', 'relational database', 'mysql', 'postgres', 'postgresql'] },
+    nosql_database: { label: 'Firestore database', resourceType: 'google_firestore_database', synonyms: ['firestore', 'datastore', 'nosql', 'nosql database'] },
+    bigtable: { label: 'Bigtable instance', resourceType: 'google_bigtable_instance', synonyms: ['bigtable', 'cloud bigtable'] },
+    warehouse: { label: 'BigQuery dataset', resourceType: 'google_bigquery_dataset', synonyms: ['bigquery', 'bigquery dataset', 'data warehouse'] },
+    cache: { label: 'Memorystore instance', resourceType: 'google_redis_instance', synonyms: ['memorystore', 'redis', 'cache'] },
+    topic: { label: 'Pub/Sub topic', resourceType: 'google_pubsub_topic', synonyms: ['pub sub', 'pubsub', 'pub sub topic', 'topic', 'queue', 'message queue'] },
+    api_gateway: { label: 'API Gateway', resourceType: 'google_api_gateway_api', synonyms: ['api gateway', 'api', 'cloud endpoints'] },
+    dns: { label: 'Cloud DNS zone', resourceType: 'google_dns_managed_zone', synonyms: ['cloud dns', 'dns', 'dns zone'] },
+    service_account: { label: 'Service account', resourceType: 'google_service_account', synonyms: ['service account', 'iam', 'iam service account'] },
+  },
+  // Workloads on an existing cluster, whichever cloud runs it
+  kubernetes: {
+    namespace: { label: 'Namespace', resourceType: 'kubernetes_namespace_v1', synonyms: ['namespace', 'kubernetes namespace'] },
+    deployment: { label: 'Deployment', resourceType: 'kubernetes_deployment_v1', synonyms: ['deployment', 'pod', 'pods', 'workload', 'replica set'] },
+    service: { label: 'Service', resourceType: 'kubernetes_service_v1', synonyms: ['service', 'svc', 'cluster ip', 'node port'] },
+    ingress: { label: 'Ingress', resourceType: 'kubernetes_ingress_v1', synonyms: ['ingress', 'ingress controller'] },
+    config_map: { label: 'ConfigMap', resourceType: 'kubernetes_config_map_v1', synonyms: ['config map', 'configmap', 'cm'] },
+    secret: { label: 'Secret', resourceType: 'kubernetes_secret_v1', synonyms: ['secret', 'kubernetes secret'] },
+    persistent_volume_claim: { label: 'Persistent volume claim', resourceType: 'kubernetes_persistent_volume_claim_v1', synonyms: ['persistent volume claim', 'pvc', 'persistent volume'] },
+    stateful_set: { label: 'StatefulSet', resourceType: 'kubernetes_stateful_set_v1', synonyms: ['stateful set', 'statefulset', 'sts'] },
+    cron_job: { label: 'CronJob', resourceType: 'kubernetes_cron_job_v1', synonyms: ['cron job', 'cronjob', 'scheduled job'] },
+    helm_release: { label: 'Helm release', resourceType: 'helm_release', synonyms: ['helm', 'helm chart', 'helm release', 'chart'] },
+  },
+  oci: {
+    compartment: { label: 'Compartment', resourceType: 'oci_identity_compartment', synonyms: ['compartment'] },
+    vpc: { label: 'Virtual cloud network', resourceType: 'oci_core_vcn', synonyms: ['vcn', 'virtual cloud network', 'network', 'vpc'] },
+    subnet: { label: 'Subnet', resourceType: 'oci_core_subnet', synonyms: ['subnet', 'public subnet', 'private subnet'] },
+    security_group: { label: 'Network security group', resourceType: 'oci_core_network_security_group', synonyms: ['network security group', 'nsg', 'security list', 'security group', 'firewall'] },
+    internet_gateway: { label: 'Internet gateway', resourceType: 'oci_core_internet_gateway', synonyms: ['internet gateway', 'igw'] },
+    nat_gateway: { label: 'NAT gateway', resourceType: 'oci_core_nat_gateway', synonyms: ['nat gateway', 'nat'] },
+    route_table: { label: 'Route table', resourceType: 'oci_core_route_table', synonyms: ['route table'] },
+    load_balancer: { label: 'Load balancer', resourceType: 'oci_load_balancer_load_balancer', synonyms: ['load balancer', 'lb', 'flexible load balancer'] },
+    instance: { label: 'Compute instance', resourceType: 'oci_core_instance', synonyms: ['compute instance', 'compute', 'instance', 'vm', 'virtual machine', 'server', 'web server', 'app server'] },
+    kubernetes_cluster: { label: 'OKE cluster', resourceType: 'oci_containerengine_cluster', synonyms: ['oke', 'oke cluster', 'container engine', 'container engine for kubernetes', 'kubernetes cluster'] },
+    function: { label: 'OCI function', resourceType: 'oci_functions_function', synonyms: ['oci function', 'functions', 'function', 'serverless function'] },
+    bucket: { label: 'Object Storage bucket', resourceType: 'oci_objectstorage_bucket', synonyms: ['object storage', 'object storage bucket', 'bucket', 'storage'] },
+    database: { label: 'Autonomous Database', resourceType: 'oci_database_autonomous_database', synonyms: ['autonomous database', 'autonomous db', 'adb', 'atp', 'adw', 'oracle database', 'database', 'db'] },
+    nosql_database: { label: 'NoSQL table', resourceType: 'oci_nosql_table', synonyms: ['nosql', 'nosql database', 'nosql table'] },
+    queue: { label: 'Queue', resourceType: 'oci_queue_queue', synonyms: ['queue', 'message queue'] },
+    topic: { label: 'Notification topic', resourceType: 'oci_ons_notification_topic', synonyms: ['notifications', 'notification topic', 'ons', 'topic'] },
+    api_gateway: { label: 'API Gateway', resourceType: 'oci_apigateway_gateway', synonyms: ['api gateway', 'api'] },
+    dns: { label: 'DNS zone', resourceType: 'oci_dns_zone', synonyms: ['dns', 'dns zone'] },
+  },
+};
+
+const PROVIDER_ALIASES = {
+  aws: ['aws', 'amazon', 'amazon web services'],
+  azure: ['azure', 'microsoft azure', 'azurerm'],
+  gcp: ['gcp', 'google', 'google cloud', 'google cloud platform'],
+  kubernetes: ['kubernetes', 'k8s', 'helm'],
+  oci: ['oci', 'oracle', 'oracle cloud', 'oracle cloud infrastructure'],
+};
+
+// Words that only say which cloud a component belongs to ("AWS EC2 instance", "Azure Function App",
+// "K8s deployment"), longest first per provider
+const PROVIDER_PREFIXES = {
+  aws: ['amazon web services', 'amazon', 'aws'],
+  azure: ['microsoft azure', 'microsoft', 'azure'],
+  gcp: ['google cloud platform', 'google cloud', 'google', 'gcp'],
+  kubernetes: ['kubernetes', 'k8s'],
+  oci: ['oracle cloud infrastructure', 'oracle cloud', 'oracle', 'oci'],
+};
+
+function normalizeTypeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function stripProviderPrefix(text) {
+  for (const prefix of Object.values(PROVIDER_PREFIXES).flat()) {
+    if (text.startsWith(prefix + ' ')) return text.slice(prefix.length + 1);
+  }
+  return text;
+}
+
+// Build lookup tables once: normalized synonym / resource type -> canonical key
+const synonymIndex = {};
+for (const [provider, entries] of Object.entries(catalog)) {
+  const index = new Map();
+  for (const [key, entry] of Object.entries({ ...externalComponents, ...entries })) {
+    for (const synonym of [...entry.synonyms, key]) {
+      const normalized = normalizeTypeText(synonym);
+      if (!index.has(normalized)) index.set(normalized, key);
+    }
+    if (entry.resourceType) index.set(normalizeTypeText(entry.resourceType), key);
+  }
+  synonymIndex[provider] = index;
+}
+
+function getSupportedProviders() {
+  return Object.keys(catalog);
+}
+
+// Map "Amazon Web Services", "Google Cloud" etc. onto a catalog key, or null
+function resolveProviderName(name) {
+  if (!name) return null;
+  const normalized = normalizeTypeText(name);
+  for (const [provider, aliases] of Object.entries(PROVIDER_ALIASES)) {
+    if (aliases.includes(normalized)) return provider;
+  }
+  return null;
+}
+
+// Provider named at the start of a component type ("Oracle Autonomous Database" -> 'oci'), or null
+function resolveTypeProvider(rawType) {
+  if (!rawType) return null;
+  const normalized = normalizeTypeText(rawType);
+  for (const [provider, prefixes] of Object.entries(PROVIDER_PREFIXES)) {
+    if (prefixes.some((prefix) => normalized.startsWith(prefix + ' '))) return provider;
+  }
+  return null;
+}
+
+// Resolve a free-text component type to its canonical catalog key for one provider
+function resolveComponentType(provider, rawType) {
+  const index = synonymIndex[provider];
+  if (!index || !rawType) return null;
+
+  const normalized = normalizeTypeText(rawType);
+  const candidates = [normalized, stripProviderPrefix(normalized)];
+  for (const candidate of [...candidates]) {
+    if (candidate.endsWith('s')) candidates.push(candidate.slice(0, -1));
+  }
+
+  for (const candidate of candidates) {
+    if (index.has(candidate)) return index.get(candidate);
+  }
+  return null;
+}
+
+function getCatalogEntry(provider, type) {
+  return externalComponents[type] || (catalog[provider] && catalog[provider][type]) || null;
+}
+
+// Types to pick from when reviewing an architecture: { aws: [{ type, label, resourceType }], ..., external: [...] }
+function listComponentTypes() {
+  const list = (entries) => Object.entries(entries).map(([type, entry]) => ({ type, label: entry.label, resourceType: entry.resourceType }));
+  return {
+    ...Object.fromEntries(Object.entries(catalog).map(([provider, entries]) => [provider, list(entries)])),
+    external: list(externalComponents),
+  };
+}
+
+module.exports = {
+  catalog,
+  getSupportedProviders,
+  listComponentTypes,
+  resolveProviderName,
+  resolveTypeProvider,
+  resolveComponentType,
+  getCatalogEntry,
+};
@@ -0,0 +1,190 @@
+// services/costReport.js
+// Turns OpenInfraQuote output into a structured monthly estimate:
+//   { currency, total: { min, max }, resources: [{ address, type, name, monthly: { min, max } }], unpriced: [address] }
+// `oiq price --format=json` is read when the installed oiq supports it, its text report otherwise.
+// Resources from the plan that oiq has no price for end up in `unpriced`.
+
+const CURRENCY = 'USD';
+// The resource table of the text report and its columns
+const TABLE_HEADER = /^\s*Name\s+Type\s+Min Price \(\w+\)\s+Max Price \(\w+\)\s+Change\s*$/;
+const TABLE_COLUMNS = ['name', 'type', 'min', 'max', 'change'];
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// 12, "12.50" or "12.50 USD" -> number, anything else (e.g. "t3.micro") -> null
+function toAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? roundCents(value) : null;
+  const match = typeof value === 'string' && value.trim().match(/^(-?\d+(?:\.\d+)?)(?:\s+USD)?$/);
+  return match ? roundCents(Number(match[1])) : null;
+}
+
+// { min, max } of the report -> { min, max }, null when neither is an amount
+function toRange(value) {
+  if (!value || typeof value !== 'object') return null;
+  const min = toAmount(value.min);
+  const max = toAmount(value.max);
+  if (min === null && max === null) return null;
+  return { min: min ?? max, max: max ?? min };
+}
+
+function splitAddress(address) {
+  const match = address.match(/(?:^|\.)((?:data\.)?[a-z][a-z0-9]*_[a-z0-9_]+)\.([^.]+)$/);
+  return match ? { type: match[1].replace(/^data\./, ''), name: match[2] } : { type: null, name: address };
+}
+
+// Managed resources the plan keeps or creates, from `terraform show -json`
+function plannedResources(plan) {
+  if (!plan || !Array.isArray(plan.resource_changes)) return [];
+  return plan.resource_changes
+    .filter((change) => change.mode === 'managed')
+    .filter((change) => !(change.change && change.change.actions.length === 1 && change.change.actions[0] === 'delete'))
+    .map((change) => ({ address: change.address, type: change.type, name: change.name }));
+}
+
+// `oiq price --format=json`:
+//   { price: { min, max }, resources: [{ address, name, type, price: { min, max }, change }], ... }
+// Resources the plan removes are not part of the estimate.
+function parseJsonReport(data) {
+  const entries = Array.isArray(data.resources) ? data.resources : [];
+  const resources = entries
+    .filter((entry) => entry && entry.change !== 'remove')
+    .map((entry) => {
+      const address = entry.address || (entry.type && entry.name ? `${entry.type}.${entry.name}` : null);
+      if (!address) return null;
+      return { address, ...splitAddress(address), ...(entry.type ? { type: entry.type } : {}), monthly: toRange(entry.price) };
+    })
+    .filter(Boolean);
+  return { resources, total: toRange(data.price) };
+}
+
+// The address of a table row: the planned resource of that type and name not claimed by an earlier
+// row (count and for_each instances share their name), or type.name without a plan
+function rowAddress(row, candidates, claimed) {
+  const resource = candidates.find((candidate) => !claimed.has(candidate.address)
+    && (candidate.address === row.name || (candidate.type === row.type && candidate.name === row.name)));
+  return resource ? resource.address : `${row.type}.${row.name}`;
+}
+
+// Text report of `oiq price`:
+//   Min Price: 212.50 USD
+//   Max Price: 260.00 USD
+//   Resources
+//                   Name           Type  Min Price (USD)  Max Price (USD)  Change
+//                    web   aws_instance           212.50           260.00     add
+// next to the previous price and the difference ("Min Previous Price", "Min Price Diff"). Only the
+// price columns of the table are read, so nothing else on a row is mistaken for a price.
+function parseTextReport(text, planned) {
+  const resources = [];
+  const total = {};
+  const claimed = new Set();
+  let inTable = false;
+  for (const line of text.split('\n')) {
+    const totalMatch = line.match(/^\s*(Min|Max) Price:\s*(.+?)\s*$/);
+    if (totalMatch) {
+      total[totalMatch[1].toLowerCase()] = toAmount(totalMatch[2]);
+      continue;
+    }
+    if (TABLE_HEADER.test(line)) {
+      inTable = true;
+      continue;
+    }
+    const cells = line.trim().split(/\s+/);
+    if (!inTable || cells.length !== TABLE_COLUMNS.length) continue;
+
+    const row = Object.fromEntries(TABLE_COLUMNS.map((column, i) => [column, cells[i]]));
+    if (row.change === 'remove') continue;
+    const address = rowAddress(row, planned, claimed);
+    claimed.add(address);
+    const monthly = toRange(row);
+    resources.push({ address, ...splitAddress(address), type: row.type, monthly });
+  }
+  const hasTotal = total.min !== undefined || total.max !== undefined;
+  return { resources, total: hasTotal ? toRange(total) : null };
+}
+
+// `output` is the oiq price output in `format` ('json' or 'text'), `plan` the parsed plan JSON
+function parseCostReport(output, { format = 'text', plan = null } = {}) {
+  const planned = plannedResources(plan);
+  const parsed = format === 'json' ? parseJsonReport(JSON.parse(output)) : parseTextReport(output, planned);
+
+  const priced = parsed.resources.filter((resource) => resource.monthly);
+  const pricedAddresses = new Set(priced.map((resource) => resource.address));
+  const unpriced = [
+    ...parsed.resources.filter((resource) => !resource.monthly).map((resource) => resource.address),
+    ...planned.map((resource) => resource.address).filter((address) => !pricedAddresses.has(address)),
+  ];
+
+  // Without a total in the report, the resources add up to it
+  const total = parsed.total || {
+    min: roundCents(priced.reduce((sum, resource) => sum + resource.monthly.min, 0)),
+    max: roundCents(priced.reduce((sum, resource) => sum + resource.monthly.max, 0)),
+  };
+  return { currency: CURRENCY, total, resources: priced, unpriced: [...new Set(unpriced)] };
+}
+
+// `limit` is a monthly amount; the estimate is over budget when its maximum is
+function budgetStatus(total, limit) {
+  if (limit === null || limit === undefined) return null;
+  return {
+    limit,
+    exceeded: total.max > limit,
+    overBy: roundCents(Math.max(0, total.max - limit)),
+    remaining: roundCents(Math.max(0, limit - total.max)),
+  };
+}
+
+// Monthly budget from a request or COST_BUDGET_MONTHLY: null without one, undefined when it is not a
+// non-negative number
+function resolveBudget(value = process.env.COST_BUDGET_MONTHLY) {
+  if (value === undefined || value === null || value === '') return null;
+  const budget = Number(value);
+  return Number.isFinite(budget) && budget >= 0 ? budget : undefined;
+}
+
+// The estimate a new one is compared to: the last one of another revision
+function previousEstimate(estimates, revision) {
+  return [...estimates].reverse().find((estimate) => estimate.revision !== revision) || null;
+}
+
+// What changed between two estimates: the difference of the totals and the resources
+// that were added, removed or changed in price
+function costChange(previous, current) {
+  if (!previous) return null;
+  const before = new Map(previous.resources.map((resource) => [resource.address, resource]));
+  const after = new Map(current.resources.map((resource) => [resource.address, resource]));
+  const delta = (a, b) => ({ min: roundCents(b.min - a.min), max: roundCents(b.max - a.max) });
+  const zero = { min: 0, max: 0 };
+
+  const resources = [];
+  for (const [address, resource] of after) {
+    const old = before.get(address);
+    if (!old) resources.push({ address, change: 'added', monthly: delta(zero, resource.monthly) });
+    else if (old.monthly.min !== resource.monthly.min || old.monthly.max !== resource.monthly.max) {
+      resources.push({ address, change: 'changed', monthly: delta(old.monthly, resource.monthly) });
+    }
+  }
+  for (const [address, resource] of before) {
+    if (!after.has(address)) resources.push({ address, change: 'removed', monthly: delta(resource.monthly, zero) });
+  }
+  return { fromRevision: previous.revision, toRevision: current.revision, monthly: delta(previous.total, current.total), resources };
+}
+
+// "this edit added $212.00/month"
+function describeCostChange(change) {
+  if (!change) return null;
+  const amount = (value) => `$${Math.abs(value).toFixed(2)}`;
+  const { min, max } = change.monthly;
+  if (min === 0 && max === 0) return `No cost change since revision ${change.fromRevision}.`;
+  const since = `compared to revision ${change.fromRevision}`;
+  if (min < 0 !== max < 0) {
+    const signed = (value) => `${value < 0 ? '-' : '+'}${amount(value)}`;
+    return `Revision ${change.toRevision} changed the cost by ${signed(min)} to ${signed(max)}/month ${since}.`;
+  }
+  const verb = max >= 0 ? 'added' : 'saved';
+  const range = min === max ? amount(max) : `${amount(min)} - ${amount(max)}`;
+  return `Revision ${change.toRevision} ${verb} ${range}/month ${since}.`;
+}
+
+module.exports = { parseCostReport, plannedResources, budgetStatus, resolveBudget, previousEstimate, costChange, describeCostChange, CURRENCY };
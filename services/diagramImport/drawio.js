@@ -0,0 +1,176 @@
+// services/diagramImport/drawio.js
+// draw.io / diagrams.net XML (.drawio, uncompressed or compressed pages). Every page is parsed
+// on its own, e.g. an overview page and one page per subsystem.
+// Shapes from the AWS, Azure and GCP libraries are recognized by their style
+// (shape=mxgraph.aws4.*, resIcon=..., grIcon=..., image=img/lib/azure2/...). Containment
+// comes from the cell parent, or from geometry for shapes only drawn on top of a group.
+// Extra attributes of <object>/<UserObject> cells (Edit Data in draw.io) become properties.
+const zlib = require('zlib');
+const { XMLParser } = require('fast-xml-parser');
+const { createDiagramGraph } = require('./graph');
+const { detectProvider, resolveShapeType, normalizeText } = require('./shapes');
+
+const CELL_TAGS = ['mxCell', 'object', 'UserObject'];
+const NON_PROPERTY_ATTRIBUTES = new Set(['id', 'label', 'placeholders', 'tooltip', 'link', 'mxCell']);
+// Library shapes that only frame the actual icon given in another style key
+const GENERIC_SHAPES = new Set(['resourceicon', 'group', 'groupcenter', 'producticon']);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  isArray: (name) => name === 'diagram' || CELL_TAGS.includes(name),
+});
+
+function parseStyle(style) {
+  const result = { tokens: [] };
+  for (const part of String(style || '').split(';')) {
+    if (!part) continue;
+    const eq = part.indexOf('=');
+    if (eq === -1) result.tokens.push(part);
+    else result[part.slice(0, eq)] = part.slice(eq + 1);
+  }
+  return result;
+}
+
+function plainText(value) {
+  return String(value || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Pages are stored either as XML or deflated, base64 and URI encoded
+function pageModel(diagram) {
+  if (diagram.mxGraphModel) return diagram.mxGraphModel;
+  const text = typeof diagram === 'string' ? diagram : diagram['#text'];
+  if (!text) return null;
+  const xml = decodeURIComponent(zlib.inflateRawSync(Buffer.from(text.trim(), 'base64')).toString('utf8'));
+  return parser.parse(xml).mxGraphModel;
+}
+
+function readCells(model) {
+  const root = model && model.root;
+  if (!root) return [];
+  const cells = [];
+  for (const cell of root.mxCell || []) cells.push({ ...cell, attributes: {} });
+  for (const tag of ['object', 'UserObject']) {
+    for (const wrapper of root[tag] || []) {
+      const [inner = {}] = wrapper.mxCell || [];
+      const attributes = Object.fromEntries(Object.entries(wrapper).filter(([key]) => !NON_PROPERTY_ATTRIBUTES.has(key)));
+      cells.push({ ...inner, id: wrapper.id, value: wrapper.label, attributes });
+    }
+  }
+  return cells;
+}
+
+// Icon name of a library shape, e.g. 'ec2' for resIcon=mxgraph.aws4.ec2
+function iconName(style) {
+  for (const key of ['resIcon', 'grIcon', 'prIcon', 'shape']) {
+    const name = style[key] && style[key].split('.').pop();
+    if (name && style[key].startsWith('mxgraph.') && !GENERIC_SHAPES.has(name.toLowerCase())) return name;
+  }
+  if (style.image) {
+    return style.image.split('/').pop().replace(/\.(svg|png)$/i, '').replace(/^\d+-icon-service-/, '');
+  }
+  return null;
+}
+
+function propertyValue(value) {
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+// Raw diagram of one page, null for an empty page
+function parsePage(page) {
+  const cells = readCells(pageModel(page));
+  if (!cells.length) return null;
+
+  const byId = new Map(cells.map((cell) => [cell.id, cell]));
+  const isVertex = (cell) => cell && cell.vertex === '1';
+  const edgeLabels = new Map();
+  const graph = createDiagramGraph();
+  const geometry = new Map();
+
+  // Absolute bounds, child geometry is relative to the parent vertex
+  const boundsOf = (cell) => {
+    if (geometry.has(cell.id)) return geometry.get(cell.id);
+    const g = cell.mxGeometry || {};
+    const bounds = { x: Number(g.x) || 0, y: Number(g.y) || 0, width: Number(g.width) || 0, height: Number(g.height) || 0 };
+    const parent = byId.get(cell.parent);
+    if (isVertex(parent)) {
+      const parentBounds = boundsOf(parent);
+      bounds.x += parentBounds.x;
+      bounds.y += parentBounds.y;
+    }
+    geometry.set(cell.id, bounds);
+    return bounds;
+  };
+
+  const shapes = [];
+  for (const cell of cells) {
+    const style = parseStyle(cell.style);
+    if (style.tokens.includes('edgeLabel') && byId.get(cell.parent)) {
+      edgeLabels.set(cell.parent, plainText(cell.value));
+      continue;
+    }
+    if (!isVertex(cell) || style.tokens.includes('text')) continue;
+
+    const provider = detectProvider(cell.style);
+    const icon = provider ? iconName(style) : null;
+    const label = plainText(cell.value);
+    const hasChildren = cells.some((other) => other.parent === cell.id && isVertex(other));
+    const isGroup = hasChildren || style.container === '1' || style.tokens.includes('swimlane') || style.tokens.includes('group') || Boolean(style.grIcon);
+
+    let type = icon ? resolveShapeType(icon, provider) : null;
+    if (!type && label) type = resolveShapeType(label, provider);
+    // Unknown library icons keep their name, the normalizer reports them
+    if (!type && icon && !isGroup) type = normalizeText(icon);
+
+    const properties = Object.fromEntries(Object.entries(cell.attributes).map(([key, value]) => [key, propertyValue(value)]));
+    shapes.push(graph.addNode({ id: cell.id, label, type, provider, isGroup, properties, parent: isVertex(byId.get(cell.parent)) ? cell.parent : null }));
+  }
+
+  // Shapes drawn on top of a group without being its child: smallest group fully enclosing them
+  const groups = shapes.filter((node) => node.isGroup);
+  for (const node of shapes.filter((n) => !n.parent)) {
+    const b = boundsOf(byId.get(node.id));
+    const enclosing = groups
+      .filter((group) => group.id !== node.id)
+      .map((group) => ({ group, g: boundsOf(byId.get(group.id)) }))
+      .filter(({ g }) => b.x >= g.x && b.y >= g.y && b.x + b.width <= g.x + g.width && b.y + b.height <= g.y + g.height
+        && g.width * g.height > b.width * b.height)
+      .sort((a, z) => a.g.width * a.g.height - z.g.width * z.g.height)[0];
+    if (enclosing) node.parent = enclosing.group.id;
+  }
+
+  for (const cell of cells) {
+    if (cell.edge !== '1' || !cell.source || !cell.target) continue;
+    graph.addEdge(cell.source, cell.target, plainText(cell.value) || edgeLabels.get(cell.id));
+  }
+
+  return graph.toDiagram();
+}
+
+// Every page with shapes on it -> [{ name, diagram }]
+function parseDrawioPages(xml) {
+  const document = parser.parse(xml);
+  const pages = document.mxfile ? document.mxfile.diagram || [] : [document];
+  const parsed = pages
+    .map((page, i) => ({ name: page.name || `Page-${i + 1}`, diagram: parsePage(page) }))
+    .filter((page) => page.diagram);
+  if (!parsed.length) throw new Error('No diagram cells found in the draw.io file');
+  // Blank pages next to drawn ones are left out
+  const drawn = parsed.filter((page) => page.diagram.components.length);
+  return drawn.length ? drawn : parsed;
+}
+
+function parseDrawio(xml) {
+  return parseDrawioPages(xml)[0].diagram;
+}
+
+module.exports = { parseDrawio, parseDrawioPages };
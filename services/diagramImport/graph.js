@@ -0,0 +1,101 @@
+// services/diagramImport/graph.js
+// Shared builder for the text diagram parsers. Parsers add nodes (shapes, groups) and
+// edges by their own ids; toDiagram() turns that into the raw parser output the vision
+// parse produces: { cloudProvider, components: [{ type, name, properties }], connections }.
+//
+// Containment becomes a connection from the child to its nearest enclosing component,
+// the same way the vision parse links a subnet to its VPC. Groups that are not a cloud
+// resource themselves (regions, availability zones, plain boxes) are transparent.
+// Components keep the provider their icon names, so mixed diagrams (an AWS network with
+// Kubernetes workloads) are attributed per component.
+
+function createDiagramGraph() {
+  const nodes = new Map();
+  const edges = [];
+
+  return {
+    // { id, label, type, provider, parent, isGroup, properties }; type null when unknown
+    addNode(node) {
+      const existing = nodes.get(node.id);
+      const merged = { label: null, type: null, provider: null, parent: null, isGroup: false, properties: {}, ...existing };
+      for (const [key, value] of Object.entries(node)) {
+        if (value !== undefined && value !== null) merged[key] = value;
+      }
+      nodes.set(node.id, merged);
+      return merged;
+    },
+    hasNode(id) {
+      return nodes.has(id);
+    },
+    getNode(id) {
+      return nodes.get(id) || null;
+    },
+    addEdge(from, to, label) {
+      edges.push({ from, to, label: label || null });
+    },
+
+    toDiagram() {
+      const connected = new Set(edges.flatMap((e) => [e.from, e.to]));
+
+      // Typed shapes always count, untyped ones only as endpoints of a connection
+      const isComponent = (node) => Boolean(node.type) || (!node.isGroup && connected.has(node.id) && Boolean(node.label));
+      const componentNodes = [...nodes.values()].filter(isComponent);
+
+      const names = new Map();
+      const usedNames = new Set();
+      for (const node of componentNodes) {
+        const base = (node.label || node.type || node.id).trim();
+        let name = base;
+        for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+        usedNames.add(name.toLowerCase());
+        names.set(node.id, name);
+      }
+
+      const enclosingComponent = (node) => {
+        const seen = new Set();
+        for (let parent = nodes.get(node.parent); parent && !seen.has(parent.id); parent = nodes.get(parent.parent)) {
+          seen.add(parent.id);
+          if (names.has(parent.id)) return parent;
+        }
+        return null;
+      };
+
+      const connections = [];
+      const seenConnections = new Set();
+      const connect = (from, to, label) => {
+        const key = `${from}->${to}`;
+        if (from === to || seenConnections.has(key)) return;
+        seenConnections.add(key);
+        connections.push(label ? { from, to, label } : { from, to });
+      };
+
+      for (const node of componentNodes) {
+        const parent = enclosingComponent(node);
+        if (parent) connect(names.get(node.id), names.get(parent.id));
+      }
+      for (const edge of edges) {
+        if (names.has(edge.from) && names.has(edge.to)) connect(names.get(edge.from), names.get(edge.to), edge.label);
+      }
+
+      // The provider most shapes come from
+      const votes = {};
+      for (const node of nodes.values()) {
+        if (node.provider) votes[node.provider] = (votes[node.provider] || 0) + 1;
+      }
+      const [cloudProvider] = Object.entries(votes).sort((a, b) => b[1] - a[1]).map(([provider]) => provider);
+
+      return {
+        cloudProvider: cloudProvider || 'Unknown',
+        components: componentNodes.map((node) => ({
+          type: node.type || node.label,
+          name: names.get(node.id),
+          ...(node.provider ? { provider: node.provider } : {}),
+          properties: node.properties,
+        })),
+        connections,
+      };
+    },
+  };
+}
+
+module.exports = { createDiagramGraph };
@@ -0,0 +1,62 @@
+// services/diagramImport/index.js
+// Deterministic import of text diagram formats (draw.io, Mermaid, PlantUML). Produces the same
+// raw { cloudProvider, components, connections } the vision parse does, so uploads in these
+// formats skip the model entirely and go straight to the IR.
+const path = require('path');
+const { DiagramValidationError, mergeDiagrams } = require('../diagramIr');
+const { parseDrawioPages } = require('./drawio');
+const { parseMermaid } = require('./mermaid');
+const { parsePlantuml } = require('./plantuml');
+
+// Each parser returns the pages of a source as [{ name, diagram }]
+const singlePage = (parse) => (source) => [{ name: null, diagram: parse(source) }];
+const PARSERS = {
+  drawio: parseDrawioPages,
+  mermaid: singlePage(parseMermaid),
+  plantuml: singlePage(parsePlantuml),
+};
+
+const EXTENSIONS = {
+  '.drawio': 'drawio',
+  '.dio': 'drawio',
+  '.mmd': 'mermaid',
+  '.mermaid': 'mermaid',
+  '.puml': 'plantuml',
+  '.plantuml': 'plantuml',
+  '.pu': 'plantuml',
+  '.wsd': 'plantuml',
+};
+
+// 'drawio' | 'mermaid' | 'plantuml', or null for images and anything else. The content decides,
+// the extension only names the format of sources that do not start like one.
+function detectDiagramFormat(content, filename = '') {
+  const text = Buffer.isBuffer(content) ? content.subarray(0, 4096).toString('utf8') : String(content || '').slice(0, 4096);
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?<(mxfile|mxGraphModel)\b/.test(start)) return 'drawio';
+  if (/^@startuml\b/.test(start)) return 'plantuml';
+  const firstStatement = start.replace(/^---\n[\s\S]*?\n---\n/, '').split('\n').find((line) => line.trim() && !line.trim().startsWith('%%'));
+  if (firstStatement && /^\s*(flowchart|graph|architecture-beta)\b/.test(firstStatement)) return 'mermaid';
+  return EXTENSIONS[path.extname(filename).toLowerCase()] || null;
+}
+
+// Parse a text diagram into its pages, one except for multi-page draw.io files.
+// Syntax problems surface as DiagramValidationError like a bad vision parse.
+function importDiagramPages(text, format) {
+  const parse = PARSERS[format];
+  if (!parse) throw new Error(`Unsupported diagram format '${format}'`);
+  const source = String(text).replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  try {
+    return parse(source);
+  } catch (err) {
+    throw new DiagramValidationError(`Could not import ${format} diagram.`, [
+      { severity: 'error', path: '', message: err.message },
+    ]);
+  }
+}
+
+// All pages of a text diagram merged into one
+function importDiagram(text, format) {
+  return mergeDiagrams(importDiagramPages(text, format).map((page) => page.diagram));
+}
+
+module.exports = { detectDiagramFormat, importDiagram, importDiagramPages, DIAGRAM_FORMATS: Object.keys(PARSERS) };
@@ -0,0 +1,223 @@
+// services/diagramImport/mermaid.js
+// Mermaid flowcharts (flowchart/graph) and architecture diagrams (architecture-beta).
+//
+// Component types come from, in order: the node icon (`web@{ icon: "aws:ec2" }`,
+// `service web(logos:aws-ec2)[Web]`), a class (`web:::aws-ec2`), the node shape
+// (`db[(Orders)]` is a database) and finally the label ("EC2: web", "web (EC2)", "orders-db").
+// Containment comes from subgraphs and architecture groups.
+const { createDiagramGraph } = require('./graph');
+const { detectProvider, resolveShapeType, splitTypedLabel } = require('./shapes');
+
+// Node shape delimiters, longest openers first
+const SHAPES = [
+  ['([', '])'], ['[(', ')]', 'database'], ['((', '))'], ['[[', ']]'], ['{{', '}}'], ['[/', '/]'], ['[\\', '\\]'],
+  ['(', ')'], ['[', ']'], ['{', '}'], ['>', ']'],
+];
+const LINK = /^\s*(<?(?:-{2,}|={2,}|-\.+-|-\.+)(?:>|o|x)?)(?:\|([^|]*)\|)?\s*/;
+// Built-in architecture-beta icons
+const ARCHITECTURE_ICONS = { database: 'database', server: 'server', disk: 'storage', internet: 'internet', cloud: null };
+
+function unquote(text) {
+  const trimmed = String(text || '').trim();
+  return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+function plainLabel(text) {
+  return unquote(text).replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// 'aws:ec2', 'logos:aws-lambda', 'aws-ec2' -> { provider, type }
+function iconType(icon) {
+  if (!icon) return { provider: null, type: null };
+  const provider = detectProvider(icon) || detectProvider(`${icon.split(/[-_]/)[0]}:`);
+  const name = icon
+    .replace(/^[\w-]+:/, '')
+    .replace(/^(aws|azure|microsoft-azure|gcp|google-cloud|google|kubernetes|k8s|oracle|oci)[-_]?/i, '');
+  return { provider, type: name ? resolveShapeType(name, provider) : null };
+}
+
+function splitStatements(source) {
+  return source
+    .split('\n')
+    .map((line) => line.replace(/%%.*$/, '').trim())
+    .flatMap((line) => line.split(/;\s*$/))
+    .filter(Boolean);
+}
+
+// --- flowchart ---
+
+function readNode(text, pos) {
+  const idMatch = text.slice(pos).match(/^([\w.-]+?)(?=$|[\s[({>&:@]|-{2}|={2}|-\.)/);
+  if (!idMatch) return null;
+  const node = { id: idMatch[1], label: null, shapeHint: null, icon: null, className: null };
+  pos += idMatch[1].length;
+
+  const attributes = text.slice(pos).match(/^@\{([^}]*)\}/);
+  if (attributes) {
+    const icon = attributes[1].match(/icon:\s*"([^"]+)"/);
+    const label = attributes[1].match(/label:\s*"([^"]+)"/);
+    if (icon) node.icon = icon[1];
+    if (label) node.label = plainLabel(label[1]);
+    pos += attributes[0].length;
+  }
+
+  for (const [open, close, hint] of SHAPES) {
+    if (!text.startsWith(open, pos)) continue;
+    const end = text.indexOf(close, pos + open.length);
+    if (end === -1) continue;
+    node.label = plainLabel(text.slice(pos + open.length, end));
+    node.shapeHint = hint || null;
+    pos = end + close.length;
+    break;
+  }
+
+  const className = text.slice(pos).match(/^:::([\w-]+)/);
+  if (className) {
+    node.className = className[1];
+    pos += className[0].length;
+  }
+  return { node, pos };
+}
+
+// Provider named by the first word of a label ("AWS Cloud", "GCP project")
+function labelProvider(label) {
+  return detectProvider(`${label.toLowerCase().split(' ')[0]}:`);
+}
+
+function parseFlowchart(lines) {
+  const graph = createDiagramGraph();
+  const groupStack = [];
+  const classes = new Map();
+  const hints = new Map();
+  const groups = [];
+
+  const addNode = (node) => {
+    const existing = graph.getNode(node.id);
+    graph.addNode({ id: node.id, label: node.label, parent: existing ? undefined : groupStack[groupStack.length - 1] });
+    const hint = hints.get(node.id) || {};
+    for (const key of ['shapeHint', 'icon', 'className']) {
+      if (node[key]) hint[key] = node[key];
+    }
+    hints.set(node.id, hint);
+  };
+
+  for (const line of lines.slice(1)) {
+    if (/^(classDef|style|linkStyle|click|direction)\b/.test(line)) continue;
+
+    const subgraph = line.match(/^subgraph\s+(?:([\w.-]+)\s*\[(.+)\]|(.+))$/);
+    if (subgraph) {
+      const id = subgraph[1] || unquote(subgraph[3]).replace(/\s+/g, '_');
+      graph.addNode({ id, label: plainLabel(subgraph[2] || subgraph[3]), isGroup: true, parent: groupStack[groupStack.length - 1] });
+      groups.push(id);
+      groupStack.push(id);
+      continue;
+    }
+    if (line === 'end') {
+      groupStack.pop();
+      continue;
+    }
+
+    const classStatement = line.match(/^class\s+([\w.,-]+)\s+([\w-]+)$/);
+    if (classStatement) {
+      classStatement[1].split(',').forEach((id) => classes.set(id.trim(), classStatement[2]));
+      continue;
+    }
+
+    // A chain of node groups joined by links: a & b --> c -->|label| d, `a -- text --> b` is `a -->|text| b`
+    const text = line.replace(/(--|==)\s+([^>|-][^>|]*?)\s+(-->|==>|---)/g, '$3|$2|');
+    let pos = 0;
+    let previous = null;
+    let link = null;
+    while (pos < text.length) {
+      const current = [];
+      for (;;) {
+        while (text[pos] === ' ') pos++;
+        const read = readNode(text, pos);
+        if (!read) break;
+        addNode(read.node);
+        current.push(read.node.id);
+        pos = read.pos;
+        const ampersand = text.slice(pos).match(/^\s*&\s*/);
+        if (!ampersand) break;
+        pos += ampersand[0].length;
+      }
+      if (!current.length) break;
+
+      if (previous) {
+        for (const from of previous) {
+          current.forEach((to) => (link.reversed ? graph.addEdge(to, from, link.label) : graph.addEdge(from, to, link.label)));
+        }
+      }
+      const match = text.slice(pos).match(LINK);
+      if (!match) break;
+      link = { label: match[2] ? plainLabel(match[2]) : null, reversed: match[1].startsWith('<') && !/[>ox]$/.test(match[1]) };
+      previous = current;
+      pos += match[0].length;
+    }
+  }
+
+  // Types are resolved once every mention of a node has been seen
+  for (const [id, hint] of hints) {
+    const node = graph.getNode(id);
+    if (node.isGroup) continue;
+    const fromIcon = iconType(hint.icon || hint.className || classes.get(id));
+    const label = node.label || id;
+    const fromLabel = splitTypedLabel(label, fromIcon.provider);
+    graph.addNode({
+      id,
+      label: fromIcon.type ? label : fromLabel.name,
+      type: fromIcon.type || hint.shapeHint || fromLabel.type,
+      provider: fromIcon.provider || labelProvider(label),
+    });
+  }
+  for (const id of groups) {
+    const { label } = graph.getNode(id);
+    graph.addNode({ id, type: resolveShapeType(label), provider: labelProvider(label) });
+  }
+  return graph.toDiagram();
+}
+
+// --- architecture-beta ---
+
+function parseArchitecture(lines) {
+  const graph = createDiagramGraph();
+  for (const line of lines.slice(1)) {
+    const declaration = line.match(/^(group|service|junction)\s+([\w-]+)(?:\(([^)]*)\))?(?:\[([^\]]*)\])?(?:\s+in\s+([\w-]+))?$/);
+    if (declaration) {
+      const [, kind, id, icon, label, parent] = declaration;
+      if (kind === 'junction') continue;
+      const builtIn = Object.prototype.hasOwnProperty.call(ARCHITECTURE_ICONS, icon) ? ARCHITECTURE_ICONS[icon] : undefined;
+      const fromIcon = builtIn === undefined ? iconType(icon) : { provider: null, type: builtIn && resolveShapeType(builtIn) };
+      const text = plainLabel(label || id);
+      const fromLabel = splitTypedLabel(text, fromIcon.provider);
+      graph.addNode({
+        id,
+        label: fromIcon.type ? text : fromLabel.name,
+        type: fromIcon.type || fromLabel.type,
+        provider: fromIcon.provider,
+        isGroup: kind === 'group',
+        parent: parent || null,
+      });
+      continue;
+    }
+
+    // web:R --> L:db, a:B <-- T:b, group edges written as a{group}:R -- L:b
+    const edge = line.match(/^([\w-]+)(?:\{group\})?(?::[LRTB])?\s*(<)?-{2,}(>)?\s*(?:[LRTB]:)?([\w-]+)(?:\{group\})?$/);
+    if (edge) {
+      const [, from, left, , to] = edge;
+      if (left && !edge[3]) graph.addEdge(to, from);
+      else graph.addEdge(from, to);
+    }
+  }
+  return graph.toDiagram();
+}
+
+function parseMermaid(source) {
+  const lines = splitStatements(source.replace(/^---\n[\s\S]*?\n---\n/, ''));
+  const header = (lines[0] || '').split(/\s+/)[0];
+  if (header === 'architecture-beta') return parseArchitecture(lines);
+  if (header === 'flowchart' || header === 'graph') return parseFlowchart(lines);
+  throw new Error(`Unsupported Mermaid diagram type '${header}', use a flowchart or architecture-beta diagram`);
+}
+
+module.exports = { parseMermaid };
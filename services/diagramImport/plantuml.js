@@ -0,0 +1,141 @@
+// services/diagramImport/plantuml.js
+// PlantUML deployment/component diagrams, plain or using the AWS, Azure and GCP icon libraries.
+//
+// The provider comes from the !include paths (AWSPuml, AzurePuml, GCPPuml). Library macros
+// name the type (`EC2(web, "Web server", "t3.micro")`, `VPCGroup(vpc, "Main VPC") {`);
+// plain elements use their stereotype or label (`node "web (EC2)" as web <<EC2>>`).
+// Containment comes from `{ ... }` blocks.
+const { createDiagramGraph } = require('./graph');
+const { detectProvider, resolveShapeType, splitTypedLabel, normalizeText } = require('./shapes');
+
+const ELEMENT_KEYWORDS = [
+  'actor', 'agent', 'artifact', 'boundary', 'card', 'cloud', 'collections', 'component', 'control', 'database',
+  'entity', 'file', 'folder', 'frame', 'hexagon', 'interface', 'label', 'node', 'package', 'person', 'queue',
+  'rectangle', 'stack', 'storage', 'usecase',
+];
+// Keywords that are only boxes around other elements unless their label says otherwise
+const GROUP_KEYWORDS = new Set(['rectangle', 'package', 'frame', 'folder', 'cloud', 'node']);
+// Macros from the libraries that only frame other elements
+const TRANSPARENT_MACROS = new Set(['awscloudgroup', 'genericgroup', 'genericaltgroup', 'regiongroup', 'availabilityzonegroup', 'awsaccountgroup']);
+const RELATION_MACROS = /^(?:Rel|BiRel|Rel_[UDLR]|Rel_(?:Up|Down|Left|Right)|Rel_Back)\s*\((.*)\)$/;
+const ARROW = /^("[^"]+"|[\w.]+)\s*([<o*]?[-.=]+(?:\[[^\]]*\])?(?:[a-z]+[-.=]+)?[>o*]?)\s*("[^"]+"|[\w.]+)\s*(?::\s*(.*))?$/;
+
+function unquote(text) {
+  const trimmed = String(text || '').trim();
+  return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+function plainLabel(text) {
+  return unquote(text).replace(/\\n/g, ' ').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Macro arguments split on commas outside quotes
+function splitArguments(text) {
+  const args = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === ',' && !quoted) {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) args.push(current.trim());
+  return args;
+}
+
+function parsePlantuml(source) {
+  const body = source.match(/@startuml[^\n]*\n([\s\S]*?)@enduml/);
+  if (!body) throw new Error('PlantUML source must be wrapped in @startuml ... @enduml');
+
+  const lines = body[1]
+    .replace(/\/'[\s\S]*?'\//g, '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("'"));
+
+  const includes = lines.filter((line) => line.startsWith('!include')).join('\n');
+  const libraryProvider = detectProvider(includes);
+  const graph = createDiagramGraph();
+  const groupStack = [];
+  const aliases = new Map();
+  let anonymous = 0;
+
+  const currentGroup = () => groupStack[groupStack.length - 1] || null;
+  const declare = ({ alias, label, type, provider, isGroup, properties }) => {
+    const id = alias || `element_${++anonymous}`;
+    graph.addNode({ id, label, type, provider: provider || (type ? libraryProvider : null), isGroup, parent: currentGroup(), properties });
+    if (label) aliases.set(label.toLowerCase(), id);
+    return id;
+  };
+  const reference = (name) => {
+    const text = unquote(name);
+    const id = graph.hasNode(text) ? text : aliases.get(text.toLowerCase()) || text;
+    if (!graph.hasNode(id)) graph.addNode({ id, label: text, type: resolveShapeType(text, libraryProvider) });
+    return id;
+  };
+
+  for (const line of lines) {
+    if (/^(!|skinparam|hide|show|title|left to right|top to bottom|legend|endlegend|note|end note|LAYOUT_)/i.test(line)) continue;
+    if (line === '}') {
+      groupStack.pop();
+      continue;
+    }
+
+    const relationMacro = line.match(RELATION_MACROS);
+    if (relationMacro) {
+      const [from, to, label] = splitArguments(relationMacro[1]);
+      if (/Rel_Back/.test(line)) graph.addEdge(reference(to), reference(from), label && plainLabel(label));
+      else graph.addEdge(reference(from), reference(to), label && plainLabel(label));
+      continue;
+    }
+
+    const arrow = line.match(ARROW);
+    if (arrow) {
+      const [, left, link, right, label] = arrow;
+      const reversed = /^[<]/.test(link) && !/>$/.test(link);
+      const [from, to] = reversed ? [right, left] : [left, right];
+      graph.addEdge(reference(from), reference(to), label && plainLabel(label));
+      continue;
+    }
+
+    // Library macro: EC2(web, "Web server", "t3.micro") or VPCGroup(vpc, "Main VPC") {
+    const macro = line.match(/^(\w+)\s*\((.*)\)\s*(\{)?$/);
+    if (macro) {
+      const [, name, argumentText, opens] = macro;
+      const [alias, label, technology] = splitArguments(argumentText).map(plainLabel);
+      const isGroup = Boolean(opens) || /Group$/.test(name);
+      const transparent = TRANSPARENT_MACROS.has(name.toLowerCase());
+      const typeName = name.replace(/(Participant|Group)$/, '');
+      const type = transparent ? null : resolveShapeType(typeName, libraryProvider) || (isGroup ? null : normalizeText(typeName));
+      const id = declare({ alias, label: label || alias, type, isGroup, properties: technology ? { technology } : {} });
+      if (opens) groupStack.push(id);
+      continue;
+    }
+
+    // Keyword element: node "Web (EC2)" as web <<EC2>> {
+    const element = line.match(/^(\w+)\s+("[^"]+"|[\w.]+)(?:\s+as\s+("[^"]+"|[\w.]+))?\s*(<<\s*([^>]+?)\s*>>)?\s*(?:#\S+\s*)?(\{)?$/);
+    if (element && ELEMENT_KEYWORDS.includes(element[1].toLowerCase())) {
+      const [, keyword, first, second, , stereotype, opens] = element;
+      // Both `node "Label" as alias` and `node alias as "Label"` are valid
+      const [text, alias] = second && /^"/.test(second) ? [plainLabel(second), first] : [plainLabel(first), second && unquote(second)];
+      const fromLabel = splitTypedLabel(text, libraryProvider);
+      const isGroup = Boolean(opens);
+      let type = (stereotype && resolveShapeType(stereotype, libraryProvider)) || fromLabel.type;
+      if (!type && !isGroup && !GROUP_KEYWORDS.has(keyword.toLowerCase())) type = resolveShapeType(keyword, libraryProvider);
+      const provider = stereotype ? detectProvider(stereotype) : null;
+      const label = stereotype ? text : fromLabel.name;
+      const id = declare({ alias: alias || text, label, type, provider, isGroup, properties: {} });
+      if (opens) groupStack.push(id);
+    }
+  }
+
+  const diagram = graph.toDiagram();
+  if (diagram.cloudProvider === 'Unknown' && libraryProvider) diagram.cloudProvider = libraryProvider;
+  return diagram;
+}
+
+module.exports = { parsePlantuml };
@@ -0,0 +1,99 @@
+// services/diagramImport/shapes.js
+// Shape library names and icon names -> cloud provider and component type text.
+// The type text is what a vision parse would produce ("ec2", "application load balancer");
+// the IR normalizer maps it onto the component catalog.
+const { getSupportedProviders, resolveComponentType } = require('../componentCatalog');
+
+// Substrings of library, include or icon names that identify a provider
+const PROVIDER_MARKERS = {
+  aws: ['mxgraph.aws', 'awspuml', 'aws-icons', 'aws:', 'logos:aws'],
+  azure: ['mxgraph.azure', 'img/lib/azure', 'img/lib/mscae', 'mscae', 'azurepuml', 'azure:', 'logos:microsoft-azure', 'logos:azure'],
+  gcp: ['mxgraph.gcp', 'img/lib/gcp', 'gcppuml', 'gcp-icons', 'gcp:', 'logos:google-cloud', 'logos:google'],
+  kubernetes: ['mxgraph.kubernetes', 'img/lib/kubernetes', 'kubernetespuml', 'k8s:', 'kubernetes:', 'helm:', 'logos:kubernetes', 'logos:helm'],
+  oci: ['mxgraph.oci', 'mxgraph.oracle', 'img/lib/oci', 'ocipuml', 'oci:', 'oracle:', 'logos:oracle'],
+};
+
+// Icon names whose words do not match any catalog synonym
+const TYPE_ALIASES = {
+  'elastic load balancing': 'load balancer',
+  'elb application load balancer': 'application load balancer',
+  'elb network load balancer': 'network load balancer',
+  'simple storage service': 's3',
+  'simple queue service sqs': 'sqs',
+  'simple notification service sns': 'sns',
+  'relational database service': 'rds',
+  'ec2 instance': 'ec2',
+  'instances': 'ec2',
+  'bucket with objects': 's3 bucket',
+  'cloud functions': 'cloud function',
+  'cloudsql': 'cloud sql',
+  'virtual machines': 'virtual machine',
+  'app services': 'app service',
+  'sql databases': 'sql database',
+  'azure cosmos db': 'cosmos db',
+  'mobile client': 'client',
+  'traditional server': 'server',
+  // draw.io Kubernetes icons (prIcon=deploy)
+  'deploy': 'deployment',
+  'ing': 'ingress',
+  'ns': 'namespace',
+};
+
+function normalizeText(text, { splitCamelCase = true } = {}) {
+  const spaced = splitCamelCase
+    ? String(text).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    : String(text);
+  return spaced
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function detectProvider(text) {
+  const lower = String(text || '').toLowerCase();
+  for (const [provider, markers] of Object.entries(PROVIDER_MARKERS)) {
+    if (markers.some((marker) => lower.includes(marker))) return provider;
+  }
+  return null;
+}
+
+function resolves(provider, text) {
+  const providers = provider ? [provider] : getSupportedProviders();
+  return providers.some((p) => resolveComponentType(p, text));
+}
+
+// Type text for an icon or label, e.g. 'group_vpc2' -> 'vpc', 'ElasticLoadBalancingApplicationLoadBalancer'
+// -> 'application load balancer'. Tries the whole text, then ever shorter runs of its words, so
+// "orders-db" finds 'db'. Returns null when nothing in the text is a known component type.
+function resolveShapeType(text, provider = null) {
+  // 'DynamoDB' is a name of its own, 'SimpleStorageService' only makes sense split up.
+  // Library variants carry a number ('group_vpc2'), names like 'ec2' keep theirs.
+  const variants = [];
+  for (const splitCamelCase of [false, true]) {
+    const normalized = normalizeText(text, { splitCamelCase }).replace(/^(group|res|arch|product|icon)\s+/, '');
+    variants.push(normalized, normalized.replace(/\s*\d+$/, ''));
+  }
+
+  for (const variant of [...new Set(variants)].filter(Boolean)) {
+    const words = variant.split(' ');
+    for (let length = words.length; length > 0; length--) {
+      for (let start = words.length - length; start >= 0; start--) {
+        const candidate = words.slice(start, start + length).join(' ');
+        if (TYPE_ALIASES[candidate]) return TYPE_ALIASES[candidate];
+        if (resolves(provider, candidate)) return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+// "EC2: web-server" and "web-server (EC2)" name the type explicitly, otherwise the whole label is searched
+function splitTypedLabel(label, provider = null) {
+  const prefixed = label.match(/^([^:]+):\s*(.+)$/);
+  if (prefixed && resolveShapeType(prefixed[1], provider)) return { type: resolveShapeType(prefixed[1], provider), name: prefixed[2] };
+  const suffixed = label.match(/^(.+?)\s*\(([^)]+)\)$/);
+  if (suffixed && resolveShapeType(suffixed[2], provider)) return { type: resolveShapeType(suffixed[2], provider), name: suffixed[1] };
+  return { type: resolveShapeType(label, provider), name: label };
+}
+
+module.exports = { detectProvider, resolveShapeType, splitTypedLabel, normalizeText };
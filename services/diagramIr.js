@@ -0,0 +1,295 @@
+// services/diagramIr.js
+// Intermediate representation (IR) between diagram parsing and code generation.
+//
+// Raw parser output:  { cloudProvider?, components: [{ type, name, provider?, properties? }], connections?: [{ from, to, label? }] }
+// Canonical IR:       { version, cloudProvider, providers, components: [{ id, name, type, provider, sourceType, resourceType, properties }],
+//                       connections: [{ from, to, label? }], issues: [{ severity, path, message }] }
+//
+// In the IR, component `type` is a key of the component's provider catalog (or 'unknown'),
+// and connections reference component ids that are guaranteed to exist. `cloudProvider` is the
+// primary provider of the diagram, `providers` every provider with components, primary first.
+// External actors belong to no provider.
+//
+// The IR itself is valid parser output: a reviewed and edited IR normalizes to itself, with
+// connections following components by their old `id` when they are renamed, and `sourceType`,
+// the type as the diagram showed it, used again when a component's `type` does not resolve.
+const { getSupportedProviders, resolveProviderName, resolveTypeProvider, resolveComponentType, getCatalogEntry } = require('./componentCatalog');
+
+const IR_VERSION = 2;
+
+class DiagramValidationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'DiagramValidationError';
+    this.issues = issues;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Strip markdown fences from the model response and parse it as JSON
+function parseDiagramResponse(rawText) {
+  const cleaned = String(rawText).replace(/```json/g, '').replace(/```/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    throw new DiagramValidationError('Diagram parser did not return valid JSON.', [
+      { severity: 'error', path: '', message: err.message },
+    ]);
+  }
+}
+
+// Strict structural checks on the raw parser output. Returns a list of issues, empty when valid.
+function validateDiagram(diagram) {
+  const issues = [];
+  const error = (path, message) => issues.push({ severity: 'error', path, message });
+
+  if (!isPlainObject(diagram)) {
+    error('', 'Diagram must be a JSON object.');
+    return issues;
+  }
+
+  if (diagram.cloudProvider !== undefined && typeof diagram.cloudProvider !== 'string') {
+    error('cloudProvider', 'Must be a string.');
+  }
+
+  if (!Array.isArray(diagram.components)) {
+    error('components', 'Must be an array of components.');
+  } else if (diagram.components.length === 0) {
+    error('components', 'Diagram contains no components.');
+  } else {
+    const seenNames = new Map();
+    diagram.components.forEach((component, i) => {
+      const path = `components[${i}]`;
+      if (!isPlainObject(component)) {
+        error(path, 'Component must be an object.');
+        return;
+      }
+      if (!isNonEmptyString(component.type)) error(`${path}.type`, 'Must be a non-empty string.');
+      if (component.provider !== undefined && component.provider !== null && typeof component.provider !== 'string') {
+        error(`${path}.provider`, 'Must be a string.');
+      }
+      if (!isNonEmptyString(component.name)) {
+        error(`${path}.name`, 'Must be a non-empty string.');
+      } else {
+        const key = component.name.trim().toLowerCase();
+        if (seenNames.has(key)) {
+          error(`${path}.name`, `Duplicate component name '${component.name}' (also used by components[${seenNames.get(key)}]).`);
+        } else {
+          seenNames.set(key, i);
+        }
+      }
+      if (component.properties !== undefined && !isPlainObject(component.properties)) {
+        error(`${path}.properties`, 'Must be an object.');
+      }
+    });
+  }
+
+  if (diagram.connections !== undefined) {
+    if (!Array.isArray(diagram.connections)) {
+      error('connections', 'Must be an array of connections.');
+    } else {
+      diagram.connections.forEach((connection, i) => {
+        const path = `connections[${i}]`;
+        if (!isPlainObject(connection)) {
+          error(path, 'Connection must be an object.');
+          return;
+        }
+        if (!isNonEmptyString(connection.from)) error(`${path}.from`, 'Must be a non-empty string.');
+        if (!isNonEmptyString(connection.to)) error(`${path}.to`, 'Must be a non-empty string.');
+        if (connection.label !== undefined && typeof connection.label !== 'string') {
+          error(`${path}.label`, 'Must be a string.');
+        }
+      });
+    }
+  }
+
+  return issues;
+}
+
+// Terraform-friendly identifier derived from the component name
+function toIdentifier(name) {
+  const id = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!id) return 'component';
+  return /^[0-9]/.test(id) ? `c_${id}` : id;
+}
+
+// Provider and catalog type of one component: the provider it names explicitly, else the one
+// its type text starts with ("Oracle Autonomous Database"), else the diagram's primary provider,
+// else the first other catalog that knows the type. -> { provider, type }, type null when unknown
+function resolveComponent(component, cloudProvider) {
+  const explicit = resolveProviderName(component.provider);
+  const candidates = explicit
+    ? [explicit]
+    : [...new Set([resolveTypeProvider(component.type), cloudProvider, ...getSupportedProviders()].filter(Boolean))];
+
+  for (const provider of candidates) {
+    const type = resolveComponentType(provider, component.type);
+    if (type === 'external') return { provider: null, type };
+    if (type) return { provider, type };
+  }
+  return { provider: explicit || cloudProvider, type: null };
+}
+
+// Primary provider by majority of the components, for diagrams that do not name one. Null when
+// no component can be attributed.
+function detectPrimaryProvider(diagram) {
+  const votes = {};
+  for (const component of Array.isArray(diagram && diagram.components) ? diagram.components : []) {
+    if (!isPlainObject(component) || !isNonEmptyString(component.type)) continue;
+    const { provider, type } = resolveComponent(component, null);
+    if (provider && type) votes[provider] = (votes[provider] || 0) + 1;
+  }
+  const [primary] = Object.entries(votes).sort((a, b) => b[1] - a[1]).map(([provider]) => provider);
+  return primary || null;
+}
+
+// Merge the raw parses of several views of one architecture: an overview plus detail views, or
+// the pages of a PDF or draw.io file. Components with the same name are one component, the first
+// view naming its type and provider wins and later views add properties. The diagram's provider
+// is the one most views name. Entries that are not components or connections are kept as they
+// are for validateDiagram to report.
+function mergeDiagrams(diagrams) {
+  if (diagrams.length === 1) return diagrams[0];
+
+  const votes = {};
+  const components = [];
+  const byName = new Map();
+  const connections = [];
+  const seenConnections = new Set();
+  for (const diagram of diagrams.filter(isPlainObject)) {
+    const provider = resolveProviderName(diagram.cloudProvider);
+    if (provider) votes[provider] = (votes[provider] || 0) + 1;
+
+    for (const component of Array.isArray(diagram.components) ? diagram.components : []) {
+      if (!isPlainObject(component) || !isNonEmptyString(component.name)) {
+        components.push(component);
+        continue;
+      }
+      const key = component.name.trim().toLowerCase();
+      const existing = byName.get(key);
+      if (!existing) {
+        const copy = { ...component };
+        if (isPlainObject(component.properties)) copy.properties = { ...component.properties };
+        byName.set(key, copy);
+        components.push(copy);
+        continue;
+      }
+      if (!isNonEmptyString(existing.type) && isNonEmptyString(component.type)) existing.type = component.type;
+      if (!isNonEmptyString(existing.provider) && isNonEmptyString(component.provider)) existing.provider = component.provider;
+      if (isPlainObject(component.properties)) {
+        existing.properties = { ...component.properties, ...(isPlainObject(existing.properties) ? existing.properties : {}) };
+      }
+    }
+
+    for (const connection of Array.isArray(diagram.connections) ? diagram.connections : []) {
+      if (isPlainObject(connection) && isNonEmptyString(connection.from) && isNonEmptyString(connection.to)) {
+        const key = `${connection.from.trim().toLowerCase()}->${connection.to.trim().toLowerCase()}`;
+        if (seenConnections.has(key)) continue;
+        seenConnections.add(key);
+      }
+      connections.push(connection);
+    }
+  }
+
+  const [cloudProvider] = Object.entries(votes).sort((a, b) => b[1] - a[1]).map(([provider]) => provider);
+  return { cloudProvider: cloudProvider || 'Unknown', components, connections };
+}
+
+// Map a validated diagram onto the canonical IR, with `cloudProvider` as the primary provider
+function normalizeDiagram(diagram, cloudProvider) {
+  const issues = [];
+  const warn = (path, message) => issues.push({ severity: 'warning', path, message });
+
+  const usedIds = new Set();
+  const idByReference = new Map();
+
+  const components = diagram.components.map((component, i) => {
+    let id = toIdentifier(component.name);
+    for (let n = 2; usedIds.has(id); n++) id = `${toIdentifier(component.name)}_${n}`;
+    usedIds.add(id);
+
+    idByReference.set(component.name.trim().toLowerCase(), id);
+    idByReference.set(id, id);
+    if (isNonEmptyString(component.id) && !idByReference.has(component.id.trim().toLowerCase())) {
+      idByReference.set(component.id.trim().toLowerCase(), id);
+    }
+
+    if (isNonEmptyString(component.provider) && !resolveProviderName(component.provider)) {
+      warn(`components[${i}].provider`, `Unknown provider '${component.provider}', attributing the component by its type.`);
+    }
+    const sourceType = isNonEmptyString(component.sourceType) ? component.sourceType : component.type;
+    let resolved = resolveComponent(component, cloudProvider);
+    if (!resolved.type && sourceType !== component.type) resolved = resolveComponent({ ...component, type: sourceType }, cloudProvider);
+    const type = resolved.type || 'unknown';
+    if (type === 'unknown') {
+      warn(`components[${i}].type`, `Unrecognized ${resolved.provider} component type '${sourceType}'.`);
+    }
+    const entry = getCatalogEntry(resolved.provider, type);
+
+    return {
+      id,
+      name: component.name.trim(),
+      type,
+      provider: resolved.provider,
+      sourceType,
+      resourceType: entry ? entry.resourceType : null,
+      properties: component.properties || {},
+    };
+  });
+
+  const seenConnections = new Set();
+  const connections = [];
+  (diagram.connections || []).forEach((connection, i) => {
+    const path = `connections[${i}]`;
+    const from = idByReference.get(connection.from.trim().toLowerCase());
+    const to = idByReference.get(connection.to.trim().toLowerCase());
+
+    if (!from || !to) {
+      const missing = [!from && connection.from, !to && connection.to].filter(Boolean).join("', '");
+      warn(path, `Dropped connection to unknown component '${missing}'.`);
+      return;
+    }
+    if (from === to) {
+      warn(path, `Dropped self-connection on '${connection.from}'.`);
+      return;
+    }
+    const key = `${from}->${to}`;
+    if (seenConnections.has(key)) {
+      warn(path, `Dropped duplicate connection '${connection.from}' -> '${connection.to}'.`);
+      return;
+    }
+    seenConnections.add(key);
+    connections.push(connection.label ? { from, to, label: connection.label } : { from, to });
+  });
+
+  const providers = [...new Set([cloudProvider, ...components.map((c) => c.provider).filter(Boolean)])];
+  return { version: IR_VERSION, cloudProvider, providers, components, connections, issues };
+}
+
+// Validate raw parser output and normalize it, throwing DiagramValidationError on structural errors
+function buildDiagramIr(diagram, cloudProvider) {
+  const issues = validateDiagram(diagram);
+  if (issues.length) {
+    throw new DiagramValidationError(`Diagram failed validation with ${issues.length} error(s).`, issues);
+  }
+  return normalizeDiagram(diagram, cloudProvider);
+}
+
+module.exports = {
+  IR_VERSION,
+  DiagramValidationError,
+  parseDiagramResponse,
+  validateDiagram,
+  detectPrimaryProvider,
+  mergeDiagrams,
+  normalizeDiagram,
+  buildDiagramIr,
+  toIdentifier,
+};
@@ -0,0 +1,333 @@
+// services/evaluation/index.js
+// Evaluation suite: runs the diagram to Terraform pipeline over a golden corpus and scores the
+// result, so a prompt change or another model can be compared with a stored baseline.
+//
+// Corpus layout (fixtures/eval by default):
+//   <provider>/<case>/case.json    { description, diagrams: ["diagram.svg"], cloudProvider (optional, like --provider),
+//                                    expected: { cloudProvider, components: [{ name, type, provider }], connections: [{ from, to }] } }
+//                                  types are catalog keys (componentCatalog.js), provider defaults to expected.cloudProvider
+//   <provider>/<case>/<diagrams>   the diagram files
+//   <provider>/<case>/responses/   recorded model responses, in the fixture layout of the mock
+//                                  provider: <task>/default.txt
+//   baseline.json                  the scores to compare with (baselineFrom)
+//
+// Offline the model is replaced by the recorded responses of each case, which makes runs
+// repeatable and measures the parsing, normalization, templates and cleanup passes. With `live`
+// the configured model is asked instead; `record` saves its answers as the case's responses.
+// Per case: component and connection scores (metrics.js), provider detection, whether the code
+// parses as HCL and whether it passes `terraform validate`.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipeline = require('../pipeline');
+const uploadIntake = require('../uploadIntake');
+const hcl = require('../hcl');
+const { createModelProvider, getModelProvider, setModelProvider } = require('../llm');
+const { createCacheSession, PROMPT_VERSIONS } = require('../llm/responseCache');
+const { getTarget } = require('../iacTargets');
+const { getSupportedProviders } = require('../componentCatalog');
+const { formatDiagnostic } = require('../terraformValidator');
+const { JobCancelledError } = require('../jobQueue');
+const { METRICS, scoreCase, scoreFailedCase, summarize } = require('./metrics');
+
+const DEFAULT_CORPUS_DIR = path.join(__dirname, '..', '..', 'fixtures', 'eval');
+const CASE_FILE = 'case.json';
+const RESPONSES_DIR = 'responses';
+const BASELINE_FILE = 'baseline.json';
+const DEFAULT_TOLERANCE = 0.01;
+const MAX_DIAGNOSTICS = 10;
+// The model tasks of a Terraform conversion, their prompt versions are kept with the results
+const EVALUATED_TASKS = ['parse-diagram', 'generate-terraform'];
+
+class EvaluationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EvaluationError';
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new EvaluationError(`${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+function validateCase(id, testCase) {
+  const { expected } = testCase;
+  const problem = (message) => new EvaluationError(`${id}/${CASE_FILE}: ${message}`);
+  if (!Array.isArray(testCase.diagrams) || !testCase.diagrams.length) throw problem('diagrams must list the diagram files.');
+  if (!expected || !getSupportedProviders().includes(expected.cloudProvider)) {
+    throw problem(`expected.cloudProvider must be one of ${getSupportedProviders().join(', ')}.`);
+  }
+  if (!Array.isArray(expected.components) || expected.components.some((c) => !c || !c.name || !c.type)) {
+    throw problem('expected.components must be a list of { name, type }.');
+  }
+  if (!Array.isArray(expected.connections) || expected.connections.some((c) => !c || !c.from || !c.to)) {
+    throw problem('expected.connections must be a list of { from, to }.');
+  }
+}
+
+// The cases of a corpus, ordered by id ('aws/web-app'); `only` picks cases by id or provider
+function loadCorpus(corpusDir = DEFAULT_CORPUS_DIR, { only = null } = {}) {
+  if (!fs.existsSync(corpusDir)) throw new EvaluationError(`No evaluation corpus at ${corpusDir}`);
+  const cases = [];
+  for (const provider of fs.readdirSync(corpusDir).sort()) {
+    const providerDir = path.join(corpusDir, provider);
+    if (!fs.statSync(providerDir).isDirectory()) continue;
+    for (const name of fs.readdirSync(providerDir).sort()) {
+      const dir = path.join(providerDir, name);
+      if (!fs.existsSync(path.join(dir, CASE_FILE))) continue;
+      const id = `${provider}/${name}`;
+      if (only && !only.includes(id) && !only.includes(provider)) continue;
+      const testCase = readJson(path.join(dir, CASE_FILE));
+      validateCase(id, testCase);
+      const diagrams = testCase.diagrams.map((file) => path.join(dir, file));
+      const missing = diagrams.find((file) => !fs.existsSync(file));
+      if (missing) throw new EvaluationError(`${id}: no such diagram ${path.relative(dir, missing)}`);
+      cases.push({ ...testCase, id, provider, dir, diagrams, cloudProvider: testCase.cloudProvider || null });
+    }
+  }
+  if (only) {
+    const unknown = only.filter((entry) => !cases.some((c) => c.id === entry || c.provider === entry));
+    if (unknown.length) throw new EvaluationError(`No such evaluation case: ${unknown.join(', ')}`);
+  }
+  if (!cases.length) throw new EvaluationError(`The corpus at ${corpusDir} has no cases (<provider>/<case>/${CASE_FILE}).`);
+  return cases;
+}
+
+// The responses recorded for a case, replayed whatever the prompt
+function replayProvider(testCase) {
+  return createModelProvider({ provider: 'mock', model: 'recorded', fixturesDir: path.join(testCase.dir, RESPONSES_DIR), cache: 'off' });
+}
+
+// Save what `provider` answers as the recorded responses of a case, one per task
+function recordingProvider(provider, testCase) {
+  return {
+    ...provider,
+    async generate(request) {
+      const text = await provider.generate(request);
+      const file = path.join(testCase.dir, RESPONSES_DIR, request.task, 'default.txt');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, text);
+      console.log(`[DEBUG] Recorded the ${request.task} response of ${testCase.id}`);
+      return text;
+    },
+  };
+}
+
+function diagramUploads(testCase) {
+  return testCase.diagrams.map((file) => {
+    const upload = { path: file, originalname: path.basename(file) };
+    return Object.assign(upload, uploadIntake.detectUpload(uploadIntake.readHead(file), upload.originalname));
+  });
+}
+
+// Whether every .tf file parses -> { valid, error }
+function checkHcl(files) {
+  for (const [name, content] of Object.entries(files)) {
+    if (!name.endsWith('.tf')) continue;
+    try {
+      hcl.parse(content);
+    } catch (err) {
+      if (!(err instanceof hcl.HclSyntaxError)) throw err;
+      return { valid: false, error: `${name}: ${err.message}` };
+    }
+  }
+  return { valid: true, error: null };
+}
+
+// terraform validate in a scratch directory -> { status: 'passed' | 'failed' | 'unavailable', errors, diagnostics }
+async function validateFiles(job, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+  try {
+    for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+    const { available, diagnostics } = await getTarget('terraform').validate(dir, { signal: job.signal, onOutput: job.log });
+    job.throwIfCancelled();
+    if (!available) return { status: 'unavailable', errors: 0, diagnostics: [] };
+    // tflint findings are style, only terraform's own errors fail validation
+    const errors = diagnostics.filter((d) => d.severity === 'error' && d.tool === 'terraform');
+    return { status: errors.length ? 'failed' : 'passed', errors: errors.length, diagnostics: errors.slice(0, MAX_DIAGNOSTICS).map(formatDiagnostic) };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Convert and score one case. `options`: live, record, validate, noCache
+async function evaluateCase(job, testCase, { live = false, record = false, validate = true, noCache = false } = {}) {
+  const started = Date.now();
+  const base = { id: testCase.id, provider: testCase.provider, description: testCase.description || null };
+  let previous = null;
+  if (!live) previous = setModelProvider(replayProvider(testCase));
+  else if (record) previous = setModelProvider(recordingProvider(getModelProvider(), testCase));
+  const restore = !live || record;
+
+  let result;
+  try {
+    result = await pipeline.convertDiagram(job, diagramUploads(testCase), {
+      cloudProvider: testCase.cloudProvider,
+      cache: createCacheSession({ bypass: live && (record || noCache) }),
+    });
+  } catch (err) {
+    if (err instanceof JobCancelledError || job.signal.aborted) throw err;
+    console.warn(`[WARN] Evaluation case ${testCase.id} failed:`, err.message);
+    return {
+      ...base,
+      status: 'failed',
+      error: err.message,
+      durationMs: Date.now() - started,
+      ...scoreFailedCase(testCase.expected),
+      hcl: { valid: false, error: 'No code was generated' },
+      validate: { status: validate ? 'failed' : 'skipped', errors: 0, diagnostics: [] },
+    };
+  } finally {
+    if (restore) setModelProvider(previous);
+  }
+
+  const scores = scoreCase(testCase.expected, result.ir);
+  let validation = { status: 'skipped', errors: 0, diagnostics: [] };
+  if (validate) {
+    job.stage('validate');
+    validation = await validateFiles(job, result.files);
+  }
+  return {
+    ...base,
+    status: 'scored',
+    durationMs: Date.now() - started,
+    ...scores,
+    providers: result.providers,
+    issues: result.ir.issues,
+    sources: { templates: result.sources.templates.length, model: result.sources.model.length },
+    cleanup: result.cleanup,
+    hcl: checkHcl(result.files),
+    validate: validation,
+    generatedBy: result.generatedBy,
+  };
+}
+
+// Run the corpus at `corpusDir`. `options`: only (case ids or providers), live, record,
+// validate, noCache. -> { corpus, mode, model, promptVersions, startedAt, durationMs, summary, providers, cases }
+async function runEvaluation(job, corpusDir = DEFAULT_CORPUS_DIR, options = {}) {
+  const testCases = loadCorpus(corpusDir, { only: options.only || null });
+  const startedAt = new Date();
+  const cases = [];
+  for (const testCase of testCases) {
+    job.stage(testCase.id);
+    cases.push(await evaluateCase(job, testCase, options));
+  }
+  // Without terraform on this machine no case was validated, failed conversions included
+  if (!cases.some((c) => c.validate.status === 'passed') && cases.some((c) => c.validate.status === 'unavailable')) {
+    cases.forEach((c) => { c.validate.status = 'unavailable'; });
+  }
+
+  const byProvider = {};
+  for (const c of cases) (byProvider[c.provider] = byProvider[c.provider] || []).push(c);
+  const model = options.live ? getModelProvider() : { name: 'recorded', model: null };
+  return {
+    corpus: path.resolve(corpusDir),
+    mode: options.live ? (options.record ? 'record' : 'live') : 'offline',
+    model: { provider: model.name, model: model.model },
+    promptVersions: Object.fromEntries(EVALUATED_TASKS.map((task) => [task, PROMPT_VERSIONS[task]])),
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    summary: summarize(cases),
+    providers: Object.fromEntries(Object.entries(byProvider).map(([provider, providerCases]) => [provider, summarize(providerCases)])),
+    cases,
+  };
+}
+
+// --- Baseline ---
+
+// What a later run is compared with: the totals and the scores of every case
+function baselineFrom(results) {
+  return {
+    createdAt: new Date().toISOString(),
+    mode: results.mode,
+    model: results.model,
+    promptVersions: results.promptVersions,
+    summary: results.summary,
+    cases: Object.fromEntries(results.cases.map((c) => [c.id, {
+      componentF1: c.components.f1,
+      connectionAccuracy: c.connections.f1,
+      providerCorrect: c.provider.correct,
+      hclValid: c.hcl.valid,
+      validate: c.validate.status,
+    }])),
+  };
+}
+
+function readBaseline(file) {
+  return fs.existsSync(file) ? readJson(file) : null;
+}
+
+function writeBaseline(file, results) {
+  const baseline = baselineFrom(results);
+  fs.writeFileSync(file, `${JSON.stringify(baseline, null, 2)}\n`);
+  return baseline;
+}
+
+// Compare results with a baseline. A score more than `tolerance` below the baseline is a
+// regression, for the totals and for every case both runs scored; scores one of the runs could
+// not compute (e.g. validation without terraform) are not compared.
+// -> { baselineCreatedAt, metrics: [{ metric, baseline, current, delta, status }], cases: [...], regressions, promptChanges }
+function compareWithBaseline(results, baseline, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const status = (before, after) => {
+    if (before === null || before === undefined || after === null || after === undefined) return 'not compared';
+    if (after < before - tolerance) return 'regressed';
+    if (after > before + tolerance) return 'improved';
+    return 'unchanged';
+  };
+  const compare = (metric, before, after) => ({
+    metric,
+    baseline: before ?? null,
+    current: after ?? null,
+    delta: typeof before === 'number' && typeof after === 'number' ? after - before : null,
+    status: status(before, after),
+  });
+
+  const metrics = METRICS.map((metric) => compare(metric, baseline.summary[metric], results.summary[metric]));
+  const cases = [];
+  for (const c of results.cases) {
+    const before = baseline.cases[c.id];
+    if (!before) {
+      cases.push({ id: c.id, metric: 'case', baseline: null, current: null, delta: null, status: 'new' });
+      continue;
+    }
+    const validated = (value) => (value === 'passed' || value === 'failed' ? Number(value === 'passed') : null);
+    const checks = [
+      compare('componentF1', before.componentF1, c.components.f1),
+      compare('connectionAccuracy', before.connectionAccuracy, c.connections.f1),
+      compare('providerCorrect', Number(before.providerCorrect), Number(c.provider.correct)),
+      compare('hclValid', Number(before.hclValid), Number(c.hcl.valid)),
+      compare('validate', validated(before.validate), validated(c.validate.status)),
+    ];
+    cases.push(...checks.filter((check) => check.status === 'regressed' || check.status === 'improved').map((check) => ({ id: c.id, ...check })));
+  }
+  const promptChanges = Object.entries(results.promptVersions)
+    .filter(([task, version]) => baseline.promptVersions && baseline.promptVersions[task] !== undefined && baseline.promptVersions[task] !== version)
+    .map(([task, version]) => ({ task, baseline: baseline.promptVersions[task], current: version }));
+
+  return {
+    baselineCreatedAt: baseline.createdAt || null,
+    tolerance,
+    metrics,
+    cases,
+    regressions: [...metrics, ...cases].filter((entry) => entry.status === 'regressed').map((entry) => (entry.id ? `${entry.id}: ${entry.metric}` : entry.metric)),
+    promptChanges,
+  };
+}
+
+module.exports = {
+  DEFAULT_CORPUS_DIR,
+  BASELINE_FILE,
+  DEFAULT_TOLERANCE,
+  METRICS,
+  EvaluationError,
+  loadCorpus,
+  runEvaluation,
+  baselineFrom,
+  readBaseline,
+  writeBaseline,
+  compareWithBaseline,
+};
@@ -0,0 +1,146 @@
+// services/evaluation/metrics.js
+// Scores of one evaluation case, the architecture the pipeline extracted (the IR) against the
+// expected one of the corpus, and totals over several cases.
+//
+// Components match by name, compared as the identifiers the IR derives from names, by provider
+// and by catalog type. A component found under its name with another provider or type is a miss,
+// listed as `mistyped`. Connections are directed and match by their two components; one drawn the
+// other way round is a miss, listed as `reversed`. Totals add up the counts of all cases before
+// dividing (micro average), so large diagrams weigh more than small ones.
+const { toIdentifier } = require('../diagramIr');
+
+// n / d, null when there is nothing to divide
+function ratio(n, d) {
+  return d ? n / d : null;
+}
+
+function harmonicMean(precision, recall) {
+  if (precision === null || recall === null) return null;
+  return precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+}
+
+// -> { expected, predicted, matched, precision, recall, f1 }. Nothing expected and nothing
+// predicted is a perfect score.
+function rates(expected, predicted, matched) {
+  const precision = predicted ? matched / predicted : (expected ? 0 : 1);
+  const recall = expected ? matched / expected : 1;
+  return { expected, predicted, matched, precision, recall, f1: harmonicMean(precision, recall) };
+}
+
+// 'aws/instance', 'external' for actors outside the cloud
+function typeKey(provider, type) {
+  return type === 'external' ? 'external' : `${provider}/${type}`;
+}
+
+// `expected`: [{ name, type, provider }], provider defaulting to `cloudProvider`;
+// `predicted`: IR components
+function scoreComponents(expected, predicted, cloudProvider) {
+  const unmatched = predicted.map((component) => ({ key: toIdentifier(component.name), component }));
+  const missing = [];
+  const mistyped = [];
+  let matched = 0;
+  for (const component of expected) {
+    const key = toIdentifier(component.name);
+    const wanted = typeKey(component.provider || cloudProvider, component.type);
+    const candidates = unmatched.filter((entry) => entry.key === key);
+    const hit = candidates.find((entry) => typeKey(entry.component.provider, entry.component.type) === wanted);
+    if (hit) {
+      matched++;
+      unmatched.splice(unmatched.indexOf(hit), 1);
+    } else if (candidates.length) {
+      const found = candidates[0];
+      mistyped.push({ name: component.name, expected: wanted, predicted: typeKey(found.component.provider, found.component.type) });
+      unmatched.splice(unmatched.indexOf(found), 1);
+    } else {
+      missing.push(component.name);
+    }
+  }
+  const extra = unmatched.map((entry) => entry.component.name);
+  return { ...rates(expected.length, predicted.length, matched), missing, extra, mistyped };
+}
+
+// `expected`: [{ from, to }] by component names; `predicted`: IR connections by component id
+function scoreConnections(expected, predicted, components) {
+  const nameKey = new Map(components.map((component) => [component.id, toIdentifier(component.name)]));
+  const label = (connection) => `${connection.from} -> ${connection.to}`;
+  const unmatched = predicted.map((connection) => ({
+    from: nameKey.get(connection.from) || connection.from,
+    to: nameKey.get(connection.to) || connection.to,
+    connection,
+  }));
+  const missing = [];
+  const reversed = [];
+  let matched = 0;
+  for (const connection of expected) {
+    const from = toIdentifier(connection.from);
+    const to = toIdentifier(connection.to);
+    const hit = unmatched.find((entry) => entry.from === from && entry.to === to);
+    if (hit) {
+      matched++;
+      unmatched.splice(unmatched.indexOf(hit), 1);
+      continue;
+    }
+    missing.push(label(connection));
+    if (unmatched.some((entry) => entry.from === to && entry.to === from)) reversed.push(label(connection));
+  }
+  const names = new Map(components.map((component) => [component.id, component.name]));
+  const extra = unmatched.map(({ connection }) => label({ from: names.get(connection.from) || connection.from, to: names.get(connection.to) || connection.to }));
+  return { ...rates(expected.length, predicted.length, matched), missing, extra, reversed };
+}
+
+// Scores of the IR a case produced against its `expected` architecture
+// ({ cloudProvider, components, connections }) -> { components, connections, provider }
+function scoreCase(expected, ir) {
+  return {
+    components: scoreComponents(expected.components, ir.components, expected.cloudProvider),
+    connections: scoreConnections(expected.connections, ir.connections, ir.components),
+    provider: { expected: expected.cloudProvider, detected: ir.cloudProvider, correct: ir.cloudProvider === expected.cloudProvider },
+  };
+}
+
+// Scores of a case the pipeline failed on: everything expected is missing
+function scoreFailedCase(expected) {
+  return {
+    components: { ...rates(expected.components.length, 0, 0), missing: expected.components.map((c) => c.name), extra: [], mistyped: [] },
+    connections: { ...rates(expected.connections.length, 0, 0), missing: expected.connections.map((c) => `${c.from} -> ${c.to}`), extra: [], reversed: [] },
+    provider: { expected: expected.cloudProvider, detected: null, correct: false },
+  };
+}
+
+// Totals over scored cases ({ components, connections, provider, hcl, validate }).
+// validatePassRate only counts the cases terraform validate ran for, null when it ran for none.
+function summarize(cases) {
+  const sum = (part, field) => cases.reduce((total, c) => total + c[part][field], 0);
+  const components = rates(sum('components', 'expected'), sum('components', 'predicted'), sum('components', 'matched'));
+  const connections = rates(sum('connections', 'expected'), sum('connections', 'predicted'), sum('connections', 'matched'));
+  const validated = cases.filter((c) => c.validate.status === 'passed' || c.validate.status === 'failed');
+  return {
+    cases: cases.length,
+    failed: cases.filter((c) => c.status === 'failed').length,
+    componentPrecision: components.precision,
+    componentRecall: components.recall,
+    componentF1: components.f1,
+    connectionPrecision: connections.precision,
+    connectionRecall: connections.recall,
+    connectionAccuracy: connections.f1,
+    providerAccuracy: ratio(cases.filter((c) => c.provider.correct).length, cases.length),
+    hclValidRate: ratio(cases.filter((c) => c.hcl.valid).length, cases.length),
+    validatePassRate: ratio(validated.filter((c) => c.validate.status === 'passed').length, validated.length),
+    validated: validated.length,
+  };
+}
+
+// The scores compared with the baseline, all of them higher is better
+const METRICS = [
+  'componentPrecision',
+  'componentRecall',
+  'componentF1',
+  'connectionPrecision',
+  'connectionRecall',
+  'connectionAccuracy',
+  'providerAccuracy',
+  'hclValidRate',
+  'validatePassRate',
+];
+
+module.exports = { METRICS, scoreCase, scoreFailedCase, summarize };
@@ -0,0 +1,148 @@
+// services/evaluation/report.js
+// The results of an evaluation run as one self-contained HTML page: totals compared with the
+// baseline, totals per provider, and what every case missed or got wrong.
+const { METRICS } = require('./metrics');
+
+const LABELS = {
+  componentPrecision: 'Component precision',
+  componentRecall: 'Component recall',
+  componentF1: 'Component F1',
+  connectionPrecision: 'Connection precision',
+  connectionRecall: 'Connection recall',
+  connectionAccuracy: 'Connection accuracy (F1)',
+  providerAccuracy: 'Provider detection',
+  hclValidRate: 'Valid HCL',
+  validatePassRate: 'terraform validate',
+};
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  h1 { margin-bottom: 0.25rem; }
+  table { border-collapse: collapse; margin: 1rem 0 2rem; }
+  th, td { border: 1px solid #ddd; padding: 0.35rem 0.75rem; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .meta { color: #666; }
+  .improved { color: #1a7f37; }
+  .regressed { color: #cf222e; font-weight: bold; }
+  .failed { background: #fff0f0; }
+  details { margin: 0.5rem 0; }
+  summary { cursor: pointer; }
+  ul { margin: 0.25rem 0 0.75rem; }
+`;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function percent(value) {
+  return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function signedPercent(value) {
+  if (value === null || value === undefined) return '';
+  return `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+}
+
+function cell(value, className = 'num') {
+  return `<td class="${className}">${escapeHtml(value)}</td>`;
+}
+
+function renderSummary(results, comparison) {
+  const compared = new Map(comparison ? comparison.metrics.map((entry) => [entry.metric, entry]) : []);
+  const head = comparison ? '<th>Metric</th><th>Current</th><th>Baseline</th><th>Delta</th>' : '<th>Metric</th><th>Current</th>';
+  const rows = METRICS.map((metric) => {
+    const entry = compared.get(metric);
+    const columns = [`<td>${escapeHtml(LABELS[metric])}</td>`, cell(percent(results.summary[metric]))];
+    if (comparison) {
+      columns.push(cell(percent(entry.baseline)), cell(signedPercent(entry.delta), `num ${entry.status.replace(' ', '-')}`));
+    }
+    return `<tr>${columns.join('')}</tr>`;
+  });
+  return `<table><tr>${head}</tr>${rows.join('')}</table>`;
+}
+
+function renderProviders(results) {
+  const metrics = ['componentF1', 'connectionAccuracy', 'providerAccuracy', 'hclValidRate', 'validatePassRate'];
+  const head = ['Provider', 'Cases', ...metrics.map((metric) => LABELS[metric])].map((label) => `<th>${escapeHtml(label)}</th>`).join('');
+  const rows = Object.entries(results.providers).map(([provider, summary]) => (
+    `<tr><td>${escapeHtml(provider)}</td>${cell(summary.cases)}${metrics.map((metric) => cell(percent(summary[metric]))).join('')}</tr>`
+  ));
+  return `<table><tr>${head}</tr>${rows.join('')}</table>`;
+}
+
+function renderCases(results) {
+  const head = ['Case', 'Components (F1)', 'Connections (F1)', 'Provider', 'HCL', 'validate'].map((label) => `<th>${label}</th>`).join('');
+  const rows = results.cases.map((c) => {
+    const provider = c.provider.correct ? c.provider.detected : `${c.provider.detected || 'none'} (expected ${c.provider.expected})`;
+    return `<tr${c.status === 'failed' ? ' class="failed"' : ''}><td><a href="#${escapeHtml(c.id)}">${escapeHtml(c.id)}</a></td>`
+      + `${cell(`${c.components.matched}/${c.components.expected} (${percent(c.components.f1)})`)}`
+      + `${cell(`${c.connections.matched}/${c.connections.expected} (${percent(c.connections.f1)})`)}`
+      + `${cell(provider, c.provider.correct ? '' : 'regressed')}`
+      + `${cell(c.hcl.valid ? 'valid' : 'invalid', c.hcl.valid ? '' : 'regressed')}`
+      + `${cell(c.validate.status, c.validate.status === 'failed' ? 'regressed' : '')}</tr>`;
+  });
+  return `<table><tr>${head}</tr>${rows.join('')}</table>`;
+}
+
+function list(title, items) {
+  if (!items.length) return '';
+  return `<div>${escapeHtml(title)}<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul></div>`;
+}
+
+function renderDetails(c) {
+  const parts = [
+    c.description ? `<p class="meta">${escapeHtml(c.description)}</p>` : '',
+    c.error ? `<p class="regressed">${escapeHtml(c.error)}</p>` : '',
+    list('Missing components', c.components.missing),
+    list('Extra components', c.components.extra),
+    list('Wrong type or provider', c.components.mistyped.map((m) => `${m.name}: ${m.predicted}, expected ${m.expected}`)),
+    list('Missing connections', c.connections.missing),
+    list('Extra connections', c.connections.extra),
+    list('Reversed connections', c.connections.reversed),
+    list('HCL', c.hcl.error ? [c.hcl.error] : []),
+    list('terraform validate', c.validate.diagnostics),
+  ].filter(Boolean);
+  const body = parts.length > (c.description ? 1 : 0) ? parts.join('') : `${parts.join('')}<p>Everything matched.</p>`;
+  return `<details id="${escapeHtml(c.id)}"${c.status === 'failed' ? ' open' : ''}><summary>${escapeHtml(c.id)}</summary>${body}</details>`;
+}
+
+function renderComparisonNotes(comparison) {
+  if (!comparison) return '<p class="meta">No baseline to compare with.</p>';
+  const notes = [`<p class="meta">Baseline of ${escapeHtml(comparison.baselineCreatedAt || 'unknown date')}, tolerance ${percent(comparison.tolerance)}.</p>`];
+  notes.push(comparison.regressions.length
+    ? `<div class="regressed">Regressions<ul>${comparison.regressions.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul></div>`
+    : '<p class="improved">No regressions.</p>');
+  notes.push(list('Prompt versions changed since the baseline', comparison.promptChanges.map((p) => `${p.task}: ${p.baseline} -> ${p.current}`)));
+  return notes.join('');
+}
+
+// -> the HTML page for `results` of runEvaluation, compared with the baseline when `comparison`
+// (compareWithBaseline) is given
+function renderReport(results, comparison = null) {
+  const model = [results.model.provider, results.model.model].filter(Boolean).join(' ');
+  const prompts = Object.entries(results.promptVersions).map(([task, version]) => `${task} ${version}`).join(', ');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Evaluation ${escapeHtml(results.startedAt)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Diagram to Terraform evaluation</h1>
+<p class="meta">${escapeHtml(results.startedAt)} &middot; ${escapeHtml(results.mode)} &middot; ${escapeHtml(model)} &middot; prompts: ${escapeHtml(prompts)} &middot; ${results.summary.cases} cases, ${results.summary.failed} failed</p>
+${renderComparisonNotes(comparison)}
+<h2>Summary</h2>
+${renderSummary(results, comparison)}
+<h2>By provider</h2>
+${renderProviders(results)}
+<h2>Cases</h2>
+${renderCases(results)}
+${results.cases.map(renderDetails).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReport };
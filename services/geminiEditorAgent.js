@@ -1,16 +1,24 @@
 // services/geminiEditorAgent.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const dotenv = require('dotenv');
-dotenv.config();
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-async function editTerraformCode(originalCode, userInstruction) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-
+const { getModelProvider } = require('./llm');
+
+// How the files of a project are laid out in the code, see projectStore.projectCode
+const LAYOUT_DESCRIPTIONS = {
+  module: 'The code is a module made of providers.tf, variables.tf, main.tf and outputs.tf concatenated.',
+  imported: `The code is an existing Terraform configuration made of several files, each starting with a "# ==> <file> <==" line.
+Keep these lines and keep every block in its file. Repeat files you do not need to change exactly as they are.
+Put new blocks in the file that fits them best, or in a new file with a "# ==> <file> <==" line of its own.
+To delete a file, write only the line "# ==> <file> <== deleted" for it; files you leave out are kept.`,
+};
+
+// `cache` is the response cache session of the request (services/llm/responseCache.js),
+// `layout` the project's file layout
+async function editTerraformCode(originalCode, userInstruction, cache = null, { layout = 'module' } = {}) {
   const prompt = `
 You are a Terraform code editor. Your task is to modify the given Terraform code based on user instructions.
 
+${LAYOUT_DESCRIPTIONS[layout] || LAYOUT_DESCRIPTIONS.module}
+Values that come from variables (var.*) should stay variables: change the variable default instead of hardcoding the value.
+
 Instructions:
 ${userInstruction}
 
@@ -22,10 +30,32 @@ ${originalCode}
 Return only the updated Terraform code. Do not include explanations or markdown.
 `;
 
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  return response.text().replace(/```hcl|```/g, '').trim();
+  const text = await getModelProvider().generate({ task: 'edit-terraform', prompt, cache });
+  return text.replace(/```hcl|```/g, '').trim();
+}
+
+// Code of the other IaC targets (iacTargets/), which the editor sees as a single file
+async function editTargetCode(originalCode, userInstruction, target, cache = null, options = {}) {
+  if (target.name === 'terraform') return editTerraformCode(originalCode, userInstruction, cache, options);
+  const prompt = `
+You are a ${target.language} code editor. Your task is to modify the given ${target.language} code based on user instructions.
+
+Keep parameters and configuration values as parameters: change their defaults instead of hardcoding the value.
+
+Instructions:
+${userInstruction}
+
+${target.language} Code:
+\`\`\`
+${originalCode}
+\`\`\`
+
+Return only the updated ${target.language} code. Do not include explanations or markdown.
+`;
+
+  const text = await getModelProvider().generate({ task: `edit-${target.name}`, prompt, cache });
+  return text.replace(/```[a-z]*/gi, '').trim();
 }
 
-module.exports = { editTerraformCode };
+module.exports = { editTerraformCode, editTargetCode };
 ``
\ No newline at end of file
@@ -0,0 +1,499 @@
+// services/generationProfiles.js
+// Named generation profiles: the organisation's defaults for generated Terraform.
+//
+// A profile is profiles/<name>.json (PROFILES_DIR), e.g.
+//   {
+//     "description": "Production in Frankfurt",
+//     "environment": "prod",
+//     "regions": { "aws": "eu-central-1", "gcp": "europe-west3" },
+//     "gcpProject": "acme-prod", "azureSubscriptionId": "00000000-0000-0000-0000-000000000000",
+//     "providerVersions": { "aws": "~> 5.40" },
+//     "naming": { "pattern": "acme-{env}-{name}" },
+//     "tags": { "owner": "platform", "cost-center": "4711" },
+//     "backend": { "type": "s3", "config": { "bucket": "acme-tf-state", "key": "{name}/terraform.tfstate", "region": "eu-central-1" } }
+//   }
+//
+// Regions, project IDs, versions and the backend go into the provider blocks
+// (terraformProviders.js). Tags and names are applied to the generated resources afterwards
+// and checked again, since the model writes part of the code and edits can drop them.
+const fs = require('fs');
+const path = require('path');
+const hcl = require('./hcl');
+const { getTerraformProviderNames } = require('./terraformProviders');
+
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, '..', 'profiles');
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+const PROFILE_KEYS = ['description', 'environment', 'regions', 'gcpProject', 'azureSubscriptionId', 'providerVersions', 'naming', 'tags', 'backend'];
+const REGION_PROVIDERS = ['aws', 'azure', 'gcp', 'oci'];
+// Settings each backend cannot do without
+const BACKENDS = {
+  s3: ['bucket', 'key', 'region'],
+  azurerm: ['resource_group_name', 'storage_account_name', 'container_name', 'key'],
+  gcs: ['bucket'],
+};
+
+class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+// --- Validation and storage ---
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireStringMap(value, where, allowedKeys = null) {
+  if (!isPlainObject(value)) throw new ProfileError(`${where} must be an object`);
+  for (const [key, entry] of Object.entries(value)) {
+    if (allowedKeys && !allowedKeys.includes(key)) throw new ProfileError(`${where}: unknown key "${key}", expected one of ${allowedKeys.join(', ')}`);
+    if (typeof entry !== 'string' || !entry) throw new ProfileError(`${where}.${key} must be a non-empty string`);
+  }
+}
+
+function validateProfile(data) {
+  if (!isPlainObject(data)) throw new ProfileError('A profile must be a JSON object');
+  const unknownKey = Object.keys(data).find((key) => !PROFILE_KEYS.includes(key));
+  if (unknownKey) throw new ProfileError(`Unknown profile key "${unknownKey}", expected one of ${PROFILE_KEYS.join(', ')}`);
+
+  for (const key of ['description', 'environment', 'gcpProject', 'azureSubscriptionId']) {
+    if (data[key] !== undefined && typeof data[key] !== 'string') throw new ProfileError(`${key} must be a string`);
+  }
+  if (data.environment !== undefined && !/^[a-z0-9][a-z0-9-]*$/i.test(data.environment)) {
+    throw new ProfileError('environment may only contain letters, digits and dashes');
+  }
+  if (data.regions !== undefined) requireStringMap(data.regions, 'regions', REGION_PROVIDERS);
+  if (data.providerVersions !== undefined) requireStringMap(data.providerVersions, 'providerVersions', getTerraformProviderNames());
+  if (data.tags !== undefined) requireStringMap(data.tags, 'tags');
+
+  if (data.naming !== undefined) {
+    if (!isPlainObject(data.naming) || typeof data.naming.pattern !== 'string') throw new ProfileError('naming must be an object with a pattern');
+    const { pattern } = data.naming;
+    if (!pattern.includes('{name}')) throw new ProfileError('naming.pattern must contain {name}');
+    const placeholder = pattern.match(/\{(?!name\}|env\})[^}]*\}/);
+    if (placeholder) throw new ProfileError(`naming.pattern: unknown placeholder ${placeholder[0]}, use {name} and {env}`);
+    if (pattern.includes('{env}') && !data.environment) throw new ProfileError('naming.pattern uses {env}, the profile needs an environment');
+  }
+
+  if (data.backend !== undefined) {
+    if (!isPlainObject(data.backend) || !BACKENDS[data.backend.type]) {
+      throw new ProfileError(`backend.type must be one of ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    const config = data.backend.config || {};
+    if (!isPlainObject(config) || Object.values(config).some((value) => !['string', 'number', 'boolean'].includes(typeof value))) {
+      throw new ProfileError('backend.config must be an object of plain values');
+    }
+    const missing = BACKENDS[data.backend.type].filter((key) => config[key] === undefined || config[key] === '');
+    if (missing.length) throw new ProfileError(`backend "${data.backend.type}" needs ${missing.join(', ')}`);
+  }
+  return data;
+}
+
+function profilePath(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME.test(name)) {
+    throw new ProfileError('Profile names are 1-63 letters, digits, dashes and underscores');
+  }
+  return path.join(PROFILES_DIR, `${name}.json`);
+}
+
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+  return fs.readdirSync(PROFILES_DIR)
+    .filter((file) => file.endsWith('.json') && PROFILE_NAME.test(path.basename(file, '.json')))
+    .sort()
+    .map((file) => {
+      const name = path.basename(file, '.json');
+      try {
+        return { name, description: getProfile(name).description || null };
+      } catch (err) {
+        console.warn(`[WARN] Skipping profile ${file}:`, err.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// -> { name, ...settings }, null when there is no such profile
+function getProfile(name) {
+  const file = profilePath(name);
+  if (!fs.existsSync(file)) return null;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ProfileError(`${name}.json is not valid JSON: ${err.message}`);
+  }
+  return { name, ...validateProfile(data) };
+}
+
+function saveProfile(name, data) {
+  const file = profilePath(name);
+  // The name is the file name, not a setting
+  const settings = isPlainObject(data) ? { ...data } : data;
+  if (isPlainObject(settings)) delete settings.name;
+  validateProfile(settings);
+  fs.mkdirSync(PROFILES_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(settings, null, 2));
+  console.log('[DEBUG] Saved generation profile', name);
+  return { name, ...settings };
+}
+
+function deleteProfile(name) {
+  const file = profilePath(name);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+// --- Tags ---
+
+// Resource types carrying the profile's tags, besides AWS where the provider's default_tags
+// cover every taggable resource. Google and Kubernetes labels only allow lowercase values.
+const TAGGED_TYPES = {
+  tags: [
+    'azurerm_resource_group', 'azurerm_virtual_network', 'azurerm_network_security_group', 'azurerm_public_ip',
+    'azurerm_network_interface', 'azurerm_linux_virtual_machine', 'azurerm_windows_virtual_machine', 'azurerm_storage_account',
+    'azurerm_service_plan', 'azurerm_app_service_plan', 'azurerm_linux_function_app', 'azurerm_windows_function_app',
+    'azurerm_function_app', 'azurerm_mssql_server', 'azurerm_mssql_database', 'azurerm_cosmosdb_account', 'azurerm_kubernetes_cluster',
+    'azurerm_lb', 'azurerm_application_gateway', 'azurerm_key_vault', 'azurerm_servicebus_namespace', 'azurerm_eventhub_namespace',
+    'azurerm_redis_cache', 'azurerm_container_registry', 'azurerm_api_management', 'azurerm_nat_gateway', 'azurerm_route_table',
+    'azurerm_dns_zone',
+  ],
+  labels: [
+    'google_compute_instance', 'google_storage_bucket', 'google_cloudfunctions_function', 'google_cloudfunctions2_function',
+    'google_pubsub_topic', 'google_pubsub_subscription', 'google_compute_disk', 'google_redis_instance', 'google_bigquery_dataset',
+    'google_cloud_run_v2_service',
+  ],
+  freeform_tags: [
+    'oci_identity_compartment', 'oci_core_vcn', 'oci_core_subnet', 'oci_core_internet_gateway', 'oci_core_nat_gateway',
+    'oci_core_route_table', 'oci_core_security_list', 'oci_core_network_security_group', 'oci_core_instance',
+    'oci_objectstorage_bucket', 'oci_functions_application', 'oci_functions_function', 'oci_database_autonomous_database',
+    'oci_containerengine_cluster', 'oci_load_balancer_load_balancer', 'oci_nosql_table', 'oci_queue_queue',
+    'oci_ons_notification_topic', 'oci_apigateway_gateway', 'oci_dns_zone',
+  ],
+};
+const KUBERNETES_LABELED = /^kubernetes_(?!manifest)/;
+
+function labelText(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|[-_]+$/g, '').slice(0, 63);
+}
+
+// Where the tags of a resource type go: { blocks: nested block path, attribute, labels }, null if untagged
+function tagTarget(type) {
+  if (KUBERNETES_LABELED.test(type)) return { blocks: ['metadata'], attribute: 'labels', labels: true };
+  const attribute = Object.keys(TAGGED_TYPES).find((name) => TAGGED_TYPES[name].includes(type));
+  return attribute ? { blocks: [], attribute, labels: attribute === 'labels' } : null;
+}
+
+function requiredTags(profile, labels) {
+  return Object.entries(profile.tags || {}).map(([key, value]) => (labels ? [labelText(key), labelText(value)] : [key, value]));
+}
+
+function hclKey(key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function entryTokens(key, value) {
+  return hcl.parseExpression(`${hclKey(key)} = ${JSON.stringify(value)}`);
+}
+
+function objectText(pairs) {
+  return `{\n${pairs.map(([key, value]) => `${hclKey(key)} = ${JSON.stringify(value)}`).join('\n')}\n}`;
+}
+
+function withoutComments(expr) {
+  return expr.filter((token) => token.type !== 'COMMENT');
+}
+
+// Literal string value of an object entry, null for anything else
+function entryValue(entry) {
+  const [, equals, value, ...rest] = entry.tokens;
+  if (!equals || !['=', ':'].includes(equals.text) || rest.length) return null;
+  return hcl.stringValue(value);
+}
+
+// Key/value pairs of every literal object in an expression, e.g. both objects of merge(local.tags, { a = "b" })
+function literalPairs(expr) {
+  const tokens = withoutComments(expr);
+  const pairs = new Map();
+  tokens.forEach((token, start) => {
+    if (token.type !== 'OBRACE') return;
+    let depth = 0;
+    for (let end = start; end < tokens.length; end++) {
+      if (tokens[end].type === 'OBRACE') depth++;
+      if (tokens[end].type === 'CBRACE') depth--;
+      if (depth > 0) continue;
+      for (const entry of hcl.objectEntries(tokens.slice(start, end + 1)) || []) {
+        if (entryValue(entry) !== null) pairs.set(entry.key, entryValue(entry));
+      }
+      return;
+    }
+  });
+  return pairs;
+}
+
+function missingTags(attribute, pairs) {
+  if (!attribute) return pairs;
+  const present = literalPairs(attribute.expr);
+  return pairs.filter(([key, value]) => present.get(key) !== value);
+}
+
+function nestedBody(body, blocks) {
+  return blocks.reduce((current, blockType) => {
+    const [block] = current ? hcl.findBlocks(current, blockType) : [];
+    return block ? block.body : null;
+  }, body);
+}
+
+// Add missing tags to the attribute: a literal object gets the entries, any other expression
+// is merged with them. -> true when something changed
+function addTags(body, name, pairs) {
+  const attribute = hcl.getAttribute(body, name);
+  const missing = missingTags(attribute, pairs);
+  if (!missing.length) return false;
+  if (!attribute) {
+    hcl.setAttribute(body, name, objectText(missing));
+    return true;
+  }
+  const entries = hcl.objectEntries(withoutComments(attribute.expr));
+  if (entries) {
+    const missingKeys = new Set(missing.map(([key]) => key));
+    attribute.expr = hcl.objectExpression([
+      ...entries.filter((entry) => !missingKeys.has(entry.key)),
+      ...missing.map(([key, value]) => ({ key, tokens: entryTokens(key, value) })),
+    ]);
+  } else {
+    attribute.expr = hcl.parseExpression(`merge(${hcl.printExpression(attribute.expr)}, ${objectText(missing)})`);
+  }
+  return true;
+}
+
+function providerAddress(block) {
+  const alias = hcl.getStringAttribute(block.body, 'alias');
+  return `provider.${hcl.labelValue(block.labels[0])}${alias ? `.${alias}` : ''}`;
+}
+
+// --- Names ---
+
+// Attribute holding the name of a resource type, `name` unless listed. tags.Name is the
+// console name of AWS network resources.
+const NAME_ATTRIBUTES = {
+  aws_s3_bucket: 'bucket',
+  aws_lambda_function: 'function_name',
+  aws_db_instance: 'identifier',
+  aws_rds_cluster: 'cluster_identifier',
+  aws_elasticache_cluster: 'cluster_id',
+  aws_vpc: 'tags.Name',
+  aws_subnet: 'tags.Name',
+  aws_instance: 'tags.Name',
+  aws_internet_gateway: 'tags.Name',
+  aws_nat_gateway: 'tags.Name',
+  aws_route_table: 'tags.Name',
+  aws_eip: 'tags.Name',
+  oci_objectstorage_bucket: 'name',
+  oci_identity_compartment: 'name',
+};
+// Names that are DNS names or paths rather than resource names
+const UNNAMED_TYPES = /^(aws_route53_|aws_cloudwatch_log_|aws_ssm_parameter|azurerm_dns_|azurerm_private_dns_|google_dns_|oci_dns_)/;
+// Character set and length limits, e.g. storage accounts are 3-24 lowercase letters and digits
+const NAME_RULES = {
+  aws_s3_bucket: { style: 'lowercase', max: 63 },
+  aws_lb: { max: 32 },
+  aws_lb_target_group: { max: 32 },
+  aws_db_instance: { style: 'lowercase', max: 63 },
+  aws_elasticache_cluster: { style: 'lowercase', max: 50 },
+  aws_lambda_function: { max: 64 },
+  azurerm_storage_account: { style: 'alphanumeric', max: 24 },
+  azurerm_container_registry: { style: 'alphanumeric', max: 50 },
+  azurerm_key_vault: { max: 24 },
+};
+
+function nameRule(type) {
+  if (NAME_RULES[type]) return NAME_RULES[type];
+  if (/^(google_|kubernetes_|helm_release)/.test(type)) return { style: 'lowercase', max: 63 };
+  return {};
+}
+
+// Where the name of a resource type is: { blocks, attribute, tag }, null for unnamed types
+function nameTarget(type) {
+  if (UNNAMED_TYPES.test(type)) return null;
+  if (KUBERNETES_LABELED.test(type)) return { blocks: ['metadata'], attribute: 'name', tag: null };
+  const attribute = NAME_ATTRIBUTES[type] || (type.startsWith('oci_') ? 'display_name' : 'name');
+  const [name, tag] = attribute.split('.');
+  return { blocks: [], attribute: name, tag: tag || null };
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function applyNameStyle(text, { style, max }) {
+  let name = text;
+  if (style === 'alphanumeric') name = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (style === 'lowercase') name = name.toLowerCase().replace(/[^a-z0-9.-]+/g, '-');
+  return max ? name.slice(0, max).replace(/-+$/, '') : name;
+}
+
+function renderName(profile, type, base) {
+  const text = profile.naming.pattern.replace(/\{env\}/g, profile.environment || '').replace(/\{name\}/g, slug(base) || 'main');
+  return applyNameStyle(text, nameRule(type));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A name follows the pattern when its fixed parts are where the pattern puts them. Names cut
+// at the length limit only need the leading part.
+function followsPattern(profile, type, name) {
+  const rule = nameRule(type);
+  const parts = profile.naming.pattern.split('{name}')
+    .map((part) => applyNameStyle(part.replace(/\{env\}/g, profile.environment || ''), { style: rule.style }));
+  if (new RegExp(`^${parts.map(escapeRegExp).join('.+')}$`).test(name)) return true;
+  return Boolean(rule.max) && name.length >= rule.max - 1 && name.startsWith(parts[0]);
+}
+
+// The literal name of a resource and a setter for it, null when it has none or it is not a literal
+function nameOf(block, type) {
+  const target = nameTarget(type);
+  const body = target && nestedBody(block.body, target.blocks);
+  const attribute = body && hcl.getAttribute(body, target.attribute);
+  if (!attribute) return null;
+
+  if (!target.tag) {
+    const value = attribute.expr.length === 1 ? hcl.stringValue(attribute.expr[0]) : null;
+    return value === null ? null : { value, set: (name) => hcl.setAttribute(body, target.attribute, JSON.stringify(name)) };
+  }
+  const entries = hcl.objectEntries(withoutComments(attribute.expr));
+  const entry = entries && entries.find((candidate) => candidate.key === target.tag);
+  const value = entry ? entryValue(entry) : null;
+  if (value === null) return null;
+  return {
+    value,
+    set: (name) => {
+      entry.tokens = entryTokens(target.tag, name);
+      attribute.expr = hcl.objectExpression(entries);
+    },
+  };
+}
+
+// --- Apply and check ---
+
+function resourceBlocks(body) {
+  return body.items
+    .filter((item) => hcl.isBlock(item, 'resource') && item.labels.length === 2)
+    .map((block) => ({ block, type: hcl.labelValue(block.labels[0]), address: block.labels.map(hcl.labelValue).join('.') }));
+}
+
+// Tag and name the resources of generated code the way the profile requires.
+// -> { code, applied: [{ address, kind }] }
+function applyProfile(code, profile) {
+  if (!profile || (!profile.naming && !profile.tags)) return { code, applied: [] };
+  const body = hcl.parse(code);
+  const applied = [];
+
+  if (profile.tags && Object.keys(profile.tags).length) {
+    const pairs = requiredTags(profile, false);
+    for (const provider of hcl.findBlocks(body, 'provider', 'aws')) {
+      let [defaultTags] = hcl.findBlocks(provider.body, 'default_tags');
+      if (!defaultTags) {
+        [defaultTags] = hcl.parse('default_tags {\n}\n').items;
+        provider.body.items.push({ ...defaultTags, blankBefore: true });
+        defaultTags = provider.body.items[provider.body.items.length - 1];
+      }
+      if (addTags(defaultTags.body, 'tags', pairs)) applied.push({ address: providerAddress(provider), kind: 'tags' });
+    }
+    for (const { block, type, address } of resourceBlocks(body)) {
+      const target = tagTarget(type);
+      const tagBody = target && nestedBody(block.body, target.blocks);
+      if (tagBody && addTags(tagBody, target.attribute, requiredTags(profile, target.labels))) applied.push({ address, kind: 'tags' });
+    }
+  }
+
+  if (profile.naming) {
+    for (const { block, type, address } of resourceBlocks(body)) {
+      const name = nameOf(block, type);
+      if (!name || followsPattern(profile, type, name.value)) continue;
+      name.set(renderName(profile, type, name.value));
+      applied.push({ address, kind: 'name' });
+    }
+  }
+
+  if (applied.length) console.log(`[DEBUG] Profile ${profile.name} tagged/renamed ${applied.length} block(s)`);
+  return { code: applied.length ? hcl.print(body) : code, applied };
+}
+
+// Resources of the module files lacking a required tag or not following the naming pattern.
+// Names and tags built from references cannot be checked and pass.
+// -> [{ address, file, kind: 'tags' | 'name', message }]
+function checkProfile(files, profile) {
+  if (!profile) return [];
+  const violations = [];
+  for (const [file, content] of Object.entries(files)) {
+    if (!file.endsWith('.tf')) continue;
+    const body = hcl.parse(content);
+
+    if (profile.tags && Object.keys(profile.tags).length) {
+      const pairs = requiredTags(profile, false);
+      for (const provider of hcl.findBlocks(body, 'provider', 'aws')) {
+        const [defaultTags] = hcl.findBlocks(provider.body, 'default_tags');
+        const missing = missingTags(defaultTags && hcl.getAttribute(defaultTags.body, 'tags'), pairs);
+        if (missing.length) {
+          violations.push({ address: providerAddress(provider), file, kind: 'tags', message: `default_tags lack ${missing.map(([key]) => key).join(', ')}` });
+        }
+      }
+      for (const { block, type, address } of resourceBlocks(body)) {
+        const target = tagTarget(type);
+        if (!target) continue;
+        const tagBody = nestedBody(block.body, target.blocks);
+        const missing = missingTags(tagBody && hcl.getAttribute(tagBody, target.attribute), requiredTags(profile, target.labels));
+        if (missing.length) {
+          violations.push({ address, file, kind: 'tags', message: `${target.attribute} lack ${missing.map(([key]) => key).join(', ')}` });
+        }
+      }
+    }
+
+    if (profile.naming) {
+      for (const { block, type, address } of resourceBlocks(body)) {
+        const name = nameOf(block, type);
+        if (name && !followsPattern(profile, type, name.value)) {
+          violations.push({ address, file, kind: 'name', message: `name "${name.value}" does not follow ${profile.naming.pattern}` });
+        }
+      }
+    }
+  }
+  return violations;
+}
+
+// Requirements for the model writing the resources templates do not cover
+function profileInstructions(profile) {
+  if (!profile) return '';
+  const lines = [];
+  if (profile.naming) {
+    const example = profile.naming.pattern.replace(/\{env\}/g, profile.environment || '').replace(/\{name\}/g, 'web-server');
+    lines.push(`Name every resource following the pattern "${profile.naming.pattern}" where {name} is the component id with dashes, e.g. "${example}".`);
+  }
+  if (profile.tags && Object.keys(profile.tags).length) {
+    const tags = Object.entries(profile.tags).map(([key, value]) => `${key} = "${value}"`).join(', ');
+    lines.push(`Every taggable resource must carry these tags (labels on Google Cloud and Kubernetes, freeform_tags on OCI): ${tags}. AWS resources get them from the provider's default_tags, do not repeat them.`);
+  }
+  if (profile.regions && Object.keys(profile.regions).length) {
+    lines.push(`Deploy into the regions configured in the provider blocks (${Object.entries(profile.regions).map(([provider, region]) => `${provider}: ${region}`).join(', ')}), do not hardcode other regions.`);
+  }
+  return lines.length ? `\n${lines.join('\n')}\n` : '';
+}
+
+module.exports = {
+  PROFILES_DIR,
+  ProfileError,
+  validateProfile,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  applyProfile,
+  checkProfile,
+  profileInstructions,
+};
@@ -0,0 +1,153 @@
+// services/hcl/ast.js
+// Query and edit helpers over the syntax tree produced by parser.js
+const { tokenize } = require('./lexer');
+
+// Unquoted value of a label or string token, null for templates with interpolations
+function stringValue(token) {
+  if (!token || token.type !== 'STRING' || /(^|[^$%])[$%]\{/.test(token.text)) return null;
+  try {
+    return JSON.parse(token.text);
+  } catch (err) {
+    return token.text.slice(1, -1);
+  }
+}
+
+function labelValue(label) {
+  return label.type === 'STRING' ? stringValue(label) : label.text;
+}
+
+function isBlock(item, blockType, ...labels) {
+  return item.type === 'block'
+    && item.blockType === blockType
+    && labels.every((label, i) => item.labels[i] && labelValue(item.labels[i]) === label);
+}
+
+// Blocks of a body matching a block type and leading labels, e.g. findBlocks(body, 'resource', 'aws_lambda_function')
+function findBlocks(body, blockType, ...labels) {
+  return body.items.filter((item) => isBlock(item, blockType, ...labels));
+}
+
+function removeItems(body, predicate) {
+  const before = body.items.length;
+  body.items = body.items.filter((item) => !predicate(item));
+  return before - body.items.length;
+}
+
+function getAttribute(body, name) {
+  return body.items.find((item) => item.type === 'attribute' && item.name === name) || null;
+}
+
+function removeAttribute(body, name) {
+  return removeItems(body, (item) => item.type === 'attribute' && item.name === name);
+}
+
+function removeNestedBlocks(body, blockType) {
+  return removeItems(body, (item) => item.type === 'block' && item.blockType === blockType);
+}
+
+// Source text of an expression, for simple inspections like includes('filebase64sha256(')
+function expressionText(expr) {
+  return expr.map((t) => (t.type === 'NEWLINE' ? '\n' : t.text)).join(' ');
+}
+
+// String value of an attribute holding a plain quoted string
+function getStringAttribute(body, name) {
+  const attribute = getAttribute(body, name);
+  return attribute && attribute.expr.length === 1 ? stringValue(attribute.expr[0]) : null;
+}
+
+function parseExpression(text) {
+  return tokenize(text).filter((t, i, all) => !(t.type === 'NEWLINE' && (i === 0 || i === all.length - 1)));
+}
+
+// Set an attribute from expression source text. New attributes go after `after`
+// when given, else after the last existing attribute.
+function setAttribute(body, name, exprText, { after } = {}) {
+  const expr = parseExpression(exprText);
+  const existing = getAttribute(body, name);
+  if (existing) {
+    existing.expr = expr;
+    return existing;
+  }
+
+  const attribute = { type: 'attribute', name, expr, comment: null, blankBefore: false };
+  let index = -1;
+  if (after) index = body.items.findIndex((item) => item.type === 'attribute' && item.name === after);
+  if (index === -1) {
+    body.items.forEach((item, i) => {
+      if (item.type === 'attribute') index = i;
+    });
+  }
+  body.items.splice(index + 1, 0, attribute);
+  return attribute;
+}
+
+// Split an object constructor expression `{ key = value ... }` into entries.
+// Returns null when the expression is not a literal object.
+function objectEntries(expr) {
+  if (!expr.length || expr[0].type !== 'OBRACE' || expr[expr.length - 1].type !== 'CBRACE') return null;
+
+  const entries = [];
+  let current = [];
+  let depth = 0;
+  const flush = () => {
+    const tokens = current.filter((t) => t.type !== 'NEWLINE' || depth > 0);
+    if (tokens.length) {
+      const keyToken = tokens[0];
+      entries.push({ key: keyToken.type === 'STRING' ? stringValue(keyToken) : keyToken.text, tokens });
+    }
+    current = [];
+  };
+
+  for (const t of expr.slice(1, -1)) {
+    if (depth === 0 && (t.type === 'NEWLINE' || t.text === ',')) {
+      flush();
+      continue;
+    }
+    if (['OBRACE', 'OBRACK', 'OPAREN'].includes(t.type)) depth++;
+    if (['CBRACE', 'CBRACK', 'CPAREN'].includes(t.type)) depth--;
+    current.push(t);
+  }
+  flush();
+  return entries;
+}
+
+// Rebuild an object constructor from entries, one entry per line
+function objectExpression(entries) {
+  if (!entries.length) return [{ type: 'OBRACE', text: '{' }, { type: 'CBRACE', text: '}' }];
+  const newline = { type: 'NEWLINE', text: '\n' };
+  return [
+    { type: 'OBRACE', text: '{', spaceBefore: true },
+    newline,
+    ...entries.flatMap((entry) => [...entry.tokens, newline]),
+    { type: 'CBRACE', text: '}' },
+  ];
+}
+
+// Resource/data addresses declared at the top level of a file
+function listBlockAddresses(body) {
+  return body.items
+    .filter((item) => item.type === 'block' && (item.blockType === 'resource' || item.blockType === 'data') && item.labels.length === 2)
+    .map((item) => {
+      const [type, name] = item.labels.map(labelValue);
+      return item.blockType === 'data' ? `data.${type}.${name}` : `${type}.${name}`;
+    });
+}
+
+module.exports = {
+  stringValue,
+  labelValue,
+  isBlock,
+  findBlocks,
+  removeItems,
+  getAttribute,
+  removeAttribute,
+  removeNestedBlocks,
+  expressionText,
+  getStringAttribute,
+  parseExpression,
+  setAttribute,
+  objectEntries,
+  objectExpression,
+  listBlockAddresses,
+};
@@ -0,0 +1,11 @@
+// services/hcl/index.js
+const { parse, HclSyntaxError } = require('./parser');
+const { print, printExpression } = require('./printer');
+const ast = require('./ast');
+
+// Reformat HCL source in terraform fmt style
+function format(source) {
+  return print(parse(source));
+}
+
+module.exports = { parse, print, printExpression, format, HclSyntaxError, ...ast };
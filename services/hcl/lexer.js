@@ -0,0 +1,205 @@
+// services/hcl/lexer.js
+// Tokenizer for the HCL native syntax. Strings, heredocs and comments are kept as
+// single tokens with their exact source text so the printer can reproduce them.
+
+class HclSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'HclSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const MULTI_CHAR_OPERATORS = ['...', '==', '!=', '<=', '>=', '&&', '||', '=>'];
+const SINGLE_CHAR_TOKENS = {
+  '{': 'OBRACE',
+  '}': 'CBRACE',
+  '[': 'OBRACK',
+  ']': 'CBRACK',
+  '(': 'OPAREN',
+  ')': 'CPAREN',
+  '=': 'EQUAL',
+};
+
+function tokenize(source) {
+  const text = source.replace(/\r\n/g, '\n');
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  let spaceBefore = false;
+
+  // `from` is the { line, lineStart } the offending text started on, when the lexer has moved past it
+  const fail = (message, at = pos, from = { line, lineStart }) => {
+    throw new HclSyntaxError(message, from.line, at - from.lineStart + 1);
+  };
+
+  const push = (type, start, end) => {
+    tokens.push({ type, text: text.slice(start, end), spaceBefore, line });
+    spaceBefore = false;
+  };
+
+  // Advance past a quoted template string starting at `start` (the opening quote)
+  function readQuoted(start) {
+    const from = { line, lineStart };
+    let i = start + 1;
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\\') {
+        i += 2;
+      } else if (ch === '"') {
+        return i + 1;
+      } else if (ch === '\n') {
+        fail('Unterminated string literal', start, from);
+      } else if ((ch === '$' || ch === '%') && text[i + 1] === ch && text[i + 2] === '{') {
+        i += 3; // $${ and %%{ are escapes for a literal sequence
+      } else if ((ch === '$' || ch === '%') && text[i + 1] === '{') {
+        i = readTemplateSequence(i + 2);
+      } else {
+        i++;
+      }
+    }
+    return fail('Unterminated string literal', start, from);
+  }
+
+  // Advance past the body of a ${ ... } sequence, `i` points just after the opening brace
+  function readTemplateSequence(i) {
+    const from = { line, lineStart };
+    const start = i - 2;
+    let depth = 1;
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '"') {
+        i = readQuoted(i);
+        continue;
+      }
+      if (ch === '{') depth++;
+      if (ch === '}') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+      if (ch === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+      i++;
+    }
+    return fail('Unterminated template interpolation', start, from);
+  }
+
+  while (pos < text.length) {
+    const ch = text[pos];
+
+    if (ch === ' ' || ch === '\t') {
+      spaceBefore = true;
+      pos++;
+      continue;
+    }
+
+    if (ch === '\n') {
+      push('NEWLINE', pos, pos + 1);
+      pos++;
+      line++;
+      lineStart = pos;
+      continue;
+    }
+
+    if (ch === '#' || (ch === '/' && text[pos + 1] === '/')) {
+      let end = text.indexOf('\n', pos);
+      if (end === -1) end = text.length;
+      push('COMMENT', pos, end);
+      pos = end;
+      continue;
+    }
+
+    if (ch === '/' && text[pos + 1] === '*') {
+      const end = text.indexOf('*/', pos + 2);
+      if (end === -1) fail('Unterminated comment');
+      const startLine = line;
+      for (let i = pos; i < end; i++) {
+        if (text[i] === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+      }
+      tokens.push({ type: 'COMMENT', text: text.slice(pos, end + 2), spaceBefore, line: startLine });
+      spaceBefore = false;
+      pos = end + 2;
+      continue;
+    }
+
+    if (ch === '"') {
+      const startLine = line;
+      const end = readQuoted(pos);
+      tokens.push({ type: 'STRING', text: text.slice(pos, end), spaceBefore, line: startLine });
+      spaceBefore = false;
+      pos = end;
+      continue;
+    }
+
+    const heredoc = text.slice(pos).match(/^<<(-?)([A-Za-z_][A-Za-z0-9_-]*)[ \t]*\n/);
+    if (heredoc) {
+      const marker = heredoc[2];
+      const startLine = line;
+      let i = pos + heredoc[0].length;
+      line++;
+      lineStart = i;
+      for (;;) {
+        if (i >= text.length) fail(`Unterminated heredoc, expected closing ${marker}`);
+        let end = text.indexOf('\n', i);
+        if (end === -1) end = text.length;
+        if (text.slice(i, end).trim() === marker) {
+          i = end;
+          break;
+        }
+        i = end + 1;
+        line++;
+        lineStart = i;
+      }
+      tokens.push({ type: 'HEREDOC', text: text.slice(pos, i), spaceBefore, line: startLine });
+      spaceBefore = false;
+      pos = i;
+      continue;
+    }
+
+    const number = text.slice(pos).match(/^[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/);
+    if (number) {
+      push('NUMBER', pos, pos + number[0].length);
+      pos += number[0].length;
+      continue;
+    }
+
+    const ident = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_-]*/);
+    if (ident) {
+      push('IDENT', pos, pos + ident[0].length);
+      pos += ident[0].length;
+      continue;
+    }
+
+    const operator = MULTI_CHAR_OPERATORS.find((op) => text.startsWith(op, pos));
+    if (operator) {
+      push('OP', pos, pos + operator.length);
+      pos += operator.length;
+      continue;
+    }
+
+    if (SINGLE_CHAR_TOKENS[ch]) {
+      push(SINGLE_CHAR_TOKENS[ch], pos, pos + 1);
+      pos++;
+      continue;
+    }
+
+    if ('+-*/%<>!?:.,'.includes(ch)) {
+      push('OP', pos, pos + 1);
+      pos++;
+      continue;
+    }
+
+    fail(`Unexpected character '${ch}'`);
+  }
+
+  return tokens;
+}
+
+module.exports = { tokenize, HclSyntaxError };
@@ -0,0 +1,131 @@
+// services/hcl/parser.js
+// Parses HCL into a small syntax tree:
+//
+//   Body      { type: 'body', items: [Attribute | Block | Comment] }
+//   Attribute { type: 'attribute', name, expr: Token[], comment, blankBefore }
+//   Block     { type: 'block', blockType, labels: Token[], body, openComment, comment, blankBefore }
+//   Comment   { type: 'comment', text, blankBefore }
+//
+// Expressions are kept as token lists (including NEWLINE tokens for multi-line values),
+// which is all the cleanup passes need and lets the printer reproduce them faithfully.
+const { tokenize, HclSyntaxError } = require('./lexer');
+
+const OPENING = new Set(['OBRACE', 'OBRACK', 'OPAREN']);
+const CLOSING = new Set(['CBRACE', 'CBRACK', 'CPAREN']);
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+  const fail = (message, token = peek()) => {
+    const line = token ? token.line : (tokens.length ? tokens[tokens.length - 1].line : 1);
+    throw new HclSyntaxError(message, line, 1);
+  };
+  const expect = (type) => {
+    const token = peek();
+    if (!token || token.type !== type) fail(`Expected ${type} but found ${token ? `'${token.text}'` : 'end of file'}`);
+    return next();
+  };
+
+  // A comment token directly following on the same line belongs to the previous construct
+  function takeTrailingComment() {
+    const token = peek();
+    if (token && token.type === 'COMMENT') {
+      next();
+      return token.text;
+    }
+    return null;
+  }
+
+  function endOfItem(inBlock) {
+    const token = peek();
+    if (!token || token.type === 'NEWLINE') return;
+    if (inBlock && token.type === 'CBRACE') return;
+    fail(`Unexpected '${token.text}' after item`);
+  }
+
+  function parseBody(inBlock) {
+    const items = [];
+    let newlines = 0;
+
+    for (;;) {
+      const token = peek();
+      if (!token) {
+        if (inBlock) fail('Unexpected end of file, missing }');
+        break;
+      }
+      if (token.type === 'CBRACE') {
+        if (!inBlock) fail("Unexpected '}'");
+        break;
+      }
+      if (token.type === 'NEWLINE') {
+        newlines++;
+        next();
+        continue;
+      }
+
+      const blankBefore = newlines >= 2;
+      newlines = 0;
+
+      if (token.type === 'COMMENT') {
+        next();
+        items.push({ type: 'comment', text: token.text, blankBefore });
+        continue;
+      }
+
+      if (token.type !== 'IDENT') fail(`Expected an attribute or block but found '${token.text}'`);
+
+      if (peek(1) && peek(1).type === 'EQUAL') {
+        items.push({ ...parseAttribute(inBlock), blankBefore });
+      } else {
+        items.push({ ...parseBlock(), blankBefore });
+      }
+      endOfItem(inBlock);
+    }
+
+    return { type: 'body', items };
+  }
+
+  function parseAttribute(inBlock) {
+    const name = next().text;
+    expect('EQUAL');
+
+    const expr = [];
+    let depth = 0;
+    for (;;) {
+      const token = peek();
+      if (!token) break;
+      if (depth === 0) {
+        if (token.type === 'NEWLINE' || token.type === 'COMMENT') break;
+        if (token.type === 'CBRACE' && inBlock) break;
+      }
+      if (OPENING.has(token.type)) depth++;
+      if (CLOSING.has(token.type)) depth--;
+      if (depth < 0) fail(`Unbalanced '${token.text}' in value of ${name}`, token);
+      expr.push(next());
+    }
+
+    if (depth > 0) fail(`Unclosed bracket in value of ${name}`);
+    while (expr.length && expr[expr.length - 1].type === 'NEWLINE') expr.pop();
+    if (!expr.length) fail(`Missing value for attribute ${name}`);
+
+    return { type: 'attribute', name, expr, comment: takeTrailingComment() };
+  }
+
+  function parseBlock() {
+    const blockType = next().text;
+    const labels = [];
+    while (peek() && (peek().type === 'STRING' || peek().type === 'IDENT')) labels.push(next());
+    expect('OBRACE');
+    const openComment = takeTrailingComment();
+    const body = parseBody(true);
+    expect('CBRACE');
+    return { type: 'block', blockType, labels, body, openComment, comment: takeTrailingComment() };
+  }
+
+  return parseBody(false);
+}
+
+module.exports = { parse, HclSyntaxError };
@@ -0,0 +1,229 @@
+// services/hcl/printer.js
+// Prints a syntax tree back to HCL in `terraform fmt` style:
+//   - two-space indentation driven by bracket nesting, like hclwrite
+//   - '=' aligned across consecutive single-line attributes, trailing comments aligned
+//   - one space between tokens where fmt puts one, none inside brackets
+//   - at most one blank line in a row, always one between top-level blocks
+// Printing is deterministic, so print(parse(print(tree))) === print(tree).
+
+const OPENING = new Set(['OBRACE', 'OBRACK', 'OPAREN']);
+const CLOSING = new Set(['CBRACE', 'CBRACK', 'CPAREN']);
+const SPACED_OPERATORS = new Set(['==', '!=', '<=', '>=', '<', '>', '&&', '||', '=>', '?', ':']);
+
+function token(type, text) {
+  return { type, text, spaceBefore: true };
+}
+
+// Separator between two tokens on the same line
+function separator(prev, cur) {
+  if (cur.type === 'COMMENT') return ' ';
+  if (prev.type === 'OPAREN' || prev.type === 'OBRACK') return '';
+  if (cur.type === 'CPAREN' || cur.type === 'CBRACK') return '';
+  if (prev.type === 'OBRACE') return cur.type === 'CBRACE' ? '' : ' ';
+  if (cur.type === 'CBRACE') return ' ';
+  if (cur.text === ',') return '';
+  if (prev.text === ',') return ' ';
+  if (cur.text === '.' || prev.text === '.' || cur.text === '...') return '';
+  if (prev.text === '!') return '';
+  if (cur.type === 'EQUAL' || prev.type === 'EQUAL') return ' ';
+  if ((cur.type === 'OP' && SPACED_OPERATORS.has(cur.text)) || (prev.type === 'OP' && SPACED_OPERATORS.has(prev.text))) return ' ';
+  if (cur.type === 'OPAREN' && prev.type === 'IDENT') return '';
+  if (cur.type === 'OBRACK' && !cur.spaceBefore) return '';
+  if (cur.type === 'OBRACE') return ' ';
+  return cur.spaceBefore ? ' ' : '';
+}
+
+function bracketChange(tokens) {
+  let net = 0;
+  for (const t of tokens) {
+    if (OPENING.has(t.type)) net++;
+    if (CLOSING.has(t.type)) net--;
+  }
+  return net;
+}
+
+// --- Tree -> token lines ---
+// A line is { tokens } or { blank: true } or { verbatim } (heredoc and block comment continuation lines)
+
+function splitExpressionLines(prefix, expr, suffix) {
+  const lines = [];
+  let current = [...prefix];
+  for (const t of expr) {
+    if (t.type === 'NEWLINE') {
+      lines.push(current);
+      current = [];
+    } else {
+      current.push(t);
+    }
+  }
+  current.push(...suffix);
+  lines.push(current);
+  return lines.filter((l) => l.length);
+}
+
+function emitTokens(out, tokens) {
+  // Multi-line atoms (heredocs, block comments) keep their inner lines verbatim
+  let current = [];
+  for (const t of tokens) {
+    if ((t.type === 'HEREDOC' || t.type === 'COMMENT') && t.text.includes('\n')) {
+      const [first, ...rest] = t.text.split('\n');
+      current.push({ ...t, text: first });
+      out.push({ tokens: current });
+      rest.forEach((text) => out.push({ verbatim: text }));
+      current = [];
+    } else {
+      current.push(t);
+    }
+  }
+  if (current.length) out.push({ tokens: current });
+}
+
+function emitBody(out, body, isTop) {
+  body.items.forEach((item, i) => {
+    const prev = body.items[i - 1];
+    if (i > 0 && (item.blankBefore || (isTop && prev.type === 'block'))) out.push({ blank: true });
+
+    if (item.type === 'comment') {
+      emitTokens(out, [token('COMMENT', item.text)]);
+    } else if (item.type === 'attribute') {
+      const comment = item.comment ? [token('COMMENT', item.comment)] : [];
+      const lines = splitExpressionLines([token('IDENT', item.name), token('EQUAL', '=')], item.expr, comment);
+      lines.forEach((line) => emitTokens(out, line));
+    } else {
+      const header = [token('IDENT', item.blockType), ...item.labels.map((l) => ({ ...l, spaceBefore: true })), token('OBRACE', '{')];
+      const closing = [token('CBRACE', '}'), ...(item.comment ? [token('COMMENT', item.comment)] : [])];
+      if (!item.body.items.length && !item.openComment) {
+        emitTokens(out, [...header, ...closing]);
+      } else {
+        emitTokens(out, [...header, ...(item.openComment ? [token('COMMENT', item.openComment)] : [])]);
+        emitBody(out, item.body, false);
+        emitTokens(out, closing);
+      }
+    }
+  });
+}
+
+// --- Token lines -> text, following hclwrite's formatIndent and formatCells ---
+
+function renderTokens(tokens) {
+  return tokens.map((t, i) => (i === 0 ? '' : separator(tokens[i - 1], t)) + t.text).join('');
+}
+
+// Split a line into lead / assign / comment cells
+function toCells(tokens) {
+  let lead = tokens;
+  let comment = null;
+  if (lead.length > 1 && lead[lead.length - 1].type === 'COMMENT') {
+    comment = lead[lead.length - 1];
+    lead = lead.slice(0, -1);
+  }
+
+  let assign = null;
+  const eq = lead.findIndex((t, i) => i > 0 && t.type === 'EQUAL');
+  if (eq !== -1) {
+    // Only a complete value is aligned; a line opening a multi-line value is not
+    let net = 0;
+    for (const t of lead.slice(eq)) {
+      if (t.type === 'HEREDOC') break;
+      net += bracketChange([t]);
+    }
+    if (net === 0) {
+      assign = lead.slice(eq);
+      lead = lead.slice(0, eq);
+    }
+  }
+
+  const leadText = renderTokens(lead);
+  return {
+    lead: leadText,
+    assign: assign ? renderTokens(assign) : null,
+    comment: comment ? comment.text : null,
+  };
+}
+
+function formatLines(lines) {
+  const rendered = [];
+  const indents = [];
+
+  for (const line of lines) {
+    if (line.blank) {
+      rendered.push({ text: '' });
+      continue;
+    }
+    if (line.verbatim !== undefined) {
+      rendered.push({ text: line.verbatim, verbatim: true });
+      continue;
+    }
+
+    const net = bracketChange(line.tokens);
+    let level = indents.length;
+    if (net > 0) {
+      indents.push(net);
+    } else if (net < 0) {
+      let closed = -net;
+      while (closed > 0 && indents.length) {
+        const top = indents[indents.length - 1];
+        if (closed >= top) {
+          closed -= top;
+          indents.pop();
+        } else {
+          indents[indents.length - 1] -= closed;
+          closed = 0;
+        }
+      }
+      level = indents.length;
+    }
+
+    rendered.push({ indent: '  '.repeat(level), ...toCells(line.tokens) });
+  }
+
+  // Align '=' over runs of consecutive lines that have an assign cell
+  for (let i = 0; i < rendered.length;) {
+    if (!rendered[i].assign) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < rendered.length && rendered[j].assign) j++;
+    const width = Math.max(...rendered.slice(i, j).map((l) => l.lead.length));
+    for (let k = i; k < j; k++) rendered[k].lead = rendered[k].lead.padEnd(width);
+    i = j;
+  }
+
+  for (const l of rendered) {
+    if (l.text === undefined) l.text = l.indent + l.lead + (l.assign ? ` ${l.assign}` : '');
+  }
+
+  // Align trailing comments over runs of consecutive lines that have one
+  for (let i = 0; i < rendered.length;) {
+    if (!rendered[i].comment) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < rendered.length && rendered[j].comment) j++;
+    const width = Math.max(...rendered.slice(i, j).map((l) => l.text.length));
+    for (let k = i; k < j; k++) {
+      const l = rendered[k];
+      l.text = `${l.text.padEnd(width)} ${l.comment}`;
+    }
+    i = j;
+  }
+
+  return rendered.map((l) => (l.verbatim ? l.text : l.text.replace(/\s+$/, '')));
+}
+
+function print(body) {
+  const lines = [];
+  emitBody(lines, body, true);
+  const text = formatLines(lines).join('\n');
+  return text ? `${text}\n` : '';
+}
+
+// Source text of a single expression, formatted like the value of an attribute
+function printExpression(expr) {
+  const text = print({ type: 'body', items: [{ type: 'attribute', name: 'x', expr, comment: null }] });
+  return text.slice('x = '.length, -1);
+}
+
+module.exports = { print, printExpression };
@@ -0,0 +1,159 @@
+// services/iacTargets/bicep.js
+// Azure Bicep:
+//
+//   main.bicep              the template
+//   main.parameters.json    deployment parameters file with the literal defaults of main.bicep
+//   README.md               deploy instructions, parameters and outputs
+//
+// Validated with `bicep build`.
+const path = require('path');
+const { diagnostic } = require('../terraformValidator');
+const { CodeSyntaxError, stripFences, slug, checkBrackets, runValidation } = require('./common');
+
+const SOURCE_FILE = 'main.bicep';
+const PARAMETERS_SCHEMA = 'https://schema.management.azure.com/schemas/2019-04-01/deploymentParameters.json#';
+
+function generationPrompt(irJson) {
+  return `
+Generate a complete, valid Azure Bicep file for this cloud architecture JSON, deployed at resource group scope.
+The output must be Bicep only, with no markdown formatting and no explanations.
+
+- Start with a "param location string = resourceGroup().location" parameter and use it for every resource.
+- Put environment specific values (VM sizes, address spaces, SKUs, names) in params with defaults, and mark passwords and keys @secure() without a default.
+- Use symbolic names and property references (e.g. vnet.id) for every connection between resources, never hardcoded resource IDs.
+- Use recent stable API versions and only properties documented for them.
+- For Function Apps, do not refer to local files or deployment packages.
+- Add outputs for the IDs and endpoints of the main resources.
+
+JSON:
+${irJson}
+`;
+}
+
+// Literal default of a param line, undefined when there is none or it is an expression
+function literalDefault(text) {
+  const value = text.trim();
+  if (/^'(?:[^'\\$]|\\.)*'$/.test(value)) return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  if (/^-?\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return undefined;
+}
+
+// param and output declarations, with the decorators written above them
+function declarations(code) {
+  const params = [];
+  const outputs = [];
+  let decorators = [];
+  for (const line of code.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('@')) {
+      decorators.push(trimmed);
+      continue;
+    }
+    let match = trimmed.match(/^param\s+(\w+)\s+(\w+)(?:\s*=\s*(.+))?$/);
+    if (match) {
+      const description = decorators.map((d) => d.match(/^@description\('(.*)'\)$/)).find(Boolean);
+      params.push({
+        name: match[1],
+        type: match[2],
+        defaultText: match[3] || null,
+        secure: decorators.some((d) => d.startsWith('@secure')),
+        description: description ? description[1] : '',
+      });
+    } else if ((match = trimmed.match(/^output\s+(\w+)\s+(\w+)\s*=/))) {
+      outputs.push({ name: match[1], type: match[2] });
+    }
+    if (trimmed) decorators = [];
+  }
+  return { params, outputs };
+}
+
+function parametersFile(params) {
+  const parameters = {};
+  for (const param of params) {
+    const value = param.secure || !param.defaultText ? undefined : literalDefault(param.defaultText);
+    if (value !== undefined) parameters[param.name] = { value };
+  }
+  return `${JSON.stringify({ $schema: PARAMETERS_SCHEMA, contentVersion: '1.0.0.0', parameters }, null, 2)}\n`;
+}
+
+function readme({ title, params, outputs }) {
+  const cell = (text) => String(text || '').replace(/\|/g, '\\|');
+  const lines = [
+    `# ${title}`,
+    '',
+    'Azure Bicep template generated from an architecture diagram.',
+    '',
+    '## Usage',
+    '',
+    '```sh',
+    'bicep build main.bicep',
+    `az group create --name ${slug(title)} --location <location>`,
+    `az deployment group create --resource-group ${slug(title)} --template-file main.bicep --parameters main.parameters.json`,
+    '```',
+    '',
+    '## Parameters',
+    '',
+  ];
+  if (params.length) {
+    lines.push('| Name | Type | Default | Description |', '| --- | --- | --- | --- |');
+    params.forEach((p) => lines.push(`| ${p.name} | ${p.type}${p.secure ? ' (secure)' : ''} | ${cell(p.defaultText ? `\`${p.defaultText}\`` : 'required')} | ${cell(p.description)} |`));
+  } else {
+    lines.push('None.');
+  }
+  lines.push('', '## Outputs', '');
+  if (outputs.length) {
+    lines.push('| Name | Type |', '| --- | --- |');
+    outputs.forEach((o) => lines.push(`| ${o.name} | ${o.type} |`));
+  } else {
+    lines.push('None.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Model output -> project files. Throws CodeSyntaxError when the brackets or strings do not add up.
+function buildFiles(code, { title = 'Generated infrastructure' } = {}) {
+  const source = stripFences(code);
+  checkBrackets(source, { quotes: ["'"] });
+  if (!/^\s*resource\s/m.test(source)) throw new CodeSyntaxError('The template declares no resources');
+  const { params, outputs } = declarations(source);
+  return {
+    files: {
+      [SOURCE_FILE]: source,
+      'main.parameters.json': parametersFile(params),
+      'README.md': readme({ title, params, outputs }),
+    },
+  };
+}
+
+// bicep build diagnostics, on stderr:
+//   /path/main.bicep(3,5) : Error BCP018: Expected the "=" character at this location. [https://aka.ms/...]
+function parseBicepBuild(result) {
+  const levels = { Error: 'error', Warning: 'warning', Info: 'notice' };
+  const pattern = /^(.+?)\((\d+),(\d+)\) : (Error|Warning|Info) ([\w-]+): (.+?)(?: \[https?:[^\]]+\])?$/gm;
+  return [...result.stderr.matchAll(pattern)].map((match) => diagnostic('bicep', {
+    severity: levels[match[4]],
+    file: path.basename(match[1]),
+    line: parseInt(match[2], 10),
+    column: parseInt(match[3], 10),
+    message: match[6].trim(),
+    rule: match[5],
+  }));
+}
+
+function validate(dir, options) {
+  return runValidation(dir, [['bicep', 'bicep', ['build', SOURCE_FILE, '--stdout'], parseBicepBuild]], options);
+}
+
+module.exports = {
+  name: 'bicep',
+  label: 'Azure Bicep',
+  language: 'Bicep',
+  providers: ['azure'],
+  sourceFile: SOURCE_FILE,
+  validators: 'bicep build',
+  generationPrompt,
+  buildFiles,
+  combine: (files) => files[SOURCE_FILE] || '',
+  validate,
+};
@@ -0,0 +1,168 @@
+// services/iacTargets/cloudformation.js
+// AWS CloudFormation, as a JSON template:
+//
+//   template.json     the template, sections in the usual order
+//   parameters.json   ParameterKey/ParameterValue list for `aws cloudformation create-stack`
+//   README.md         deploy instructions, parameters and outputs
+//
+// Validated with cfn-lint.
+const { diagnostic } = require('../terraformValidator');
+const { CodeSyntaxError, stripFences, slug, runValidation } = require('./common');
+
+const TEMPLATE_FILE = 'template.json';
+const SECTION_ORDER = ['AWSTemplateFormatVersion', 'Description', 'Metadata', 'Parameters', 'Mappings', 'Conditions', 'Transform', 'Resources', 'Outputs'];
+
+// Outputs added for the main resources when the model wrote none for them
+const OUTPUT_VALUES = {
+  'AWS::EC2::VPC': { suffix: 'Id', value: (id) => ({ Ref: id }) },
+  'AWS::EC2::Subnet': { suffix: 'Id', value: (id) => ({ Ref: id }) },
+  'AWS::EC2::Instance': { suffix: 'Id', value: (id) => ({ Ref: id }) },
+  'AWS::S3::Bucket': { suffix: 'Name', value: (id) => ({ Ref: id }) },
+  'AWS::Lambda::Function': { suffix: 'Arn', value: (id) => ({ 'Fn::GetAtt': [id, 'Arn'] }) },
+  'AWS::RDS::DBInstance': { suffix: 'Endpoint', value: (id) => ({ 'Fn::GetAtt': [id, 'Endpoint.Address'] }) },
+  'AWS::ElasticLoadBalancingV2::LoadBalancer': { suffix: 'DnsName', value: (id) => ({ 'Fn::GetAtt': [id, 'DNSName'] }) },
+  'AWS::DynamoDB::Table': { suffix: 'Name', value: (id) => ({ Ref: id }) },
+  'AWS::SQS::Queue': { suffix: 'Url', value: (id) => ({ Ref: id }) },
+  'AWS::SNS::Topic': { suffix: 'Arn', value: (id) => ({ Ref: id }) },
+};
+
+function generationPrompt(irJson) {
+  return `
+Generate a complete, valid AWS CloudFormation template in JSON for this cloud architecture JSON.
+The output must be a single JSON object with no markdown formatting and no explanations.
+
+- Start with "AWSTemplateFormatVersion": "2010-09-09" and a Description.
+- Put environment specific values (instance types, CIDR blocks, names, engine versions) in Parameters with a Default.
+- Use PascalCase logical IDs, and Ref / Fn::GetAtt / Fn::Sub for every connection between resources.
+- Only use properties documented for each resource type.
+- For AWS::Lambda::Function, put a placeholder handler in Code.ZipFile; never refer to S3 artifacts or local files.
+- Add Outputs for the IDs and endpoints of the main resources.
+
+JSON:
+${irJson}
+`;
+}
+
+// Line and column of a JSON.parse error position
+function jsonErrorLocation(code, err) {
+  const match = err.message.match(/position (\d+)/);
+  if (!match) return [null, null];
+  const before = code.slice(0, parseInt(match[1], 10)).split('\n');
+  return [before.length, before[before.length - 1].length + 1];
+}
+
+function parseTemplate(code) {
+  let template;
+  try {
+    template = JSON.parse(code);
+  } catch (err) {
+    throw new CodeSyntaxError(`Invalid JSON: ${err.message.replace(/ in JSON at position \d+.*$/, '')}`, ...jsonErrorLocation(code, err));
+  }
+  if (!template || typeof template !== 'object' || Array.isArray(template)) throw new CodeSyntaxError('The template must be a JSON object');
+  if (!template.Resources || typeof template.Resources !== 'object' || !Object.keys(template.Resources).length) {
+    throw new CodeSyntaxError('The template has no Resources');
+  }
+  return template;
+}
+
+function addOutputs(template) {
+  const outputs = { ...(template.Outputs || {}) };
+  const described = JSON.stringify(outputs);
+  for (const [id, resource] of Object.entries(template.Resources)) {
+    const output = OUTPUT_VALUES[resource.Type];
+    // A resource already referenced by an output keeps the model's one
+    if (!output || described.includes(`"${id}"`) || outputs[`${id}${output.suffix}`]) continue;
+    outputs[`${id}${output.suffix}`] = { Description: `${output.suffix} of ${id}`, Value: output.value(id) };
+  }
+  return outputs;
+}
+
+function readme({ title, template }) {
+  const parameters = Object.entries(template.Parameters || {});
+  const outputs = Object.entries(template.Outputs || {});
+  const cell = (text) => String(text === undefined ? '' : text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = [
+    `# ${title}`,
+    '',
+    'AWS CloudFormation template generated from an architecture diagram.',
+    '',
+    '## Usage',
+    '',
+    '```sh',
+    'cfn-lint template.json',
+    `aws cloudformation deploy --template-file template.json --stack-name ${slug(title)} \\`,
+    '  --parameter-overrides $(jq -r \'.[] | "\\(.ParameterKey)=\\(.ParameterValue)"\' parameters.json) \\',
+    '  --capabilities CAPABILITY_IAM CAPABILITY_NAMED_IAM',
+    '```',
+    '',
+    '## Parameters',
+    '',
+  ];
+  if (parameters.length) {
+    lines.push('| Name | Type | Default | Description |', '| --- | --- | --- | --- |');
+    parameters.forEach(([name, p]) => lines.push(`| ${name} | ${cell(p.Type)} | ${cell(p.Default === undefined ? '' : JSON.stringify(p.Default))} | ${cell(p.Description)} |`));
+  } else {
+    lines.push('None.');
+  }
+  lines.push('', '## Outputs', '');
+  if (outputs.length) {
+    lines.push('| Name | Description |', '| --- | --- |');
+    outputs.forEach(([name, o]) => lines.push(`| ${name} | ${cell(o.Description)} |`));
+  } else {
+    lines.push('None.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Model output -> project files. Throws CodeSyntaxError when it is not a usable template.
+function buildFiles(code, { title = 'Generated infrastructure' } = {}) {
+  const parsed = parseTemplate(stripFences(code));
+  parsed.AWSTemplateFormatVersion = parsed.AWSTemplateFormatVersion || '2010-09-09';
+  parsed.Description = parsed.Description || title;
+  parsed.Outputs = addOutputs(parsed);
+  if (!Object.keys(parsed.Outputs).length) delete parsed.Outputs;
+
+  const known = SECTION_ORDER.filter((section) => section in parsed);
+  const template = Object.fromEntries([...known, ...Object.keys(parsed).filter((key) => !known.includes(key))]
+    .map((section) => [section, parsed[section]]));
+
+  const parameters = Object.entries(template.Parameters || {})
+    .map(([name, p]) => ({ ParameterKey: name, ParameterValue: p.Default === undefined ? '' : String(p.Default) }));
+  return {
+    files: {
+      [TEMPLATE_FILE]: `${JSON.stringify(template, null, 2)}\n`,
+      'parameters.json': `${JSON.stringify(parameters, null, 2)}\n`,
+      'README.md': readme({ title, template }),
+    },
+  };
+}
+
+// cfn-lint --format json: [{ Rule: { Id }, Level, Message, Filename, Location: { Start: { LineNumber, ColumnNumber } } }]
+function parseCfnLint(result) {
+  const levels = { Error: 'error', Warning: 'warning', Informational: 'notice' };
+  return JSON.parse(result.stdout || '[]').map((match) => diagnostic('cfn-lint', {
+    severity: levels[match.Level] || 'error',
+    file: match.Filename || TEMPLATE_FILE,
+    line: match.Location && match.Location.Start ? match.Location.Start.LineNumber : null,
+    column: match.Location && match.Location.Start ? match.Location.Start.ColumnNumber : null,
+    message: match.Message,
+    rule: match.Rule ? match.Rule.Id : null,
+  }));
+}
+
+function validate(dir, options) {
+  return runValidation(dir, [['cfn-lint', 'cfn-lint', ['--format', 'json', TEMPLATE_FILE], parseCfnLint]], options);
+}
+
+module.exports = {
+  name: 'cloudformation',
+  label: 'AWS CloudFormation',
+  language: 'CloudFormation JSON',
+  providers: ['aws'],
+  sourceFile: TEMPLATE_FILE,
+  validators: 'cfn-lint',
+  generationPrompt,
+  buildFiles,
+  combine: (files) => files[TEMPLATE_FILE] || '',
+  validate,
+};
@@ -0,0 +1,98 @@
+// services/iacTargets/common.js
+// Helpers shared by the IaC targets
+const { runStep, stepSummary } = require('../toolchainRunner');
+const { diagnostic, VALIDATE_TIMEOUT_MS } = require('../terraformValidator');
+
+// Code a target could not read, with the line it failed on when known
+class CodeSyntaxError extends Error {
+  constructor(message, line = null, column = null) {
+    super(line ? `${message} (line ${line}${column ? `, column ${column}` : ''})` : message);
+    this.name = 'CodeSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+function stripFences(text) {
+  return `${text.replace(/```[a-z]*\n?/gi, '').trim()}\n`;
+}
+
+// Lowercase, dash separated name for stacks, packages and projects
+function slug(text) {
+  return (text || 'generated-infrastructure').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'generated-infrastructure';
+}
+
+// Check that braces, brackets and parentheses are balanced, skipping strings and comments.
+// `quotes` are the string delimiters of the language; backtick templates may nest ${...}.
+function checkBrackets(code, { quotes = ['"', "'"] } = {}) {
+  const pairs = { '}': '{', ']': '[', ')': '(' };
+  const stack = [];
+  let line = 1;
+  for (let i = 0; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '\n') {
+      line++;
+    } else if (ch === '/' && code[i + 1] === '/') {
+      while (i < code.length && code[i] !== '\n') i++;
+      i--;
+    } else if (ch === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2);
+      const stop = end === -1 ? code.length : end + 2;
+      line += (code.slice(i, stop).match(/\n/g) || []).length;
+      i = stop - 1;
+    } else if (quotes.includes(ch)) {
+      const start = line;
+      let j = i + 1;
+      // ''' is a multi-line string in Bicep
+      const triple = ch === "'" && code.startsWith("'''", i);
+      if (triple) j = i + 3;
+      while (j < code.length) {
+        if (code[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (triple ? code.startsWith("'''", j) : code[j] === ch) break;
+        if (code[j] === '\n') {
+          if (!triple && ch !== '`') throw new CodeSyntaxError('Unterminated string', start);
+          line++;
+        }
+        j++;
+      }
+      if (j >= code.length) throw new CodeSyntaxError('Unterminated string', start);
+      i = triple ? j + 2 : j;
+    } else if ('{[('.includes(ch)) {
+      stack.push({ ch, line });
+    } else if ('}])'.includes(ch)) {
+      const open = stack.pop();
+      if (!open || open.ch !== pairs[ch]) throw new CodeSyntaxError(`Unexpected '${ch}'`, line);
+    }
+  }
+  if (stack.length) throw new CodeSyntaxError(`Unclosed '${stack[stack.length - 1].ch}'`, stack[stack.length - 1].line);
+}
+
+// Run validation steps in order. Each step is [step, command, args, parse(result) -> diagnostics].
+// -> { available, diagnostics, steps }, available is false when a tool is not installed
+async function runValidation(dir, stepList, { signal, onOutput } = {}) {
+  const diagnostics = [];
+  const results = [];
+  for (const [step, command, args, parse] of stepList) {
+    const result = await runStep(step, command, args, { cwd: dir, timeout: VALIDATE_TIMEOUT_MS, signal, onOutput });
+    results.push(result);
+    if (result.missing) return { available: false, diagnostics: [], steps: results.map(stepSummary) };
+    if (result.cancelled) break;
+    let parsed;
+    try {
+      parsed = parse(result);
+    } catch (err) {
+      parsed = null;
+    }
+    if (parsed === null || (!result.ok && !parsed.length)) {
+      parsed = [diagnostic(step, { message: (result.stderr || result.stdout).trim() || `${command} exited with code ${result.exitCode}` })];
+    }
+    diagnostics.push(...parsed);
+    if (!result.ok && parsed.some((d) => d.severity === 'error')) break;
+  }
+  return { available: true, diagnostics, steps: results.map(stepSummary) };
+}
+
+module.exports = { CodeSyntaxError, stripFences, slug, checkBrackets, runValidation };
@@ -0,0 +1,28 @@
+// services/iacTargets/index.js
+// The IaC formats a diagram can be generated as. Every target turns the model's code into
+// project files and validates a project directory with its own tools:
+//
+//   { name, label, language, providers, validators,
+//     buildFiles(code, { cloudProvider, providers, title }) -> { files },   throws on unreadable code
+//     combine(files) -> the code the editor works on,
+//     validate(dir, { signal, onOutput }) -> { available, diagnostics },
+//     generationPrompt(irJson, providers) }                                 all targets but terraform
+const terraform = require('./terraform');
+const cloudformation = require('./cloudformation');
+const bicep = require('./bicep');
+const pulumi = require('./pulumi');
+const { CodeSyntaxError } = require('./common');
+
+const DEFAULT_TARGET = 'terraform';
+const TARGETS = { terraform, cloudformation, bicep, pulumi };
+
+// Projects created before targets existed are Terraform
+function getTarget(name = DEFAULT_TARGET) {
+  return TARGETS[String(name || DEFAULT_TARGET).toLowerCase()] || null;
+}
+
+function listTargets() {
+  return Object.values(TARGETS).map(({ name, label, providers, validators }) => ({ name, label, providers, validators }));
+}
+
+module.exports = { getTarget, listTargets, DEFAULT_TARGET, CodeSyntaxError };
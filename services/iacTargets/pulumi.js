@@ -0,0 +1,198 @@
+// services/iacTargets/pulumi.js
+// Pulumi in TypeScript:
+//
+//   index.ts        the program
+//   Pulumi.yaml     project file
+//   package.json    the Pulumi packages the program imports
+//   tsconfig.json   strict compile of index.ts only
+//   README.md       deploy instructions and stack outputs
+//
+// Validated by type-checking with tsc, after installing the packages when node_modules is missing.
+const fs = require('fs');
+const path = require('path');
+const { diagnostic } = require('../terraformValidator');
+const { CodeSyntaxError, stripFences, slug, checkBrackets, runValidation } = require('./common');
+
+const SOURCE_FILE = 'index.ts';
+
+// Import alias and package of each cloud's provider
+const PROVIDER_PACKAGES = {
+  aws: { alias: 'aws', name: '@pulumi/aws' },
+  azure: { alias: 'azure_native', name: '@pulumi/azure-native' },
+  gcp: { alias: 'gcp', name: '@pulumi/gcp' },
+  kubernetes: { alias: 'k8s', name: '@pulumi/kubernetes' },
+  oci: { alias: 'oci', name: '@pulumi/oci' },
+};
+const PACKAGE_VERSIONS = {
+  '@pulumi/pulumi': '^3.0.0',
+  '@pulumi/aws': '^6.0.0',
+  '@pulumi/azure-native': '^2.0.0',
+  '@pulumi/gcp': '^7.0.0',
+  '@pulumi/kubernetes': '^4.0.0',
+  '@pulumi/oci': '^2.0.0',
+  '@pulumi/random': '^4.0.0',
+};
+const DEV_DEPENDENCIES = { '@types/node': '^20.0.0', typescript: '^5.0.0' };
+
+const TSCONFIG = {
+  compilerOptions: {
+    strict: true,
+    outDir: 'bin',
+    target: 'es2020',
+    module: 'commonjs',
+    moduleResolution: 'node',
+    sourceMap: true,
+    experimentalDecorators: true,
+    forceConsistentCasingInFileNames: true,
+  },
+  files: [SOURCE_FILE],
+};
+
+// `cloudProviders` is the diagram's provider or, for mixed diagrams, all of them
+function generationPrompt(irJson, cloudProviders) {
+  const providers = [].concat(cloudProviders);
+  const imports = providers.map((provider) => `"${PROVIDER_PACKAGES[provider].name}" as ${PROVIDER_PACKAGES[provider].alias}`);
+  return `
+Generate a complete, valid Pulumi program in TypeScript for this ${providers.map((p) => p.toUpperCase()).join(' + ')} cloud architecture JSON.
+The output must be the contents of index.ts only, with no markdown formatting and no explanations.
+
+- Import "@pulumi/pulumi" as pulumi and ${imports.join(', ')}.
+- Each component has a "provider"; create it with that provider's package.
+- Components with a "region" other than the provider default need an explicit provider resource for that region, passed as { provider } in the resource options.
+- Read environment specific values (instance types, CIDR blocks, names) from pulumi.Config with defaults, and secrets with config.requireSecret.
+- Pass resource outputs (e.g. vpc.id) as inputs for every connection between resources, never hardcoded IDs.
+- Only use resource arguments that exist in the provider's type definitions; the program must type-check under strict mode.
+- For serverless functions, use an inline pulumi.asset.AssetArchive with a placeholder handler; never refer to local files.
+- Export the IDs and endpoints of the main resources with "export const".
+
+JSON:
+${irJson}
+`;
+}
+
+// Packages the program imports, e.g. import * as aws from "@pulumi/aws"
+function importedPackages(code) {
+  return [...code.matchAll(/^\s*import\s[^;]*?from\s+["']([^"']+)["']/gm)].map((match) => match[1]);
+}
+
+// Add the pulumi and provider imports a program uses but does not declare
+function addMissingImports(code) {
+  const imported = importedPackages(code);
+  const missing = [{ alias: 'pulumi', name: '@pulumi/pulumi' }, ...Object.values(PROVIDER_PACKAGES)]
+    .filter((pkg) => !imported.includes(pkg.name) && new RegExp(`(^|[^\\w.])${pkg.alias}\\.`, 'm').test(code));
+  if (!missing.length) return code;
+  return `${missing.map((pkg) => `import * as ${pkg.alias} from "${pkg.name}";`).join('\n')}\n${code}`;
+}
+
+function packageJson(name, code) {
+  const dependencies = {};
+  for (const pkg of importedPackages(code)) {
+    // Relative imports and Node built-ins need no dependency
+    if (pkg.startsWith('.') || pkg.startsWith('node:') || ['fs', 'path', 'os'].includes(pkg)) continue;
+    const packageName = pkg.startsWith('@') ? pkg.split('/').slice(0, 2).join('/') : pkg.split('/')[0];
+    dependencies[packageName] = PACKAGE_VERSIONS[packageName] || 'latest';
+  }
+  dependencies['@pulumi/pulumi'] = PACKAGE_VERSIONS['@pulumi/pulumi'];
+  return `${JSON.stringify({ name, main: SOURCE_FILE, devDependencies: DEV_DEPENDENCIES, dependencies }, null, 2)}\n`;
+}
+
+function pulumiYaml(name, title) {
+  return [
+    `name: ${name}`,
+    'runtime:',
+    '  name: nodejs',
+    '  options:',
+    '    typescript: true',
+    `description: ${JSON.stringify(title)}`,
+    '',
+  ].join('\n');
+}
+
+const CONFIG_HINTS = {
+  aws: 'pulumi config set aws:region us-east-1',
+  azure: 'pulumi config set azure-native:location westeurope',
+  gcp: 'pulumi config set gcp:project <project> && pulumi config set gcp:region us-central1',
+  kubernetes: 'pulumi config set kubernetes:kubeconfig ~/.kube/config',
+  oci: 'pulumi config set oci:region us-ashburn-1',
+};
+
+function readme({ title, name, providers, exportsList }) {
+  const configHints = providers.map((provider) => CONFIG_HINTS[provider]).filter(Boolean);
+  const lines = [
+    `# ${title}`,
+    '',
+    `Pulumi TypeScript program for ${providers.map((provider) => provider.toUpperCase()).join(' + ')} generated from an architecture diagram.`,
+    '',
+    '## Usage',
+    '',
+    '```sh',
+    'npm install',
+    `pulumi stack init ${name}-dev`,
+    ...configHints,
+    'pulumi preview',
+    'pulumi up',
+    '```',
+    '',
+    '## Outputs',
+    '',
+  ];
+  if (exportsList.length) exportsList.forEach((output) => lines.push(`- \`${output}\``));
+  else lines.push('None.');
+  return `${lines.join('\n')}\n`;
+}
+
+// Model output -> project files. Throws CodeSyntaxError when the brackets or strings do not add up.
+function buildFiles(code, { cloudProvider, providers = [cloudProvider], title = 'Generated infrastructure' } = {}) {
+  const source = addMissingImports(stripFences(code));
+  checkBrackets(source, { quotes: ['"', "'", '`'] });
+  if (!/\bnew\s+[\w.]+\s*\(/.test(source)) throw new CodeSyntaxError('The program creates no resources');
+  const name = slug(title);
+  const exportsList = [...source.matchAll(/^export\s+const\s+(\w+)/gm)].map((match) => match[1]);
+  return {
+    files: {
+      [SOURCE_FILE]: source,
+      'Pulumi.yaml': pulumiYaml(name, title),
+      'package.json': packageJson(name, source),
+      'tsconfig.json': `${JSON.stringify(TSCONFIG, null, 2)}\n`,
+      'README.md': readme({ title, name, providers: providers.filter(Boolean), exportsList }),
+    },
+  };
+}
+
+// tsc diagnostics, on stdout: index.ts(3,5): error TS2304: Cannot find name 'x'.
+function parseTsc(result) {
+  const pattern = /^(.+?)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.+)$/gm;
+  return [...result.stdout.matchAll(pattern)].map((match) => diagnostic('tsc', {
+    severity: match[4] === 'message' ? 'notice' : match[4],
+    file: match[1],
+    line: parseInt(match[2], 10),
+    column: parseInt(match[3], 10),
+    message: match[6].trim(),
+    rule: match[5],
+  }));
+}
+
+function validate(dir, options) {
+  const steps = [];
+  if (!fs.existsSync(path.join(dir, 'node_modules'))) {
+    steps.push(['npm-install', 'npm', ['install', '--no-audit', '--no-fund', '--ignore-scripts'], () => []]);
+  }
+  // The project's own TypeScript once installed, a global tsc otherwise
+  const useGlobal = !steps.length && !fs.existsSync(path.join(dir, 'node_modules', '.bin', 'tsc'));
+  const tsc = useGlobal ? 'tsc' : path.join(dir, 'node_modules', '.bin', 'tsc');
+  steps.push(['tsc', tsc, ['--noEmit', '--pretty', 'false', '-p', '.'], parseTsc]);
+  return runValidation(dir, steps, options);
+}
+
+module.exports = {
+  name: 'pulumi',
+  label: 'Pulumi (TypeScript)',
+  language: 'Pulumi TypeScript',
+  providers: ['aws', 'azure', 'gcp', 'kubernetes', 'oci'],
+  sourceFile: SOURCE_FILE,
+  validators: 'tsc',
+  generationPrompt,
+  buildFiles,
+  combine: (files) => files[SOURCE_FILE] || '',
+  validate,
+};
@@ -0,0 +1,16 @@
+// services/iacTargets/terraform.js
+// Terraform, the default target: the module layout of terraformModule.js, validated with
+// terraform validate and tflint. Generation goes through templates and cleanup passes in app.js.
+const { buildModule, combineModuleCode } = require('../terraformModule');
+const { validateDirectory } = require('../terraformValidator');
+
+module.exports = {
+  name: 'terraform',
+  label: 'Terraform',
+  language: 'Terraform',
+  providers: ['aws', 'azure', 'gcp', 'kubernetes', 'oci'],
+  validators: 'terraform validate and tflint',
+  buildFiles: buildModule,
+  combine: combineModuleCode,
+  validate: validateDirectory,
+};
@@ -0,0 +1,228 @@
+// services/jobQueue.js
+// In-memory queue for long running work (upload, lint, cost estimation).
+//
+// A job runs `run(context)` once a slot is free. The context reports progress:
+//   context.stage('generate')  finishes the current stage and starts the next one
+//   context.log(text)          live output, e.g. from terraform
+//   context.signal             AbortSignal, aborted when the job is cancelled
+// Every update is kept as a numbered event, so a client connecting late (or reconnecting)
+// can replay the whole progress before following it live.
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const MAX_EVENTS = 5000;
+const FINISHED_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Failure with the HTTP status and extra response fields it maps to, e.g. 422 with `issues`
+class JobFailure extends Error {
+  constructor(message, { status = 500, details = {} } = {}) {
+    super(message);
+    this.name = 'JobFailure';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function createJobQueue({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const snapshot = (job) => ({
+    id: job.id,
+    kind: job.kind,
+    projectId: job.projectId,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages.map((stage) => ({ ...stage })),
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  });
+
+  const emit = (job, type, data) => {
+    const event = { id: ++job.sequence, type, data };
+    job.events.push(event);
+    if (job.events.length > MAX_EVENTS) job.events.splice(0, job.events.length - MAX_EVENTS);
+    job.emitter.emit('event', event);
+  };
+
+  const finishStage = (job, status) => {
+    const current = job.stages.find((stage) => stage.status === 'running');
+    if (!current) return;
+    current.status = status;
+    current.finishedAt = new Date().toISOString();
+    emit(job, 'stage', { ...current });
+  };
+
+  const finish = (job, status, { result = null, error = null } = {}) => {
+    if (FINISHED_STATUSES.has(job.status)) return;
+    finishStage(job, status === 'succeeded' ? 'done' : status);
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    emit(job, 'done', { status, result, error });
+    job.emitter.removeAllListeners();
+    job.resolve(snapshot(job));
+  };
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    }
+  };
+
+  const start = async (job) => {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    emit(job, 'status', { status: job.status });
+
+    const context = {
+      id: job.id,
+      signal: job.controller.signal,
+      throwIfCancelled() {
+        if (job.controller.signal.aborted) throw new JobCancelledError();
+      },
+      stage(name) {
+        context.throwIfCancelled();
+        finishStage(job, 'done');
+        const stage = { name, status: 'running', startedAt: new Date().toISOString(), finishedAt: null };
+        job.stages.push(stage);
+        job.stage = name;
+        emit(job, 'stage', { ...stage });
+      },
+      log(text) {
+        if (text) emit(job, 'log', { stage: job.stage, text: String(text) });
+      },
+    };
+
+    try {
+      const result = await job.run(context);
+      context.throwIfCancelled();
+      finish(job, 'succeeded', { result });
+    } catch (err) {
+      if (job.controller.signal.aborted || err instanceof JobCancelledError) {
+        finish(job, 'cancelled', { error: { message: 'Job was cancelled', status: 499 } });
+      } else {
+        if (!(err instanceof JobFailure)) console.error(`[ERROR] Job ${job.id} (${job.kind}) failed:`, err);
+        finish(job, 'failed', {
+          error: { message: err.message, status: err.status || 500, ...(err.details || {}) },
+        });
+      }
+    } finally {
+      running--;
+      pump();
+    }
+  };
+
+  const pump = () => {
+    while (running < concurrency && pending.length) start(pending.shift());
+  };
+
+  return {
+    // Queue `run(context)`; the returned snapshot has a `done` promise resolving to the final snapshot
+    submit(kind, run, { projectId = null } = {}) {
+      prune();
+      let resolve;
+      const done = new Promise((r) => { resolve = r; });
+      const job = {
+        id: crypto.randomUUID(),
+        kind,
+        projectId,
+        status: 'queued',
+        stage: null,
+        stages: [],
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        run,
+        resolve,
+        done,
+        sequence: 0,
+        events: [],
+        emitter: new EventEmitter(),
+        controller: new AbortController(),
+      };
+      jobs.set(job.id, job);
+      emit(job, 'status', { status: job.status, position: pending.length + 1 });
+      pending.push(job);
+      console.log(`[DEBUG] Queued ${kind} job ${job.id}`);
+      pump();
+      return { ...snapshot(job), done };
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+
+    list({ projectId } = {}) {
+      return [...jobs.values()].filter((job) => !projectId || job.projectId === projectId).map(snapshot);
+    },
+
+    // Events after `afterId`, then `listener` for new ones until the job is done. Returns an unsubscribe function.
+    subscribe(id, afterId, listener) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      job.events.filter((event) => event.id > afterId).forEach(listener);
+      if (FINISHED_STATUSES.has(job.status)) return () => {};
+      job.emitter.on('event', listener);
+      return () => job.emitter.off('event', listener);
+    },
+
+    // Queued jobs are dropped right away, running ones get their signal aborted
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (FINISHED_STATUSES.has(job.status)) return snapshot(job);
+      job.controller.abort();
+      const index = pending.indexOf(job);
+      if (index !== -1) {
+        pending.splice(index, 1);
+        finish(job, 'cancelled', { error: { message: 'Job was cancelled', status: 499 } });
+      }
+      console.log(`[DEBUG] Cancelled ${job.kind} job ${job.id}`);
+      return snapshot(job);
+    },
+
+    isFinished(status) {
+      return FINISHED_STATUSES.has(status);
+    },
+  };
+}
+
+// A context like the queue's for running job functions directly, e.g. from the CLI.
+// `onStage(name)` and `onLog(text)` receive the progress, `signal` cancels.
+function createJobContext({ signal = new AbortController().signal, onStage = () => {}, onLog = () => {} } = {}) {
+  const context = {
+    id: crypto.randomUUID(),
+    signal,
+    throwIfCancelled() {
+      if (signal.aborted) throw new JobCancelledError();
+    },
+    stage(name) {
+      context.throwIfCancelled();
+      onStage(name);
+    },
+    log(text) {
+      if (text) onLog(String(text));
+    },
+  };
+  return context;
+}
+
+module.exports = { createJobQueue, createJobContext, JobFailure, JobCancelledError };
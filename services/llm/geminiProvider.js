@@ -0,0 +1,23 @@
+// services/llm/geminiProvider.js
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash' }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+    async generate({ prompt, images = [] }) {
+      const generativeModel = genAI.getGenerativeModel({ model });
+      const parts = images.length
+        ? [{ text: prompt }, ...images.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }))]
+        : prompt;
+
+      const result = await generativeModel.generateContent(parts);
+      const response = await result.response;
+      return response.text();
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
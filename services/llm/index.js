@@ -0,0 +1,99 @@
+// services/llm/index.js
+// One entry point for every model call. Pick the backend with LLM_PROVIDER:
+//   gemini (default) | openai | ollama | mock
+//
+// A provider exposes { name, model, generate({ task, prompt, images }) } where images
+// are { mimeType, data } pairs with base64 data, and generate resolves to the response text.
+// Requests may carry a `cache` session of responseCache.js, which the other providers ignore.
+const path = require('path');
+const dotenv = require('dotenv');
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createOllamaProvider } = require('./ollamaProvider');
+const { createMockProvider, withRecording } = require('./mockProvider');
+const { withCache } = require('./responseCache');
+
+dotenv.config();
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', '.llm-cache');
+
+function createModelProvider(config = {}) {
+  const name = (config.provider || 'gemini').toLowerCase();
+  const model = config.model || undefined;
+
+  let provider;
+  switch (name) {
+    case 'gemini':
+      provider = createGeminiProvider({ apiKey: config.geminiApiKey, model });
+      break;
+    case 'openai':
+      provider = createOpenAIProvider({ baseUrl: config.openaiBaseUrl, apiKey: config.openaiApiKey, model });
+      break;
+    case 'ollama':
+      provider = createOllamaProvider({ host: config.ollamaHost, model });
+      break;
+    case 'mock':
+      provider = createMockProvider({ fixturesDir: config.fixturesDir || DEFAULT_FIXTURES_DIR, model });
+      break;
+    default:
+      throw new Error(`Unsupported LLM provider: ${config.provider}. Supported are: gemini, openai, ollama, mock.`);
+  }
+
+  if (config.recordDir && name !== 'mock') {
+    provider = withRecording(provider, config.recordDir);
+  }
+  // The mock provider is deterministic already, LLM_CACHE=on caches it anyway. Without a cache
+  // directory the calls are still recorded in the request's session.
+  const cache = (config.cache || '').toLowerCase();
+  const cached = cache === 'on' || (cache !== 'off' && name !== 'mock');
+  return withCache(provider, cached ? config.cacheDir || DEFAULT_CACHE_DIR : null);
+}
+
+function getConfigFromEnv(env = process.env) {
+  return {
+    provider: env.LLM_PROVIDER,
+    model: env.LLM_MODEL,
+    geminiApiKey: env.GEMINI_API_KEY,
+    openaiBaseUrl: env.OPENAI_BASE_URL,
+    openaiApiKey: env.OPENAI_API_KEY,
+    ollamaHost: env.OLLAMA_HOST,
+    fixturesDir: env.LLM_FIXTURES_DIR,
+    recordDir: env.LLM_RECORD_DIR,
+    cache: env.LLM_CACHE,
+    cacheDir: env.LLM_CACHE_DIR,
+  };
+}
+
+let defaultProvider = null;
+
+// Shared provider configured from the environment
+function getModelProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createModelProvider(getConfigFromEnv());
+    console.log(`[INFO] Using LLM provider: ${defaultProvider.name} (${defaultProvider.model})`);
+  }
+  return defaultProvider;
+}
+
+// Replace the shared provider, e.g. with the recorded responses of an evaluation case; null goes
+// back to the one configured from the environment. -> the provider it replaced
+function setModelProvider(provider) {
+  const previous = defaultProvider;
+  defaultProvider = provider;
+  return previous;
+}
+
+// What produced a generation, kept with projects and revisions: the provider, the model and the
+// prompt version of every task the cache session saw
+function describeGeneration(session) {
+  const provider = getModelProvider();
+  const calls = session ? session.calls : [];
+  return {
+    provider: provider.name,
+    model: provider.model,
+    promptVersions: Object.fromEntries(calls.map((call) => [call.task, call.promptVersion])),
+  };
+}
+
+module.exports = { DEFAULT_CACHE_DIR, createModelProvider, getConfigFromEnv, getModelProvider, setModelProvider, describeGeneration };
@@ -0,0 +1,62 @@
+// services/llm/mockProvider.js
+// Deterministic provider replaying recorded responses, no network or API key needed.
+//
+// Fixtures live in <fixturesDir>/<task>/<requestKey>.txt. When no recording matches a
+// request exactly, <fixturesDir>/<task>/default.txt is used instead.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stable key for a request: same prompt and images always map to the same fixture
+function getRequestKey({ prompt, images = [] }) {
+  const hash = crypto.createHash('sha256');
+  hash.update(prompt);
+  for (const image of images) {
+    hash.update(image.mimeType);
+    hash.update(image.data);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+function getFixturePath(fixturesDir, task, key) {
+  return path.join(fixturesDir, task || 'default', `${key}.txt`);
+}
+
+function createMockProvider({ fixturesDir, model = 'mock' }) {
+  return {
+    name: 'mock',
+    model,
+    async generate(request) {
+      const key = getRequestKey(request);
+      const candidates = [
+        getFixturePath(fixturesDir, request.task, key),
+        getFixturePath(fixturesDir, request.task, 'default'),
+      ];
+
+      const fixturePath = candidates.find((candidate) => fs.existsSync(candidate));
+      if (!fixturePath) {
+        throw new Error(`No recorded response for task '${request.task}' (key ${key}) in ${fixturesDir}`);
+      }
+
+      console.log('[DEBUG] Mock provider replaying', path.relative(fixturesDir, fixturePath));
+      return fs.readFileSync(fixturePath, 'utf8');
+    },
+  };
+}
+
+// Wrap a real provider so every response is saved as a fixture for the mock provider
+function withRecording(provider, fixturesDir) {
+  return {
+    ...provider,
+    async generate(request) {
+      const text = await provider.generate(request);
+      const fixturePath = getFixturePath(fixturesDir, request.task, getRequestKey(request));
+      fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+      fs.writeFileSync(fixturePath, text);
+      console.log('[DEBUG] Recorded response to', fixturePath);
+      return text;
+    },
+  };
+}
+
+module.exports = { createMockProvider, withRecording, getRequestKey };
@@ -0,0 +1,32 @@
+// services/llm/ollamaProvider.js
+// Local Ollama-style server, see https://github.com/ollama/ollama/blob/main/docs/api.md#generate-a-completion
+function createOllamaProvider({ host = 'http://localhost:11434', model = 'llava' }) {
+  const endpoint = `${host.replace(/\/+$/, '')}/api/generate`;
+
+  return {
+    name: 'ollama',
+    model,
+    async generate({ prompt, images = [] }) {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          prompt,
+          images: images.map(({ data }) => data),
+          stream: false,
+          options: { temperature: 0 },
+        }),
+      });
+
+      if (!res.ok) {
+        throw new Error(`Ollama server returned ${res.status}: ${await res.text()}`);
+      }
+
+      const body = await res.json();
+      return body.response || '';
+    },
+  };
+}
+
+module.exports = { createOllamaProvider };
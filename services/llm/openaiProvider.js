@@ -0,0 +1,43 @@
+// services/llm/openaiProvider.js
+// Works with any endpoint speaking the OpenAI chat completions API (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, ...)
+function createOpenAIProvider({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini' }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+    async generate({ prompt, images = [] }) {
+      const content = images.length
+        ? [
+            { type: 'text', text: prompt },
+            ...images.map(({ mimeType, data }) => ({
+              type: 'image_url',
+              image_url: { url: `data:${mimeType};base64,${data}` },
+            })),
+          ]
+        : prompt;
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [{ role: 'user', content }],
+        }),
+      });
+
+      if (!res.ok) {
+        throw new Error(`OpenAI-compatible endpoint returned ${res.status}: ${await res.text()}`);
+      }
+
+      const body = await res.json();
+      return body.choices?.[0]?.message?.content || '';
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
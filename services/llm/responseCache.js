@@ -0,0 +1,176 @@
+// services/llm/responseCache.js
+// Content-addressed cache of model responses, so the same diagram and prompt give the same
+// generation again. An entry is keyed on the provider, model, task, the task's prompt template
+// version, the prompt and the SHA-256 of every image, and stored as <dir>/<task>/<key>.json.
+//
+// Callers pass a session ({ bypass, calls }) with their requests as `cache`: a bypassing session
+// skips the lookup and stores the fresh response, and every call is recorded as a hit or miss.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getRequestKey } = require('./mockProvider');
+
+// Version of each task's prompt template. Bump it when a prompt or the handling of its response
+// changes in a way the prompt text does not show; responses of older versions are then not used.
+const PROMPT_VERSIONS = {
+  'parse-diagram': 1,
+  'generate-terraform': 1,
+  'edit-terraform': 1,
+  'chat': 1,
+};
+const DEFAULT_PROMPT_VERSION = 1;
+
+function promptVersion(task) {
+  return PROMPT_VERSIONS[task] || DEFAULT_PROMPT_VERSION;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function cacheKey(provider, { task, prompt, images = [] }) {
+  return sha256(JSON.stringify({
+    provider: provider.name,
+    model: provider.model,
+    task,
+    promptVersion: promptVersion(task),
+    prompt: sha256(prompt),
+    images: images.map((image) => ({ mimeType: image.mimeType, sha256: sha256(image.data) })),
+  }));
+}
+
+function entryPath(dir, task, key) {
+  return path.join(dir, task || 'default', `${key}.json`);
+}
+
+function readEntry(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`[WARN] Ignoring unreadable cache entry ${file}:`, err.message);
+    return null;
+  }
+}
+
+// Written to a temporary file first, so concurrent requests never read half an entry
+function writeEntry(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const partial = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.part`;
+  fs.writeFileSync(partial, JSON.stringify(entry, null, 2));
+  fs.renameSync(partial, file);
+}
+
+// Per request record of the model calls, `bypass` skips cached responses
+function createCacheSession({ bypass = false } = {}) {
+  return { bypass, calls: [] };
+}
+
+// Session for the `cache` flag of a request: false (?cache=false) bypasses the cache
+function resolveCacheSession(cache) {
+  return createCacheSession({ bypass: ['false', '0', false].includes(cache) });
+}
+
+// -> { bypassed, hits, misses, calls: [{ task, key, hit, promptVersion }] } for API responses
+function summarizeSession(session) {
+  if (!session) return null;
+  return {
+    bypassed: session.bypass,
+    hits: session.calls.filter((call) => call.hit).length,
+    misses: session.calls.filter((call) => !call.hit).length,
+    calls: session.calls.map(({ task, key, hit, promptVersion: version }) => ({ task, key, hit, promptVersion: version })),
+  };
+}
+
+// Wrap a provider so responses are served from and stored in `dir`, a null `dir` only records
+// the calls in their sessions
+function withCache(provider, dir) {
+  return {
+    ...provider,
+    cacheDir: dir,
+    async generate(request) {
+      const { cache: session = null, ...modelRequest } = request;
+      const key = cacheKey(provider, modelRequest);
+      const record = (hit) => {
+        if (session) session.calls.push({ task: modelRequest.task, key, hit, provider: provider.name, model: provider.model, promptVersion: promptVersion(modelRequest.task) });
+      };
+      if (!dir) {
+        record(false);
+        return provider.generate(modelRequest);
+      }
+
+      const file = entryPath(dir, modelRequest.task, key);
+      const cached = !(session && session.bypass) && fs.existsSync(file) ? readEntry(file) : null;
+      if (cached) {
+        console.log(`[DEBUG] Cache hit for ${modelRequest.task} (${key.slice(0, 12)})`);
+        record(true);
+        return cached.response;
+      }
+
+      const response = await provider.generate(modelRequest);
+      writeEntry(file, {
+        key,
+        // Key of the same request for the mock provider, see exportFixtures
+        fixtureKey: getRequestKey(modelRequest),
+        task: modelRequest.task,
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: promptVersion(modelRequest.task),
+        images: (modelRequest.images || []).map((image) => ({ mimeType: image.mimeType, sha256: sha256(image.data) })),
+        createdAt: new Date().toISOString(),
+        response,
+      });
+      console.log(`[DEBUG] Cache ${session && session.bypass ? 'bypassed' : 'miss'} for ${modelRequest.task} (${key.slice(0, 12)})`);
+      record(false);
+      return response;
+    },
+  };
+}
+
+// Entries without their responses, newest first
+function listEntries(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const entries = [];
+  for (const task of fs.readdirSync(dir)) {
+    const taskDir = path.join(dir, task);
+    if (!fs.statSync(taskDir).isDirectory()) continue;
+    for (const name of fs.readdirSync(taskDir).filter((n) => n.endsWith('.json'))) {
+      const entry = readEntry(path.join(taskDir, name));
+      if (entry) entries.push({ ...entry, response: undefined, size: Buffer.byteLength(entry.response) });
+    }
+  }
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function clearCache(dir) {
+  const count = listEntries(dir).length;
+  fs.rmSync(dir, { recursive: true, force: true });
+  return count;
+}
+
+// Write the cached responses as fixtures of the mock provider: <outDir>/<task>/<fixtureKey>.txt,
+// optionally only for some tasks. -> the written paths
+function exportFixtures(dir, outDir, { tasks = null } = {}) {
+  const written = [];
+  for (const { task, key } of listEntries(dir)) {
+    if (tasks && !tasks.includes(task)) continue;
+    const entry = readEntry(entryPath(dir, task, key));
+    const fixturePath = path.join(outDir, task, `${entry.fixtureKey}.txt`);
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, entry.response);
+    written.push(fixturePath);
+  }
+  return written;
+}
+
+module.exports = {
+  PROMPT_VERSIONS,
+  promptVersion,
+  cacheKey,
+  withCache,
+  createCacheSession,
+  resolveCacheSession,
+  summarizeSession,
+  listEntries,
+  clearCache,
+  exportFixtures,
+};
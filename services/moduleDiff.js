@@ -0,0 +1,32 @@
+// services/moduleDiff.js
+// Unified diff between two versions of a project's module files, git style
+const { structuredPatch } = require('diff');
+const { MODULE_FILES } = require('./terraformModule');
+
+// Module files first in their usual order, anything else after
+function orderedNames(oldFiles, newFiles) {
+  const names = new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)]);
+  return [...MODULE_FILES.filter((name) => names.has(name)), ...[...names].filter((name) => !MODULE_FILES.includes(name)).sort()];
+}
+
+function diffFiles(oldFiles, newFiles) {
+  const sections = [];
+  for (const name of orderedNames(oldFiles, newFiles)) {
+    const oldContent = oldFiles[name];
+    const newContent = newFiles[name];
+    if (oldContent === newContent) continue;
+
+    const patch = structuredPatch(name, name, oldContent || '', newContent || '', '', '', { context: 3 });
+    const lines = [
+      `--- ${oldContent === undefined ? '/dev/null' : `a/${name}`}`,
+      `+++ ${newContent === undefined ? '/dev/null' : `b/${name}`}`,
+    ];
+    for (const hunk of patch.hunks) {
+      lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`, ...hunk.lines);
+    }
+    sections.push(lines.join('\n'));
+  }
+  return sections.length ? `${sections.join('\n')}\n` : '';
+}
+
+module.exports = { diffFiles };
@@ -0,0 +1,547 @@
+// services/pipeline.js
+// The diagram to IaC pipeline without the HTTP layer, shared by the server (src/app.js) and the
+// CLI (src/cli.js):
+//   convertDiagram  parse -> detect provider -> IR -> generate -> clean up, for one or more diagram files
+//   analyzeDiagram  the first half, the extracted architecture for review
+//   generateFromArchitecture  the second half, from a reviewed (edited) architecture
+//   editCode        apply an instruction to a project's code with the code editor
+//   editProject     the same for a stored project, saved as a new revision (optionally repaired)
+//   lintDirectory   terraform validate/tflint or the validators of another target
+//   estimateCost    terraform plan priced with OpenInfraQuote
+//   estimateProjectCost  the same for a stored project, kept in its cost history
+// Every step takes a job context (jobQueue.js), failures are JobFailures with the HTTP status they map to.
+const path = require('path');
+const { getModelProvider, describeGeneration } = require('./llm');
+const { createCacheSession, summarizeSession } = require('./llm/responseCache');
+const projectStore = require('./projectStore');
+const { editTargetCode } = require('./geminiEditorAgent');
+const { getSupportedProviders, resolveProviderName } = require('./componentCatalog');
+const { DiagramValidationError, parseDiagramResponse, validateDiagram, detectPrimaryProvider, buildDiagramIr, mergeDiagrams } = require('./diagramIr');
+const { getProvidersBlock } = require('./terraformProviders');
+const { generateFromTemplates } = require('./templateGenerator');
+const { runCleanupPasses } = require('./cleanupPasses');
+const { importDiagramPages } = require('./diagramImport');
+const uploadIntake = require('./uploadIntake');
+const hcl = require('./hcl');
+const { HclSyntaxError } = hcl;
+const { JobFailure } = require('./jobQueue');
+const { runLintJob, runTargetLintJob, runCostJob } = require('./toolchainJobs');
+const { parseCostReport, budgetStatus, previousEstimate, costChange, describeCostChange } = require('./costReport');
+const { validateAndRepair } = require('./repairLoop');
+const { diffFiles } = require('./moduleDiff');
+const generationProfiles = require('./generationProfiles');
+const { getTarget, listTargets, CodeSyntaxError } = require('./iacTargets');
+
+// 🧠 Gemini: Parse architecture diagram and detect cloud provider
+// `view` is an image or PDF ({ mimeType, data }) or SVG source ({ text }), `position` is
+// { index, count } when the upload has several views of the same architecture. `cache` is the
+// response cache session of the request (services/llm/responseCache.js).
+async function processImageWithGemini(view, position = null, cache = null) {
+  let prompt = `
+You are a cloud architecture parser. Your task is to extract structured cloud components and their connectivity **only** from valid IT architecture diagrams.
+
+First, identify the primary cloud provider depicted in the diagram. Look for logos, service names (e.g., EC2, Lambda, S3 for AWS; Virtual Machine, Function App, Storage Account for Azure; Compute Engine, Cloud Function, Cloud Storage for GCP; Deployment, Service, Ingress, Helm chart for Kubernetes; VCN, Autonomous Database, OCI Functions for Oracle Cloud).
+Diagrams can mix providers, e.g. a cloud network running Kubernetes workloads, or a hybrid AWS and Azure setup.
+
+If the image is not a cloud or IT architecture diagram (e.g., a photo, unrelated chart, or random drawing), respond with:
+{
+  "error": "Invalid diagram. Only IT/cloud architecture diagrams are supported."
+}
+
+Otherwise, return a structured JSON object with three keys:
+1. "cloudProvider": The identified primary cloud provider (case-insensitive: "aws", "azure", "gcp", "kubernetes", "oci"). If the cloud provider cannot be confidently identified, use "Unknown".
+2. "components": a list of cloud components with type, name, provider ("aws", "azure", "gcp", "kubernetes" or "oci", the provider the component belongs to) and properties. Put a region that differs from the rest of the diagram in properties.region.
+3. "connections": a list of directional links showing how components are connected.
+
+Only return valid JSON. Do not include explanations or markdown.
+`;
+  if (position && position.count > 1) {
+    prompt += `
+This is view ${position.index + 1} of ${position.count} of the same architecture. Name the components exactly by their labels in the diagram, so components shown in several views can be matched.
+`;
+  }
+  if (view.text !== undefined) {
+    prompt += `
+The diagram is the following SVG:
+${view.text}
+`;
+  }
+
+  return getModelProvider().generate({
+    task: 'parse-diagram',
+    prompt,
+    images: view.text !== undefined ? [] : [{ mimeType: view.mimeType, data: view.data }],
+    cache,
+  });
+}
+
+// Used when templates already produced the provider blocks and part of the resources
+function getPartialGenerationInstructions(existingResources, providerAliases = {}) {
+  const aliased = Object.entries(providerAliases).map(([componentId, reference]) => `${componentId} (provider = ${reference})`);
+  return `
+Only generate resource and data blocks for the components in the JSON. The terraform and provider blocks already exist, do not repeat them.
+The following resources are already defined and must be referenced instead of redefined: ${existingResources.join(', ') || 'none'}.
+${aliased.length ? `Components in another region use an aliased provider block that already exists. Set the provider meta-argument on all of their resources and data sources: ${aliased.join(', ')}.
+` : ''}`;
+}
+
+// Serverless and workload conventions per provider, so the code validates without local build artifacts
+const SERVERLESS_INSTRUCTIONS = {
+  aws: `
+For AWS Lambda functions, **always use the 'source_code' attribute** with a simple placeholder function (e.g., for Python: "def lambda_handler(event, context): return {\\"statusCode\\": 200, \\"body\\": \\"OK\\"}", or for Node.js: "exports.handler = async (event) => { return { statusCode: 200, body: JSON.stringify(\\"OK\\") }; };").
+Explicitly avoid using 'filename', 's3_bucket', 's3_key', 'inline_code' blocks, or any 'data "archive_file"' blocks or 'resource "local_file"' blocks that imply local file paths for source code.
+`,
+  azure: `
+For Azure Function Apps (azurerm_function_app), do not include 'app_settings' that refer to local files or require deployment from local sources (e.g., WEBSITE_RUN_FROM_PACKAGE). Ensure the basic resource definition for the Function App, App Service Plan, and Storage Account is provided. Assume deployment artifacts are managed externally for validation purposes.
+`,
+  gcp: `
+For Google Cloud Functions (google_cloud_function), **always use 'source_archive_url' pointing to a dummy Google Cloud Storage (GCS) path** (e.g., "gs://your-dummy-bucket/dummy-function.zip") and ensure 'entry_point' is specified. Explicitly avoid 'source_repository' or attributes that refer to local files.
+`,
+  kubernetes: `
+For Kubernetes workloads, use the versioned resources of the kubernetes provider (kubernetes_deployment_v1, kubernetes_service_v1, kubernetes_ingress_v1, ...) and a placeholder container image such as "nginx:stable" when the JSON names none. Select pods through matching "app" labels.
+For Helm charts, use 'helm_release' with a public chart 'repository' and 'chart' name. Never read 'values' from local files with file() or templatefile(), use 'set' blocks for the few values that matter.
+`,
+  oci: `
+For OCI Functions (oci_functions_function), **always set 'image' to a placeholder OCIR image** (e.g., "iad.ocir.io/your-tenancy-namespace/placeholder-function:0.0.1") inside an 'oci_functions_application' attached to a subnet. Never build or push images from local files.
+Every OCI resource needs a 'compartment_id'; use var.compartment_id unless the JSON contains a compartment.
+`,
+};
+
+// 🧩 Gemini: Generate valid Terraform code for the providers of a diagram
+async function generateTerraformFromJson(jsonString, cloudProviders, existingResources = null, providerAliases = {}, profile = null, cache = null) {
+  const providers = [].concat(cloudProviders).map((provider) => provider.toLowerCase());
+  const unsupported = providers.find((provider) => !SERVERLESS_INSTRUCTIONS[provider]);
+  // This should ideally not be reached if the providers are validated earlier
+  if (unsupported) throw new Error(`Unsupported cloud provider: ${unsupported}`);
+  const serverlessInstructions = providers.map((provider) => SERVERLESS_INSTRUCTIONS[provider]).join('');
+  const multiCloud = providers.length > 1
+    ? '\nThe JSON mixes providers: each component has a "provider", create it with that provider\'s resource types.\n'
+    : '';
+
+  const prompt = `
+Generate complete, valid Terraform code for ${providers.map((provider) => provider.toUpperCase()).join(' + ')} based on this cloud architecture JSON.${multiCloud}
+The output must be valid HCL with no markdown formatting, no explanations, and no multi-line quoted strings.
+
+***Crucial Requirement: Ensure strict adherence to each resource's and data source's supported arguments according to official Terraform documentation for the respective cloud provider. Avoid using arguments that are not explicitly defined for a specific resource type or version. For instance, 'description' is generally not an argument for 'resource "aws_cloudformation_stack"', although it might be for a data source or a different resource like 'aws_cloudformation_stack_set'. Always check the resource type and its specific argument requirements.***
+
+${existingResources ? getPartialGenerationInstructions(existingResources, providerAliases) : getProvidersBlock(providers, [], { profile })}
+
+${serverlessInstructions}${generationProfiles.profileInstructions(profile)}
+
+All string values must be on a single line. Do not split quoted strings across multiple lines. If a multi-line string is required, use heredoc syntax.
+
+The JSON uses canonical component ids as Terraform resource names. When a component has a "resourceType", use exactly that Terraform resource type for it. Connections reference component ids.
+
+JSON:
+${jsonString}
+`;
+
+  return getModelProvider().generate({ task: 'generate-terraform', prompt, cache });
+}
+
+// Terraform from the IR: known component types come from deterministic templates, the model
+// only fills the gaps and its output goes through the cleanup passes. A generation profile sets
+// regions, versions and the backend, and its tags and names are applied and checked at the end.
+// -> { files, sources, cleanup, profile }
+async function generateTerraformProject(job, irForGeneration, cloudProvider, title, profile = null, cache = null) {
+  const { providers } = irForGeneration;
+  const moduleName = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'main';
+  job.stage('generate');
+  const templateResult = generateFromTemplates(irForGeneration, { profile, moduleName });
+  const templateAddresses = templateResult.resources.flatMap((r) => r.addresses);
+  console.log(`[DEBUG] Templates produced ${templateAddresses.length} blocks, ${templateResult.uncovered.length} component(s) left for the model`);
+
+  let terraformCode = '';
+  if (templateResult.uncovered.length) {
+    const uncoveredIds = new Set(templateResult.uncovered.map((c) => c.id));
+    const fallbackIr = {
+      ...irForGeneration,
+      components: templateResult.uncovered,
+      connections: irForGeneration.connections.filter((c) => uncoveredIds.has(c.from) || uncoveredIds.has(c.to)),
+    };
+    terraformCode = await generateTerraformFromJson(JSON.stringify(fallbackIr, null, 2), providers, templateAddresses, templateResult.providerAliases, profile, cache);
+    console.log(`[DEBUG] Terraform code generated by the model for ${providers.join(', ')}`);
+  }
+
+  // Model output goes through the cleanup passes, template output is already valid
+  job.stage('cleanup');
+  let modelCode = '';
+  let modelAddresses = [];
+  let cleanup = { applied: [] };
+  if (terraformCode) {
+    try {
+      const result = runCleanupPasses(terraformCode, providers);
+      modelCode = result.code;
+      modelAddresses = hcl.listBlockAddresses(hcl.parse(modelCode));
+      cleanup = { applied: result.applied };
+    } catch (err) {
+      if (!(err instanceof HclSyntaxError)) throw err;
+      // Keep the code as written so it can still be fixed through /edit
+      console.warn('[WARN] Model output is not valid HCL, skipping cleanup passes:', err.message);
+      modelCode = `${terraformCode.replace(/```(hcl|terraform)?/g, '').trim()}\n`;
+      cleanup = { applied: [], error: err.message };
+    }
+  }
+
+  const sources = {
+    templates: templateAddresses,
+    model: modelAddresses,
+    fallbackComponents: templateResult.uncovered.map((c) => c.id),
+  };
+  let cleanedTerraform = [templateResult.code, modelCode].filter(Boolean).join('\n');
+  const profileResult = profile ? { name: profile.name, applied: [], violations: [] } : null;
+
+  // Split into providers/variables/main/outputs, unparsable model output stays in main.tf as is
+  if (cleanup.error) return { files: { 'main.tf': cleanedTerraform }, sources, cleanup, profile: profileResult };
+  if (profile) {
+    const applied = generationProfiles.applyProfile(cleanedTerraform, profile);
+    cleanedTerraform = applied.code;
+    profileResult.applied = applied.applied;
+  }
+  const { files } = getTarget('terraform').buildFiles(cleanedTerraform, { cloudProvider, providers, title });
+  if (profile) {
+    profileResult.violations = generationProfiles.checkProfile(files, profile);
+    profileResult.violations.forEach((v) => console.warn(`[WARN] Profile ${profile.name}: ${v.address} ${v.message}`));
+  }
+  return { files, sources, cleanup, profile: profileResult };
+}
+
+// CloudFormation, Bicep and Pulumi: the model writes the whole program from the IR, and the
+// target lays it out as project files. -> { files, sources, cleanup }
+async function generateTargetProject(job, target, irForGeneration, cloudProvider, title, cache = null) {
+  job.stage('generate');
+  const { providers } = irForGeneration;
+  const prompt = target.generationPrompt(JSON.stringify(irForGeneration, null, 2), providers);
+  const code = await getModelProvider().generate({ task: `generate-${target.name}`, prompt, cache });
+  console.log(`[DEBUG] ${target.label} code generated by the model for ${providers.join(', ')}`);
+
+  job.stage('cleanup');
+  const sources = { templates: [], model: [], fallbackComponents: irForGeneration.components.map((c) => c.id) };
+  try {
+    const { files } = target.buildFiles(code, { cloudProvider, providers, title });
+    return { files, sources, cleanup: { applied: [] } };
+  } catch (err) {
+    if (!(err instanceof CodeSyntaxError)) throw err;
+    // Keep the code as written so it can still be fixed through /edit
+    console.warn(`[WARN] Model output is not valid ${target.language}:`, err.message);
+    return { files: { [target.sourceFile]: `${code.replace(/```[a-z]*/gi, '').trim()}\n` }, sources, cleanup: { applied: [], error: err.message } };
+  }
+}
+
+// Parse every view of an upload (image, PDF page, SVG, diagram source page) -> [{ file, page, format, diagram }]
+async function parseUploadViews(job, files, cache = null) {
+  const views = await uploadIntake.readUploadViews(files, { signal: job.signal });
+  const modelViews = views.filter((view) => !uploadIntake.TEXT_FORMATS.includes(view.format));
+  const parsed = [];
+  for (const view of views) {
+    const { file, format } = view;
+    // draw.io, Mermaid and PlantUML sources are parsed directly, images go through the vision model
+    if (uploadIntake.TEXT_FORMATS.includes(format)) {
+      for (const page of importDiagramPages(view.text, format)) {
+        console.log(`[DEBUG] Imported ${format} diagram ${file}${page.name ? ` (${page.name})` : ''} with ${page.diagram.components.length} component(s)`);
+        parsed.push({ file, page: page.name, format, diagram: page.diagram });
+      }
+      continue;
+    }
+    const position = { index: modelViews.indexOf(view), count: modelViews.length };
+    const rawGeminiResponse = await processImageWithGemini(view, position, cache);
+    console.log('[DEBUG] Raw Gemini response:', rawGeminiResponse);
+    parsed.push({ file, page: view.page, format, diagram: parseDiagramResponse(rawGeminiResponse) });
+  }
+  return parsed;
+}
+
+// Provider of the diagram: the one the parser detected, else `requested` (?cloudProvider= or
+// --provider), else the provider most components belong to
+function resolveCloudProvider(parsedDiagramJson, requested = null) {
+  let cloudProvider = resolveProviderName(parsedDiagramJson.cloudProvider) || 'unknown';
+  const supportedProviders = getSupportedProviders();
+
+  if (cloudProvider === 'unknown') {
+    // If the user explicitly provided a cloudProvider, prioritize it
+    const userProvidedProvider = requested ? requested.toLowerCase() : null;
+
+    if (userProvidedProvider && supportedProviders.includes(userProvidedProvider)) {
+      cloudProvider = userProvidedProvider;
+      console.log(`[INFO] AI could not detect provider, using user-specified provider: ${cloudProvider}`);
+    } else if (userProvidedProvider && !supportedProviders.includes(userProvidedProvider)) {
+      throw new JobFailure(`Unsupported cloud provider specified: '${userProvidedProvider}'. Supported are: ${supportedProviders.join(', ')}.`, {
+        status: 400,
+        details: { action: 'Please specify a supported cloud provider in the query parameter (e.g., ?cloudProvider=aws).' },
+      });
+    } else if (detectPrimaryProvider(parsedDiagramJson)) {
+      // Mixed or unlabelled diagrams: the provider most components belong to
+      cloudProvider = detectPrimaryProvider(parsedDiagramJson);
+      console.log(`[INFO] AI could not detect provider, using the provider of most components: ${cloudProvider}`);
+    } else {
+      // AI could not detect, and user did not specify
+      throw new JobFailure('Could not confidently identify the cloud provider from the diagram.', {
+        status: 400,
+        details: { action: `Please specify the cloud provider manually in the query parameter (e.g., ?cloudProvider=aws). Supported providers are: ${supportedProviders.join(', ')}.` },
+      });
+    }
+  }
+  return cloudProvider;
+}
+
+// Parse the views of diagram files ([{ path, originalname }], format and mimeType when already
+// detected), merge them into one architecture and detect its provider.
+// -> { diagramName, diagramFormat, title, views, ir }
+async function extractArchitecture(job, uploads, requestedProvider, cache) {
+  console.log('[DEBUG] Received diagram(s):', uploads.map((file) => file.path).join(', '));
+
+  job.stage('parse-diagram');
+  const parsedViews = await parseUploadViews(job, uploads, cache);
+  // The parser answers with an 'error' block for images that are not architecture diagrams.
+  // With several views only the ones that are diagrams are used.
+  const diagramViews = parsedViews.filter((view) => !(view.diagram && view.diagram.error));
+  if (!diagramViews.length) {
+    throw new JobFailure(parsedViews[0].diagram.error, { status: 400 });
+  }
+  parsedViews.filter((view) => !diagramViews.includes(view)).forEach((view) => {
+    console.warn(`[WARN] Skipping ${view.file}${view.page ? ` page ${view.page}` : ''}: ${view.diagram.error}`);
+  });
+  const parsedDiagramJson = mergeDiagrams(diagramViews.map((view) => view.diagram));
+  console.log('[DEBUG] Parsed JSON successfully');
+  const formats = [...new Set(parsedViews.map((view) => view.format))];
+  const views = parsedViews.map(({ file, page, format, diagram }) => ({
+    file,
+    page,
+    format,
+    components: diagram.error ? 0 : (diagram.components || []).length,
+    ...(diagram.error ? { error: diagram.error } : {}),
+  }));
+
+  // --- Cloud Provider Detection Logic ---
+  job.stage('detect-provider');
+  const cloudProvider = resolveCloudProvider(parsedDiagramJson, requestedProvider);
+  console.log(`[INFO] Detected/Using cloud provider: ${cloudProvider}`);
+
+  // Validate and normalize onto the canonical component catalog before generation
+  const ir = buildDiagramIr(parsedDiagramJson, cloudProvider);
+  ir.issues.forEach((issue) => console.warn(`[WARN] IR ${issue.path}: ${issue.message}`));
+  if (ir.providers.length > 1) console.log(`[INFO] Diagram mixes providers: ${ir.providers.join(', ')}`);
+
+  return {
+    diagramName: uploads.map((file) => file.originalname).join(', '),
+    diagramFormat: formats.length === 1 ? formats[0] : 'mixed',
+    title: path.parse(uploads[0].originalname).name,
+    views,
+    ir,
+  };
+}
+
+// Project files of `target` for an IR. -> { files, sources, cleanup, profile }
+async function generateCode(job, diagramIr, { target, profile, cache, title }) {
+  const { cloudProvider, providers } = diagramIr;
+  // Every provider of the diagram has to be supported by the target
+  const unsupportedProviders = providers.filter((provider) => !target.providers.includes(provider));
+  if (unsupportedProviders.length) {
+    const suitableTargets = listTargets().filter((t) => providers.every((provider) => t.providers.includes(provider)));
+    throw new JobFailure(`${target.label} cannot be generated for ${unsupportedProviders.map((p) => p.toUpperCase()).join(', ')} components.`, {
+      status: 400,
+      details: { action: `Use a target that supports ${providers.join(', ')}: ${suitableTargets.map((t) => t.name).join(', ') || 'none'}.` },
+    });
+  }
+
+  const { issues, ...irForGeneration } = diagramIr;
+  const { files, sources, cleanup, profile: profileResult = null } = target.name === 'terraform'
+    ? await generateTerraformProject(job, irForGeneration, cloudProvider, title, profile, cache)
+    : await generateTargetProject(job, target, irForGeneration, cloudProvider, title, cache);
+  return { files, sources, cleanup, profile: profileResult };
+}
+
+// Failure of a pipeline step as the JobFailure the API answers with
+function toJobFailure(job, err, message) {
+  if (err instanceof uploadIntake.UnsupportedUploadError) {
+    return new JobFailure(err.message, { status: err.status });
+  }
+  if (err instanceof DiagramValidationError) {
+    console.error('[ERROR] Diagram failed validation:', err.issues);
+    return new JobFailure(err.message, { status: 422, details: { issues: err.issues } });
+  }
+  if (!(err instanceof JobFailure) && !job.signal.aborted) {
+    console.error(`[ERROR] ${message}:`, err);
+    return new JobFailure(message);
+  }
+  return err;
+}
+
+// The architecture extracted from diagram files, for review before generating: the IR with the
+// diagram's name, format and views. It can be edited and passed to generateFromArchitecture.
+// `cache` is the response cache session, a new one when not given.
+// -> { architecture: { version, diagramName, diagramFormat, views, cloudProvider, providers, components, connections, issues }, cache }
+async function analyzeDiagram(job, uploads, { cloudProvider = null, cache = createCacheSession() } = {}) {
+  try {
+    const { diagramName, diagramFormat, views, ir } = await extractArchitecture(job, uploads, cloudProvider, cache);
+    const { version, ...rest } = ir;
+    return { architecture: { version, diagramName, diagramFormat, views, ...rest }, cache: summarizeSession(cache) };
+  } catch (err) {
+    throw toJobFailure(job, err, 'Error analyzing the diagram');
+  }
+}
+
+// Project files of `target` from an architecture document, as analyzeDiagram returns it and
+// possibly edited: components can be added, removed, retyped or moved to another provider, and
+// connections changed. It is validated and normalized again, the provider it names wins over
+// `cloudProvider`. -> like convertDiagram
+async function generateFromArchitecture(job, architecture, { target = getTarget(), cloudProvider: requestedProvider = null, profile = null, cache = createCacheSession() } = {}) {
+  try {
+    // Structural errors first, the provider of an architecture without components is of no interest
+    const structuralIssues = validateDiagram(architecture);
+    if (structuralIssues.length) {
+      throw new DiagramValidationError(`The architecture failed validation with ${structuralIssues.length} error(s).`, structuralIssues);
+    }
+    const cloudProvider = resolveCloudProvider(architecture, requestedProvider);
+    const ir = buildDiagramIr(architecture, cloudProvider);
+    ir.issues.forEach((issue) => console.warn(`[WARN] IR ${issue.path}: ${issue.message}`));
+    const diagramName = typeof architecture.diagramName === 'string' && architecture.diagramName ? architecture.diagramName : null;
+    const title = projectStore.projectTitle({ diagramName }) || 'architecture';
+
+    const generated = await generateCode(job, ir, { target, profile, cache, title });
+    return {
+      cloudProvider,
+      providers: ir.providers,
+      target: target.name,
+      diagramName,
+      diagramFormat: typeof architecture.diagramFormat === 'string' ? architecture.diagramFormat : 'architecture',
+      title,
+      views: Array.isArray(architecture.views) ? architecture.views : [],
+      ir,
+      ...generated,
+      cache: summarizeSession(cache),
+      generatedBy: describeGeneration(cache),
+    };
+  } catch (err) {
+    throw toJobFailure(job, err, `Error generating ${target.label} code`);
+  }
+}
+
+// Diagram files to project files of `target` in one go, analyzeDiagram and generateFromArchitecture
+// without the review in between. Views of several files are merged into one architecture.
+// -> { cloudProvider, providers, target, diagramName, diagramFormat, title, views, files, ir, sources, cleanup, profile, cache, generatedBy }
+async function convertDiagram(job, uploads, { target = getTarget(), cloudProvider: requestedProvider = null, profile = null, cache = createCacheSession() } = {}) {
+  try {
+    const { diagramName, diagramFormat, title, views, ir } = await extractArchitecture(job, uploads, requestedProvider, cache);
+    const generated = await generateCode(job, ir, { target, profile, cache, title });
+    return {
+      cloudProvider: ir.cloudProvider,
+      providers: ir.providers,
+      target: target.name,
+      diagramName,
+      diagramFormat,
+      title,
+      views,
+      ir,
+      ...generated,
+      cache: summarizeSession(cache),
+      generatedBy: describeGeneration(cache),
+    };
+  } catch (err) {
+    throw toJobFailure(job, err, `Error generating ${target.label} code`);
+  }
+}
+
+// Apply an instruction to the code of a project ({ target, cloudProvider, providers, diagramName, layout, files, code })
+// and split the result back into its files. Throws HclSyntaxError/CodeSyntaxError for unreadable output.
+// -> { code, files }, `code` as the editor returned it
+async function editCode(project, instruction, { cache = null } = {}) {
+  const code = await editTargetCode(project.code, instruction, getTarget(project.target), cache, { layout: project.layout });
+  const { files } = projectStore.projectFiles(project, code);
+  return { code, files };
+}
+
+// Apply an instruction to a stored project and save the result as a new revision. With
+// `repairOptions.enabled` (repairLoop.resolveRepairOptions) the validate-and-repair loop checks
+// the edit, other repairOptions (signal, onOutput) are passed on to it. `cache` is the response
+// cache session of the request.
+// -> { code, files, repair, profile, revision, previousRevision, diff, cache }
+async function editProject(current, instruction, repairOptions, cache = createCacheSession()) {
+  const target = getTarget(current.target);
+
+  // The repair loop also fixes edits that do not parse, so it does the saving itself
+  let project;
+  let repair = null;
+  if (repairOptions.enabled) {
+    const updatedCode = await editTargetCode(current.code, instruction, target, cache, { layout: current.layout });
+    ({ project, ...repair } = await validateAndRepair(current, updatedCode, { ...repairOptions, instruction, cache }));
+  } else {
+    // The model edits all .tf files (or the template/program) as one document, split back into the project files
+    const { files } = await editCode(current, instruction, { cache });
+    project = projectStore.updateProjectFiles(current.id, files, { kind: 'edit', instruction, generatedBy: describeGeneration(cache) });
+  }
+  console.log(`[DEBUG] Updated ${target.label} files saved for project:`, current.id, 'revision', project.revision);
+
+  return {
+    code: project.code,
+    files: project.files,
+    repair,
+    profile: checkProjectProfile(project, project.files),
+    revision: project.revision,
+    previousRevision: current.revision,
+    diff: diffFiles(current.files, project.files),
+    cache: summarizeSession(cache),
+  };
+}
+
+// Edits can drop required tags or rename resources, so projects with a profile are checked against it again.
+// -> { name, violations } or null without a profile
+function checkProjectProfile(project, files) {
+  if (!project.profile || getTarget(project.target).name !== 'terraform') return null;
+  try {
+    const profile = generationProfiles.getProfile(project.profile);
+    if (!profile) return { name: project.profile, violations: null, error: 'The profile no longer exists' };
+    return { name: profile.name, violations: generationProfiles.checkProfile(files, profile) };
+  } catch (err) {
+    if (!(err instanceof HclSyntaxError) && !(err instanceof generationProfiles.ProfileError)) throw err;
+    console.warn(`[WARN] Could not check ${project.id || 'the project'} against profile ${project.profile}:`, err.message);
+    return { name: project.profile, violations: null, error: err.message };
+  }
+}
+
+// Lint a project directory with the tools of its target -> { passed, output, steps }
+function lintDirectory(job, dir, target = getTarget()) {
+  return target.name === 'terraform' ? runLintJob(job, dir) : runTargetLintJob(job, dir, target);
+}
+
+// Price a Terraform directory -> { report (parsed, see costReport.js), output, priceSheet, steps }
+async function estimateCost(job, dir) {
+  const { output, format, plan, priceSheet, steps } = await runCostJob(job, dir);
+  const report = parseCostReport(output, { format, plan });
+  if (report.unpriced.length) console.warn('[WARN] No price for:', report.unpriced.join(', '));
+  return { report, output, priceSheet, steps };
+}
+
+// Price a stored project, keep the estimate in its cost history and compare it with the previous
+// revision's. `budget` is a monthly amount or null.
+// -> the estimate with { budget, change, summary, priceSheet, report (oiq output), steps }
+async function estimateProjectCost(job, project, budget = null) {
+  const { report, output, priceSheet, steps } = await estimateCost(job, projectStore.getProjectDir(project.id));
+  const previous = previousEstimate(projectStore.listCostEstimates(project.id), project.revision);
+  const estimate = projectStore.addCostEstimate(project.id, { revision: project.revision, ...report });
+  const change = costChange(previous, estimate);
+  return {
+    ...estimate,
+    budget: budgetStatus(estimate.total, budget),
+    change,
+    summary: describeCostChange(change),
+    priceSheet,
+    report: output,
+    steps,
+  };
+}
+
+module.exports = {
+  convertDiagram,
+  analyzeDiagram,
+  generateFromArchitecture,
+  resolveCloudProvider,
+  editCode,
+  editProject,
+  checkProjectProfile,
+  lintDirectory,
+  estimateCost,
+  estimateProjectCost,
+  processImageWithGemini,
+  generateTerraformFromJson,
+};
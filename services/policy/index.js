@@ -0,0 +1,260 @@
+// services/policy/index.js
+// Security and compliance checks over a module's HCL files or a plan's JSON.
+//
+// Rules are declarative JSON (see builtinRules.json). A rule applies to resources of the
+// types in `resource` ("*" for all) and of the block kinds in `kind` (default "resource"),
+// and reports a finding when its `deny` condition holds or its `require` condition does not.
+//
+// Conditions combine:
+//   { "attribute": "ingress.cidr_blocks", "exists" | "equals" | "in" | "contains" | "matches" | "literal": ... }
+//   { "attributePattern": "^(password|secret)$", ... }  same checks on every attribute whose name matches
+//   { "attribute": "ingress", "some": { condition } }    holds when one of the nested blocks matches
+//   { "address": "regex" }                               matches the resource address
+//   { "referencedBy": "aws_flow_log" }                   another resource of that type refers to this one
+//   { "all": [...] }, { "any": [...] }, { "not": { ... } }
+// Several checks in one condition must all hold. A check on an unknown value (a reference,
+// a function call) neither holds nor fails, so it never produces a finding on its own.
+//
+// Teams add rules with POLICY_RULES_PATH, a JSON file or a directory of them in the same
+// format. A rule with the id of a built-in one replaces it, and ids under `disable` are dropped.
+const fs = require('fs');
+const path = require('path');
+const { resourcesFromFiles, resourcesFromPlan, isUnknown } = require('./resources');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const KINDS = ['resource', 'data', 'provider', 'variable'];
+const CHECKS = ['exists', 'equals', 'in', 'contains', 'matches', 'literal', 'some'];
+const CONDITION_KEYS = ['attribute', 'attributePattern', 'address', 'referencedBy', 'all', 'any', 'not', ...CHECKS];
+const BUILTIN_RULES_PATH = path.join(__dirname, 'builtinRules.json');
+const CUSTOM_RULES_PATH = process.env.POLICY_RULES_PATH || path.join(__dirname, '..', '..', 'policies');
+
+class PolicyRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyRuleError';
+  }
+}
+
+// --- Rule files ---
+
+function validateCondition(condition, where) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new PolicyRuleError(`${where}: a condition must be an object`);
+  }
+  const keys = Object.keys(condition);
+  const unknownKey = keys.find((key) => !CONDITION_KEYS.includes(key));
+  if (unknownKey) throw new PolicyRuleError(`${where}: unknown condition key "${unknownKey}"`);
+  if (!keys.length) throw new PolicyRuleError(`${where}: empty condition`);
+  if (keys.some((key) => CHECKS.includes(key)) && !condition.attribute && !condition.attributePattern) {
+    throw new PolicyRuleError(`${where}: ${keys.filter((key) => CHECKS.includes(key)).join(', ')} needs an attribute or attributePattern`);
+  }
+  for (const key of ['attributePattern', 'address', 'matches']) {
+    if (condition[key] === undefined) continue;
+    try {
+      new RegExp(condition[key]);
+    } catch (err) {
+      throw new PolicyRuleError(`${where}: invalid ${key}: ${err.message}`);
+    }
+  }
+  for (const key of ['all', 'any']) {
+    if (condition[key] === undefined) continue;
+    if (!Array.isArray(condition[key])) throw new PolicyRuleError(`${where}: ${key} must be a list of conditions`);
+    condition[key].forEach((child, i) => validateCondition(child, `${where}.${key}[${i}]`));
+  }
+  if (condition.not !== undefined) validateCondition(condition.not, `${where}.not`);
+  if (condition.some !== undefined) validateCondition(condition.some, `${where}.some`);
+}
+
+function validateRule(rule, source) {
+  const where = `${source}: rule ${rule && rule.id ? rule.id : '(no id)'}`;
+  if (!rule || typeof rule.id !== 'string' || !rule.id) throw new PolicyRuleError(`${where}: id is required`);
+  if (typeof rule.title !== 'string' || !rule.title) throw new PolicyRuleError(`${where}: title is required`);
+  if (!SEVERITIES.includes(rule.severity)) throw new PolicyRuleError(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+  const types = [].concat(rule.resource || []);
+  if (!types.length || types.some((type) => typeof type !== 'string')) throw new PolicyRuleError(`${where}: resource must be a type, a list of types or "*"`);
+  const kinds = [].concat(rule.kind || 'resource');
+  if (kinds.some((kind) => !KINDS.includes(kind))) throw new PolicyRuleError(`${where}: kind must be one of ${KINDS.join(', ')}`);
+  if (Boolean(rule.deny) === Boolean(rule.require)) throw new PolicyRuleError(`${where}: needs either deny or require`);
+  validateCondition(rule.deny || rule.require, `${where}.${rule.deny ? 'deny' : 'require'}`);
+  return { ...rule, resource: types, kind: kinds, source };
+}
+
+function readRuleFile(file) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new PolicyRuleError(`${file}: ${err.message}`);
+  }
+  const rules = Array.isArray(content) ? content : content.rules || [];
+  return { rules: rules.map((rule) => validateRule(rule, file)), disable: content.disable || [] };
+}
+
+function ruleFiles(rulesPath) {
+  if (!rulesPath || !fs.existsSync(rulesPath)) return [];
+  if (!fs.statSync(rulesPath).isDirectory()) return [rulesPath];
+  return fs.readdirSync(rulesPath)
+    .filter((name) => name.endsWith('.json'))
+    .sort()
+    .map((name) => path.join(rulesPath, name));
+}
+
+// Built-in rules merged with the team's. Files are read on every call so rule edits apply right away.
+function loadRules({ rulesPath = CUSTOM_RULES_PATH } = {}) {
+  const rules = new Map(readRuleFile(BUILTIN_RULES_PATH).rules.map((rule) => [rule.id, rule]));
+  for (const file of ruleFiles(rulesPath)) {
+    const custom = readRuleFile(file);
+    custom.rules.forEach((rule) => rules.set(rule.id, rule));
+    custom.disable.forEach((id) => rules.delete(id));
+  }
+  return [...rules.values()];
+}
+
+// --- Evaluation ---
+// Conditions evaluate to true, false or null (unknown).
+
+// Values at a dotted path; intermediate nested block lists are walked into, and an unknown
+// value on the way makes everything below it unknown
+function valuesAt(values, attributePath) {
+  let current = [values];
+  for (const key of attributePath.split('.')) {
+    current = current
+      .flatMap((value) => (Array.isArray(value) ? value : [value]))
+      .filter((value) => value && typeof value === 'object')
+      .map((value) => (isUnknown(value) ? value : value[key]))
+      .filter((value) => value !== undefined && value !== null);
+  }
+  return current;
+}
+
+function hasUnknown(value) {
+  return isUnknown(value) || (Array.isArray(value) && value.some(isUnknown));
+}
+
+// true when a known value passes, null when none does but some are unknown
+function anyValue(found, predicate) {
+  if (found.some((value) => !isUnknown(value) && predicate(value))) return true;
+  return found.some(hasUnknown) ? null : false;
+}
+
+function and(results) {
+  if (results.includes(false)) return false;
+  return results.includes(null) ? null : true;
+}
+
+function or(results) {
+  if (results.includes(true)) return true;
+  return results.includes(null) ? null : false;
+}
+
+function checkValues(condition, found, attribute, context) {
+  const results = [];
+  if (condition.exists !== undefined) results.push(found.length > 0 === condition.exists);
+  if (condition.equals !== undefined) results.push(anyValue(found, (value) => value === condition.equals));
+  if (condition.in !== undefined) results.push(anyValue(found, (value) => condition.in.includes(value)));
+  if (condition.contains !== undefined) {
+    const wanted = [].concat(condition.contains);
+    results.push(anyValue(found, (value) => (Array.isArray(value) ? value : [value]).some((item) => wanted.includes(item))));
+  }
+  if (condition.matches !== undefined) {
+    const pattern = new RegExp(condition.matches);
+    results.push(anyValue(found, (value) => (Array.isArray(value) ? value : [value]).some((item) => typeof item === 'string' && pattern.test(item))));
+  }
+  if (condition.literal !== undefined) {
+    const literal = found.length > 0 && !found.some(hasUnknown) && context.resource.isLiteral(attribute.split('.')[0]);
+    results.push(literal === condition.literal);
+  }
+  if (condition.some !== undefined) {
+    const blocks = found.flatMap((value) => (Array.isArray(value) ? value : [value])).filter((value) => value && typeof value === 'object');
+    results.push(or(blocks.map((block) => evaluate(condition.some, { ...context, values: block, prefix: `${context.prefix}${attribute}.` }))));
+  }
+  return and(results);
+}
+
+function evaluate(condition, context) {
+  const results = [];
+  const { resource, values, prefix } = context;
+
+  if (condition.attribute) {
+    const found = valuesAt(values, condition.attribute);
+    if (found.length) context.touched.push(`${prefix}${condition.attribute}`);
+    results.push(checkValues(condition, found, condition.attribute, context));
+  }
+  if (condition.attributePattern) {
+    const pattern = new RegExp(condition.attributePattern, 'i');
+    const names = Object.keys(values).filter((name) => pattern.test(name));
+    const matching = names.filter((name) => checkValues(condition, valuesAt(values, name), name, context) === true);
+    matching.forEach((name) => context.touched.push(`${prefix}${name}`));
+    results.push(matching.length > 0);
+  }
+  if (condition.address) results.push(new RegExp(condition.address, 'i').test(resource.address));
+  if (condition.referencedBy) {
+    const types = [].concat(condition.referencedBy);
+    results.push(context.resources.some((other) => types.includes(other.type) && other.kind === 'resource'
+      && [...other.references].some((reference) => reference === resource.address || reference.startsWith(`${resource.address}.`))));
+  }
+  if (condition.all) results.push(and(condition.all.map((child) => evaluate(child, context))));
+  if (condition.any) results.push(or(condition.any.map((child) => evaluate(child, context))));
+  if (condition.not) {
+    const result = evaluate(condition.not, context);
+    results.push(result === null ? null : !result);
+  }
+  return and(results);
+}
+
+function appliesTo(rule, resource) {
+  return rule.kind.includes(resource.kind) && (rule.resource.includes('*') || rule.resource.includes(resource.type));
+}
+
+// { id, ruleId, title, severity, resource, resourceType, file, line, message, remediation } per violation,
+// most severe first
+function checkResources(resources, rules) {
+  const findings = [];
+  for (const rule of rules) {
+    for (const resource of resources.filter((candidate) => appliesTo(rule, candidate))) {
+      const context = { resource, resources, values: resource.values, prefix: '', touched: [] };
+      const result = evaluate(rule.deny || rule.require, context);
+      if (rule.deny ? result !== true : result !== false) continue;
+
+      const attribute = context.touched.find((touched) => resource.lines.has(touched));
+      findings.push({
+        id: `${rule.id}:${resource.address}`,
+        ruleId: rule.id,
+        title: rule.title,
+        severity: rule.severity,
+        resource: resource.address,
+        resourceType: resource.type,
+        file: resource.file,
+        line: attribute ? resource.lines.get(attribute) : resource.line,
+        message: rule.message || rule.title,
+        remediation: rule.remediation || null,
+      });
+    }
+  }
+  const position = (finding) => `${finding.file || ''}:${String(finding.line || 0).padStart(6, '0')}`;
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || position(a).localeCompare(position(b)));
+}
+
+function report(resources, rules, source) {
+  const findings = checkResources(resources, rules);
+  const summary = Object.fromEntries(SEVERITIES.map((severity) => [severity, findings.filter((f) => f.severity === severity).length]));
+  return { source, rules: rules.length, resources: resources.length, summary, findings };
+}
+
+// Check the module files of a project, { 'main.tf': source, ... }
+function checkFiles(files, { rules = loadRules() } = {}) {
+  return report(resourcesFromFiles(files), rules, 'hcl');
+}
+
+// Check the `terraform show -json` output of a plan
+function checkPlan(plan, { rules = loadRules() } = {}) {
+  return report(resourcesFromPlan(plan), rules, 'plan');
+}
+
+// Instruction for the code editor to fix the given findings
+function fixInstruction(findings) {
+  const lines = findings.map((finding) => `- ${finding.resource}${finding.line ? ` (${finding.file}:${finding.line})` : ''}: ${finding.title}.${finding.remediation ? ` ${finding.remediation}` : ''}`);
+  return `Fix these security findings without changing anything else:\n${lines.join('\n')}`;
+}
+
+module.exports = { loadRules, checkResources, checkFiles, checkPlan, fixInstruction, SEVERITIES, PolicyRuleError };
@@ -0,0 +1,200 @@
+// services/policy/resources.js
+// The resources policies are checked against, read from the module's HCL files or from the
+// `terraform show -json` output of a plan:
+//   { address, type, kind, file, line, values, lines, references, isLiteral(attribute) }
+// `kind` is 'resource', 'data', 'provider' or 'variable' (with the variable name as type). `values` is a plain object shaped like plan JSON:
+// nested blocks are arrays of objects. In HCL, values that are not literals (references,
+// function calls, templates) are unknown, so rules neither pass nor fail on them.
+const hcl = require('../hcl');
+
+const UNKNOWN = Symbol('unknown');
+const KEYWORDS = { true: true, false: false, null: null };
+const REFERENCE = /\b(data\.[a-z][\w-]*\.[\w-]+|module\.[\w-]+|[a-z][a-z0-9]*_[\w-]+\.[\w-]+)/g;
+
+function unknown(text) {
+  return { [UNKNOWN]: true, text };
+}
+
+function isUnknown(value) {
+  return Boolean(value && typeof value === 'object' && value[UNKNOWN]);
+}
+
+// Elements of a list expression, split on top-level commas
+function splitList(tokens) {
+  const elements = [];
+  let current = [];
+  let depth = 0;
+  for (const token of tokens) {
+    if (depth === 0 && token.text === ',') {
+      elements.push(current);
+      current = [];
+      continue;
+    }
+    if (['OBRACE', 'OBRACK', 'OPAREN'].includes(token.type)) depth++;
+    if (['CBRACE', 'CBRACK', 'CPAREN'].includes(token.type)) depth--;
+    current.push(token);
+  }
+  if (current.length) elements.push(current);
+  return elements;
+}
+
+function literalValue(expr) {
+  const tokens = expr.filter((token) => token.type !== 'NEWLINE' && token.type !== 'COMMENT');
+  if (tokens.length === 1) {
+    const [token] = tokens;
+    if (token.type === 'STRING') {
+      const value = hcl.stringValue(token);
+      return value === null ? unknown(token.text) : value;
+    }
+    if (token.type === 'NUMBER') return Number(token.text);
+    if (token.type === 'IDENT' && token.text in KEYWORDS) return KEYWORDS[token.text];
+  }
+  if (tokens.length === 2 && tokens[0].text === '-' && tokens[1].type === 'NUMBER') return -Number(tokens[1].text);
+  if (tokens.length >= 2 && tokens[0].type === 'OBRACK' && tokens[tokens.length - 1].type === 'CBRACK') {
+    return splitList(tokens.slice(1, -1)).map(literalValue);
+  }
+  // Maps like tags = { owner = "team" }
+  const entries = hcl.objectEntries(expr.filter((token) => token.type !== 'COMMENT'));
+  if (entries && entries.every((entry) => entry.tokens.length > 2 && ['=', ':'].includes(entry.tokens[1].text))) {
+    return Object.fromEntries(entries.map((entry) => [entry.key, literalValue(entry.tokens.slice(2))]));
+  }
+  return unknown(hcl.expressionText(expr));
+}
+
+// Block body -> plain object, recording the line of every attribute path ("ingress.cidr_blocks")
+function bodyValues(body, lines, references, prefix = '') {
+  const values = {};
+  for (const item of body.items) {
+    if (item.type === 'attribute') {
+      const text = hcl.expressionText(item.expr).replace(/\s*\.\s*/g, '.');
+      for (const match of text.matchAll(REFERENCE)) references.add(match[1]);
+      values[item.name] = literalValue(item.expr);
+      const line = item.expr.find((token) => token.line);
+      if (line && !lines.has(`${prefix}${item.name}`)) lines.set(`${prefix}${item.name}`, line.line);
+    } else if (item.type === 'block') {
+      (values[item.blockType] = values[item.blockType] || []).push(bodyValues(item.body, lines, references, `${prefix}${item.blockType}.`));
+    }
+  }
+  return values;
+}
+
+// Resources of the module files, { 'main.tf': source, ... }
+function resourcesFromFiles(files) {
+  const resources = [];
+  for (const [file, source] of Object.entries(files)) {
+    if (!file.endsWith('.tf')) continue;
+    for (const block of hcl.parse(source).items) {
+      if (block.type !== 'block') continue;
+      const labels = block.labels.map(hcl.labelValue);
+      let kind = null;
+      let address = null;
+      if ((block.blockType === 'resource' || block.blockType === 'data') && labels.length === 2) {
+        kind = block.blockType;
+        address = kind === 'data' ? `data.${labels[0]}.${labels[1]}` : `${labels[0]}.${labels[1]}`;
+      } else if (block.blockType === 'provider' && labels.length === 1) {
+        kind = 'provider';
+        address = `provider.${labels[0]}`;
+      } else if (block.blockType === 'variable' && labels.length === 1) {
+        kind = 'variable';
+        address = `var.${labels[0]}`;
+      }
+      if (!kind) continue;
+
+      const lines = new Map();
+      const references = new Set();
+      const values = bodyValues(block.body, lines, references);
+      resources.push({
+        address,
+        type: labels[0],
+        kind,
+        file,
+        line: block.labels[0] ? block.labels[0].line : null,
+        values,
+        lines,
+        references,
+        isLiteral: (name) => name in values && !isUnknown(values[name]),
+      });
+    }
+  }
+  return resources;
+}
+
+// Every `references` list in a plan configuration expression
+function expressionReferences(expressions, found = new Set()) {
+  if (Array.isArray(expressions)) {
+    expressions.forEach((expression) => expressionReferences(expression, found));
+  } else if (expressions && typeof expressions === 'object') {
+    for (const [key, value] of Object.entries(expressions)) {
+      if (key === 'references' && Array.isArray(value)) value.forEach((reference) => found.add(reference));
+      else expressionReferences(value, found);
+    }
+  }
+  return found;
+}
+
+// Resources of `terraform show -json` output. Plans have no file or line; literals are the
+// attributes the configuration sets to a constant.
+function resourcesFromPlan(plan) {
+  const configured = new Map();
+  const walkConfiguration = (module, prefix) => {
+    if (!module) return;
+    for (const resource of module.resources || []) configured.set(`${prefix}${resource.address}`, resource.expressions || {});
+    for (const [name, call] of Object.entries(module.module_calls || {})) walkConfiguration(call.module, `${prefix}module.${name}.`);
+  };
+  walkConfiguration(plan.configuration && plan.configuration.root_module, '');
+
+  const resources = [];
+  const walkValues = (module) => {
+    if (!module) return;
+    for (const resource of module.resources || []) {
+      const expressions = configured.get(resource.address.replace(/\[[^\]]*\]/g, '')) || {};
+      resources.push({
+        address: resource.address,
+        type: resource.type,
+        kind: resource.mode === 'data' ? 'data' : 'resource',
+        file: null,
+        line: null,
+        values: resource.values || {},
+        lines: new Map(),
+        references: expressionReferences(expressions),
+        isLiteral: (name) => Boolean(expressions[name] && 'constant_value' in expressions[name]),
+      });
+    }
+    (module.child_modules || []).forEach(walkValues);
+  };
+  walkValues(plan.planned_values && plan.planned_values.root_module);
+
+  for (const [name, provider] of Object.entries((plan.configuration && plan.configuration.provider_config) || {})) {
+    const expressions = provider.expressions || {};
+    const values = Object.fromEntries(Object.entries(expressions)
+      .map(([key, expression]) => [key, 'constant_value' in expression ? expression.constant_value : unknown(key)]));
+    resources.push({
+      address: `provider.${name}`,
+      type: provider.name || name,
+      kind: 'provider',
+      file: null,
+      line: null,
+      values,
+      lines: new Map(),
+      references: expressionReferences(expressions),
+      isLiteral: (name) => Boolean(expressions[name] && 'constant_value' in expressions[name]),
+    });
+  }
+  const variables = (plan.configuration && plan.configuration.root_module && plan.configuration.root_module.variables) || {};
+  for (const [name, variable] of Object.entries(variables)) {
+    resources.push({
+      address: `var.${name}`,
+      type: name,
+      kind: 'variable',
+      file: null,
+      line: null,
+      values: variable,
+      lines: new Map(),
+      references: new Set(),
+      isLiteral: (attribute) => attribute in variable,
+    });
+  }
+  return resources;
+}
+
+module.exports = { resourcesFromFiles, resourcesFromPlan, isUnknown };
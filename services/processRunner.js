@@ -0,0 +1,90 @@
+// services/processRunner.js
+// Spawn a command without a shell, streaming its output as it comes. Never rejects: a missing
+// binary, a timeout, a cancellation or too much output are reported in the result.
+// toolchainRunner.js builds the terraform/tflint/oiq policy (environment, timeouts) on top of this.
+const { spawn } = require('child_process');
+
+const KILL_GRACE_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_OUTPUT = 10 * 1024 * 1024;
+
+// { cwd, env, timeout, maxOutput, signal, input, onOutput(text, stream) }
+//   -> { exitCode, stdout, stderr, durationMs, missing, timedOut, cancelled, truncated }
+// Output beyond maxOutput bytes per stream is dropped (and not streamed), the process keeps running.
+function runProcess(command, args, {
+  cwd, env, timeout = DEFAULT_TIMEOUT_MS, maxOutput = DEFAULT_MAX_OUTPUT, signal, input, onOutput,
+} = {}) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    const result = { exitCode: null, stdout: '', stderr: '', durationMs: 0, missing: false, timedOut: false, cancelled: false, truncated: false };
+    if (signal && signal.aborted) {
+      resolve({ ...result, exitCode: 1, cancelled: true });
+      return;
+    }
+
+    let child;
+    try {
+      // Own process group, so stopping terraform also stops the provider plugins it started
+      child = spawn(command, args, { cwd, env, stdio: ['pipe', 'pipe', 'pipe'], detached: true });
+    } catch (err) {
+      resolve({ ...result, exitCode: 1, stderr: err.message, missing: err.code === 'ENOENT' });
+      return;
+    }
+
+    const signalGroup = (name) => {
+      try {
+        process.kill(-child.pid, name);
+      } catch (err) {
+        // Already gone
+      }
+    };
+    let killTimer = null;
+    const kill = () => {
+      if (killTimer) return;
+      signalGroup('SIGTERM');
+      killTimer = setTimeout(() => signalGroup('SIGKILL'), KILL_GRACE_MS);
+    };
+    const timer = timeout ? setTimeout(() => {
+      result.timedOut = true;
+      kill();
+    }, timeout) : null;
+    const onAbort = () => {
+      result.cancelled = true;
+      kill();
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const captured = { stdout: 0, stderr: 0 };
+    const capture = (stream) => (chunk) => {
+      const room = maxOutput - captured[stream];
+      if (room <= 0) {
+        result.truncated = true;
+        return;
+      }
+      const text = chunk.length > room ? chunk.subarray(0, room).toString('utf8') : chunk.toString('utf8');
+      if (chunk.length > room) result.truncated = true;
+      captured[stream] += Math.min(chunk.length, room);
+      result[stream] += text;
+      if (onOutput) onOutput(text, stream);
+    };
+    child.stdout.on('data', capture('stdout'));
+    child.stderr.on('data', capture('stderr'));
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || undefined);
+
+    const finish = (exitCode) => {
+      if (timer) clearTimeout(timer);
+      if (killTimer) clearTimeout(killTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve({ ...result, exitCode, durationMs: Date.now() - startedAt });
+    };
+    child.on('error', (err) => {
+      result.missing = err.code === 'ENOENT';
+      result.stderr += err.message;
+      finish(1);
+    });
+    child.on('close', (code) => finish(code === null ? 1 : code));
+  });
+}
+
+module.exports = { runProcess };
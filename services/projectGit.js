@@ -0,0 +1,261 @@
+// services/projectGit.js
+// Projects as git working trees: with git enabled, every revision (generation, import, edit,
+// repair, revert) is committed with its instruction as the message, so the code can leave the
+// tool through a branch, a push or a patch series and go through normal code review.
+//
+// The repository lives in the project directory. Workspace files (project.json, revisions/, the
+// chat and cost history, terraform's plan and plugins) are excluded in .git/info/exclude, which
+// leaves an imported module's own .gitignore alone.
+//
+// Local operations are synchronous (they run while a revision is saved, see projectStore.js);
+// pushing goes over the network and runs through processRunner.js.
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runProcess } = require('./processRunner');
+const { scrubbedEnvironment } = require('./toolchainRunner');
+
+const GIT_TIMEOUT_MS = 30 * 1000;
+const PUSH_TIMEOUT_MS = parseInt(process.env.GIT_PUSH_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+const MAX_OUTPUT = 50 * 1024 * 1024;
+const DEFAULT_BRANCH = 'main';
+// Used unless GIT_AUTHOR_NAME/GIT_AUTHOR_EMAIL (and the GIT_COMMITTER_ ones) are set
+const DEFAULT_IDENTITY = { name: 'AI Diagram to Terraform', email: 'ai-diagram-to-terraform@localhost' };
+
+// New projects are git working trees with PROJECT_GIT=true, ?git= decides per project
+const GIT_BY_DEFAULT = process.env.PROJECT_GIT === 'true';
+
+// Workspace files that are not part of the code
+const EXCLUDED = [
+  '/project.json',
+  '/ir.json',
+  '/costs.json',
+  '/chat.json',
+  '/revisions/',
+  '/tfplan.json',
+  '/tf.plan',
+  '.terraform/',
+  '*.tfstate',
+  '*.tfstate.backup',
+  'node_modules/',
+];
+// Written by `terraform init` and `npm install` during lint, or generated with the project
+// (.tflint.hcl, see projectStore.js); committed only when the project brought its own
+const TOOL_OUTPUTS = ['.terraform.lock.hcl', 'package-lock.json', '.tflint.hcl'];
+
+// Variables git gets on top of the scrubbed environment of the tools (toolchainRunner.js): the
+// ssh agent, and the author and committer identity
+const GIT_ENV = { names: ['SSH_AUTH_SOCK'], prefixes: ['GIT_AUTHOR_', 'GIT_COMMITTER_', 'GIT_SSH'] };
+
+// Failure with the HTTP status it maps to
+class GitError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'GitError';
+    this.status = status;
+  }
+}
+
+// ?git=true|false, or the PROJECT_GIT default when not given
+function resolveGitOption(value) {
+  if (value === undefined || value === null || value === '') return GIT_BY_DEFAULT;
+  return value === true || value === 'true' || value === '1';
+}
+
+// Remotes a project may be pushed to, from GIT_REMOTES: `name=url` pairs separated by commas or
+// whitespace, e.g. `review=git@github.com:acme/infra.git`. Users pick a remote by name, never by URL.
+function configuredRemotes(value = process.env.GIT_REMOTES) {
+  const remotes = {};
+  for (const entry of (value || '').split(/[\s,]+/).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    if (separator > 0) remotes[entry.slice(0, separator)] = entry.slice(separator + 1);
+    else console.warn(`[WARN] Ignoring GIT_REMOTES entry without a name: ${entry}`);
+  }
+  return remotes;
+}
+
+function gitEnvironment(source = process.env) {
+  // Fail instead of waiting for a password nobody can type
+  return { ...scrubbedEnvironment(source, GIT_ENV), GIT_TERMINAL_PROMPT: '0', GIT_CONFIG_NOSYSTEM: '1' };
+}
+
+function identityArgs() {
+  return ['-c', `user.name=${DEFAULT_IDENTITY.name}`, '-c', `user.email=${DEFAULT_IDENTITY.email}`];
+}
+
+// Run git in `dir` -> stdout; throws GitError with git's message when it fails
+function git(dir, args, { input } = {}) {
+  const result = spawnSync('git', [...identityArgs(), ...args], {
+    cwd: dir,
+    env: gitEnvironment(),
+    input,
+    encoding: 'utf8',
+    timeout: GIT_TIMEOUT_MS,
+    maxBuffer: MAX_OUTPUT,
+  });
+  if (result.error) {
+    if (result.error.code === 'ENOENT') throw new GitError('git is not installed on the server.', 503);
+    throw new GitError(`git ${args[0]} failed: ${result.error.message}`);
+  }
+  if (result.status !== 0) throw new GitError(`git ${args[0]} failed: ${(result.stderr || result.stdout).trim()}`);
+  return result.stdout;
+}
+
+function isRepository(dir) {
+  return fs.existsSync(path.join(dir, '.git'));
+}
+
+function requireRepository(dir) {
+  if (!isRepository(dir)) throw new GitError('The project is not a git repository, enable git for it first.', 409);
+}
+
+// `keep`: tool outputs that are files of the project, e.g. the lock file of imported Terraform
+function writeExcludes(dir, keep = []) {
+  const excluded = [...EXCLUDED, ...TOOL_OUTPUTS.filter((name) => !keep.includes(name)).map((name) => `/${name}`)];
+  fs.writeFileSync(path.join(dir, '.git', 'info', 'exclude'), `# Project workspace files, see services/projectGit.js\n${excluded.join('\n')}\n`);
+}
+
+function initRepository(dir, { keep = [] } = {}) {
+  git(dir, ['init', '--quiet', `--initial-branch=${DEFAULT_BRANCH}`]);
+  fs.mkdirSync(path.join(dir, '.git', 'info'), { recursive: true });
+  writeExcludes(dir, keep);
+  console.log('[DEBUG] Initialized git repository in', dir);
+}
+
+// The commit message of a revision: the instruction, or what produced the revision, followed
+// by trailers linking the commit back to the revision and the model
+function commitMessage(revision, summary) {
+  const lines = [revision.instruction || summary, '', `Revision: ${revision.number}`, `Kind: ${revision.kind}`];
+  const { generatedBy } = revision;
+  if (generatedBy && Object.keys(generatedBy.promptVersions || {}).length) {
+    const prompts = Object.entries(generatedBy.promptVersions).map(([task, version]) => `${task} v${version}`).join(', ');
+    lines.push(`Generated-By: ${[generatedBy.provider, generatedBy.model].filter(Boolean).join(' ')} (${prompts})`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Commit the working tree as `revision` ({ number, kind, instruction, generatedBy }) -> commit id.
+// Every revision gets a commit, even one without changes to the tracked files.
+function commitRevision(dir, revision, summary) {
+  git(dir, ['add', '--all']);
+  git(dir, ['commit', '--quiet', '--allow-empty', '--no-verify', '--file=-'], { input: commitMessage(revision, summary) });
+  return git(dir, ['rev-parse', 'HEAD']).trim();
+}
+
+function currentBranch(dir) {
+  return git(dir, ['symbolic-ref', '--quiet', '--short', 'HEAD']).trim();
+}
+
+function validateBranchName(dir, name) {
+  if (typeof name !== 'string' || !name) throw new GitError('A branch name is required.', 400);
+  const invalid = new GitError(`'${name}' is not a valid branch name.`, 400);
+  if (name.startsWith('-')) throw invalid;
+  try {
+    git(dir, ['check-ref-format', '--branch', name]);
+  } catch (err) {
+    if (err.status === 503) throw err;
+    throw invalid;
+  }
+}
+
+function branchExists(dir, name) {
+  try {
+    git(dir, ['rev-parse', '--verify', '--quiet', `refs/heads/${name}`]);
+    return true;
+  } catch (err) {
+    if (err.status === 503) throw err;
+    return false;
+  }
+}
+
+// -> { enabled, branch, head, branches, remotes, commits } with the commits of the current branch, newest first
+function repositoryStatus(dir, { limit = 50 } = {}) {
+  if (!isRepository(dir)) return { enabled: false, remotes: Object.keys(configuredRemotes()) };
+  const log = git(dir, ['log', `--max-count=${limit}`, '--format=%H%x1f%s%x1f%aI%x1f%(trailers:key=Revision,valueonly,separator=)%x1e']);
+  const commits = log.split('\x1e').map((record) => record.trim()).filter(Boolean).map((record) => {
+    const [commit, subject, date, revision] = record.split('\x1f');
+    return { commit, subject, date, revision: revision ? Number(revision) : null };
+  });
+  return {
+    enabled: true,
+    branch: currentBranch(dir),
+    head: commits.length ? commits[0].commit : null,
+    branches: git(dir, ['branch', '--format=%(refname:short)']).split('\n').filter(Boolean),
+    remotes: Object.keys(configuredRemotes()),
+    commits,
+  };
+}
+
+// Create `name` at `commit` (the current one by default) and optionally switch to it, so the
+// following revisions are committed there. Switching only to the current commit keeps the
+// project files and the working tree in step.
+function createBranch(dir, name, { commit = 'HEAD', checkout = true } = {}) {
+  requireRepository(dir);
+  validateBranchName(dir, name);
+  if (branchExists(dir, name)) throw new GitError(`Branch '${name}' already exists.`, 409);
+  const target = git(dir, ['rev-parse', '--verify', `${commit}^{commit}`]).trim();
+  if (checkout && target !== git(dir, ['rev-parse', 'HEAD']).trim()) {
+    throw new GitError('Only a branch at the current revision can be checked out, create it with checkout: false.', 400);
+  }
+  if (checkout) git(dir, ['switch', '--quiet', '--create', name]);
+  else git(dir, ['branch', name, target]);
+  console.log(`[DEBUG] Created branch ${name} at ${target.slice(0, 12)} in`, dir);
+  return { branch: name, commit: target, checkedOut: checkout };
+}
+
+// The commits after `from` up to `to` as a `git format-patch` mbox, ready for `git am`.
+// Without `from` the series starts with the first commit.
+function formatPatches(dir, { from = null, to = 'HEAD' } = {}) {
+  requireRepository(dir);
+  const range = from ? [`${from}..${to}`] : ['--root', to];
+  return git(dir, ['format-patch', '--stdout', '--no-signature', ...range]);
+}
+
+// Push `branch` (the current one by default) to the configured remote `remote`.
+// -> { remote, branch, commit, output }
+async function pushBranch(dir, { remote: name, branch, signal } = {}) {
+  requireRepository(dir);
+  const remotes = configuredRemotes();
+  const names = Object.keys(remotes);
+  if (!names.length) throw new GitError('No git remotes are configured, set GIT_REMOTES to allow pushing.', 403);
+  const remote = name || (names.length === 1 ? names[0] : null);
+  if (!remote) throw new GitError(`Name the remote to push to: ${names.join(', ')}.`, 400);
+  if (!remotes[remote]) throw new GitError(`Unknown remote '${remote}'. Configured are: ${names.join(', ')}.`, 400);
+
+  const pushed = branch || currentBranch(dir);
+  validateBranchName(dir, pushed);
+  if (!branchExists(dir, pushed)) throw new GitError(`No such branch: ${pushed}`, 404);
+  const commit = git(dir, ['rev-parse', `refs/heads/${pushed}`]).trim();
+
+  const result = await runProcess('git', [...identityArgs(), 'push', '--porcelain', remotes[remote], `refs/heads/${pushed}:refs/heads/${pushed}`], {
+    cwd: dir,
+    env: gitEnvironment(),
+    timeout: PUSH_TIMEOUT_MS,
+    maxOutput: 1024 * 1024,
+    signal,
+  });
+  const output = `${result.stdout}${result.stderr}`.trim();
+  if (result.missing) throw new GitError('git is not installed on the server.', 503);
+  if (result.timedOut) throw new GitError(`Pushing to ${remote} timed out after ${PUSH_TIMEOUT_MS / 1000}s.`, 504);
+  if (result.exitCode !== 0) {
+    // A rejected push (the remote branch has other commits) is a conflict, anything else a failure
+    const rejected = /\[rejected\]|\[remote rejected\]|non-fast-forward|fetch first/.test(output);
+    throw new GitError(`Pushing ${pushed} to ${remote} failed: ${output}`, rejected ? 409 : 502);
+  }
+  console.log(`[DEBUG] Pushed ${pushed} (${commit.slice(0, 12)}) to ${remote} from`, dir);
+  return { remote, branch: pushed, commit, output };
+}
+
+module.exports = {
+  GIT_BY_DEFAULT,
+  GitError,
+  resolveGitOption,
+  configuredRemotes,
+  isRepository,
+  initRepository,
+  commitRevision,
+  repositoryStatus,
+  createBranch,
+  formatPatches,
+  pushBranch,
+};
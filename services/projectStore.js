@@ -0,0 +1,386 @@
+// services/projectStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getTarget, DEFAULT_TARGET } = require('./iacTargets');
+const { combineFileSections, splitFileSections } = require('./terraformModule');
+const projectGit = require('./projectGit');
+
+const PROJECTS_DIR = process.env.PROJECTS_DIR || path.join(__dirname, '..', 'projects');
+const META_FILE = 'project.json';
+const IR_FILE = 'ir.json';
+const REVISIONS_DIR = 'revisions';
+const REVISION_META_FILE = 'revision.json';
+const COSTS_FILE = 'costs.json';
+const MAX_COST_ESTIMATES = 100;
+const CHAT_FILE = 'chat.json';
+const MAX_CHAT_MESSAGES = 200;
+
+const tflintConfig = `
+plugin "terraform" {
+  enabled = true
+  preset  = "recommended"
+}
+`;
+
+// Project IDs end up in filesystem paths, so only accept what crypto.randomUUID produces
+function isValidProjectId(id) {
+  return typeof id === 'string' && /^[0-9a-f-]{36}$/.test(id);
+}
+
+function getProjectDir(id) {
+  return path.join(PROJECTS_DIR, id);
+}
+
+function getProjectFilePath(id, name) {
+  return path.join(getProjectDir(id), name);
+}
+
+// Projects created before the module layout kept everything in a single tfFile
+function moduleFileNames(meta) {
+  return meta.files || [meta.tfFile];
+}
+
+// Name of the module generated from the project's diagram, the first one for uploads of several files
+function projectTitle(project) {
+  return project.diagramName ? path.parse(project.diagramName.split(', ')[0]).name : undefined;
+}
+
+// Generated projects use the file layout of their target, imported Terraform (terraformImport.js)
+// keeps its own files
+function isImported(meta) {
+  return meta.layout === 'imported';
+}
+
+// The code the editor and the UI work on, e.g. all .tf files of a Terraform module
+function projectCode(meta, files) {
+  return isImported(meta) ? combineFileSections(files) : getTarget(meta.target).combine(files);
+}
+
+// The files of code from the editor, the inverse of projectCode -> { files }.
+// Throws HclSyntaxError/CodeSyntaxError for unreadable code.
+function projectFiles(project, code) {
+  if (isImported(project)) return splitFileSections(code, project.files);
+  return getTarget(project.target).buildFiles(code, { cloudProvider: project.cloudProvider, providers: project.providers, title: projectTitle(project) });
+}
+
+function readFiles(id, names) {
+  return Object.fromEntries(names
+    .filter((name) => fs.existsSync(getProjectFilePath(id, name)))
+    .map((name) => [name, fs.readFileSync(getProjectFilePath(id, name), 'utf8')]));
+}
+
+// Names may have directories, e.g. modules/vpc/main.tf of imported Terraform
+function writeFiles(id, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(getProjectFilePath(id, name)), { recursive: true });
+    fs.writeFileSync(getProjectFilePath(id, name), content);
+  }
+}
+
+function readMeta(id) {
+  const metaPath = path.join(getProjectDir(id), META_FILE);
+  if (!fs.existsSync(metaPath)) return null;
+  return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+}
+
+function writeMeta(meta) {
+  fs.writeFileSync(path.join(getProjectDir(meta.id), META_FILE), JSON.stringify(meta, null, 2));
+}
+
+// --- Revisions ---
+// Every generation, edit, repair and revert is kept as revisions/<number>/ with a copy of
+// the module files and a revision.json saying what produced it ('generate', 'import', 'edit', 'repair' or 'revert'), with the provider, model and
+// prompt versions in `generatedBy` when the model was involved. Projects with git enabled also
+// commit every revision (projectGit.js), revision.json then has the `commit`.
+
+function getRevisionDir(id, number) {
+  return path.join(getProjectDir(id), REVISIONS_DIR, String(number));
+}
+
+function writeRevision(id, number, files, { kind, instruction = null, revertedTo = null, generatedBy = null }) {
+  const revisionDir = getRevisionDir(id, number);
+  fs.mkdirSync(revisionDir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(revisionDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(revisionDir, name), content);
+  }
+  const revision = { number, kind, instruction, revertedTo, generatedBy, files: Object.keys(files), createdAt: new Date().toISOString() };
+  fs.writeFileSync(path.join(revisionDir, REVISION_META_FILE), JSON.stringify(revision, null, 2));
+  return revision;
+}
+
+// Projects created before revisions existed get their current files as revision 1
+function ensureInitialRevision(meta) {
+  if (meta.revision) return;
+  writeRevision(meta.id, 1, readFiles(meta.id, moduleFileNames(meta)), { kind: 'generate' });
+  meta.revision = 1;
+  writeMeta(meta);
+}
+
+// What a revision without an instruction did, as the commit message
+function revisionSummary(meta, revision) {
+  if (revision.kind === 'generate') return `Generate ${getTarget(meta.target).label} from ${meta.diagramName || 'the diagram'}`;
+  if (revision.kind === 'import') return `Import ${meta.diagramName || 'existing Terraform'}`;
+  return `Revision ${revision.number} (${revision.kind})`;
+}
+
+// Commit the project directory as `revision` and record the commit in revision.json. A failed
+// commit does not lose the revision, its changes go into the next commit.
+function commitRevision(meta, revision) {
+  try {
+    const commit = projectGit.commitRevision(getProjectDir(meta.id), revision, revisionSummary(meta, revision));
+    const committed = { ...revision, commit };
+    fs.writeFileSync(path.join(getRevisionDir(meta.id, revision.number), REVISION_META_FILE), JSON.stringify(committed, null, 2));
+    return committed;
+  } catch (err) {
+    if (!(err instanceof projectGit.GitError)) throw err;
+    console.warn(`[WARN] Could not commit revision ${revision.number} of project ${meta.id}:`, err.message);
+    return revision;
+  }
+}
+
+// Files the repository must not exclude as tool output, e.g. an imported lock file
+function trackedNames(meta) {
+  return [...moduleFileNames(meta), ...(meta.assets || [])];
+}
+
+function sameFiles(a, b) {
+  const names = Object.keys(a);
+  return names.length === Object.keys(b).length && names.every((name) => a[name] === b[name]);
+}
+
+function readIr(id) {
+  const irPath = path.join(getProjectDir(id), IR_FILE);
+  return fs.existsSync(irPath) ? JSON.parse(fs.readFileSync(irPath, 'utf8')) : null;
+}
+
+// Create a new project workspace holding the generated code, in the layout of its IaC target, and the diagram IR it came from.
+// `generatedBy` is { provider, model, promptVersions } of the generation (llm.describeGeneration).
+// Imported Terraform has layout 'imported' and `assets`, files the code needs but the editor
+// does not see (templates, scripts, the lock file), which are not part of the revisions.
+// With `git` the project directory becomes a git repository and the revision its first commit.
+function createProject({ cloudProvider, providers = [cloudProvider], target = DEFAULT_TARGET, diagramName, diagramFormat, files, ir, sources, profile = null, generatedBy = null, layout = 'module', assets = {}, kind = 'generate', git = false }) {
+  const id = crypto.randomUUID();
+  const projectDir = getProjectDir(id);
+  fs.mkdirSync(projectDir, { recursive: true });
+
+  writeFiles(id, files);
+  const revision = writeRevision(id, 1, files, { kind, generatedBy });
+  if (target === 'terraform') fs.writeFileSync(path.join(projectDir, '.tflint.hcl'), tflintConfig);
+  writeFiles(id, assets);
+  if (ir) fs.writeFileSync(path.join(projectDir, IR_FILE), JSON.stringify(ir, null, 2));
+
+  const now = new Date().toISOString();
+  const meta = {
+    id,
+    cloudProvider,
+    providers,
+    target,
+    diagramName: diagramName || null,
+    diagramFormat: diagramFormat || 'image',
+    files: Object.keys(files),
+    layout,
+    assets: Object.keys(assets),
+    revision: 1,
+    sources: sources || null,
+    profile,
+    generatedBy,
+    git: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (git) {
+    try {
+      projectGit.initRepository(projectDir, { keep: trackedNames(meta) });
+      meta.git = true;
+      commitRevision(meta, revision);
+    } catch (err) {
+      if (!(err instanceof projectGit.GitError)) throw err;
+      console.warn(`[WARN] Could not make project ${id} a git repository:`, err.message);
+    }
+  }
+  writeMeta(meta);
+  console.log('[DEBUG] Created project', id, 'in', projectDir);
+  return { ...meta, code: projectCode(meta, files), files, ir: ir || null };
+}
+
+function getProject(id) {
+  if (!isValidProjectId(id)) return null;
+  const meta = readMeta(id);
+  if (!meta) return null;
+  ensureInitialRevision(meta);
+  const files = readFiles(id, moduleFileNames(meta));
+  return { ...meta, code: projectCode(meta, files), files, ir: readIr(id) };
+}
+
+// Summaries only, the code is fetched per project
+function listProjects() {
+  if (!fs.existsSync(PROJECTS_DIR)) return [];
+  return fs.readdirSync(PROJECTS_DIR)
+    .filter(isValidProjectId)
+    .map(readMeta)
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Replace the module files of a project, removing the ones no longer part of it, and record
+// the change as a new revision. `kind` is 'edit', 'repair' or 'revert'. Files identical to
+// the current ones do not produce a revision.
+function updateProjectFiles(id, files, { kind = 'edit', instruction = null, revertedTo = null, generatedBy = null } = {}) {
+  const meta = readMeta(id);
+  if (!meta) throw new Error(`Project not found: ${id}`);
+  ensureInitialRevision(meta);
+
+  const currentFiles = readFiles(id, moduleFileNames(meta));
+  if (sameFiles(currentFiles, files)) return { ...meta, code: projectCode(meta, files), files };
+
+  for (const name of moduleFileNames(meta)) {
+    if (!(name in files)) fs.rmSync(getProjectFilePath(id, name), { force: true });
+  }
+  writeFiles(id, files);
+  delete meta.tfFile;
+  meta.files = Object.keys(files);
+  meta.revision += 1;
+  const revision = writeRevision(id, meta.revision, files, { kind, instruction, revertedTo, generatedBy });
+  if (meta.git) commitRevision(meta, revision);
+  meta.updatedAt = new Date().toISOString();
+  writeMeta(meta);
+  console.log(`[DEBUG] Saved revision ${meta.revision} (${kind}) of project`, id);
+  return { ...meta, code: projectCode(meta, files), files };
+}
+
+function listRevisions(id) {
+  const meta = readMeta(id);
+  if (!meta) return null;
+  ensureInitialRevision(meta);
+  const revisions = [];
+  for (let number = 1; number <= meta.revision; number++) {
+    const revisionMetaPath = path.join(getRevisionDir(id, number), REVISION_META_FILE);
+    if (fs.existsSync(revisionMetaPath)) revisions.push(JSON.parse(fs.readFileSync(revisionMetaPath, 'utf8')));
+  }
+  return revisions;
+}
+
+function getRevision(id, number) {
+  const revision = (listRevisions(id) || []).find((r) => r.number === number);
+  if (!revision) return null;
+  const revisionDir = getRevisionDir(id, number);
+  const files = Object.fromEntries(revision.files.map((name) => [name, fs.readFileSync(path.join(revisionDir, name), 'utf8')]));
+  return { ...revision, code: projectCode(readMeta(id), files), files };
+}
+
+// Reverting never drops history, the old files come back as a new revision
+function revertToRevision(id, number) {
+  const revision = getRevision(id, number);
+  if (!revision) return null;
+  return updateProjectFiles(id, revision.files, { kind: 'revert', instruction: `Revert to revision ${number}`, revertedTo: number });
+}
+
+// Make an existing project a git repository, with one commit per revision so far, oldest first.
+// Throws GitError when git is already enabled or cannot be set up.
+function enableGit(id) {
+  const meta = readMeta(id);
+  if (!meta) throw new Error(`Project not found: ${id}`);
+  if (meta.git) throw new projectGit.GitError('Git is already enabled for this project.', 409);
+  ensureInitialRevision(meta);
+
+  const projectDir = getProjectDir(id);
+  const currentFiles = readFiles(id, moduleFileNames(meta));
+  projectGit.initRepository(projectDir, { keep: trackedNames(meta) });
+  // Replay the history in the working tree, the last revision leaves the current files in place
+  let previous = {};
+  for (const revision of listRevisions(id)) {
+    const { files } = getRevision(id, revision.number);
+    for (const name of Object.keys(previous)) {
+      if (!(name in files)) fs.rmSync(getProjectFilePath(id, name), { force: true });
+    }
+    writeFiles(id, files);
+    commitRevision(meta, revision);
+    previous = files;
+  }
+  for (const name of Object.keys(previous)) {
+    if (!(name in currentFiles)) fs.rmSync(getProjectFilePath(id, name), { force: true });
+  }
+  writeFiles(id, currentFiles);
+
+  meta.git = true;
+  writeMeta(meta);
+  console.log(`[DEBUG] Enabled git for project ${id} with ${meta.revision} commit(s)`);
+  return meta;
+}
+
+// --- Cost history ---
+// Every cost estimate is kept in costs.json with the revision it priced, oldest first
+
+function listCostEstimates(id) {
+  if (!readMeta(id)) return null;
+  const costsPath = getProjectFilePath(id, COSTS_FILE);
+  return fs.existsSync(costsPath) ? JSON.parse(fs.readFileSync(costsPath, 'utf8')) : [];
+}
+
+function addCostEstimate(id, estimate) {
+  const estimates = listCostEstimates(id);
+  if (!estimates) throw new Error(`Project not found: ${id}`);
+  const entry = { ...estimate, estimatedAt: new Date().toISOString() };
+  estimates.push(entry);
+  fs.writeFileSync(getProjectFilePath(id, COSTS_FILE), JSON.stringify(estimates.slice(-MAX_COST_ESTIMATES), null, 2));
+  return entry;
+}
+
+// --- Chat history ---
+// The conversation with the chat agent (chatAgent.js) in chat.json, oldest first:
+// { role: 'user' | 'assistant', content, steps, revision, createdAt }
+
+function listChatMessages(id) {
+  if (!readMeta(id)) return null;
+  const chatPath = getProjectFilePath(id, CHAT_FILE);
+  return fs.existsSync(chatPath) ? JSON.parse(fs.readFileSync(chatPath, 'utf8')) : [];
+}
+
+function addChatMessages(id, messages) {
+  const history = listChatMessages(id);
+  if (!history) throw new Error(`Project not found: ${id}`);
+  const createdAt = new Date().toISOString();
+  const entries = messages.map((message) => ({ ...message, createdAt }));
+  history.push(...entries);
+  fs.writeFileSync(getProjectFilePath(id, CHAT_FILE), JSON.stringify(history.slice(-MAX_CHAT_MESSAGES), null, 2));
+  return entries;
+}
+
+function clearChatHistory(id) {
+  if (!readMeta(id)) return false;
+  fs.rmSync(getProjectFilePath(id, CHAT_FILE), { force: true });
+  return true;
+}
+
+function deleteProject(id) {
+  if (!isValidProjectId(id) || !readMeta(id)) return false;
+  fs.rmSync(getProjectDir(id), { recursive: true, force: true });
+  console.log('[DEBUG] Deleted project', id);
+  return true;
+}
+
+module.exports = {
+  PROJECTS_DIR,
+  tflintConfig,
+  isValidProjectId,
+  getProjectDir,
+  getProjectFilePath,
+  projectTitle,
+  projectFiles,
+  createProject,
+  getProject,
+  listProjects,
+  updateProjectFiles,
+  listRevisions,
+  getRevision,
+  revertToRevision,
+  enableGit,
+  listCostEstimates,
+  addCostEstimate,
+  listChatMessages,
+  addChatMessages,
+  clearChatHistory,
+  deleteProject,
+};
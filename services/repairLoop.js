@@ -0,0 +1,87 @@
+// services/repairLoop.js
+// Validate-and-repair loop: writes code into a project through its IaC target, runs the
+// target's validators on it (terraform validate/tflint for Terraform) and feeds the errors
+// back through the code editor until the code validates or the attempts run out.
+const hcl = require('./hcl');
+const projectStore = require('./projectStore');
+const { getTarget, CodeSyntaxError } = require('./iacTargets');
+const { editTargetCode } = require('./geminiEditorAgent');
+const { describeGeneration } = require('./llm');
+const { createCacheSession } = require('./llm/responseCache');
+const { diagnostic, hasErrors, formatDiagnostic } = require('./terraformValidator');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.REPAIR_MAX_ATTEMPTS, 10) || 3;
+const MAX_ATTEMPTS_LIMIT = 10;
+
+// { repair, maxAttempts } from a request; AUTO_REPAIR=true turns the loop on by default
+function resolveRepairOptions({ repair, maxAttempts } = {}) {
+  const enabled = repair === undefined ? process.env.AUTO_REPAIR === 'true' : ['true', '1', true].includes(repair);
+  const requested = parseInt(maxAttempts, 10);
+  return {
+    enabled,
+    maxAttempts: Number.isNaN(requested) ? DEFAULT_MAX_ATTEMPTS : Math.min(Math.max(requested, 0), MAX_ATTEMPTS_LIMIT),
+  };
+}
+
+function repairInstruction(diagnostics, sourceLine, target) {
+  const errors = diagnostics.filter((d) => d.severity === 'error').map((d) => {
+    const source = sourceLine(d);
+    return `- ${formatDiagnostic(d)}${source ? `\n  Offending line: ${source}` : ''}`;
+  });
+  return `Fix the following errors reported by ${target.validators}. Change only what is needed to fix them.\n${errors.join('\n')}`;
+}
+
+// Returns { status, attempts: [{ attempt, diagnostics }], project } where status is 'valid',
+// 'invalid' (errors left after maxAttempts repairs) or 'unverified' (the code parses but
+// the target's validator is not installed). The project keeps the last code that could be parsed; the
+// first save is recorded with `instruction`, each repair as a revision of its own.
+// `signal` and `onOutput` come from the job running the loop: cancellation and live tool output.
+// `cache` is the response cache session of the request, revisions record the model calls it saw.
+async function validateAndRepair(project, code, { maxAttempts = DEFAULT_MAX_ATTEMPTS, instruction = null, signal, onOutput, cache = createCacheSession() } = {}) {
+  const target = getTarget(project.target);
+  const attempts = [];
+  let current = project;
+  let status = 'invalid';
+  let revision = { kind: 'edit', instruction, generatedBy: describeGeneration(cache) };
+
+  for (let attempt = 0; ; attempt++) {
+    let files = null;
+    let available = true;
+    let diagnostics;
+    try {
+      ({ files } = projectStore.projectFiles(project, code));
+    } catch (err) {
+      if (!(err instanceof hcl.HclSyntaxError) && !(err instanceof CodeSyntaxError)) throw err;
+      diagnostics = [diagnostic(err instanceof CodeSyntaxError ? 'syntax' : 'hcl', { line: err.line, column: err.column, message: err.message })];
+    }
+
+    if (files) {
+      current = projectStore.updateProjectFiles(project.id, files, revision);
+      ({ available, diagnostics } = await target.validate(projectStore.getProjectDir(project.id), { signal, onOutput }));
+    }
+
+    attempts.push({ attempt, diagnostics });
+    console.log(`[DEBUG] Validation attempt ${attempt} for project ${project.id}: ${diagnostics.length} diagnostic(s)`);
+    if (!hasErrors(diagnostics)) {
+      status = available ? 'valid' : 'unverified';
+      break;
+    }
+    if (attempt >= maxAttempts || (signal && signal.aborted)) break;
+
+    // Syntax errors point into the code as a whole, validator ones into a project file
+    const codeLines = code.split('\n');
+    const sourceLine = (d) => {
+      if (!d.line) return null;
+      const lines = d.tool === 'hcl' || d.tool === 'syntax' ? codeLines : (files && files[d.file] ? files[d.file].split('\n') : []);
+      return lines[d.line - 1] ? lines[d.line - 1].trim() : null;
+    };
+    const repair = repairInstruction(diagnostics, sourceLine, target);
+    code = await editTargetCode(code, repair, target, cache, { layout: project.layout });
+    revision = { kind: 'repair', instruction: repair, generatedBy: describeGeneration(cache) };
+  }
+
+  console.log(`[DEBUG] Repair loop for project ${project.id} finished as ${status} after ${attempts.length} validation(s)`);
+  return { status, attempts, project: current };
+}
+
+module.exports = { resolveRepairOptions, validateAndRepair, DEFAULT_MAX_ATTEMPTS };
@@ -0,0 +1,918 @@
+// services/templateGenerator.js
+// Deterministic Terraform for the canonical IR component types, no LLM involved.
+//
+// Each provider maps catalog types onto a template function returning the resource
+// blocks for one component, or null when the component cannot be expressed without
+// the model (e.g. a subnet with no network to live in). Components without a
+// template are returned as `uncovered` so the caller can fall back to the model.
+// In mixed diagrams each component uses the templates of its own provider.
+const { getProvidersBlock, getProviderAlias, getRegion } = require('./terraformProviders');
+const hcl = require('./hcl');
+
+// --- HCL rendering helpers ---
+// A body is a list of ['attribute', rawExpression] pairs and { block, labels, body } nested blocks.
+
+function q(value) {
+  return JSON.stringify(String(value)).replace(/\$\{/g, '$${').replace(/%\{/g, '%%{');
+}
+
+function list(items) {
+  return `[${items.join(', ')}]`;
+}
+
+function map(entries) {
+  const keys = Object.keys(entries);
+  if (!keys.length) return '{}';
+  const width = Math.max(...keys.map((key) => key.length));
+  const lines = keys.map((key) => `  ${key.padEnd(width)} = ${entries[key].split('\n').join('\n  ')}`);
+  return `{\n${lines.join('\n')}\n}`;
+}
+
+function renderBody(body, indent) {
+  const lines = [];
+  let group = [];
+
+  // terraform fmt aligns the '=' of consecutive single-line attributes
+  const flushGroup = () => {
+    const width = Math.max(...group.map(([name]) => name.length));
+    for (const [name, value] of group) lines.push(`${indent}${name.padEnd(width)} = ${value}`);
+    group = [];
+  };
+
+  // Nested blocks and multi-line attributes are set apart by a blank line
+  let previousWasBlock = false;
+  body.forEach((entry, i) => {
+    if (Array.isArray(entry)) {
+      const [name, value] = entry;
+      if (value.includes('\n')) {
+        if (group.length) flushGroup();
+        if (i > 0) lines.push('');
+        group.push([name, value.split('\n').join(`\n${indent}`)]);
+        flushGroup();
+        previousWasBlock = true;
+      } else {
+        if (previousWasBlock) lines.push('');
+        group.push([name, value]);
+        previousWasBlock = false;
+      }
+      return;
+    }
+    if (group.length) flushGroup();
+    if (i > 0) lines.push('');
+    lines.push(renderBlock(entry.block, entry.labels || [], entry.body || [], indent));
+    previousWasBlock = true;
+  });
+  if (group.length) flushGroup();
+  return lines;
+}
+
+function renderBlock(keyword, labels, body, indent = '') {
+  const header = [keyword, ...labels.map(q)].join(' ');
+  if (!body.length) return `${indent}${header} {}`;
+  return [`${indent}${header} {`, ...renderBody(body, indent + '  '), `${indent}}`].join('\n');
+}
+
+function resource(type, name, body) {
+  return { kind: 'resource', type, name, body };
+}
+
+function data(type, name, body) {
+  return { kind: 'data', type, name, body };
+}
+
+function variable(name, body) {
+  return { kind: 'variable', type: null, name, body };
+}
+
+function renderItem(item) {
+  const labels = item.kind === 'variable' ? [item.name] : [item.type, item.name];
+  return renderBlock(item.kind, labels, item.body);
+}
+
+function addressOf(item) {
+  if (item.kind === 'data') return `data.${item.type}.${item.name}`;
+  if (item.kind === 'variable') return `var.${item.name}`;
+  return `${item.type}.${item.name}`;
+}
+
+// --- Naming helpers ---
+
+function dashed(component) {
+  return component.id.replace(/_/g, '-');
+}
+
+// S3/GCS bucket names: lowercase letters, digits, dots and hyphens
+function bucketName(component) {
+  return String(component.properties.bucket_name || component.properties.name || dashed(component))
+    .toLowerCase()
+    .replace(/[^a-z0-9.-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 63);
+}
+
+// Azure storage account names: 3-24 lowercase letters and digits
+function storageAccountName(component, suffix = '') {
+  const base = `${component.id}${suffix}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return (base.length < 3 ? `${base}sa0` : base).slice(0, 24);
+}
+
+function portsOf(component) {
+  const props = component.properties;
+  const ports = props.ingress_ports || props.ports || (props.port !== undefined ? [props.port] : []);
+  return (Array.isArray(ports) ? ports : [ports]).map(Number).filter((port) => Number.isInteger(port));
+}
+
+// Environment variable name for a connected component, e.g. ASSETS_BUCKET for assets_bucket
+function envName(component, suffix) {
+  const base = component.id.toUpperCase();
+  return base.endsWith(`_${suffix}`) ? base : `${base}_${suffix}`;
+}
+
+// Functions are deployed as images built elsewhere
+const OCI_FUNCTION_PLACEHOLDER_IMAGE = 'iad.ocir.io/your-tenancy-namespace/placeholder-function:0.0.1';
+
+function isPublic(component) {
+  return component.properties.public === true || /public/i.test(component.name);
+}
+
+// --- Generation context: lookups across the IR ---
+
+function providerOf(component, ir) {
+  return component.provider || ir.cloudProvider;
+}
+
+function createContext(ir, profile = null) {
+  const byId = new Map(ir.components.map((component) => [component.id, component]));
+  const counters = {};
+  const shared = new Map();
+
+  // A subnet only lives in a network of its own cloud; external actors connect to anything
+  const sameCloud = (component, other) => other.type === 'external' || providerOf(other, ir) === providerOf(component, ir);
+
+  return {
+    ir,
+    // Components connected to this one in either direction, optionally filtered by type
+    connected(component, type) {
+      return ir.connections
+        .filter((c) => c.from === component.id || c.to === component.id)
+        .map((c) => byId.get(c.from === component.id ? c.to : c.from))
+        .filter((other) => other && sameCloud(component, other) && (!type || other.type === type));
+    },
+    // Connected component of the type, else the only one of that type in the diagram
+    related(component, type) {
+      const [connected] = this.connected(component, type);
+      if (connected) return connected;
+      const all = ir.components.filter((other) => other.type === type && sameCloud(component, other));
+      return all.length === 1 ? all[0] : null;
+    },
+    // Sources of connections pointing at this component
+    incoming(component) {
+      return ir.connections
+        .filter((c) => c.to === component.id)
+        .map((c) => byId.get(c.from))
+        .filter((other) => other && sameCloud(component, other));
+    },
+    // Region (Azure: location) templates fall back to, from the generation profile or the default
+    region(cloudProvider) {
+      return getRegion(cloudProvider, profile);
+    },
+    // Running index per key, used for cidrsubnet() offsets
+    next(key) {
+      counters[key] = (counters[key] || 0) + 1;
+      return counters[key];
+    },
+    // Blocks several components depend on (default VPC lookup, AMI, resource group) are emitted once
+    shared(key, build) {
+      if (!shared.has(key)) shared.set(key, build());
+      return shared.get(key);
+    },
+    sharedItems() {
+      return [...shared.values()].flat();
+    },
+  };
+}
+
+// --- AWS ---
+
+const awsTemplates = {
+  vpc(c) {
+    return [resource('aws_vpc', c.id, [
+      ['cidr_block', q(c.properties.cidr_block || '10.0.0.0/16')],
+      ['enable_dns_support', 'true'],
+      ['enable_dns_hostnames', 'true'],
+      ['tags', map({ Name: q(c.name) })],
+    ])];
+  },
+  subnet(c, ctx) {
+    const vpc = ctx.related(c, 'vpc');
+    const vpcRef = vpc ? `aws_vpc.${vpc.id}` : null;
+    const cidr = c.properties.cidr_block
+      ? q(c.properties.cidr_block)
+      : `cidrsubnet(${vpcRef ? `${vpcRef}.cidr_block` : 'data.aws_vpc.default.cidr_block'}, 8, ${ctx.next('aws_subnet')})`;
+    if (!vpcRef) {
+      ctx.shared('aws_default_vpc', () => [data('aws_vpc', 'default', [['default', 'true']])]);
+    }
+    const body = [
+      ['vpc_id', vpcRef ? `${vpcRef}.id` : 'data.aws_vpc.default.id'],
+      ['cidr_block', cidr],
+    ];
+    if (isPublic(c)) body.push(['map_public_ip_on_launch', 'true']);
+    body.push(['tags', map({ Name: q(c.name) })]);
+    return [resource('aws_subnet', c.id, body)];
+  },
+  internet_gateway(c, ctx) {
+    const vpc = ctx.related(c, 'vpc');
+    if (!vpc) return null;
+    return [resource('aws_internet_gateway', c.id, [
+      ['vpc_id', `aws_vpc.${vpc.id}.id`],
+      ['tags', map({ Name: q(c.name) })],
+    ])];
+  },
+  security_group(c, ctx) {
+    const vpc = ctx.related(c, 'vpc');
+    const fromInternet = ctx.connected(c, 'external').length > 0;
+    const ports = portsOf(c).length ? portsOf(c) : (fromInternet ? [443] : []);
+
+    const body = [
+      ['name', q(dashed(c))],
+      ['description', q(`Security group for ${c.name}`)],
+    ];
+    if (vpc) body.push(['vpc_id', `aws_vpc.${vpc.id}.id`]);
+    for (const port of ports) {
+      body.push({ block: 'ingress', body: [
+        ['from_port', String(port)],
+        ['to_port', String(port)],
+        ['protocol', q('tcp')],
+        ['cidr_blocks', list([q(vpc && !fromInternet ? '10.0.0.0/8' : '0.0.0.0/0')])],
+      ] });
+    }
+    body.push({ block: 'egress', body: [
+      ['from_port', '0'],
+      ['to_port', '0'],
+      ['protocol', q('-1')],
+      ['cidr_blocks', list([q('0.0.0.0/0')])],
+    ] });
+    body.push(['tags', map({ Name: q(c.name) })]);
+    return [resource('aws_security_group', c.id, body)];
+  },
+  instance(c, ctx) {
+    ctx.shared('aws_ami', () => [data('aws_ami', 'amazon_linux', [
+      ['most_recent', 'true'],
+      ['owners', list([q('amazon')])],
+      { block: 'filter', body: [['name', q('name')], ['values', list([q('al2023-ami-*-x86_64')])]] },
+    ])]);
+    const subnet = ctx.related(c, 'subnet');
+    const groups = ctx.connected(c, 'security_group');
+
+    const body = [
+      ['ami', 'data.aws_ami.amazon_linux.id'],
+      ['instance_type', q(c.properties.instance_type || 't3.micro')],
+    ];
+    if (subnet) body.push(['subnet_id', `aws_subnet.${subnet.id}.id`]);
+    if (groups.length) body.push(['vpc_security_group_ids', list(groups.map((g) => `aws_security_group.${g.id}.id`))]);
+    body.push(['tags', map({ Name: q(c.name) })]);
+    return [resource('aws_instance', c.id, body)];
+  },
+  bucket(c) {
+    return [
+      resource('aws_s3_bucket', c.id, [
+        ['bucket', q(bucketName(c))],
+        ['tags', map({ Name: q(c.name) })],
+      ]),
+      resource('aws_s3_bucket_public_access_block', c.id, [
+        ['bucket', `aws_s3_bucket.${c.id}.id`],
+        ['block_public_acls', 'true'],
+        ['block_public_policy', 'true'],
+        ['ignore_public_acls', 'true'],
+        ['restrict_public_buckets', 'true'],
+      ]),
+    ];
+  },
+  function(c, ctx) {
+    const role = resource('aws_iam_role', `${c.id}_role`, [
+      ['name', q(`${dashed(c)}-role`)],
+      ['assume_role_policy', `jsonencode(${map({
+        Version: q('2012-10-17'),
+        Statement: `[{\n  Action    = "sts:AssumeRole"\n  Effect    = "Allow"\n  Principal = { Service = "lambda.amazonaws.com" }\n}]`,
+      })})`],
+    ]);
+
+    const runtime = c.properties.runtime || 'python3.12';
+    const body = [
+      ['function_name', q(dashed(c))],
+      ['role', `aws_iam_role.${c.id}_role.arn`],
+      ['handler', q(c.properties.handler || (runtime.startsWith('node') ? 'index.handler' : 'main.handler'))],
+      ['runtime', q(runtime)],
+      // Deployment artifacts are managed outside Terraform, like the dummy GCS archive for Cloud Functions
+      ['s3_bucket', q('your-dummy-lambda-bucket')],
+      ['s3_key', q('dummy-function.zip')],
+    ];
+
+    // Connected data stores are handed to the function through environment variables
+    const variables = {};
+    for (const other of ctx.connected(c)) {
+      if (other.type === 'bucket') variables[envName(other, 'BUCKET')] = `aws_s3_bucket.${other.id}.bucket`;
+      if (other.type === 'queue') variables[envName(other, 'QUEUE_URL')] = `aws_sqs_queue.${other.id}.url`;
+      if (other.type === 'nosql_database') variables[envName(other, 'TABLE')] = `aws_dynamodb_table.${other.id}.name`;
+      if (other.type === 'database') variables[envName(other, 'ENDPOINT')] = `aws_db_instance.${other.id}.endpoint`;
+    }
+    if (Object.keys(variables).length) {
+      body.push({ block: 'environment', body: [['variables', map(variables)]] });
+    }
+
+    const subnet = ctx.connected(c, 'subnet')[0];
+    const groups = ctx.connected(c, 'security_group');
+    if (subnet && groups.length) {
+      body.push({ block: 'vpc_config', body: [
+        ['subnet_ids', list([`aws_subnet.${subnet.id}.id`])],
+        ['security_group_ids', list(groups.map((g) => `aws_security_group.${g.id}.id`))],
+      ] });
+    }
+    return [role, resource('aws_lambda_function', c.id, body)];
+  },
+  database(c, ctx) {
+    const items = [];
+    const engine = c.properties.engine || 'postgres';
+    const port = engine.startsWith('mysql') || engine.startsWith('mariadb') ? 3306 : 5432;
+    const body = [
+      ['identifier', q(dashed(c))],
+      ['engine', q(engine)],
+      ['instance_class', q(c.properties.instance_class || 'db.t3.micro')],
+      ['allocated_storage', String(c.properties.allocated_storage || 20)],
+      ['username', q('dbadmin')],
+      ['manage_master_user_password', 'true'],
+      ['storage_encrypted', 'true'],
+      ['skip_final_snapshot', 'true'],
+    ];
+
+    // Clients connected to the database reach it through their own security groups
+    const clientGroups = new Set();
+    for (const client of ctx.connected(c)) {
+      if (client.type === 'security_group') clientGroups.add(client.id);
+      if (client.type === 'instance' || client.type === 'function') {
+        ctx.connected(client, 'security_group').forEach((g) => clientGroups.add(g.id));
+      }
+    }
+    const vpc = ctx.related(c, 'vpc');
+    if (clientGroups.size && vpc) {
+      items.push(resource('aws_security_group', `${c.id}_access`, [
+        ['name', q(`${dashed(c)}-access`)],
+        ['description', q(`Database access for ${c.name}`)],
+        ['vpc_id', `aws_vpc.${vpc.id}.id`],
+        { block: 'ingress', body: [
+          ['from_port', String(port)],
+          ['to_port', String(port)],
+          ['protocol', q('tcp')],
+          ['security_groups', list([...clientGroups].map((id) => `aws_security_group.${id}.id`))],
+        ] },
+      ]));
+      body.push(['vpc_security_group_ids', list([`aws_security_group.${c.id}_access.id`])]);
+    }
+    body.push(['tags', map({ Name: q(c.name) })]);
+    items.push(resource('aws_db_instance', c.id, body));
+    return items;
+  },
+};
+
+// --- Azure ---
+
+function azureResourceGroup(ctx) {
+  const [group] = ctx.ir.components.filter((c) => c.type === 'resource_group');
+  if (group) return `azurerm_resource_group.${group.id}`;
+  ctx.shared('azurerm_resource_group', () => [resource('azurerm_resource_group', 'main', [
+    ['name', q('rg-main')],
+    ['location', q(ctx.region('azure'))],
+  ])]);
+  return 'azurerm_resource_group.main';
+}
+
+function azureLocated(rg) {
+  return [
+    ['location', `${rg}.location`],
+    ['resource_group_name', `${rg}.name`],
+  ];
+}
+
+const azureTemplates = {
+  resource_group(c, ctx) {
+    return [resource('azurerm_resource_group', c.id, [
+      ['name', q(c.properties.name || `rg-${dashed(c)}`)],
+      ['location', q(c.properties.location || ctx.region('azure'))],
+    ])];
+  },
+  vpc(c, ctx) {
+    const rg = azureResourceGroup(ctx);
+    return [resource('azurerm_virtual_network', c.id, [
+      ['name', q(dashed(c))],
+      ['address_space', list([q(c.properties.cidr_block || c.properties.address_space || '10.0.0.0/16')])],
+      ...azureLocated(rg),
+    ])];
+  },
+  subnet(c, ctx) {
+    const vnet = ctx.related(c, 'vpc');
+    if (!vnet) return null;
+    const rg = azureResourceGroup(ctx);
+    const prefix = c.properties.cidr_block
+      ? q(c.properties.cidr_block)
+      : `cidrsubnet(azurerm_virtual_network.${vnet.id}.address_space[0], 8, ${ctx.next('azurerm_subnet')})`;
+    return [resource('azurerm_subnet', c.id, [
+      ['name', q(dashed(c))],
+      ['resource_group_name', `${rg}.name`],
+      ['virtual_network_name', `azurerm_virtual_network.${vnet.id}.name`],
+      ['address_prefixes', list([prefix])],
+    ])];
+  },
+  security_group(c, ctx) {
+    const rg = azureResourceGroup(ctx);
+    const fromInternet = ctx.connected(c, 'external').length > 0;
+    const ports = portsOf(c).length ? portsOf(c) : (fromInternet ? [443] : []);
+
+    const body = [['name', q(dashed(c))], ...azureLocated(rg)];
+    ports.forEach((port, i) => {
+      body.push({ block: 'security_rule', body: [
+        ['name', q(`allow-${port}`)],
+        ['priority', String(100 + i * 10)],
+        ['direction', q('Inbound')],
+        ['access', q('Allow')],
+        ['protocol', q('Tcp')],
+        ['source_port_range', q('*')],
+        ['destination_port_range', q(String(port))],
+        ['source_address_prefix', q(fromInternet ? 'Internet' : 'VirtualNetwork')],
+        ['destination_address_prefix', q('*')],
+      ] });
+    });
+    const items = [resource('azurerm_network_security_group', c.id, body)];
+    for (const subnet of ctx.connected(c, 'subnet')) {
+      items.push(resource('azurerm_subnet_network_security_group_association', `${subnet.id}_${c.id}`, [
+        ['subnet_id', `azurerm_subnet.${subnet.id}.id`],
+        ['network_security_group_id', `azurerm_network_security_group.${c.id}.id`],
+      ]));
+    }
+    return items;
+  },
+  instance(c, ctx) {
+    const subnet = ctx.related(c, 'subnet');
+    if (!subnet) return null;
+    const rg = azureResourceGroup(ctx);
+    ctx.shared('admin_ssh_public_key', () => [variable('admin_ssh_public_key', [
+      ['description', q('SSH public key for the VM admin user')],
+      ['type', 'string'],
+    ])]);
+
+    return [
+      resource('azurerm_network_interface', `${c.id}_nic`, [
+        ['name', q(`${dashed(c)}-nic`)],
+        ...azureLocated(rg),
+        { block: 'ip_configuration', body: [
+          ['name', q('internal')],
+          ['subnet_id', `azurerm_subnet.${subnet.id}.id`],
+          ['private_ip_address_allocation', q('Dynamic')],
+        ] },
+      ]),
+      resource('azurerm_linux_virtual_machine', c.id, [
+        ['name', q(dashed(c))],
+        ...azureLocated(rg),
+        ['size', q(c.properties.size || c.properties.instance_type || 'Standard_B1s')],
+        ['admin_username', q('azureuser')],
+        ['network_interface_ids', list([`azurerm_network_interface.${c.id}_nic.id`])],
+        { block: 'admin_ssh_key', body: [['username', q('azureuser')], ['public_key', 'var.admin_ssh_public_key']] },
+        { block: 'os_disk', body: [['caching', q('ReadWrite')], ['storage_account_type', q('Standard_LRS')]] },
+        { block: 'source_image_reference', body: [
+          ['publisher', q('Canonical')],
+          ['offer', q('0001-com-ubuntu-server-jammy')],
+          ['sku', q('22_04-lts')],
+          ['version', q('latest')],
+        ] },
+      ]),
+    ];
+  },
+  bucket(c, ctx) {
+    const rg = azureResourceGroup(ctx);
+    return [resource('azurerm_storage_account', c.id, [
+      ['name', q(storageAccountName(c))],
+      ...azureLocated(rg),
+      ['account_tier', q('Standard')],
+      ['account_replication_type', q('LRS')],
+      ['min_tls_version', q('TLS1_2')],
+    ])];
+  },
+  function(c, ctx) {
+    const rg = azureResourceGroup(ctx);
+    const [storage] = ctx.connected(c, 'bucket');
+    const items = [];
+    let storageRef = storage ? `azurerm_storage_account.${storage.id}` : `azurerm_storage_account.${c.id}_storage`;
+    if (!storage) {
+      items.push(resource('azurerm_storage_account', `${c.id}_storage`, [
+        ['name', q(storageAccountName(c, 'fn'))],
+        ...azureLocated(rg),
+        ['account_tier', q('Standard')],
+        ['account_replication_type', q('LRS')],
+      ]));
+    }
+    items.push(resource('azurerm_service_plan', `${c.id}_plan`, [
+      ['name', q(`${dashed(c)}-plan`)],
+      ...azureLocated(rg),
+      ['os_type', q('Linux')],
+      ['sku_name', q('Y1')],
+    ]));
+    items.push(resource('azurerm_linux_function_app', c.id, [
+      ['name', q(dashed(c))],
+      ...azureLocated(rg),
+      ['service_plan_id', `azurerm_service_plan.${c.id}_plan.id`],
+      ['storage_account_name', `${storageRef}.name`],
+      ['storage_account_access_key', `${storageRef}.primary_access_key`],
+      { block: 'site_config', body: [] },
+    ]));
+    return items;
+  },
+  database(c, ctx) {
+    const rg = azureResourceGroup(ctx);
+    ctx.shared('sql_admin_password', () => [variable('sql_admin_password', [
+      ['description', q('Administrator password for the SQL server')],
+      ['type', 'string'],
+      ['sensitive', 'true'],
+    ])]);
+    return [
+      resource('azurerm_mssql_server', `${c.id}_server`, [
+        ['name', q(`${dashed(c)}-server`)],
+        ...azureLocated(rg),
+        ['version', q('12.0')],
+        ['administrator_login', q('sqladmin')],
+        ['administrator_login_password', 'var.sql_admin_password'],
+        ['minimum_tls_version', q('1.2')],
+      ]),
+      resource('azurerm_mssql_database', c.id, [
+        ['name', q(dashed(c))],
+        ['server_id', `azurerm_mssql_server.${c.id}_server.id`],
+        ['sku_name', q(c.properties.sku_name || 'Basic')],
+      ]),
+    ];
+  },
+};
+
+// --- GCP ---
+
+const gcpTemplates = {
+  vpc(c) {
+    return [resource('google_compute_network', c.id, [
+      ['name', q(dashed(c))],
+      ['auto_create_subnetworks', 'false'],
+    ])];
+  },
+  subnet(c, ctx) {
+    const network = ctx.related(c, 'vpc');
+    if (!network) return null;
+    return [resource('google_compute_subnetwork', c.id, [
+      ['name', q(dashed(c))],
+      ['ip_cidr_range', q(c.properties.cidr_block || `10.0.${ctx.next('google_compute_subnetwork')}.0/24`)],
+      ['region', q(c.properties.region || ctx.region('gcp'))],
+      ['network', `google_compute_network.${network.id}.id`],
+    ])];
+  },
+  security_group(c, ctx) {
+    const network = ctx.related(c, 'vpc');
+    if (!network) return null;
+    const fromInternet = ctx.connected(c, 'external').length > 0;
+    const ports = portsOf(c).length ? portsOf(c) : (fromInternet ? [443] : []);
+    if (!ports.length) return null;
+
+    return [resource('google_compute_firewall', c.id, [
+      ['name', q(dashed(c))],
+      ['network', `google_compute_network.${network.id}.name`],
+      { block: 'allow', body: [['protocol', q('tcp')], ['ports', list(ports.map((port) => q(String(port))))]] },
+      ['source_ranges', list([q(fromInternet ? '0.0.0.0/0' : '10.0.0.0/8')])],
+      ['target_tags', list([q(dashed(c))])],
+    ])];
+  },
+  instance(c, ctx) {
+    const subnet = ctx.related(c, 'subnet');
+    const network = ctx.related(c, 'vpc');
+    const firewalls = ctx.connected(c, 'security_group');
+
+    const networkInterface = subnet
+      ? [['subnetwork', `google_compute_subnetwork.${subnet.id}.id`]]
+      : [['network', network ? `google_compute_network.${network.id}.id` : q('default')]];
+    if (isPublic(c) || (subnet && isPublic(subnet))) networkInterface.push({ block: 'access_config', body: [] });
+
+    const body = [
+      ['name', q(dashed(c))],
+      ['machine_type', q(c.properties.machine_type || c.properties.instance_type || 'e2-micro')],
+      ['zone', q(c.properties.zone || `${ctx.region('gcp')}-a`)],
+    ];
+    if (firewalls.length) body.push(['tags', list(firewalls.map((f) => q(dashed(f))))]);
+    body.push({ block: 'boot_disk', body: [{ block: 'initialize_params', body: [['image', q('debian-cloud/debian-12')]] }] });
+    body.push({ block: 'network_interface', body: networkInterface });
+    return [resource('google_compute_instance', c.id, body)];
+  },
+  bucket(c) {
+    return [resource('google_storage_bucket', c.id, [
+      ['name', q(bucketName(c))],
+      ['location', q(c.properties.location || 'US')],
+      ['uniform_bucket_level_access', 'true'],
+      ['public_access_prevention', q('enforced')],
+    ])];
+  },
+  function(c, ctx) {
+    const body = [
+      ['name', q(dashed(c))],
+      ['runtime', q(c.properties.runtime || 'python312')],
+      ['entry_point', q(c.properties.entry_point || 'main')],
+      ['available_memory_mb', '256'],
+      // Deployment artifacts are managed outside Terraform
+      ['source_archive_bucket', q('your-dummy-gcp-bucket')],
+      ['source_archive_object', q('dummy-function.zip')],
+    ];
+
+    // A bucket pointing at the function triggers it on new objects, otherwise it is HTTP triggered
+    const [triggerBucket] = ctx.incoming(c).filter((other) => other.type === 'bucket');
+    if (triggerBucket) {
+      body.push({ block: 'event_trigger', body: [
+        ['event_type', q('google.storage.object.finalize')],
+        ['resource', `google_storage_bucket.${triggerBucket.id}.name`],
+      ] });
+    } else {
+      body.push(['trigger_http', 'true']);
+    }
+    return [resource('google_cloudfunctions_function', c.id, body)];
+  },
+  database(c, ctx) {
+    return [resource('google_sql_database_instance', c.id, [
+      ['name', q(dashed(c))],
+      ['database_version', q(c.properties.database_version || 'POSTGRES_15')],
+      ['region', q(c.properties.region || ctx.region('gcp'))],
+      ['deletion_protection', 'false'],
+      { block: 'settings', body: [['tier', q(c.properties.tier || 'db-f1-micro')]] },
+    ])];
+  },
+};
+
+// --- Kubernetes ---
+// Workloads on an existing cluster, reached through the kubeconfig in the provider block
+
+function kubernetesNamespace(c, ctx) {
+  const namespace = ctx.related(c, 'namespace');
+  return namespace ? `kubernetes_namespace_v1.${namespace.id}.metadata[0].name` : q(c.properties.namespace || 'default');
+}
+
+function kubernetesMetadata(c, ctx, labels) {
+  const body = [
+    ['name', q(dashed(c))],
+    ['namespace', kubernetesNamespace(c, ctx)],
+  ];
+  if (labels) body.push(['labels', map(labels)]);
+  return { block: 'metadata', body };
+}
+
+function containerPort(c) {
+  const [port] = portsOf(c);
+  return port || 80;
+}
+
+const kubernetesTemplates = {
+  namespace(c) {
+    return [resource('kubernetes_namespace_v1', c.id, [
+      { block: 'metadata', body: [['name', q(dashed(c))]] },
+    ])];
+  },
+  deployment(c, ctx) {
+    const labels = { app: q(dashed(c)) };
+    return [resource('kubernetes_deployment_v1', c.id, [
+      kubernetesMetadata(c, ctx, labels),
+      { block: 'spec', body: [
+        ['replicas', String(Number(c.properties.replicas) || 2)],
+        { block: 'selector', body: [['match_labels', map(labels)]] },
+        { block: 'template', body: [
+          { block: 'metadata', body: [['labels', map(labels)]] },
+          { block: 'spec', body: [
+            { block: 'container', body: [
+              ['name', q(dashed(c))],
+              // Placeholder image until the workload's own image is known
+              ['image', q(c.properties.image || 'nginx:stable')],
+              { block: 'port', body: [['container_port', String(containerPort(c))]] },
+            ] },
+          ] },
+        ] },
+      ] },
+    ])];
+  },
+  service(c, ctx) {
+    const [workload] = [...ctx.connected(c, 'deployment'), ...ctx.connected(c, 'stateful_set')];
+    if (!workload) return null;
+    const exposed = ctx.connected(c, 'external').length > 0 || isPublic(c);
+    return [resource('kubernetes_service_v1', c.id, [
+      kubernetesMetadata(c, ctx),
+      { block: 'spec', body: [
+        ['type', q(c.properties.service_type || (exposed ? 'LoadBalancer' : 'ClusterIP'))],
+        ['selector', map({ app: q(dashed(workload)) })],
+        { block: 'port', body: [
+          ['port', String(containerPort(c))],
+          ['target_port', String(containerPort(workload))],
+        ] },
+      ] },
+    ])];
+  },
+  helm_release(c, ctx) {
+    // Which chart to install is not something the diagram shows
+    if (!c.properties.chart) return null;
+    const namespace = ctx.related(c, 'namespace');
+    const body = [['name', q(dashed(c))]];
+    if (c.properties.repository) body.push(['repository', q(c.properties.repository)]);
+    body.push(['chart', q(c.properties.chart)]);
+    if (c.properties.chart_version || c.properties.version) body.push(['version', q(c.properties.chart_version || c.properties.version)]);
+    body.push(['namespace', namespace ? `kubernetes_namespace_v1.${namespace.id}.metadata[0].name` : q(c.properties.namespace || 'default')]);
+    return [resource('helm_release', c.id, body)];
+  },
+};
+
+// --- OCI ---
+// Everything lives in a compartment: the one on the diagram, else one given as a variable
+
+function ociCompartment(c, ctx) {
+  const compartment = ctx.related(c, 'compartment');
+  if (compartment) return `oci_identity_compartment.${compartment.id}.id`;
+  ctx.shared('oci_compartment_id', () => [variable('compartment_id', [
+    ['description', q('OCID of the compartment to create the resources in')],
+    ['type', 'string'],
+  ])]);
+  return 'var.compartment_id';
+}
+
+const ociTemplates = {
+  compartment(c, ctx) {
+    ctx.shared('oci_tenancy_ocid', () => [variable('tenancy_ocid', [
+      ['description', q('OCID of the tenancy the compartment is created in')],
+      ['type', 'string'],
+    ])]);
+    return [resource('oci_identity_compartment', c.id, [
+      ['compartment_id', 'var.tenancy_ocid'],
+      ['name', q(dashed(c))],
+      ['description', q(c.name)],
+    ])];
+  },
+  vpc(c, ctx) {
+    return [resource('oci_core_vcn', c.id, [
+      ['compartment_id', ociCompartment(c, ctx)],
+      ['cidr_blocks', list([q(c.properties.cidr_block || '10.0.0.0/16')])],
+      ['display_name', q(c.name)],
+    ])];
+  },
+  subnet(c, ctx) {
+    const vcn = ctx.related(c, 'vpc');
+    if (!vcn) return null;
+    return [resource('oci_core_subnet', c.id, [
+      ['compartment_id', ociCompartment(c, ctx)],
+      ['vcn_id', `oci_core_vcn.${vcn.id}.id`],
+      ['cidr_block', c.properties.cidr_block ? q(c.properties.cidr_block) : `cidrsubnet(oci_core_vcn.${vcn.id}.cidr_blocks[0], 8, ${ctx.next('oci_core_subnet')})`],
+      ['display_name', q(c.name)],
+      ['prohibit_public_ip_on_vnic', isPublic(c) ? 'false' : 'true'],
+    ])];
+  },
+  internet_gateway(c, ctx) {
+    const vcn = ctx.related(c, 'vpc');
+    if (!vcn) return null;
+    return [resource('oci_core_internet_gateway', c.id, [
+      ['compartment_id', ociCompartment(c, ctx)],
+      ['vcn_id', `oci_core_vcn.${vcn.id}.id`],
+      ['display_name', q(c.name)],
+      ['enabled', 'true'],
+    ])];
+  },
+  instance(c, ctx) {
+    const subnet = ctx.related(c, 'subnet');
+    if (!subnet) return null;
+    const compartment = ociCompartment(c, ctx);
+    ctx.shared('oci_availability_domains', () => [data('oci_identity_availability_domains', 'available', [['compartment_id', compartment]])]);
+    ctx.shared('oci_instance_image_id', () => [variable('instance_image_id', [
+      ['description', q('OCID of the image compute instances boot from')],
+      ['type', 'string'],
+    ])]);
+    return [resource('oci_core_instance', c.id, [
+      ['compartment_id', compartment],
+      ['availability_domain', 'data.oci_identity_availability_domains.available.availability_domains[0].name'],
+      ['display_name', q(c.name)],
+      ['shape', q(c.properties.shape || 'VM.Standard.E4.Flex')],
+      { block: 'shape_config', body: [['ocpus', '1'], ['memory_in_gbs', '8']] },
+      { block: 'create_vnic_details', body: [
+        ['subnet_id', `oci_core_subnet.${subnet.id}.id`],
+        ['assign_public_ip', isPublic(c) || isPublic(subnet) ? 'true' : 'false'],
+      ] },
+      { block: 'source_details', body: [['source_type', q('image')], ['source_id', 'var.instance_image_id']] },
+    ])];
+  },
+  bucket(c, ctx) {
+    const compartment = ociCompartment(c, ctx);
+    ctx.shared('oci_objectstorage_namespace', () => [data('oci_objectstorage_namespace', 'current', [['compartment_id', compartment]])]);
+    return [resource('oci_objectstorage_bucket', c.id, [
+      ['compartment_id', compartment],
+      ['name', q(bucketName(c))],
+      ['namespace', 'data.oci_objectstorage_namespace.current.namespace'],
+      ['access_type', q('NoPublicAccess')],
+    ])];
+  },
+  function(c, ctx) {
+    // Functions run inside an application attached to a subnet
+    const subnet = ctx.related(c, 'subnet');
+    if (!subnet) return null;
+    const compartment = ociCompartment(c, ctx);
+    return [
+      resource('oci_functions_application', `${c.id}_app`, [
+        ['compartment_id', compartment],
+        ['display_name', q(`${dashed(c)}-app`)],
+        ['subnet_ids', list([`oci_core_subnet.${subnet.id}.id`])],
+      ]),
+      resource('oci_functions_function', c.id, [
+        ['application_id', `oci_functions_application.${c.id}_app.id`],
+        ['display_name', q(dashed(c))],
+        // Deployment artifacts are managed outside Terraform, the image is a placeholder in OCIR
+        ['image', q(c.properties.image || OCI_FUNCTION_PLACEHOLDER_IMAGE)],
+        ['memory_in_mbs', q(String(c.properties.memory || 256))],
+      ]),
+    ];
+  },
+};
+
+const templates = {
+  aws: awsTemplates,
+  azure: azureTemplates,
+  gcp: gcpTemplates,
+  kubernetes: kubernetesTemplates,
+  oci: ociTemplates,
+};
+
+// Emit networks before what lives in them, purely for readability
+const FAMILY_ORDER = [
+  'resource_group', 'compartment', 'vpc', 'subnet', 'internet_gateway', 'security_group', 'bucket', 'database', 'instance', 'function',
+  'namespace', 'deployment', 'service', 'helm_release',
+];
+
+function familyRank(type) {
+  const rank = FAMILY_ORDER.indexOf(type);
+  return rank === -1 ? FAMILY_ORDER.length : rank;
+}
+
+function hasTemplate(cloudProvider, type) {
+  return Boolean(templates[cloudProvider] && templates[cloudProvider][type]);
+}
+
+// Generate Terraform for every IR component a template covers.
+// Returns { code, resources: [{ componentId, addresses }], uncovered: [component], skipped: [component],
+//           providerAliases: { componentId: 'aws.eu_west_1' } }
+// A generation profile sets the regions, provider versions, tags and backend of the blocks.
+function generateFromTemplates(ir, { profile = null, moduleName = null } = {}) {
+  const providers = ir.providers || [ir.cloudProvider];
+  const unsupported = providers.find((provider) => !templates[provider]);
+  if (unsupported) throw new Error(`Unsupported cloud provider: ${unsupported}`);
+
+  const ctx = createContext(ir, profile);
+  // One provider after the other, networks first within each
+  const providerRank = (component) => providers.indexOf(providerOf(component, ir));
+  const ordered = [...ir.components].sort((a, b) => providerRank(a) - providerRank(b) || familyRank(a.type) - familyRank(b.type));
+
+  const generated = [];
+  const uncovered = [];
+  const skipped = [];
+  const aliases = [];
+  const providerAliases = {};
+  for (const component of ordered) {
+    if (component.type === 'external') {
+      skipped.push(component);
+      continue;
+    }
+    // Components in another region get an aliased provider block. Shared lookups (AMIs, default
+    // networks) belong to the default region, so the model writes these components.
+    const alias = getProviderAlias(providerOf(component, ir), component.properties.region, profile);
+    if (alias) {
+      aliases.push(alias);
+      providerAliases[component.id] = alias.reference;
+      uncovered.push(component);
+      continue;
+    }
+    const template = templates[providerOf(component, ir)][component.type];
+    const items = template ? template(component, ctx) : null;
+    if (!items) {
+      uncovered.push(component);
+      continue;
+    }
+    generated.push({ component, items });
+  }
+
+  const sharedItems = ctx.sharedItems();
+  const blocks = [
+    getProvidersBlock(providers, aliases, { profile, moduleName }).trim(),
+    ...sharedItems.map(renderItem),
+    ...generated.flatMap(({ items }) => items.map(renderItem)),
+  ];
+
+  return {
+    code: hcl.format(blocks.join('\n\n')),
+    resources: [
+      ...(sharedItems.length ? [{ componentId: null, addresses: sharedItems.map(addressOf) }] : []),
+      ...generated.map(({ component, items }) => ({ componentId: component.id, addresses: items.map(addressOf) })),
+    ],
+    uncovered,
+    skipped,
+    providerAliases,
+  };
+}
+
+module.exports = { generateFromTemplates, hasTemplate };
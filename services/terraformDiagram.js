@@ -0,0 +1,278 @@
+// services/terraformDiagram.js
+// Architecture diagram rendered back from Terraform code, to check the code against the original picture.
+//
+// Resources are nodes and references between them are edges. References through network
+// attributes (subnet_id, vpc_id, virtual_network_name, network, ...) nest a resource inside the
+// referenced one instead, so an instance sits in its subnet, the subnet in its VPC.
+const hcl = require('./hcl');
+
+// Attributes placing a resource inside the referenced one, most specific first
+const CONTAINMENT_ATTRIBUTES = [
+  'subnet_id', 'subnet_ids', 'subnetwork', 'vpc_id', 'virtual_network_name', 'virtual_network_id',
+  'network', 'network_id', 'resource_group_name',
+];
+// Attributes placing a resource next to the referenced one, e.g. a VM in the subnet of its network interface
+const SIBLING_ATTRIBUTES = [
+  'network_interface_ids', 'network_interface_id', 'db_subnet_group_name', 'vpc_security_group_ids', 'security_groups',
+];
+const REFERENCE = /\b(data\.[a-z][\w-]*\.[\w-]+|module\.[\w-]+|[a-z][a-z0-9]*_[\w-]+\.[\w-]+)/g;
+
+// SVG layout, in pixels
+const LEAF = { width: 190, height: 46 };
+const PADDING = 16;
+const HEADER = 30;
+const GAP = 28;
+const ROW_SIZE = 4;
+
+// Attribute name and referenced addresses for every attribute, nested blocks included
+function collectReferences(body, found = []) {
+  for (const item of body.items) {
+    if (item.type === 'attribute') {
+      const text = hcl.expressionText(item.expr).replace(/\s*\.\s*/g, '.');
+      const addresses = [...text.matchAll(REFERENCE)].map((match) => match[1]);
+      if (addresses.length) found.push({ attribute: item.name, addresses });
+    } else if (item.type === 'block') {
+      collectReferences(item.body, found);
+    }
+  }
+  return found;
+}
+
+// { nodes: [{ id, type, name, kind, parent }], edges: [{ from, to, label }] } for Terraform source
+function extractResourceGraph(code) {
+  const body = hcl.parse(code);
+  const nodes = new Map();
+  const references = new Map();
+
+  for (const block of body.items) {
+    if (block.type !== 'block') continue;
+    const labels = block.labels.map(hcl.labelValue);
+    let node = null;
+    if (block.blockType === 'resource' && labels.length === 2) {
+      node = { id: `${labels[0]}.${labels[1]}`, type: labels[0], name: labels[1], kind: 'resource' };
+    } else if (block.blockType === 'data' && labels.length === 2) {
+      node = { id: `data.${labels[0]}.${labels[1]}`, type: labels[0], name: labels[1], kind: 'data' };
+    } else if (block.blockType === 'module' && labels.length === 1) {
+      node = { id: `module.${labels[0]}`, type: 'module', name: labels[0], kind: 'module' };
+    }
+    if (!node) continue;
+    nodes.set(node.id, { ...node, parent: null });
+    references.set(node.id, collectReferences(block.body));
+  }
+
+  const known = (id) => (address) => address !== id && nodes.has(address);
+  const isAncestor = (candidate, id) => {
+    for (let current = nodes.get(candidate); current; current = nodes.get(current.parent)) {
+      if (current.id === id) return true;
+    }
+    return false;
+  };
+
+  // Direct containment first, sibling placement needs the parents it borrows
+  for (const [id, refs] of references) {
+    for (const attribute of CONTAINMENT_ATTRIBUTES) {
+      const ref = refs.find((r) => r.attribute === attribute && r.addresses.some(known(id)));
+      if (!ref) continue;
+      const parent = ref.addresses.find(known(id));
+      if (!isAncestor(parent, id)) nodes.get(id).parent = parent;
+      break;
+    }
+  }
+  for (const [id, refs] of references) {
+    if (nodes.get(id).parent) continue;
+    const ref = refs.find((r) => SIBLING_ATTRIBUTES.includes(r.attribute) && r.addresses.some(known(id)));
+    const parent = ref && nodes.get(ref.addresses.find(known(id))).parent;
+    if (parent && !isAncestor(parent, id)) nodes.get(id).parent = parent;
+  }
+
+  const edges = [];
+  const seen = new Set();
+  for (const [id, refs] of references) {
+    for (const { attribute, addresses } of refs) {
+      for (const to of addresses.filter(known(id))) {
+        if (to === nodes.get(id).parent || seen.has(`${id}->${to}`)) continue;
+        seen.add(`${id}->${to}`);
+        edges.push({ from: id, to, label: attribute });
+      }
+    }
+  }
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+function childrenOf(graph) {
+  const children = new Map([[null, []]]);
+  for (const node of graph.nodes) {
+    if (!children.has(node.parent)) children.set(node.parent, []);
+    children.get(node.parent).push(node);
+  }
+  return (id) => children.get(id) || [];
+}
+
+function nodeLabel(node) {
+  return node.kind === 'module' ? `module.${node.name}` : `${node.name} (${node.kind === 'data' ? 'data.' : ''}${node.type})`;
+}
+
+// --- Mermaid ---
+
+function mermaidId(id) {
+  return id.replace(/[^\w]/g, '_');
+}
+
+function mermaidText(text) {
+  return text.replace(/"/g, '#quot;');
+}
+
+function renderMermaid(graph) {
+  const children = childrenOf(graph);
+  const lines = ['flowchart TB'];
+  const renderNode = (node, indent) => {
+    const nested = children(node.id);
+    if (nested.length) {
+      lines.push(`${indent}subgraph ${mermaidId(node.id)} ["${mermaidText(nodeLabel(node))}"]`);
+      nested.forEach((child) => renderNode(child, `${indent}  `));
+      lines.push(`${indent}end`);
+    } else {
+      const [open, close] = node.kind === 'data' ? ['[/', '/]'] : ['[', ']'];
+      lines.push(`${indent}${mermaidId(node.id)}${open}"${mermaidText(nodeLabel(node))}"${close}`);
+    }
+  };
+  children(null).forEach((node) => renderNode(node, '  '));
+  for (const edge of graph.edges) {
+    lines.push(`  ${mermaidId(edge.from)} -->|${mermaidText(edge.label)}| ${mermaidId(edge.to)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// --- Graphviz DOT ---
+
+function dotString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function renderDot(graph) {
+  const children = childrenOf(graph);
+  const lines = [
+    'digraph terraform {',
+    '  rankdir=LR;',
+    '  compound=true;',
+    '  node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+  // Clusters cannot be edge endpoints, a container keeps a node of its own inside its cluster
+  const renderNode = (node, indent) => {
+    const nested = children(node.id);
+    const shape = node.kind === 'data' ? ', shape=note' : '';
+    if (!nested.length) {
+      lines.push(`${indent}${dotString(node.id)} [label=${dotString(nodeLabel(node))}${shape}];`);
+      return;
+    }
+    lines.push(`${indent}subgraph ${dotString(`cluster_${node.id}`)} {`);
+    lines.push(`${indent}  label=${dotString(nodeLabel(node))};`);
+    lines.push(`${indent}  style="rounded,dashed";`);
+    lines.push(`${indent}  ${dotString(node.id)} [label=${dotString(node.type)}, style="rounded,bold"${shape}];`);
+    nested.forEach((child) => renderNode(child, `${indent}  `));
+    lines.push(`${indent}}`);
+  };
+  children(null).forEach((node) => renderNode(node, '  '));
+  for (const edge of graph.edges) {
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)} [label=${dotString(edge.label)}];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+// --- SVG ---
+
+function xmlText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Sizes bottom-up: leaves are fixed boxes, containers wrap their children in rows
+function measure(node, children) {
+  const nested = children(node.id);
+  if (!nested.length) return { node, width: LEAF.width, height: LEAF.height, rows: [] };
+
+  const measured = nested.map((child) => measure(child, children));
+  const rows = [];
+  for (let i = 0; i < measured.length; i += ROW_SIZE) rows.push(measured.slice(i, i + ROW_SIZE));
+  const rowWidth = (row) => row.reduce((sum, box) => sum + box.width, 0) + GAP * (row.length - 1);
+  const rowHeight = (row) => Math.max(...row.map((box) => box.height));
+  return {
+    node,
+    width: Math.max(LEAF.width, ...rows.map(rowWidth)) + 2 * PADDING,
+    height: HEADER + rows.reduce((sum, row) => sum + rowHeight(row), 0) + GAP * (rows.length - 1) + PADDING,
+    rows,
+  };
+}
+
+// Positions top-down, collecting absolute boxes by node id
+function place(box, x, y, boxes) {
+  boxes.set(box.node.id, { ...box, x, y });
+  let rowY = y + HEADER;
+  for (const row of box.rows) {
+    let rowX = x + PADDING;
+    for (const child of row) {
+      place(child, rowX, rowY, boxes);
+      rowX += child.width + GAP;
+    }
+    rowY += Math.max(...row.map((child) => child.height)) + GAP;
+  }
+}
+
+// Point where the line from the box center towards (tx, ty) leaves the box
+function borderPoint(box, tx, ty) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const dx = tx - cx;
+  const dy = ty - cy;
+  if (!dx && !dy) return { x: cx, y: cy };
+  const scale = Math.min(dx ? box.width / 2 / Math.abs(dx) : Infinity, dy ? box.height / 2 / Math.abs(dy) : Infinity);
+  return { x: cx + dx * scale, y: cy + dy * scale };
+}
+
+function renderSvg(graph) {
+  const children = childrenOf(graph);
+  const root = measure({ id: null }, children);
+  const boxes = new Map();
+  place(root, 0, -HEADER + PADDING, boxes);
+  boxes.delete(null);
+
+  const width = Math.max(root.width, 2 * PADDING + LEAF.width);
+  const height = Math.max(root.height - HEADER + PADDING, 2 * PADDING + LEAF.height);
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12">`,
+    '<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#555"/></marker></defs>',
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+  ];
+
+  // Containers before their children so nested boxes are drawn on top
+  for (const box of [...boxes.values()].sort((a, b) => b.width * b.height - a.width * a.height)) {
+    const { node } = box;
+    if (box.rows.length) {
+      parts.push(`<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="8" fill="#f2f7ff" fill-opacity="0.6" stroke="#4a78c2" stroke-dasharray="6 4"/>`);
+      parts.push(`<text x="${box.x + 10}" y="${box.y + 19}" font-weight="bold" fill="#2c4f8a">${xmlText(nodeLabel(node))}</text>`);
+    } else {
+      const dash = node.kind === 'data' ? ' stroke-dasharray="3 3"' : '';
+      parts.push(`<g><title>${xmlText(node.id)}</title>`);
+      parts.push(`<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="6" fill="#ffffff" stroke="#333333"${dash}/>`);
+      parts.push(`<text x="${box.x + box.width / 2}" y="${box.y + 19}" text-anchor="middle" font-weight="bold">${xmlText(node.name)}</text>`);
+      parts.push(`<text x="${box.x + box.width / 2}" y="${box.y + 35}" text-anchor="middle" fill="#666666" font-size="10">${xmlText(node.type)}</text>`);
+      parts.push('</g>');
+    }
+  }
+
+  for (const edge of graph.edges) {
+    const from = boxes.get(edge.from);
+    const to = boxes.get(edge.to);
+    const start = borderPoint(from, to.x + to.width / 2, to.y + to.height / 2);
+    const end = borderPoint(to, from.x + from.width / 2, from.y + from.height / 2);
+    parts.push(`<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" stroke="#555" marker-end="url(#arrow)"><title>${xmlText(`${edge.from} → ${edge.to} (${edge.label})`)}</title></line>`);
+    parts.push(`<text x="${(start.x + end.x) / 2}" y="${(start.y + end.y) / 2 - 4}" text-anchor="middle" fill="#555" font-size="10">${xmlText(edge.label)}</text>`);
+  }
+
+  parts.push('</svg>');
+  return `${parts.join('\n')}\n`;
+}
+
+module.exports = { extractResourceGraph, renderMermaid, renderDot, renderSvg };
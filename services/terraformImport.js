@@ -0,0 +1,237 @@
+// services/terraformImport.js
+// Existing Terraform as a project, so the editor, lint and cost flows work on it like on generated
+// code. Sources are a single .tf file, a zip of a module or a directory on the server (only below
+// IMPORT_DIRS). The .tf files become the project files as they are, with their names and
+// directories; everything else the configuration needs (templates, scripts, the lock file) is
+// copied along as assets. State files, .terraform/ and .git/ are left out.
+//
+// Imported projects keep their own files (layout 'imported', see projectStore.projectCode), so an
+// edit leaves the files it did not change byte-identical.
+const fs = require('fs');
+const path = require('path');
+const hcl = require('./hcl');
+const projectStore = require('./projectStore');
+const { isReservedPath, isSectionFileName } = require('./terraformModule');
+const { cloudProviderForTerraformProvider } = require('./terraformProviders');
+const { getSupportedProviders } = require('./componentCatalog');
+const { isZip, readZip, ZipFormatError } = require('./zipArchive');
+
+const MB = 1024 * 1024;
+const IMPORT_LIMITS = {
+  files: parseInt(process.env.IMPORT_MAX_FILES, 10) || 500,
+  bytes: Math.round((parseFloat(process.env.IMPORT_MAX_MB) || 20) * MB),
+};
+// Directories a server-side import may read from, separated like PATH
+const IMPORT_DIRS = (process.env.IMPORT_DIRS || '').split(path.delimiter).filter(Boolean).map((dir) => path.resolve(dir));
+
+// Never imported: provider plugins, state (it holds secrets), VCS data and OS clutter
+const SKIPPED_PATHS = [
+  /(^|\/)\.terraform\//,
+  /(^|\/)\.git\//,
+  /(^|\/)__MACOSX\//,
+  /\.tfstate(\.\d+)?(\.backup)?$/,
+  /(^|\/)crash(\.\d+)?\.log$/,
+  /(^|\/)\.DS_Store$/,
+];
+// Files of the project workspace itself (projectStore), an import cannot overwrite them
+const RESERVED_NAMES = ['project.json', 'ir.json', 'costs.json', 'chat.json', 'tfplan.json'];
+
+// Failure with the HTTP status it maps to
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+// a\b/./c.tf -> a/b/c.tf, null for absolute paths and paths leaving the module
+function normalizeEntryName(name) {
+  const parts = name.replace(/\\/g, '/').split('/').filter((part) => part && part !== '.');
+  if (/^([a-z]:)?\//i.test(name.replace(/\\/g, '/')) || parts.includes('..') || !parts.length) return null;
+  return parts.join('/');
+}
+
+// Zips of a folder put everything below one directory, the module starts inside it
+function stripCommonDirectory(entries) {
+  if (!entries.length) return entries;
+  const first = entries[0].name.split('/')[0];
+  if (!entries.every((entry) => entry.name.startsWith(`${first}/`))) return entries;
+  return stripCommonDirectory(entries.map((entry) => ({ ...entry, name: entry.name.slice(first.length + 1) })));
+}
+
+// [{ name, data }] -> { files (the .tf files as text), assets, skipped }. With `stripCommon` the
+// directory all kept entries share is removed first, so skipped entries do not keep it in place.
+function collectEntries(entries, { stripCommon = false } = {}) {
+  const files = {};
+  const assets = {};
+  const skipped = [];
+  let kept = [];
+  for (const entry of entries) {
+    const name = normalizeEntryName(entry.name);
+    if (!name || SKIPPED_PATHS.some((pattern) => pattern.test(name))) skipped.push(entry.name);
+    else kept.push({ ...entry, name, originalName: entry.name });
+  }
+  if (stripCommon) kept = stripCommonDirectory(kept);
+
+  let total = 0;
+  for (const { name, data, originalName } of kept) {
+    if (RESERVED_NAMES.includes(name) || isReservedPath(name)) {
+      skipped.push(originalName);
+      continue;
+    }
+    total += data.length;
+    if (total > IMPORT_LIMITS.bytes) throw new ImportError(`The module is larger than ${IMPORT_LIMITS.bytes / MB} MB (IMPORT_MAX_MB).`, 413);
+    if (isSectionFileName(name)) files[name] = data.toString('utf8');
+    else assets[name] = data;
+  }
+  if (Object.keys(files).length + Object.keys(assets).length > IMPORT_LIMITS.files) {
+    throw new ImportError(`The module has more than ${IMPORT_LIMITS.files} files (IMPORT_MAX_FILES).`, 413);
+  }
+  if (!Object.keys(files).length) throw new ImportError('No .tf files found to import.', 422);
+  // Root module files first, then the ones of local modules
+  const ordered = Object.fromEntries(Object.entries(files).sort(([a], [b]) => (a.includes('/') - b.includes('/')) || a.localeCompare(b)));
+  return { files: ordered, assets, skipped };
+}
+
+// An uploaded .tf file or zip ({ originalname, buffer } from multer)
+function readUpload(file) {
+  const name = path.basename(file.originalname || 'main.tf');
+  if (isZip(file.buffer)) {
+    let entries;
+    try {
+      entries = readZip(file.buffer, { maxEntries: IMPORT_LIMITS.files * 2, maxBytes: IMPORT_LIMITS.bytes });
+    } catch (err) {
+      if (err instanceof ZipFormatError) throw new ImportError(`${name}: ${err.message}`, 422);
+      throw err;
+    }
+    if (!entries.length) throw new ImportError(`${name} is empty.`, 422);
+    return { name: name.replace(/\.zip$/i, ''), kind: 'zip', ...collectEntries(entries, { stripCommon: true }) };
+  }
+  if (!/\.tf$/i.test(name)) throw new ImportError(`Unsupported file '${name}', import a .tf file or a .zip of a module.`, 415);
+  return { name: name.replace(/\.tf$/i, ''), kind: 'file', ...collectEntries([{ name: name.replace(/\.tf$/i, '.tf'), data: file.buffer }]) };
+}
+
+// A directory below one of IMPORT_DIRS; symbolic links are not followed
+function readDirectory(requested) {
+  if (!IMPORT_DIRS.length) throw new ImportError('Importing from server directories is disabled, set IMPORT_DIRS to allow it.', 403);
+  if (typeof requested !== 'string' || !requested) throw new ImportError('path must name a directory on the server.');
+  let dir;
+  try {
+    dir = fs.realpathSync(path.resolve(requested));
+  } catch (err) {
+    throw new ImportError(`No such directory: ${requested}`, 404);
+  }
+  const allowed = IMPORT_DIRS.some((root) => {
+    const relative = path.relative(fs.existsSync(root) ? fs.realpathSync(root) : root, dir);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+  if (!allowed) throw new ImportError(`${requested} is not below one of the IMPORT_DIRS.`, 403);
+  if (!fs.statSync(dir).isDirectory()) throw new ImportError(`${requested} is not a directory.`);
+
+  const entries = [];
+  let total = 0;
+  const walk = (current) => {
+    for (const dirent of fs.readdirSync(current, { withFileTypes: true })) {
+      const full = path.join(current, dirent.name);
+      const name = path.relative(dir, full).split(path.sep).join('/');
+      if (dirent.isDirectory()) {
+        if (!SKIPPED_PATHS.some((pattern) => pattern.test(`${name}/`))) walk(full);
+      } else if (dirent.isFile()) {
+        if (entries.length >= IMPORT_LIMITS.files * 2) throw new ImportError(`The directory has more than ${IMPORT_LIMITS.files} files (IMPORT_MAX_FILES).`, 413);
+        total += fs.statSync(full).size;
+        if (total > IMPORT_LIMITS.bytes) throw new ImportError(`The directory is larger than ${IMPORT_LIMITS.bytes / MB} MB (IMPORT_MAX_MB).`, 413);
+        entries.push({ name, data: fs.readFileSync(full) });
+      }
+    }
+  };
+  walk(dir);
+  return { name: path.basename(dir), kind: 'directory', ...collectEntries(entries) };
+}
+
+// Count the provider types of required_providers, provider blocks and resource/data types into
+// `usage`: provider type -> number of resources and data sources using it
+function terraformProviderUsage(body, usage, warn) {
+  const add = (name, count) => usage.set(name, (usage.get(name) || 0) + count);
+  for (const block of body.items) {
+    if (block.type !== 'block') continue;
+    const labels = block.labels.map(hcl.labelValue);
+    if (block.blockType === 'terraform') {
+      for (const required of hcl.findBlocks(block.body, 'required_providers')) {
+        for (const item of required.body.items.filter((i) => i.type === 'attribute')) {
+          const source = /source\s*=\s*"(?:[^"]*\/)?([^"/]+)"/.exec(hcl.expressionText(item.expr));
+          add(source ? source[1] : item.name, 0);
+        }
+      }
+    } else if (block.blockType === 'provider' && labels[0]) {
+      add(labels[0], 0);
+    } else if ((block.blockType === 'resource' || block.blockType === 'data') && labels[0]) {
+      add(labels[0].split('_')[0], 1);
+    } else if (block.blockType === 'module' && !hcl.getAttribute(block.body, 'source')) {
+      warn(`module "${labels[0]}" has no source`);
+    }
+  }
+}
+
+// -> { cloudProvider, providers, terraformProviders, warnings }. The diagram providers come
+// ordered by how many resources use them; `requested` overrides the main one.
+function detectProviders(files, requested = null) {
+  const usage = new Map();
+  const warnings = [];
+  for (const [name, content] of Object.entries(files)) {
+    try {
+      terraformProviderUsage(hcl.parse(content), usage, (message) => warnings.push(`${name}: ${message}`));
+    } catch (err) {
+      if (!(err instanceof hcl.HclSyntaxError)) throw err;
+      // The file is imported anyway, terraform validate tells whether it is really broken
+      warnings.push(`${name}: could not be read for provider detection: ${err.message}`);
+    }
+  }
+
+  const counts = new Map();
+  for (const [terraformProvider, count] of usage) {
+    const cloudProvider = cloudProviderForTerraformProvider(terraformProvider);
+    if (cloudProvider) counts.set(cloudProvider, (counts.get(cloudProvider) || 0) + count);
+  }
+  const detected = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+
+  let cloudProvider = detected[0] || null;
+  if (requested) {
+    cloudProvider = String(requested).toLowerCase();
+    if (!getSupportedProviders().includes(cloudProvider)) {
+      throw new ImportError(`Unsupported cloud provider '${requested}'. Supported are: ${getSupportedProviders().join(', ')}.`);
+    }
+  }
+  if (!cloudProvider) {
+    throw new ImportError(`No ${getSupportedProviders().join(', ')} providers or resources found, pass cloudProvider to import it anyway.`, 422);
+  }
+  return {
+    cloudProvider,
+    providers: [cloudProvider, ...detected.filter((provider) => provider !== cloudProvider)],
+    terraformProviders: [...usage.keys()].sort(),
+    warnings,
+  };
+}
+
+// Create a project from what readUpload/readDirectory read, with `git` a git repository whose
+// first commit is the imported code. -> { project, terraformProviders, skipped, warnings }
+function importProject(source, { cloudProvider: requested = null, git = false } = {}) {
+  const { cloudProvider, providers, terraformProviders, warnings } = detectProviders(source.files, requested);
+  const project = projectStore.createProject({
+    cloudProvider,
+    providers,
+    target: 'terraform',
+    diagramName: source.name,
+    diagramFormat: `terraform-${source.kind}`,
+    files: source.files,
+    assets: source.assets,
+    layout: 'imported',
+    kind: 'import',
+    git,
+  });
+  console.log(`[DEBUG] Imported ${Object.keys(source.files).length} .tf file(s) and ${Object.keys(source.assets).length} other file(s) from ${source.kind} ${source.name}`);
+  if (source.skipped.length) console.warn('[WARN] Not imported:', source.skipped.join(', '));
+  return { project, terraformProviders, skipped: source.skipped, warnings };
+}
+
+module.exports = { IMPORT_LIMITS, IMPORT_DIRS, ImportError, readUpload, readDirectory, detectProviders, importProject };
@@ -0,0 +1,439 @@
+// services/terraformModule.js
+// Turns generated Terraform into a conventional module layout:
+//
+//   providers.tf              terraform and provider blocks
+//   variables.tf              inputs, including literals pulled out of the resources
+//   main.tf                   resources, data sources, locals, modules
+//   outputs.tf                IDs and endpoints of the main resources
+//   terraform.tfvars.example  one line per input
+//   README.md                 usage, inputs and outputs
+//
+// buildModule is idempotent: feeding the combined code of a module back in (e.g. after
+// an edit) yields the same files, with new literals and resources picked up.
+//
+// Imported Terraform (terraformImport.js) keeps its own files instead: the editor sees them as
+// sections starting with a `# ==> network.tf <==` line, see combineFileSections.
+const hcl = require('./hcl');
+const { CodeSyntaxError } = require('./iacTargets/common');
+
+const TF_FILES = ['providers.tf', 'variables.tf', 'main.tf', 'outputs.tf'];
+const MODULE_FILES = [...TF_FILES, 'terraform.tfvars.example', 'README.md'];
+
+// Attributes whose literal values become variables. Shared ones get a single variable
+// for the module (one region for everything), the others one per resource.
+const VARIABLE_ATTRIBUTES = {
+  region: { shared: true, description: 'Region to deploy into' },
+  location: { shared: true, description: 'Location to deploy into' },
+  project: { shared: true, blockTypes: ['provider'], description: 'Project to deploy into' },
+  cidr_block: { description: 'CIDR block' },
+  address_space: { description: 'Address space' },
+  address_prefixes: { description: 'Address prefixes' },
+  ip_cidr_range: { description: 'CIDR range' },
+  instance_type: { description: 'Instance type' },
+  size: { description: 'VM size' },
+  machine_type: { description: 'Machine type' },
+  instance_class: { description: 'Instance class' },
+  tier: { description: 'Machine tier' },
+  shape: { description: 'Compute shape' },
+};
+
+// Attributes worth exporting per resource type, as [output suffix, attribute expression]
+const OUTPUT_ATTRIBUTES = {
+  aws_vpc: [['id', 'id']],
+  aws_subnet: [['id', 'id']],
+  aws_security_group: [['id', 'id']],
+  aws_instance: [['id', 'id'], ['private_ip', 'private_ip'], ['public_ip', 'public_ip']],
+  aws_db_instance: [['endpoint', 'endpoint']],
+  aws_s3_bucket: [['id', 'id'], ['arn', 'arn']],
+  aws_lambda_function: [['arn', 'arn']],
+  aws_sqs_queue: [['url', 'url']],
+  aws_sns_topic: [['arn', 'arn']],
+  aws_dynamodb_table: [['arn', 'arn']],
+  aws_lb: [['dns_name', 'dns_name']],
+  aws_apigatewayv2_api: [['endpoint', 'api_endpoint']],
+  aws_cloudfront_distribution: [['domain_name', 'domain_name']],
+  aws_eks_cluster: [['endpoint', 'endpoint']],
+  azurerm_resource_group: [['name', 'name']],
+  azurerm_virtual_network: [['id', 'id']],
+  azurerm_subnet: [['id', 'id']],
+  azurerm_linux_virtual_machine: [['id', 'id'], ['private_ip', 'private_ip_address']],
+  azurerm_storage_account: [['blob_endpoint', 'primary_blob_endpoint']],
+  azurerm_linux_function_app: [['hostname', 'default_hostname']],
+  azurerm_mssql_server: [['fqdn', 'fully_qualified_domain_name']],
+  azurerm_public_ip: [['ip_address', 'ip_address']],
+  azurerm_kubernetes_cluster: [['fqdn', 'fqdn']],
+  google_compute_network: [['id', 'id']],
+  google_compute_subnetwork: [['id', 'id']],
+  google_compute_instance: [['id', 'id'], ['internal_ip', 'network_interface[0].network_ip']],
+  google_storage_bucket: [['url', 'url']],
+  google_cloudfunctions_function: [['url', 'https_trigger_url']],
+  google_sql_database_instance: [['connection_name', 'connection_name']],
+  google_container_cluster: [['endpoint', 'endpoint']],
+  oci_core_vcn: [['id', 'id']],
+  oci_core_subnet: [['id', 'id']],
+  oci_core_instance: [['id', 'id'], ['private_ip', 'private_ip'], ['public_ip', 'public_ip']],
+  oci_objectstorage_bucket: [['name', 'name']],
+  oci_functions_function: [['invoke_endpoint', 'invoke_endpoint']],
+  oci_database_autonomous_database: [['id', 'id']],
+  oci_containerengine_cluster: [['id', 'id']],
+  oci_load_balancer_load_balancer: [['ip_addresses', 'ip_address_details']],
+  kubernetes_namespace_v1: [['name', 'metadata[0].name']],
+  kubernetes_service_v1: [['cluster_ip', 'spec[0].cluster_ip']],
+  helm_release: [['status', 'status']],
+};
+
+function fileForBlock(item) {
+  if (item.blockType === 'terraform' || item.blockType === 'provider') return 'providers.tf';
+  if (item.blockType === 'variable') return 'variables.tf';
+  if (item.blockType === 'output') return 'outputs.tf';
+  return 'main.tf';
+}
+
+// Literal string or list of literal strings, the only values worth turning into variables
+function literalType(expr) {
+  const isLiteral = (t) => t.type === 'STRING' && hcl.stringValue(t) !== null;
+  if (expr.length === 1 && isLiteral(expr[0])) return 'string';
+  if (expr.length >= 3 && expr[0].type === 'OBRACK' && expr[expr.length - 1].type === 'CBRACK') {
+    const inner = expr.slice(1, -1).filter((t) => t.type !== 'NEWLINE' && t.text !== ',');
+    if (inner.length && inner.every(isLiteral)) return 'list(string)';
+  }
+  return null;
+}
+
+// Resource address referenced at the start of an expression, e.g. aws_vpc.main for aws_vpc.main.id
+function referencedAddress(expr) {
+  const [type, dot, name] = expr;
+  if (!type || !dot || !name || type.type !== 'IDENT' || dot.text !== '.' || name.type !== 'IDENT') return null;
+  if (['var', 'local', 'module', 'data', 'path', 'each', 'count', 'self'].includes(type.text)) return null;
+  return `${type.text}.${name.text}`;
+}
+
+function collectTokens(body, tokens = []) {
+  for (const item of body.items) {
+    if (item.type === 'attribute') tokens.push(...item.expr);
+    if (item.type === 'block') collectTokens(item.body, tokens);
+  }
+  return tokens;
+}
+
+function isVariableReferenced(tokens, name) {
+  const inTemplate = new RegExp(`\\bvar\\.${name}\\b`);
+  return tokens.some((t, i) => (t.text === 'var' && tokens[i + 1] && tokens[i + 1].text === '.' && tokens[i + 2] && tokens[i + 2].text === name)
+    || ((t.type === 'STRING' || t.type === 'HEREDOC') && inTemplate.test(t.text)));
+}
+
+function variableBlock(name, { description, type, defaultText }) {
+  const [block] = hcl.parse(`variable "${name}" {
+  description = ${JSON.stringify(description)}
+  type        = ${type}
+  default     = ${defaultText}
+}
+`).items;
+  return block;
+}
+
+function outputBlock(name, description, value) {
+  const [block] = hcl.parse(`output "${name}" {
+  description = ${JSON.stringify(description)}
+  value       = ${value}
+}
+`).items;
+  return block;
+}
+
+// Replace hardcoded literals with variables, adding or updating the variable declarations
+function extractVariables(items) {
+  const variables = new Map(items.filter((item) => hcl.isBlock(item, 'variable')).map((item) => [hcl.labelValue(item.labels[0]), item]));
+  const extracted = [];
+
+  for (const item of items) {
+    if (item.type !== 'block' || !['provider', 'resource'].includes(item.blockType)) continue;
+    // Aliased provider blocks are told apart by their alias, e.g. eu_west_1_region
+    const alias = item.blockType === 'provider' ? hcl.getStringAttribute(item.body, 'alias') : null;
+    const [resourceType, resourceName = alias || resourceType] = item.labels.map(hcl.labelValue);
+
+    for (const attribute of item.body.items) {
+      const spec = attribute.type === 'attribute' && VARIABLE_ATTRIBUTES[attribute.name];
+      if (!spec || (spec.blockTypes && !spec.blockTypes.includes(item.blockType))) continue;
+      const type = literalType(attribute.expr);
+      if (!type) continue;
+
+      const defaultText = hcl.printExpression(attribute.expr);
+      let name = spec.shared ? attribute.name : `${resourceName}_${attribute.name}`;
+      let existing = variables.get(name);
+
+      // A shared variable only covers the resources using the same value
+      const existingDefault = existing && hcl.getAttribute(existing.body, 'default');
+      if (spec.shared && existing && (!existingDefault || hcl.printExpression(existingDefault.expr) !== defaultText)) {
+        name = `${resourceName}_${attribute.name}`;
+        existing = variables.get(name);
+      }
+
+      if (existing) {
+        // E.g. an edit wrote the literal back into the resource, keep it as the new default
+        hcl.setAttribute(existing.body, 'default', defaultText);
+      } else {
+        const description = spec.shared || item.blockType === 'provider'
+          ? spec.description
+          : `${spec.description} of ${resourceType}.${resourceName}`;
+        const block = variableBlock(name, { description, type, defaultText });
+        variables.set(name, block);
+        extracted.push(block);
+      }
+
+      attribute.expr = hcl.parseExpression(`var.${name}`);
+      attribute.comment = null;
+    }
+  }
+
+  return extracted;
+}
+
+const ACRONYMS = new Set(['id', 'arn', 'url', 'ip', 'fqdn', 'dns']);
+
+function outputLabel(suffix) {
+  const words = suffix.split('_').map((word) => (ACRONYMS.has(word) ? word.toUpperCase() : word));
+  const label = words.join(' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// Outputs for the main resources, skipping the ones already declared
+function generateOutputs(items) {
+  const declared = new Set(items.filter((item) => hcl.isBlock(item, 'output')).map((item) => hcl.labelValue(item.labels[0])));
+  const outputs = [];
+
+  for (const item of items) {
+    if (!hcl.isBlock(item, 'resource') || item.labels.length !== 2) continue;
+    if (hcl.getAttribute(item.body, 'count') || hcl.getAttribute(item.body, 'for_each')) continue;
+    const [resourceType, resourceName] = item.labels.map(hcl.labelValue);
+
+    for (const [suffix, attributeExpr] of OUTPUT_ATTRIBUTES[resourceType] || []) {
+      const name = `${resourceName}_${suffix}`;
+      if (declared.has(name)) continue;
+      declared.add(name);
+      outputs.push(outputBlock(name, `${outputLabel(suffix)} of ${resourceType}.${resourceName}`, `${resourceType}.${resourceName}.${attributeExpr}`));
+    }
+  }
+
+  return outputs;
+}
+
+function tfvarsExample(variables) {
+  const lines = variables.map((block) => {
+    const name = hcl.labelValue(block.labels[0]);
+    const defaultValue = hcl.getAttribute(block.body, 'default');
+    return defaultValue ? `${name} = ${hcl.printExpression(defaultValue.expr)}` : `# ${name} = (required)`;
+  });
+  return lines.length ? hcl.format(lines.join('\n')) : '';
+}
+
+function markdownCell(text) {
+  return text.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+function moduleReadme({ title, providers, variables, outputs }) {
+  const attributeText = (block, name) => {
+    const attribute = hcl.getAttribute(block.body, name);
+    if (!attribute) return '';
+    return hcl.getStringAttribute(block.body, name) ?? hcl.printExpression(attribute.expr);
+  };
+
+  const lines = [
+    `# ${title}`,
+    '',
+    `Terraform module for ${providers.map((provider) => provider.toUpperCase()).join(' + ')} generated from an architecture diagram.`,
+    '',
+    '## Files',
+    '',
+    '| File | Contents |',
+    '| --- | --- |',
+    '| `providers.tf` | Terraform settings and provider configuration |',
+    '| `variables.tf` | Input variables |',
+    '| `main.tf` | Resources and data sources |',
+    '| `outputs.tf` | IDs and endpoints of the main resources |',
+    '| `terraform.tfvars.example` | Example values for the input variables |',
+    '',
+    '## Usage',
+    '',
+    '```sh',
+    'cp terraform.tfvars.example terraform.tfvars',
+    'terraform init',
+    'terraform plan',
+    '```',
+    '',
+    '## Inputs',
+    '',
+  ];
+
+  if (variables.length) {
+    lines.push('| Name | Description | Type | Default |', '| --- | --- | --- | --- |');
+    for (const block of variables) {
+      const defaultText = hcl.getAttribute(block.body, 'default') ? hcl.printExpression(hcl.getAttribute(block.body, 'default').expr) : 'n/a';
+      lines.push(`| \`${hcl.labelValue(block.labels[0])}\` | ${markdownCell(attributeText(block, 'description'))} | \`${markdownCell(attributeText(block, 'type') || 'any')}\` | \`${markdownCell(defaultText)}\` |`);
+    }
+  } else {
+    lines.push('No inputs.');
+  }
+
+  lines.push('', '## Outputs', '');
+  if (outputs.length) {
+    lines.push('| Name | Description |', '| --- | --- |');
+    for (const block of outputs) {
+      lines.push(`| \`${hcl.labelValue(block.labels[0])}\` | ${markdownCell(attributeText(block, 'description'))} |`);
+    }
+  } else {
+    lines.push('No outputs.');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Split Terraform code into the module files. Throws HclSyntaxError when the code cannot be parsed.
+function buildModule(code, { cloudProvider, providers = [cloudProvider], title = 'Generated infrastructure' }) {
+  const body = hcl.parse(code);
+  const items = body.items;
+
+  items.push(...extractVariables(items));
+
+  // Outputs pointing at resources that no longer exist would fail terraform validate
+  const addresses = new Set(hcl.listBlockAddresses(body));
+  hcl.removeItems(body, (item) => {
+    if (!hcl.isBlock(item, 'output')) return false;
+    const value = hcl.getAttribute(item.body, 'value');
+    const address = value && referencedAddress(value.expr);
+    return Boolean(address) && !addresses.has(address);
+  });
+  body.items.push(...generateOutputs(body.items));
+
+  // Drop variables nothing refers to anymore, tflint flags them as unused
+  const tokens = collectTokens({ items: body.items.filter((item) => !hcl.isBlock(item, 'variable')) });
+  hcl.removeItems(body, (item) => hcl.isBlock(item, 'variable') && !isVariableReferenced(tokens, hcl.labelValue(item.labels[0])));
+
+  // Comments travel with the block that follows them
+  const grouped = Object.fromEntries(TF_FILES.map((name) => [name, []]));
+  let pendingComments = [];
+  for (const item of body.items) {
+    if (item.type === 'comment') {
+      pendingComments.push(item);
+      continue;
+    }
+    const file = item.type === 'block' ? fileForBlock(item) : 'main.tf';
+    grouped[file].push(...pendingComments, item);
+    pendingComments = [];
+  }
+  grouped['main.tf'].push(...pendingComments);
+
+  const files = {};
+  for (const name of TF_FILES) {
+    const fileItems = grouped[name].map((item, i) => (i === 0 ? { ...item, blankBefore: false } : item));
+    files[name] = hcl.print({ type: 'body', items: fileItems });
+  }
+
+  const variables = grouped['variables.tf'].filter((item) => item.type === 'block');
+  const outputs = grouped['outputs.tf'].filter((item) => item.type === 'block');
+  files['terraform.tfvars.example'] = tfvarsExample(variables);
+  files['README.md'] = moduleReadme({ title, providers: providers.filter(Boolean), variables, outputs });
+
+  return {
+    files,
+    variables: variables.map((block) => hcl.labelValue(block.labels[0])),
+    outputs: outputs.map((block) => hcl.labelValue(block.labels[0])),
+  };
+}
+
+// Terraform code of all module files, in the order the model and the UI see it
+function combineModuleCode(files) {
+  return TF_FILES.filter((name) => files[name]).map((name) => files[name]).join('\n');
+}
+
+// --- File sections ---
+
+// `# ==> network.tf <==` starts a file, `# ==> network.tf <== deleted` removes one
+const SECTION_MARKER = /^# ==> (.+?) <==(?:[ \t]+(deleted))?[ \t]*$/;
+// Parts of a project workspace no module file may be written to: revision snapshots
+// (projectStore.js), provider plugins and VCS data
+const RESERVED_PATHS = [/^revisions\//, /(^|\/)\.terraform\//, /(^|\/)\.git\//];
+
+// Whether a module file may not be named `name`, e.g. revisions/1/main.tf or .terraform/x.tf
+function isReservedPath(name) {
+  return RESERVED_PATHS.some((pattern) => pattern.test(name));
+}
+
+// Relative .tf paths without . or .. segments outside the reserved paths, e.g. network.tf or modules/vpc/main.tf
+function isSectionFileName(name) {
+  return /\.tf$/.test(name) && !name.startsWith('/') && !isReservedPath(name)
+    && name.split('/').every((part) => part && part !== '.' && part !== '..');
+}
+
+// The same configuration with whitespace or formatting changes only
+function sameConfiguration(a, b) {
+  if (a === b) return true;
+  const lines = (text) => text.split('\n').map((line) => line.trimEnd()).join('\n').trim();
+  if (lines(a) === lines(b)) return true;
+  try {
+    return hcl.format(a) === hcl.format(b);
+  } catch (err) {
+    if (err instanceof hcl.HclSyntaxError) return false;
+    throw err;
+  }
+}
+
+// All files as one document, each after a `# ==> <name> <==` line
+function combineFileSections(files) {
+  return Object.entries(files).map(([name, content]) => `# ==> ${name} <==\n${content}`).join('\n');
+}
+
+// Split code combined by combineFileSections back into files. Sections the editor left out keep
+// the previous file, sections with the same configuration as before keep its exact bytes, so an
+// edit only touches the files it changed. New sections become new files, a `deleted` marker
+// removes a file; leaving a section out never does.
+// Throws CodeSyntaxError without sections, for reserved or invalid file names and when no .tf
+// file would be left, HclSyntaxError (naming the file) for unreadable sections.
+function splitFileSections(code, previousFiles = {}) {
+  const sections = new Map();
+  const deleted = new Set();
+  let current = null;
+  code.split('\n').forEach((line, i) => {
+    const marker = SECTION_MARKER.exec(line);
+    if (marker) {
+      const name = marker[1].trim();
+      if (!isSectionFileName(name)) throw new CodeSyntaxError(`'${name}' is not a relative .tf file name outside revisions/ and .terraform/`, i + 1);
+      if (marker[2]) {
+        deleted.add(name);
+        current = null;
+      } else {
+        current = name;
+        sections.set(current, []);
+      }
+    } else if (current) {
+      sections.get(current).push(line);
+    } else if (line.trim()) {
+      throw new CodeSyntaxError(deleted.size ? `Code after the "# ==> <file> <== deleted" line` : 'Code before the first "# ==> <file> <==" line', i + 1);
+    }
+  });
+  if (!sections.size && !deleted.size) throw new CodeSyntaxError('The code has no "# ==> <file> <==" lines naming its files');
+
+  const files = { ...previousFiles };
+  for (const name of deleted) {
+    if (sections.has(name)) throw new CodeSyntaxError(`${name} is both deleted and written`);
+    delete files[name];
+  }
+  if (!Object.keys(files).some((name) => name.endsWith('.tf')) && !sections.size) {
+    throw new CodeSyntaxError('The edit deletes every .tf file');
+  }
+  for (const [name, lines] of sections) {
+    const text = lines.join('\n').replace(/\s+$/, '');
+    const content = text ? `${text}\n` : '';
+    if (name in previousFiles && sameConfiguration(previousFiles[name], content)) continue;
+    try {
+      hcl.parse(content);
+    } catch (err) {
+      if (err instanceof hcl.HclSyntaxError) err.message = `${name}: ${err.message}`;
+      throw err;
+    }
+    files[name] = content;
+  }
+  return { files };
+}
+
+module.exports = { TF_FILES, MODULE_FILES, buildModule, combineModuleCode, isReservedPath, isSectionFileName, combineFileSections, splitFileSections };
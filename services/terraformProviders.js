@@ -0,0 +1,180 @@
+// services/terraformProviders.js
+// terraform/provider blocks shared by the template generator and the model prompts.
+// A diagram can mix providers (an AWS network plus Kubernetes workloads), so the blocks are
+// assembled from the Terraform providers each diagram provider needs. A generation profile
+// (services/generationProfiles.js) overrides regions, project IDs, versions and the backend.
+
+// Region each diagram provider deploys to unless the profile or the component says otherwise
+const DEFAULT_REGIONS = {
+  aws: 'us-east-1',
+  azure: 'East US',
+  gcp: 'us-central1',
+  oci: 'us-ashburn-1',
+};
+const PLACEHOLDER_GCP_PROJECT = 'your-gcp-project-id';
+
+// Requirements and configuration lines per Terraform provider, by local name. `cloudProvider`
+// names the region the provider block is configured for; for `regional` providers components
+// in another region need an aliased provider block.
+const TERRAFORM_PROVIDERS = {
+  aws: {
+    source: 'hashicorp/aws',
+    version: '~> 5.0.0',
+    cloudProvider: 'aws',
+    regional: true,
+    config: ({ region }) => [`region = "${region}"${region === DEFAULT_REGIONS.aws ? ' # Default region for AWS' : ''}`],
+  },
+  azurerm: {
+    source: 'hashicorp/azurerm',
+    version: '~> 3.0.0',
+    config: ({ profile }) => [
+      'features {} # Required for azurerm provider',
+      ...(profile && profile.azureSubscriptionId ? [`subscription_id = "${profile.azureSubscriptionId}"`] : []),
+    ],
+  },
+  google: {
+    source: 'hashicorp/google',
+    version: '~> 5.0.0',
+    cloudProvider: 'gcp',
+    config: ({ region, profile }) => {
+      const project = (profile && profile.gcpProject) || PLACEHOLDER_GCP_PROJECT;
+      return [
+        `project = "${project}"${project === PLACEHOLDER_GCP_PROJECT ? ' # Placeholder project ID for GCP' : ''}`,
+        `region  = "${region}"${region === DEFAULT_REGIONS.gcp ? `${' '.repeat(Math.max(1, project.length - region.length + 1))}# Default region for GCP` : ''}`,
+      ];
+    },
+  },
+  kubernetes: {
+    source: 'hashicorp/kubernetes',
+    version: '~> 2.0',
+    config: () => ['config_path = "~/.kube/config" # Cluster credentials from the local kubeconfig'],
+  },
+  helm: {
+    source: 'hashicorp/helm',
+    version: '~> 2.0',
+    config: () => ['kubernetes {', '  config_path = "~/.kube/config"', '}'],
+  },
+  oci: {
+    source: 'oracle/oci',
+    version: '~> 5.0',
+    cloudProvider: 'oci',
+    regional: true,
+    config: ({ region }) => [`region = "${region}"${region === DEFAULT_REGIONS.oci ? ' # Default region for OCI, credentials come from ~/.oci/config' : ''}`],
+  },
+};
+
+// Terraform providers per diagram provider, the first one owns the provider's resources
+const CLOUD_PROVIDERS = {
+  aws: ['aws'],
+  azure: ['azurerm'],
+  gcp: ['google'],
+  kubernetes: ['kubernetes', 'helm'],
+  oci: ['oci'],
+};
+
+function terraformProvidersFor(cloudProvider) {
+  const names = CLOUD_PROVIDERS[String(cloudProvider).toLowerCase()];
+  if (!names) throw new Error(`Unsupported cloud provider: ${cloudProvider}`);
+  return names;
+}
+
+// Diagram provider of a Terraform provider type, e.g. 'azure' for azurerm. null for the others (random, tls, ...)
+function cloudProviderForTerraformProvider(name) {
+  const match = Object.entries(CLOUD_PROVIDERS).find(([, names]) => names.includes(name));
+  return match ? match[0] : null;
+}
+
+function getTerraformProviderNames() {
+  return Object.keys(TERRAFORM_PROVIDERS);
+}
+
+// Region (Azure: location) of a diagram provider, from the profile or the default
+function getRegion(cloudProvider, profile = null) {
+  return (profile && profile.regions && profile.regions[cloudProvider]) || DEFAULT_REGIONS[cloudProvider] || null;
+}
+
+// Aliased provider block for a component in another region than its provider block, e.g.
+// { cloudProvider: 'aws', localName: 'aws', alias: 'eu_west_1', region: 'eu-west-1', reference: 'aws.eu_west_1' }.
+// Null when the default provider block covers the component.
+function getProviderAlias(cloudProvider, region, profile = null) {
+  if (!region || !CLOUD_PROVIDERS[cloudProvider]) return null;
+  const [localName] = CLOUD_PROVIDERS[cloudProvider];
+  if (!TERRAFORM_PROVIDERS[localName].regional || region === getRegion(cloudProvider, profile)) return null;
+  const alias = String(region).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return { cloudProvider, localName, alias, region, reference: `${localName}.${alias}` };
+}
+
+function hclKey(key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// Attribute lines with their '=' aligned the way terraform fmt does
+function attributeLines(entries, indent) {
+  const keys = Object.keys(entries).map(hclKey);
+  const width = Math.max(...keys.map((key) => key.length));
+  return Object.values(entries).map((value, i) => `${indent}${keys[i].padEnd(width)} = ${JSON.stringify(String(value))}`);
+}
+
+// AWS applies the profile's tags to every resource through default_tags
+function defaultTagLines(localName, profile) {
+  if (localName !== 'aws' || !profile || !profile.tags || !Object.keys(profile.tags).length) return [];
+  return ['', 'default_tags {', '  tags = {', ...attributeLines(profile.tags, '    '), '  }', '}'];
+}
+
+// backend "s3" { ... } inside the terraform block, `{name}` in its values is the module name
+function backendLines(profile, moduleName) {
+  if (!profile || !profile.backend) return [];
+  const config = Object.fromEntries(Object.entries(profile.backend.config)
+    .map(([key, value]) => [key, String(value).replace(/\{name\}/g, moduleName || 'main')]));
+  return ['', `  backend "${profile.backend.type}" {`, ...attributeLines(config, '    '), '  }'];
+}
+
+// terraform block with every required provider, then the default and aliased provider blocks
+function getProvidersBlock(cloudProviders, aliases = [], { profile = null, moduleName = null } = {}) {
+  const localNames = [...new Set(cloudProviders.flatMap(terraformProvidersFor))];
+  const versions = (profile && profile.providerVersions) || {};
+  const requirements = localNames.map((name) => [
+    `    ${name} = {`,
+    `      source  = "${TERRAFORM_PROVIDERS[name].source}"`,
+    `      version = "${versions[name] || TERRAFORM_PROVIDERS[name].version}"`,
+    '    }',
+  ].join('\n'));
+
+  // Aliased blocks follow the default block of their provider
+  const uniqueAliases = [...new Map(aliases.map((alias) => [alias.reference, alias])).values()];
+  const blocks = localNames.flatMap((name) => {
+    const provider = TERRAFORM_PROVIDERS[name];
+    const region = provider.cloudProvider ? getRegion(provider.cloudProvider, profile) : null;
+    return [
+      [
+        `provider "${name}" {`,
+        ...[...provider.config({ region, profile }), ...defaultTagLines(name, profile)].map((line) => (line ? `  ${line}` : '')),
+        '}',
+      ].join('\n'),
+      ...uniqueAliases.filter((alias) => alias.localName === name).map((alias) => [
+        `provider "${alias.localName}" {`,
+        `  alias  = "${alias.alias}"`,
+        `  region = "${alias.region}"`,
+        ...defaultTagLines(name, profile).map((line) => (line ? `  ${line}` : '')),
+        '}',
+      ].join('\n')),
+    ];
+  });
+
+  return `
+terraform {
+  required_version = ">= 1.0.0"
+  required_providers {
+${requirements.join('\n')}
+  }
+${backendLines(profile, moduleName).join('\n')}${profile && profile.backend ? '\n' : ''}}
+
+${blocks.join('\n\n')}
+`;
+}
+
+function getProviderBlock(cloudProvider) {
+  return getProvidersBlock([cloudProvider]);
+}
+
+module.exports = { getProviderBlock, getProvidersBlock, getProviderAlias, getRegion, getTerraformProviderNames, cloudProviderForTerraformProvider };
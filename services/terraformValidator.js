@@ -0,0 +1,129 @@
+// services/terraformValidator.js
+// Runs terraform validate and tflint in a project directory and turns their output into
+// structured diagnostics:
+//
+//   { tool: 'hcl' | 'terraform' | 'tflint', severity: 'error' | 'warning' | 'notice',
+//     file, line, column, message, rule }
+//
+// Missing binaries are reported as unavailable rather than failing the validation. The other
+// IaC targets (iacTargets/) report their validators' output as the same diagnostics.
+const { runStep } = require('./toolchainRunner');
+
+// Overrides the toolchain step timeouts for validation only
+const VALIDATE_TIMEOUT_MS = parseInt(process.env.VALIDATE_TIMEOUT_MS, 10) || null;
+
+// `options` carries the job signal and output listener when run as part of a job
+function run(step, command, args, cwd, { signal, onOutput } = {}) {
+  return runStep(step, command, args, { cwd, timeout: VALIDATE_TIMEOUT_MS, signal, onOutput });
+}
+
+function diagnostic(tool, { severity = 'error', file = null, line = null, column = null, message, rule = null }) {
+  return { tool, severity, file, line, column, message, rule };
+}
+
+// Human readable terraform output, e.g. from init:
+//   Error: Unsupported block type
+//
+//     on main.tf line 3, in resource "aws_vpc" "main":
+function parseTerraformText(output) {
+  const diagnostics = [];
+  const pattern = /(Error|Warning): ([^\n]+)(?:\n\s*\n\s*on (\S+) line (\d+))?/g;
+  let match;
+  while ((match = pattern.exec(output)) !== null) {
+    diagnostics.push(diagnostic('terraform', {
+      severity: match[1].toLowerCase(),
+      file: match[3] || null,
+      line: match[4] ? parseInt(match[4], 10) : null,
+      message: match[2].trim(),
+    }));
+  }
+  return diagnostics;
+}
+
+// terraform validate -json
+function parseValidateJson(output) {
+  const result = JSON.parse(output);
+  return (result.diagnostics || []).map((d) => diagnostic('terraform', {
+    severity: d.severity,
+    file: d.range ? d.range.filename : null,
+    line: d.range ? d.range.start.line : null,
+    column: d.range ? d.range.start.column : null,
+    message: d.detail ? `${d.summary}: ${d.detail}` : d.summary,
+  }));
+}
+
+// tflint --format=json
+function parseTflintJson(output) {
+  const result = JSON.parse(output);
+  const issues = (result.issues || []).map((issue) => diagnostic('tflint', {
+    severity: issue.rule.severity,
+    file: issue.range ? issue.range.filename : null,
+    line: issue.range ? issue.range.start.line : null,
+    column: issue.range ? issue.range.start.column : null,
+    message: issue.message,
+    rule: issue.rule.name,
+  }));
+  const errors = (result.errors || []).map((error) => diagnostic('tflint', {
+    severity: error.severity || 'error',
+    file: error.range ? error.range.filename : null,
+    line: error.range ? error.range.start.line : null,
+    message: error.message,
+  }));
+  return [...issues, ...errors];
+}
+
+function unparsableOutput(tool, result) {
+  return diagnostic(tool, { message: (result.stderr || result.stdout).trim() || `${tool} exited with code ${result.exitCode}` });
+}
+
+// Validate the module in dir. Returns { available, diagnostics }, available is false when
+// terraform is not installed (tflint is optional and skipped when missing).
+async function validateDirectory(dir, options = {}) {
+  const init = await run('init', 'terraform', ['init', '-backend=false', '-input=false', '-no-color'], dir, options);
+  if (init.missing) return { available: false, diagnostics: [] };
+  if (init.exitCode !== 0) {
+    const diagnostics = parseTerraformText(init.stderr + init.stdout);
+    return { available: true, diagnostics: diagnostics.length ? diagnostics : [unparsableOutput('terraform', init)] };
+  }
+
+  const diagnostics = [];
+  const validate = await run('validate', 'terraform', ['validate', '-json', '-no-color'], dir, options);
+  try {
+    diagnostics.push(...parseValidateJson(validate.stdout));
+  } catch (err) {
+    diagnostics.push(unparsableOutput('terraform', validate));
+  }
+
+  const tflint = await run('tflint', 'tflint', ['--format=json'], dir, options);
+  if (tflint.missing) {
+    console.warn('[WARN] tflint is not installed, skipping it during validation');
+  } else {
+    try {
+      diagnostics.push(...parseTflintJson(tflint.stdout));
+    } catch (err) {
+      diagnostics.push(unparsableOutput('tflint', tflint));
+    }
+  }
+
+  return { available: true, diagnostics };
+}
+
+function hasErrors(diagnostics) {
+  return diagnostics.some((d) => d.severity === 'error');
+}
+
+function formatDiagnostic(d) {
+  const location = d.file ? `${d.file}${d.line ? `:${d.line}` : ''}: ` : '';
+  return `${location}[${d.tool}${d.rule ? ` ${d.rule}` : ''}] ${d.severity}: ${d.message}`;
+}
+
+module.exports = {
+  VALIDATE_TIMEOUT_MS,
+  validateDirectory,
+  parseTerraformText,
+  parseValidateJson,
+  parseTflintJson,
+  diagnostic,
+  hasErrors,
+  formatDiagnostic,
+};
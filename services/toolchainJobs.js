@@ -0,0 +1,156 @@
+// services/toolchainJobs.js
+// Lint and cost estimation for a project directory, run as jobs (see jobQueue.js):
+//   lint: init -> validate -> tflint, or the validators of another IaC target
+//   cost: init -> plan -> pricing (OpenInfraQuote)
+// Every tool runs as a step of toolchainRunner.js; its output is streamed into the job log.
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { runStep, stepSummary, formatStepOutput, CACHE_DIR } = require('./toolchainRunner');
+const { JobFailure } = require('./jobQueue');
+const { formatDiagnostic, hasErrors } = require('./terraformValidator');
+
+const PRICE_SHEET_URL = process.env.OIQ_PRICES_URL || 'https://oiq.terrateam.io/prices.csv.gz';
+// OIQ_PRICESHEET points at a sheet managed outside the server, which is used as is and never downloaded
+const CONFIGURED_PRICE_SHEET = process.env.OIQ_PRICESHEET ? path.resolve(process.env.OIQ_PRICESHEET) : null;
+const PRICE_SHEET_PATH = CONFIGURED_PRICE_SHEET || path.join(CACHE_DIR, 'prices.csv');
+// With OIQ_OFFLINE=true the cached sheet is never refreshed
+const OFFLINE = process.env.OIQ_OFFLINE === 'true';
+const PRICE_SHEET_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+// Plans for pricing use local state, whatever backend a profile configured: the server has no
+// credentials for the remote state store. Terraform merges *_override.tf files over the module.
+const LOCAL_BACKEND_OVERRIDE = 'local_backend_override.tf';
+
+// Runs steps in order and keeps their results
+function stepRunner(job, dir) {
+  const results = [];
+  return {
+    results,
+    async run(step, command, args, options = {}) {
+      const result = await runStep(step, command, args, { cwd: dir, signal: job.signal, onOutput: job.log, ...options });
+      results.push(result);
+      job.throwIfCancelled();
+      return result;
+    },
+  };
+}
+
+// -> { passed, output, steps }
+async function runLintJob(job, dir) {
+  const steps = stepRunner(job, dir);
+  const passed = await (async () => {
+    job.stage('init');
+    // Validation needs no state, like terraformValidator
+    if (!(await steps.run('init', 'terraform', ['init', '-backend=false', '-input=false', '-no-color'])).ok) return false;
+    job.stage('validate');
+    if (!(await steps.run('validate', 'terraform', ['validate', '-no-color'])).ok) return false;
+    job.stage('tflint');
+    return (await steps.run('tflint', 'tflint', [])).ok;
+  })();
+
+  const output = formatStepOutput(steps.results);
+  if (!passed) console.error('[ERROR] Linting failed:', output);
+  return { passed, output: output || 'No linting issues found.', steps: steps.results.map(stepSummary) };
+}
+
+// Lint for the IaC targets other than Terraform, through their validate(): cfn-lint, bicep build, tsc.
+// -> { passed, output, steps } like runLintJob
+async function runTargetLintJob(job, dir, target) {
+  job.stage('validate');
+  const { available, diagnostics, steps } = await target.validate(dir, { signal: job.signal, onOutput: job.log });
+  job.throwIfCancelled();
+  if (!available) {
+    const output = `${target.validators} is not installed on the server.`;
+    console.error('[ERROR] Linting failed:', output);
+    return { passed: false, output, steps };
+  }
+  const passed = !hasErrors(diagnostics);
+  const output = diagnostics.map(formatDiagnostic).join('\n');
+  if (!passed) console.error('[ERROR] Linting failed:', output);
+  return { passed, output: output || 'No linting issues found.', steps };
+}
+
+// The price sheet is shared by all projects and refreshed once a day.
+// -> { path, updatedAt } of the sheet to price with
+async function ensurePriceSheet(job) {
+  const stat = fs.existsSync(PRICE_SHEET_PATH) ? fs.statSync(PRICE_SHEET_PATH) : null;
+  const sheet = () => ({ path: PRICE_SHEET_PATH, updatedAt: fs.statSync(PRICE_SHEET_PATH).mtime.toISOString() });
+  if (CONFIGURED_PRICE_SHEET || OFFLINE) {
+    if (stat) return sheet();
+    throw new JobFailure('Error running OpenInfraQuote.', { status: 503, details: { step: 'prices', output: `No price sheet at ${PRICE_SHEET_PATH}` } });
+  }
+  if (stat && Date.now() - stat.mtimeMs < PRICE_SHEET_MAX_AGE_MS) return sheet();
+
+  job.log('Downloading the OpenInfraQuote price sheet...\n');
+  const signal = AbortSignal.any([job.signal, AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)]);
+  const partial = `${PRICE_SHEET_PATH}.${job.id}.part`;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const response = await new Promise((resolve, reject) => {
+      https.get(PRICE_SHEET_URL, { signal }, resolve).on('error', reject);
+    });
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw new Error(`HTTP ${response.statusCode}`);
+    }
+    await pipeline(response, zlib.createGunzip(), fs.createWriteStream(partial), { signal });
+    fs.renameSync(partial, PRICE_SHEET_PATH);
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    job.throwIfCancelled();
+    // An older sheet still gives an estimate, no sheet at all does not
+    if (!stat) throw new JobFailure('Error running OpenInfraQuote.', { status: 502, details: { step: 'prices', output: `Could not download the price sheet: ${err.message}` } });
+    console.warn('[WARN] Could not refresh the price sheet, using the cached one:', err.message);
+    job.log(`Could not refresh the price sheet (${err.message}), using the cached one.\n`);
+  }
+  return sheet();
+}
+
+// -> { output, format, plan, priceSheet, steps }: the oiq price report as JSON, or as text when
+// the installed oiq has no JSON output, and the parsed plan it was priced from
+async function runCostJob(job, dir) {
+  const steps = stepRunner(job, dir);
+  const fail = (result) => {
+    console.error(`[ERROR] OIQ estimation failed at ${result.step}:`, result.stderr || result.stdout);
+    throw new JobFailure('Error running OpenInfraQuote.', {
+      details: { step: result.step, output: (result.stderr || result.stdout).trim(), steps: steps.results.map(stepSummary) },
+    });
+  };
+  const check = (result) => (result.ok ? result : fail(result));
+
+  const override = path.join(dir, LOCAL_BACKEND_OVERRIDE);
+  let show;
+  try {
+    fs.writeFileSync(override, 'terraform {\n  backend "local" {}\n}\n');
+    job.stage('init');
+    check(await steps.run('init', 'terraform', ['init', '-reconfigure', '-input=false', '-no-color']));
+
+    job.stage('plan');
+    check(await steps.run('validate', 'terraform', ['validate', '-no-color']));
+    check(await steps.run('plan', 'terraform', ['plan', '-out=tf.plan', '-no-color']));
+    show = check(await steps.run('show', 'terraform', ['show', '-json', 'tf.plan'], { onOutput: null }));
+  } finally {
+    fs.rmSync(override, { force: true });
+  }
+  fs.writeFileSync(path.join(dir, 'tfplan.json'), show.stdout);
+
+  job.stage('pricing');
+  const priceSheet = await ensurePriceSheet(job);
+  const match = check(await steps.run('oiq-match', 'oiq', ['match', '--pricesheet', priceSheet.path, 'tfplan.json'], { onOutput: null }));
+  let format = 'json';
+  let price = await steps.run('oiq-price', 'oiq', ['price', '--format=json'], { input: match.stdout, onOutput: null });
+  if (!price.ok && !price.missing && !price.timedOut) {
+    console.warn('[WARN] oiq price has no JSON output, reading its text report:', price.stderr.trim());
+    format = 'text';
+    price = await steps.run('oiq-price', 'oiq', ['price'], { input: match.stdout });
+  }
+  check(price);
+
+  if (price.stderr) console.warn('OIQ STDERR:', price.stderr);
+  return { output: price.stdout, format, plan: JSON.parse(show.stdout), priceSheet, steps: steps.results.map(stepSummary) };
+}
+
+module.exports = { runLintJob, runTargetLintJob, runCostJob };
@@ -0,0 +1,112 @@
+// services/toolchainRunner.js
+// Runs terraform, tflint, oiq, the validators of the other IaC targets and pdftoppm for uploads as named steps. Every step gets:
+//   - an argument array, never a shell string
+//   - a timeout and an output limit for its kind of step (STEP_LIMITS)
+//   - a scrubbed environment: no server secrets, only what the tools and cloud credentials need
+//   - a shared provider plugin cache, so repeated `terraform init`s do not download providers again
+// and returns a structured StepResult:
+//   { step, command, args, ok, exitCode, durationMs, stdout, stderr, missing, timedOut, cancelled, truncated }
+const fs = require('fs');
+const path = require('path');
+const { runProcess } = require('./processRunner');
+
+const MINUTE = 60 * 1000;
+const MB = 1024 * 1024;
+
+// Per step defaults, TOOL_TIMEOUT_MS and TOOL_MAX_OUTPUT_BYTES override all of them
+const STEP_LIMITS = {
+  init: { timeout: 5 * MINUTE, maxOutput: MB },
+  validate: { timeout: 2 * MINUTE, maxOutput: 5 * MB },
+  tflint: { timeout: 2 * MINUTE, maxOutput: 5 * MB },
+  plan: { timeout: 15 * MINUTE, maxOutput: 10 * MB },
+  show: { timeout: 2 * MINUTE, maxOutput: 100 * MB },
+  'oiq-match': { timeout: 2 * MINUTE, maxOutput: 100 * MB },
+  'oiq-price': { timeout: MINUTE, maxOutput: 5 * MB },
+  'cfn-lint': { timeout: 2 * MINUTE, maxOutput: 5 * MB },
+  bicep: { timeout: 2 * MINUTE, maxOutput: 10 * MB },
+  'npm-install': { timeout: 10 * MINUTE, maxOutput: 5 * MB },
+  tsc: { timeout: 3 * MINUTE, maxOutput: 5 * MB },
+  pdftoppm: { timeout: 2 * MINUTE, maxOutput: MB },
+};
+const DEFAULT_LIMITS = { timeout: 5 * MINUTE, maxOutput: 5 * MB };
+
+// Variables every child process gets; everything else (API keys, server settings) is dropped
+// unless the caller allows it, see scrubbedEnvironment
+const ENV_ALLOWLIST = ['PATH', 'HOME', 'TMPDIR', 'LANG', 'LC_ALL', 'TZ', 'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'SSL_CERT_FILE', 'SSL_CERT_DIR'];
+// What the tools need on top: cloud credentials, terraform variables and logging, npm settings
+const TOOL_ENV_PREFIXES = ['AWS_', 'ARM_', 'AZURE_', 'GOOGLE_', 'CLOUDSDK_', 'TF_VAR_', 'TF_LOG', 'TFLINT_', 'NPM_CONFIG_', 'npm_config_'];
+
+const CACHE_DIR = path.resolve(process.env.TOOLCHAIN_CACHE_DIR || path.join(__dirname, '..', '.toolchain-cache'));
+const PLUGIN_CACHE_DIR = path.resolve(process.env.TF_PLUGIN_CACHE_DIR || path.join(CACHE_DIR, 'plugins'));
+
+function stepLimits(step) {
+  const limits = STEP_LIMITS[step] || DEFAULT_LIMITS;
+  return {
+    timeout: parseInt(process.env.TOOL_TIMEOUT_MS, 10) || limits.timeout,
+    maxOutput: parseInt(process.env.TOOL_MAX_OUTPUT_BYTES, 10) || limits.maxOutput,
+  };
+}
+
+// `source` reduced to ENV_ALLOWLIST and the `names` and `prefixes` the caller allows on top,
+// shared with other child processes of the server such as git (projectGit.js)
+function scrubbedEnvironment(source = process.env, { names = [], prefixes = [] } = {}) {
+  const env = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (ENV_ALLOWLIST.includes(key) || names.includes(key) || prefixes.some((prefix) => key.startsWith(prefix))) env[key] = value;
+  }
+  return env;
+}
+
+function toolEnvironment(source = process.env) {
+  const env = scrubbedEnvironment(source, { prefixes: TOOL_ENV_PREFIXES });
+  fs.mkdirSync(PLUGIN_CACHE_DIR, { recursive: true });
+  return {
+    ...env,
+    TF_IN_AUTOMATION: '1',
+    TF_INPUT: '0',
+    CHECKPOINT_DISABLE: '1',
+    TF_PLUGIN_CACHE_DIR: PLUGIN_CACHE_DIR,
+    // Projects have no lock file, without this terraform would not use the cache for them
+    TF_PLUGIN_CACHE_MAY_BREAK_DEPENDENCY_LOCK_FILE: 'true',
+  };
+}
+
+// Run one step. `options`: cwd, signal, onOutput, input, and timeout/maxOutput to override the step limits.
+async function runStep(step, command, args, { cwd, signal, onOutput, input, timeout, maxOutput } = {}) {
+  const limits = stepLimits(step);
+  const result = await runProcess(command, args, {
+    cwd,
+    env: toolEnvironment(),
+    timeout: timeout || limits.timeout,
+    maxOutput: maxOutput || limits.maxOutput,
+    signal,
+    input,
+    onOutput,
+  });
+
+  let { stderr } = result;
+  if (result.missing) stderr = `${command} is not installed on the server.`;
+  if (result.timedOut) stderr += `\n${step} timed out after ${(timeout || limits.timeout) / 1000}s`;
+  if (result.truncated) stderr += `\n${step} output was truncated`;
+  const ok = result.exitCode === 0 && !result.timedOut && !result.cancelled;
+
+  console.log(`[DEBUG] ${step}: ${command} ${args.join(' ')} exited with ${result.exitCode} in ${result.durationMs}ms`);
+  return { step, command, args, ok, ...result, stderr };
+}
+
+// StepResult without its (possibly large) output, for job results and API responses
+function stepSummary({ step, command, args, ok, exitCode, durationMs, missing, timedOut, cancelled, truncated }) {
+  return { step, command, args, ok, exitCode, durationMs, missing, timedOut, cancelled, truncated };
+}
+
+// The tool report shown to users: every step's stdout and stderr, in order
+function formatStepOutput(results) {
+  let output = '';
+  for (const result of results) {
+    if (result.stdout) output += `[STDOUT] ${result.stdout}\n`;
+    if (result.stderr) output += `[STDERR] ${result.stderr}\n`;
+  }
+  return output;
+}
+
+module.exports = { runStep, stepSummary, formatStepOutput, scrubbedEnvironment, toolEnvironment, STEP_LIMITS, CACHE_DIR, PLUGIN_CACHE_DIR };
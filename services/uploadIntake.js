@@ -0,0 +1,227 @@
+// services/uploadIntake.js
+// What /upload accepts, and how uploaded files become the views the diagram parsers work on.
+//   - Formats are detected from the content, not from the extension or the browser's MIME type.
+//   - Images (PNG, JPEG, WebP, HEIC/HEIF) go to the vision model with their actual MIME type.
+//   - PDFs are rendered to one PNG per page with pdftoppm (poppler), or sent to the model as
+//     one document when pdftoppm is not installed.
+//   - SVGs exported from draw.io are imported from the diagram embedded in them, other SVGs
+//     go to the model as text.
+//   - draw.io, Mermaid and PlantUML sources are imported without the model.
+// Uploads and old generated_* directories are deleted once they are older than the retention.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { detectDiagramFormat } = require('./diagramImport');
+const { runStep } = require('./toolchainRunner');
+
+const MB = 1024 * 1024;
+const HOUR = 60 * 60 * 1000;
+const ROOT_DIR = path.join(__dirname, '..');
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(ROOT_DIR, 'uploads'));
+const UPLOAD_LIMITS = {
+  fileSize: Math.round((parseFloat(process.env.UPLOAD_MAX_FILE_MB) || 20) * MB),
+  files: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 5,
+  // Images and PDF pages per upload, each one is a model call
+  views: parseInt(process.env.UPLOAD_MAX_PAGES, 10) || 10,
+};
+const RETENTION_MS = (process.env.UPLOAD_RETENTION_HOURS !== undefined ? parseFloat(process.env.UPLOAD_RETENTION_HOURS) : 24) * HOUR;
+const PDF_DPI = 150;
+// Larger SVGs do not fit into a prompt as text
+const MAX_SVG_TEXT = 512 * 1024;
+const TEXT_FORMATS = ['drawio', 'mermaid', 'plantuml'];
+
+class UnsupportedUploadError extends Error {
+  constructor(message, status = 415) {
+    super(message);
+    this.name = 'UnsupportedUploadError';
+    this.status = status;
+  }
+}
+
+// --- Format detection ---
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1');
+}
+
+// Binary formats by their magic bytes -> { format, mimeType }, { unsupported } or null
+function sniffBinary(head) {
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { format: 'image', mimeType: 'image/png' };
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return { format: 'image', mimeType: 'image/jpeg' };
+  if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 12) === 'WEBP') return { format: 'image', mimeType: 'image/webp' };
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx'].includes(brand)) return { format: 'image', mimeType: 'image/heic' };
+    if (['mif1', 'msf1', 'heim', 'heis'].includes(brand)) return { format: 'image', mimeType: 'image/heif' };
+  }
+  if (ascii(head, 0, 5) === '%PDF-') return { format: 'pdf', mimeType: 'application/pdf' };
+  if (ascii(head, 0, 4) === 'GIF8') return { unsupported: 'GIF images' };
+  if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return { unsupported: 'TIFF images' };
+  if (ascii(head, 0, 2) === 'BM') return { unsupported: 'BMP images' };
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return { unsupported: 'ZIP archives (including Visio .vsdx files)' };
+  return null;
+}
+
+function isSvg(text) {
+  return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg\b/i.test(text.replace(/^\uFEFF/, '').trimStart());
+}
+
+// -> { format: 'image' | 'pdf' | 'svg' | 'drawio' | 'mermaid' | 'plantuml', mimeType }
+function detectUpload(head, filename = '') {
+  const binary = sniffBinary(head);
+  if (binary && binary.unsupported) {
+    throw new UnsupportedUploadError(`${filename || 'The file'}: ${binary.unsupported} are not supported. Upload a PNG, JPEG, WebP, HEIC, PDF or SVG image, or a draw.io, Mermaid or PlantUML file.`);
+  }
+  if (binary) return binary;
+
+  const looksLikeText = !head.includes(0);
+  if (looksLikeText && isSvg(head.toString('utf8'))) return { format: 'svg', mimeType: 'image/svg+xml' };
+  const diagramFormat = looksLikeText ? detectDiagramFormat(head, filename) : null;
+  if (diagramFormat) return { format: diagramFormat, mimeType: 'text/plain' };
+  throw new UnsupportedUploadError(`${filename || 'The file'} is not a supported diagram. Upload a PNG, JPEG, WebP, HEIC, PDF or SVG image, or a draw.io, Mermaid or PlantUML file.`);
+}
+
+// First bytes of a file, enough for detectUpload
+function readHead(filePath, length = 4096) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// --- Views ---
+
+// draw.io keeps the diagram in the content attribute of the SVGs it exports
+function embeddedDrawio(svg) {
+  const match = svg.match(/<svg\b[^>]*\scontent="([^"]*)"/);
+  if (!match) return null;
+  const xml = match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (all, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+  return /<mxfile\b/.test(xml) ? xml : null;
+}
+
+// PNG per page next to the upload, null when pdftoppm is not installed
+async function renderPdfPages(filePath, { signal } = {}) {
+  const outputDir = `${filePath}-pages`;
+  fs.mkdirSync(outputDir, { recursive: true });
+  const result = await runStep('pdftoppm', 'pdftoppm', ['-png', '-r', String(PDF_DPI), '-f', '1', '-l', String(UPLOAD_LIMITS.views), filePath, path.join(outputDir, 'page')], { signal });
+  if (result.missing) return null;
+  if (!result.ok) throw new UnsupportedUploadError(`Could not read the PDF: ${result.stderr.trim() || `pdftoppm exited with ${result.exitCode}`}`, 422);
+
+  const pageNumber = (name) => Number(name.match(/-(\d+)\.png$/)[1]);
+  return fs.readdirSync(outputDir)
+    .filter((name) => /-\d+\.png$/.test(name))
+    .sort((a, b) => pageNumber(a) - pageNumber(b))
+    .map((name) => ({ page: pageNumber(name), data: fs.readFileSync(path.join(outputDir, name)).toString('base64') }));
+}
+
+// Views of one uploaded file: [{ file, page, format, mimeType, data }] for the vision model
+// (base64 data), [{ file, page, format, text }] for SVG text and diagram sources
+async function readFileViews(file, { signal } = {}) {
+  const { format, mimeType } = file.format ? file : detectUpload(readHead(file.path), file.originalname);
+  const base = { file: file.originalname, page: null, format };
+
+  if (format === 'image') return [{ ...base, mimeType, data: fs.readFileSync(file.path).toString('base64') }];
+  if (format === 'pdf') {
+    const pages = await renderPdfPages(file.path, { signal });
+    if (!pages) {
+      console.warn('[WARN] pdftoppm is not installed, sending the whole PDF to the model');
+      return [{ ...base, mimeType, data: fs.readFileSync(file.path).toString('base64') }];
+    }
+    if (pages.length === UPLOAD_LIMITS.views) console.warn(`[WARN] ${file.originalname}: only the first ${pages.length} page(s) are used`);
+    return pages.map(({ page, data }) => ({ ...base, page, mimeType: 'image/png', data }));
+  }
+
+  const text = fs.readFileSync(file.path, 'utf8');
+  if (format === 'svg') {
+    const drawio = embeddedDrawio(text);
+    if (drawio) return [{ ...base, format: 'drawio', text: drawio }];
+    if (text.length > MAX_SVG_TEXT) {
+      throw new UnsupportedUploadError(`${file.originalname}: SVGs over ${MAX_SVG_TEXT / 1024} KB are not supported, export the diagram as PNG instead.`, 413);
+    }
+  }
+  return [{ ...base, text }];
+}
+
+// Views of all files of an upload, in upload order
+async function readUploadViews(files, { signal } = {}) {
+  const views = [];
+  for (const file of files) views.push(...await readFileViews(file, { signal }));
+  const modelViews = views.filter((view) => !TEXT_FORMATS.includes(view.format));
+  if (modelViews.length > UPLOAD_LIMITS.views) {
+    throw new UnsupportedUploadError(`The upload has ${modelViews.length} images and PDF pages, at most ${UPLOAD_LIMITS.views} are supported (UPLOAD_MAX_PAGES).`, 413);
+  }
+  return views;
+}
+
+// --- Storage and retention ---
+
+function uploadFileName(originalName) {
+  return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${path.extname(originalName).toLowerCase()}`;
+}
+
+function removeUploads(files) {
+  for (const file of files || []) {
+    fs.rmSync(file.path, { force: true });
+    fs.rmSync(`${file.path}-pages`, { recursive: true, force: true });
+  }
+}
+
+function removeExpired(dir, filter, cutoff) {
+  if (!fs.existsSync(dir)) return 0;
+  let removed = 0;
+  for (const name of fs.readdirSync(dir).filter(filter)) {
+    const entry = path.join(dir, name);
+    try {
+      if (fs.statSync(entry).mtimeMs >= cutoff) continue;
+      fs.rmSync(entry, { recursive: true, force: true });
+      removed++;
+    } catch (err) {
+      console.warn(`[WARN] Could not remove ${entry}:`, err.message);
+    }
+  }
+  return removed;
+}
+
+// Delete uploads and generated_* directories older than the retention
+function cleanupExpiredUploads(now = Date.now()) {
+  const cutoff = now - RETENTION_MS;
+  const removed = removeExpired(UPLOAD_DIR, () => true, cutoff)
+    + removeExpired(ROOT_DIR, (name) => name.startsWith('generated_'), cutoff);
+  if (removed) console.log(`[DEBUG] Removed ${removed} expired upload(s) and generated director(ies)`);
+  return removed;
+}
+
+// Clean up now and then periodically, UPLOAD_RETENTION_HOURS=0 keeps everything
+function startUploadCleanup() {
+  if (!(RETENTION_MS > 0)) return null;
+  cleanupExpiredUploads();
+  const timer = setInterval(() => cleanupExpiredUploads(), Math.min(RETENTION_MS, HOUR));
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_LIMITS,
+  TEXT_FORMATS,
+  UnsupportedUploadError,
+  detectUpload,
+  readHead,
+  readUploadViews,
+  uploadFileName,
+  removeUploads,
+  cleanupExpiredUploads,
+  startUploadCleanup,
+};
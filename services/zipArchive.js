@@ -0,0 +1,85 @@
+// services/zipArchive.js
+// Minimal reader for zip archives (stored and deflated entries), enough for modules zipped by
+// hand or by a download button. Entries are read through the central directory; encrypted,
+// ZIP64 and symlink entries are not supported.
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipFormatError';
+  }
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - EOCD_SIZE - MAX_COMMENT);
+  for (let offset = buffer.length - EOCD_SIZE; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new ZipFormatError('Not a zip archive: no end of central directory record.');
+}
+
+// -> [{ name, data }] for the files of the archive, directories left out. `maxEntries` and
+// `maxBytes` (total uncompressed size) guard against zip bombs.
+function readZip(buffer, { maxEntries = 1000, maxBytes = 50 * 1024 * 1024 } = {}) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new ZipFormatError('ZIP64 archives are not supported.');
+  if (count > maxEntries) throw new ZipFormatError(`The archive has ${count} entries, at most ${maxEntries} are allowed.`);
+
+  const entries = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ZipFormatError('Corrupt central directory.');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const mode = buffer.readUInt32LE(offset + 38) >>> 16;
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if ((mode & 0o170000) === 0o120000) throw new ZipFormatError(`${name} is a symbolic link, archives with links are not supported.`);
+    if (flags & 0x1) throw new ZipFormatError(`${name} is encrypted.`);
+    total += size;
+    if (total > maxBytes) throw new ZipFormatError(`The archive unpacks to more than ${Math.round(maxBytes / (1024 * 1024))} MB.`);
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new ZipFormatError(`Corrupt local header of ${name}.`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+      } catch (err) {
+        throw new ZipFormatError(`Could not inflate ${name}: ${err.message}`);
+      }
+    } else throw new ZipFormatError(`${name} uses compression method ${method}, only stored and deflated entries are supported.`);
+    if (data.length !== size) throw new ZipFormatError(`${name} is ${data.length} bytes instead of ${size}.`);
+    entries.push({ name, data });
+  }
+  return entries;
+}
+
+module.exports = { isZip, readZip, ZipFormatError };
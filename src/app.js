@@ -1,515 +1,716 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { editTerraformCode } = require('../services/geminiEditorAgent');
-const { exec } = require('child_process');
-const { v4: uuidv4 } = require('uuid');
+const projectStore = require('../services/projectStore');
+const pipeline = require('../services/pipeline');
+const chatAgent = require('../services/chatAgent');
+const terraformImport = require('../services/terraformImport');
+const projectGit = require('../services/projectGit');
+const { resolveRepairOptions, validateAndRepair } = require('../services/repairLoop');
+const { resolveCacheSession, summarizeSession } = require('../services/llm/responseCache');
+const { diffFiles } = require('../services/moduleDiff');
+const uploadIntake = require('../services/uploadIntake');
+const { extractResourceGraph, renderMermaid, renderDot, renderSvg } = require('../services/terraformDiagram');
+const { HclSyntaxError } = require('../services/hcl');
+const { createJobQueue, JobFailure } = require('../services/jobQueue');
+const { resolveBudget, previousEstimate, costChange, describeCostChange } = require('../services/costReport');
+const policy = require('../services/policy');
+const generationProfiles = require('../services/generationProfiles');
+const { getTarget, listTargets, CodeSyntaxError } = require('../services/iacTargets');
+const { getSupportedProviders, listComponentTypes } = require('../services/componentCatalog');
+const archiver = require('archiver');
 
 dotenv.config();
 
-let lastGeneratedCode = '';
-let lastTfFilePath = '';
-
 const app = express();
 app.use(cors());
 app.use(express.static('public'));
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Multer setup for image upload
+// Multer setup for diagram uploads, limits come from UPLOAD_MAX_FILE_MB and UPLOAD_MAX_FILES
 const storage = multer.diskStorage({
-  destination: './uploads/',
-  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
+  destination: uploadIntake.UPLOAD_DIR,
+  filename: (req, file, cb) => cb(null, uploadIntake.uploadFileName(file.originalname)),
 });
-const upload = multer({ storage });
-
-// 🧠 Gemini: Parse architecture diagram and detect cloud provider
-async function processImageWithGemini(imagePath) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+const upload = multer({ storage, limits: { fileSize: uploadIntake.UPLOAD_LIMITS.fileSize, files: uploadIntake.UPLOAD_LIMITS.files } });
+const ARCHITECTURE_MAX_BYTES = 2 * 1024 * 1024;
+
+// Answer multer's limit errors with a clear message instead of a stack trace
+function receiveUpload(req, res, next) {
+  upload.array('diagram', uploadIntake.UPLOAD_LIMITS.files)(req, res, (err) => {
+    if (!err) return next();
+    uploadIntake.removeUploads(req.files);
+    if (!(err instanceof multer.MulterError)) return next(err);
+    const { fileSize, files } = uploadIntake.UPLOAD_LIMITS;
+    const messages = {
+      LIMIT_FILE_SIZE: `A file is larger than ${Number((fileSize / (1024 * 1024)).toFixed(2))} MB (UPLOAD_MAX_FILE_MB).`,
+      LIMIT_FILE_COUNT: `At most ${files} files can be uploaded at once (UPLOAD_MAX_FILES).`,
+      LIMIT_UNEXPECTED_FILE: `Unexpected file field '${err.field}', send diagrams as the 'diagram' form field.`,
+    };
+    res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: messages[err.code] || err.message });
+  });
+}
 
-  const imageBytes = fs.readFileSync(imagePath);
-  const mimeType = 'image/png';
+// Upload, analysis, generation, chat, lint and cost estimation run as jobs, at most JOB_CONCURRENCY at a time
+const jobs = createJobQueue({ concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2 });
+
+// With ?async=true answer 202 with the job right away, otherwise wait for it like a plain request.
+// A client giving up on a waiting request cancels the job.
+function respondWithJob(req, res, job, onSuccess, onFailure = null) {
+  if (req.query.async === 'true' || req.query.async === '1') {
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      links: { job: `/jobs/${job.id}`, events: `/jobs/${job.id}/events`, cancel: `/jobs/${job.id}/cancel` },
+    });
+  }
 
-  const prompt = `
-You are a cloud architecture parser. Your task is to extract structured cloud components and their connectivity **only** from valid IT architecture diagrams.
+  res.on('close', () => {
+    if (!res.writableFinished) jobs.cancel(job.id);
+  });
+  job.done.then((finished) => {
+    if (res.writableEnded || res.destroyed) return;
+    if (finished.status === 'succeeded') return onSuccess(finished.result);
+    if (onFailure) return onFailure(finished.error);
+    const { message, status, ...details } = finished.error;
+    res.status(status).json({ error: message, ...details });
+  });
+}
 
-First, identify the primary cloud provider depicted in the diagram. Look for logos, service names (e.g., EC2, Lambda, S3 for AWS; Virtual Machine, Function App, Storage Account for Azure; Compute Engine, Cloud Function, Cloud Storage for GCP).
+// Save generated code as a new project and optionally validate it, the last steps of /upload
+// and /generate. -> the response of both
+async function saveGeneratedProject(job, result, query, target, profile, cache) {
+  try {
+    const { cloudProvider, providers, diagramName, diagramFormat, views, files, ir, sources, cleanup, generatedBy } = result;
+    let project = projectStore.createProject({
+      cloudProvider,
+      providers,
+      target: target.name,
+      diagramName,
+      diagramFormat,
+      files,
+      ir,
+      sources,
+      profile: profile ? profile.name : null,
+      generatedBy,
+      git: projectGit.resolveGitOption(query.git),
+    });
+    console.log(`[DEBUG] Cleaned & saved ${target.label} files for project:`, project.id, Object.keys(project.files).join(', '));
+
+    // Optionally validate with the target's tools (terraform/tflint, cfn-lint, bicep, tsc) and let the model fix what they report
+    const repairOptions = resolveRepairOptions({ repair: query.repair, maxAttempts: query.maxRepairAttempts });
+    let repair = null;
+    if (repairOptions.enabled) {
+      job.stage('validate');
+      const { project: repaired, ...repairResult } = await validateAndRepair(project, project.code, { ...repairOptions, signal: job.signal, onOutput: job.log, cache });
+      project = repaired;
+      repair = repairResult;
+    }
 
-If the image is not a cloud or IT architecture diagram (e.g., a photo, unrelated chart, or random drawing), respond with:
-{
-  "error": "Invalid diagram. Only IT/cloud architecture diagrams are supported."
+    return { projectId: project.id, cloudProvider, providers, target: target.name, diagramFormat, views, code: project.code, files: project.files, ir, sources, cleanup, profile: result.profile, repair, cache: summarizeSession(cache), generatedBy, git: project.git };
+  } catch (err) {
+    if (!(err instanceof JobFailure) && !job.signal.aborted) {
+      console.error(`[ERROR] Failed to save or validate ${target.label} code:`, err);
+      throw new JobFailure(`Error generating ${target.label} code`);
+    }
+    throw err;
+  }
 }
 
-Otherwise, return a structured JSON object with three keys:
-1. "cloudProvider": The identified cloud provider (case-insensitive: "aws", "azure", "gcp"). If the cloud provider cannot be confidently identified, use "Unknown".
-2. "components": a list of cloud components with type, name, and properties.
-3. "connections": a list of directional links showing how components are connected.
-
-Only return valid JSON. Do not include explanations or markdown.
-`;
-
-  const result = await model.generateContent([
-    { text: prompt },
-    {
-      inlineData: {
-        mimeType,
-        data: imageBytes.toString('base64'),
-      },
-    },
-  ]);
-
-  const response = await result.response;
-  return response.text();
+// 📸 Diagram to IaC pipeline, run as a job: parse, detect provider, generate and clean up
+// (services/pipeline.js), then save the project and optionally validate it
+async function runUploadJob(job, uploads, query, target, profile = null) {
+  // ?cache=false asks the model again instead of reusing cached responses
+  const cache = resolveCacheSession(query.cache);
+  const result = await pipeline.convertDiagram(job, uploads, { target, cloudProvider: query.cloudProvider, profile, cache });
+  return saveGeneratedProject(job, result, query, target, profile, cache);
 }
 
-// 🧩 Gemini: Generate valid Terraform code for a specific cloud provider
-async function generateTerraformFromJson(jsonString, cloudProvider) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-
-  let providerBlock = '';
-  let serverlessInstructions = '';
-
-  switch (cloudProvider.toLowerCase()) {
-    case 'aws':
-      providerBlock = `
-terraform {
-  required_version = ">= 1.0.0"
-  required_providers {
-    aws = {
-      source  = "hashicorp/aws"
-      version = "~> 5.0.0"
-    }
+// ?target= picks the IaC format, Terraform by default, and ?profile= a generation profile, which
+// only applies to Terraform. -> { target, profile }, or { error } to answer with 400
+function resolveGenerationOptions(query) {
+  const target = getTarget(query.target);
+  if (!target) return { error: `Unsupported target '${query.target}'. Supported are: ${listTargets().map((t) => t.name).join(', ')}.` };
+  if (!query.profile) return { target, profile: null };
+  if (target.name !== 'terraform') return { error: `Generation profiles only apply to the terraform target, not ${target.name}.` };
+  let profile;
+  try {
+    profile = generationProfiles.getProfile(query.profile);
+  } catch (err) {
+    if (err instanceof generationProfiles.ProfileError) return { error: err.message };
+    throw err;
+  }
+  if (!profile) {
+    const names = generationProfiles.listProfiles().map((p) => p.name);
+    return { error: `Unknown generation profile '${query.profile}'. Available are: ${names.join(', ') || 'none'}.` };
   }
+  return { target, profile };
 }
 
-provider "aws" {
-  region = "us-east-1" # Default region for AWS
+// The format comes from the content, the file name and browser MIME type are not trusted.
+// -> null, or { status, error } for uploads that are not diagrams
+function detectUploadedDiagrams(files) {
+  if (!files.length) return { status: 400, error: "No diagram uploaded, send it as the 'diagram' form field." };
+  try {
+    for (const file of files) Object.assign(file, uploadIntake.detectUpload(uploadIntake.readHead(file.path), file.originalname));
+  } catch (err) {
+    if (err instanceof uploadIntake.UnsupportedUploadError) return { status: err.status, error: err.message };
+    throw err;
+  }
+  return null;
 }
-`;
-      serverlessInstructions = `
-For AWS Lambda functions, **always use the 'source_code' attribute** with a simple placeholder function (e.g., for Python: "def lambda_handler(event, context): return {\\"statusCode\\": 200, \\"body\\": \\"OK\\"}", or for Node.js: "exports.handler = async (event) => { return { statusCode: 200, body: JSON.stringify(\\"OK\\") }; };").
-Explicitly avoid using 'filename', 's3_bucket', 's3_key', 'inline_code' blocks, or any 'data "archive_file"' blocks or 'resource "local_file"' blocks that imply local file paths for source code.
-`;
-      break;
-    case 'azure':
-      providerBlock = `
-terraform {
-  required_version = ">= 1.0.0"
-  required_providers {
-    azurerm = {
-      source  = "hashicorp/azurerm"
-      version = "~> 3.0.0"
-    }
+
+// One or more 'diagram' files: several images or pages are merged into one architecture
+app.post('/upload', receiveUpload, (req, res) => {
+  const files = req.files || [];
+  const reject = (status, body) => {
+    uploadIntake.removeUploads(files);
+    return res.status(status).json(body);
+  };
+  const { target, profile, error } = resolveGenerationOptions(req.query);
+  if (error) return reject(400, { error });
+  const rejected = detectUploadedDiagrams(files);
+  if (rejected) return reject(rejected.status, { error: rejected.error });
+  const job = jobs.submit('upload', (context) => runUploadJob(context, files, req.query, target, profile));
+  respondWithJob(req, res, job, (result) => res.status(201).json(result));
+});
+
+// 🔍 Review before generating: /analyze extracts the architecture of the diagrams, /generate
+// turns the architecture, edited or not, into code
+app.post('/analyze', receiveUpload, (req, res) => {
+  const files = req.files || [];
+  const rejected = detectUploadedDiagrams(files);
+  if (rejected) {
+    uploadIntake.removeUploads(files);
+    return res.status(rejected.status).json({ error: rejected.error });
   }
+  const cache = resolveCacheSession(req.query.cache);
+  const job = jobs.submit('analyze', (context) => pipeline.analyzeDiagram(context, files, { cloudProvider: req.query.cloudProvider, cache }));
+  respondWithJob(req, res, job, (result) => res.json(result));
+});
+
+// The architecture as the JSON body ({ architecture } or the document itself) or as an uploaded
+// 'architecture' JSON file. -> req.architecture, or 400 for JSON that cannot be read
+const receiveArchitectureFile = multer({ storage: multer.memoryStorage(), limits: { fileSize: ARCHITECTURE_MAX_BYTES, files: 1 } }).single('architecture');
+function receiveArchitecture(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return express.json({ limit: ARCHITECTURE_MAX_BYTES })(req, res, (err) => {
+      if (err) return res.status(err.status || 400).json({ error: `The architecture is not valid JSON: ${err.message}` });
+      req.architecture = req.body && req.body.architecture !== undefined ? req.body.architecture : req.body;
+      next();
+    });
+  }
+  receiveArchitectureFile(req, res, (err) => {
+    if (err) {
+      const messages = {
+        LIMIT_FILE_SIZE: `The architecture file is larger than ${ARCHITECTURE_MAX_BYTES / (1024 * 1024)} MB.`,
+        LIMIT_UNEXPECTED_FILE: `Unexpected file field '${err.field}', send the architecture as the 'architecture' form field.`,
+      };
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: messages[err.code] || err.message });
+    }
+    if (!req.file) return res.status(400).json({ error: "No architecture sent, send it as JSON or as the 'architecture' form field." });
+    try {
+      req.architecture = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (parseErr) {
+      return res.status(400).json({ error: `The architecture file is not valid JSON: ${parseErr.message}` });
+    }
+    next();
+  });
 }
 
-provider "azurerm" {
-  features {} # Required for azurerm provider
+async function runGenerateJob(job, architecture, query, target, profile = null) {
+  const cache = resolveCacheSession(query.cache);
+  const result = await pipeline.generateFromArchitecture(job, architecture, { target, cloudProvider: query.cloudProvider, profile, cache });
+  return saveGeneratedProject(job, result, query, target, profile, cache);
 }
-`;
-      serverlessInstructions = `
-For Azure Function Apps (azurerm_function_app), do not include 'app_settings' that refer to local files or require deployment from local sources (e.g., WEBSITE_RUN_FROM_PACKAGE). Ensure the basic resource definition for the Function App, App Service Plan, and Storage Account is provided. Assume deployment artifacts are managed externally for validation purposes.
-`;
-      break;
-    case 'gcp':
-      providerBlock = `
-terraform {
-  required_version = ">= 1.0.0"
-  required_providers {
-    google = {
-      source  = "hashicorp/google"
-      version = "~> 5.0.0"
-    }
+
+app.post('/generate', receiveArchitecture, (req, res) => {
+  const { target, profile, error } = resolveGenerationOptions(req.query);
+  if (error) return res.status(400).json({ error });
+  const job = jobs.submit('generate', (context) => runGenerateJob(context, req.architecture, req.query, target, profile));
+  respondWithJob(req, res, job, (result) => res.status(201).json(result));
+});
+
+// 📥 Import existing Terraform: a .tf file or a zip of a module as the 'module' form field, or
+// { "path": "/srv/infra/network" } for a directory on the server (below IMPORT_DIRS)
+const receiveModuleFile = multer({ storage: multer.memoryStorage(), limits: { fileSize: terraformImport.IMPORT_LIMITS.bytes, files: 1 } }).single('module');
+function receiveImport(req, res, next) {
+  if (!req.is('multipart/form-data')) return express.json()(req, res, next);
+  receiveModuleFile(req, res, (err) => {
+    if (!err) return next();
+    const messages = {
+      LIMIT_FILE_SIZE: `The module is larger than ${terraformImport.IMPORT_LIMITS.bytes / (1024 * 1024)} MB (IMPORT_MAX_MB).`,
+      LIMIT_UNEXPECTED_FILE: `Unexpected file field '${err.field}', send the .tf file or zip as the 'module' form field.`,
+    };
+    res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: messages[err.code] || err.message });
+  });
+}
+
+app.post('/import', receiveImport, (req, res) => {
+  const body = req.body || {};
+  if (!req.file && !body.path) {
+    return res.status(400).json({ error: "Send a .tf file or a zip of a module as the 'module' form field, or the path of a directory on the server." });
   }
+  try {
+    const source = req.file ? terraformImport.readUpload(req.file) : terraformImport.readDirectory(body.path);
+    const { project, terraformProviders, skipped, warnings } = terraformImport.importProject(source, {
+      cloudProvider: req.query.cloudProvider || body.cloudProvider,
+      git: projectGit.resolveGitOption(req.query.git ?? body.git),
+    });
+    res.status(201).json({
+      projectId: project.id,
+      cloudProvider: project.cloudProvider,
+      providers: project.providers,
+      target: project.target,
+      diagramFormat: project.diagramFormat,
+      code: project.code,
+      files: project.files,
+      assets: project.assets,
+      terraformProviders,
+      skipped,
+      warnings,
+      git: project.git,
+    });
+  } catch (err) {
+    if (err instanceof terraformImport.ImportError) return res.status(err.status).json({ error: err.message });
+    console.error('[ERROR] Import failed:', err);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
+
+// Component types per provider, for editing an architecture
+app.get('/catalog', (req, res) => {
+  res.json({ providers: getSupportedProviders(), types: listComponentTypes() });
+});
+
+
+// 📁 Project workspaces
+// Resolve :id into req.project for every per-project route
+function loadProject(req, res, next) {
+  const project = projectStore.getProject(req.params.id);
+  if (!project) return res.status(404).json({ error: `Project not found: ${req.params.id}` });
+  req.project = project;
+  next();
 }
 
-provider "google" {
-  project = "your-gcp-project-id" # Placeholder project ID for GCP
-  region  = "us-central1"         # Default region for GCP
+app.get('/projects', (req, res) => {
+  res.json(projectStore.listProjects());
+});
+
+// Diagrams, policies and cost estimates work on Terraform only
+function requireTerraform(req, res, next) {
+  const target = getTarget(req.project.target);
+  if (target.name !== 'terraform') {
+    return res.status(409).json({ error: `This is only available for Terraform projects, the project is ${target.label}.` });
+  }
+  next();
 }
-`;
-      serverlessInstructions = `
-For Google Cloud Functions (google_cloud_function), **always use 'source_archive_url' pointing to a dummy Google Cloud Storage (GCS) path** (e.g., "gs://your-dummy-bucket/dummy-function.zip") and ensure 'entry_point' is specified. Explicitly avoid 'source_repository' or attributes that refer to local files.
-`;
-      break;
-    default:
-      // This should ideally not be reached if cloudProvider is validated earlier
-      throw new Error(`Unsupported cloud provider: ${cloudProvider}`);
+
+app.get('/projects/:id', loadProject, (req, res) => {
+  res.json(req.project);
+});
+
+app.delete('/projects/:id', loadProject, (req, res) => {
+  projectStore.deleteProject(req.project.id);
+  res.status(204).end();
+});
+
+// Stream the whole project as a zip, in the layout of its target
+app.get('/projects/:id/download', loadProject, (req, res) => {
+  const archive = archiver('zip');
+  archive.on('error', (err) => {
+    console.error('[ERROR] Failed to zip project:', err);
+    res.destroy(err);
+  });
+
+  res.attachment(`${getTarget(req.project.target).name}-${req.project.id}.zip`);
+  archive.pipe(res);
+  for (const name of [...Object.keys(req.project.files), ...(req.project.assets || [])]) {
+    archive.file(projectStore.getProjectFilePath(req.project.id, name), { name });
   }
+  archive.finalize();
+});
 
-  const prompt = `
-Generate complete, valid Terraform code for ${cloudProvider.toUpperCase()} based on this cloud architecture JSON.
-The output must be valid HCL with no markdown formatting, no explanations, and no multi-line quoted strings.
+app.get('/projects/:id/files/:name', loadProject, (req, res) => {
+  const content = req.project.files[req.params.name];
+  if (content === undefined) return res.status(404).json({ error: `No such file in project: ${req.params.name}` });
+  res.type('text/plain').send(content);
+});
 
-***Crucial Requirement: Ensure strict adherence to each resource's and data source's supported arguments according to official Terraform documentation for the respective cloud provider. Avoid using arguments that are not explicitly defined for a specific resource type or version. For instance, 'description' is generally not an argument for 'resource "aws_cloudformation_stack"', although it might be for a data source or a different resource like 'aws_cloudformation_stack_set'. Always check the resource type and its specific argument requirements.***
+// 🕘 Revisions
+app.get('/projects/:id/revisions', loadProject, (req, res) => {
+  res.json(projectStore.listRevisions(req.project.id));
+});
 
-${providerBlock}
+app.get('/projects/:id/revisions/:number', loadProject, (req, res) => {
+  const revision = projectStore.getRevision(req.project.id, Number(req.params.number));
+  if (!revision) return res.status(404).json({ error: `Revision not found: ${req.params.number}` });
+  res.json(revision);
+});
 
-${serverlessInstructions}
+// Unified diff between two revisions, by default from the previous revision to the current one
+app.get('/projects/:id/diff', loadProject, (req, res) => {
+  const to = req.query.to ? Number(req.query.to) : req.project.revision;
+  const from = req.query.from ? Number(req.query.from) : to - 1;
+  const fromRevision = projectStore.getRevision(req.project.id, from);
+  const toRevision = projectStore.getRevision(req.project.id, to);
+  if (!fromRevision || !toRevision) return res.status(404).json({ error: `Revision not found: ${!fromRevision ? from : to}` });
+  res.type('text/plain').send(diffFiles(fromRevision.files, toRevision.files));
+});
 
-All string values must be on a single line. Do not split quoted strings across multiple lines. If a multi-line string is required, use heredoc syntax.
+// Diagram of the Terraform resources, of the current code or of ?revision=n
+app.get('/projects/:id/diagram', loadProject, requireTerraform, (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'mermaid', 'dot', 'svg'].includes(format)) {
+    return res.status(400).json({ error: `Unsupported diagram format '${format}', use json, mermaid, dot or svg.` });
+  }
+  const revision = req.query.revision ? projectStore.getRevision(req.project.id, Number(req.query.revision)) : req.project;
+  if (!revision) return res.status(404).json({ error: `Revision not found: ${req.query.revision}` });
+
+  let graph;
+  try {
+    graph = extractResourceGraph(revision.code);
+  } catch (err) {
+    if (!(err instanceof HclSyntaxError)) throw err;
+    return res.status(422).json({ error: `The project code is not valid HCL: ${err.message}` });
+  }
 
-JSON:
-${jsonString}
-`;
+  if (format === 'svg') return res.type('image/svg+xml').send(renderSvg(graph));
+  if (format === 'mermaid') return res.type('text/plain').send(renderMermaid(graph));
+  if (format === 'dot') return res.type('text/vnd.graphviz').send(renderDot(graph));
+  res.json({ ...graph, mermaid: renderMermaid(graph), dot: renderDot(graph) });
+});
 
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  return response.text();
+app.post('/projects/:id/revisions/:number/revert', loadProject, (req, res) => {
+  const number = Number(req.params.number);
+  const project = projectStore.revertToRevision(req.project.id, number);
+  if (!project) return res.status(404).json({ error: `Revision not found: ${req.params.number}` });
+  console.log('[DEBUG] Reverted project', req.project.id, 'to revision', number, 'files:', Object.keys(project.files).join(', '));
+  res.json({
+    code: project.code,
+    files: project.files,
+    revision: project.revision,
+    previousRevision: req.project.revision,
+    diff: diffFiles(req.project.files, project.files),
+  });
+});
+
+// 🌿 Git: projects with git enabled commit every revision (services/projectGit.js), and the
+// commits leave the tool as a branch pushed to a configured remote or as a patch series
+
+function gitErrorResponse(res, err) {
+  if (err instanceof projectGit.GitError) return res.status(err.status).json({ error: err.message });
+  console.error('[ERROR] Git request failed:', err);
+  return res.status(500).json({ error: 'Git request failed' });
 }
 
-// Generate unique .tf file path
-function getUniqueTfFilePath() {
-  const uniqueId = uuidv4().slice(0, 6);
-  const filename = `generated_${uniqueId}.tf`;
+// The commit of revision `number`, for the revision parameters of the git routes
+function revisionCommit(project, number) {
+  const revision = projectStore.getRevision(project.id, Number(number));
+  if (!revision) throw new projectGit.GitError(`Revision not found: ${number}`, 404);
+  if (!revision.commit) throw new projectGit.GitError(`Revision ${number} has no commit.`, 409);
+  return revision.commit;
+}
+
+app.get('/projects/:id/git', loadProject, (req, res) => {
+  try {
+    res.json(projectGit.repositoryStatus(projectStore.getProjectDir(req.project.id)));
+  } catch (err) {
+    gitErrorResponse(res, err);
+  }
+});
+
+// Make an existing project a repository, its revisions so far become the first commits
+app.post('/projects/:id/git', loadProject, (req, res) => {
+  try {
+    projectStore.enableGit(req.project.id);
+    res.status(201).json(projectGit.repositoryStatus(projectStore.getProjectDir(req.project.id)));
+  } catch (err) {
+    gitErrorResponse(res, err);
+  }
+});
+
+// { "name": "feature/x" } branches off the current revision and switches to it, so later edits
+// are committed there; { "name", "revision": 2 } only creates the branch at an older revision
+app.post('/projects/:id/git/branches', loadProject, express.json(), (req, res) => {
+  const { name, revision, checkout = true } = req.body || {};
+  if (typeof checkout !== 'boolean') return res.status(400).json({ error: 'checkout must be true or false' });
+  const current = revision === undefined || Number(revision) === req.project.revision;
+  try {
+    const commit = current ? 'HEAD' : revisionCommit(req.project, revision);
+    const branch = projectGit.createBranch(projectStore.getProjectDir(req.project.id), name, { commit, checkout: current && checkout });
+    res.status(201).json(branch);
+  } catch (err) {
+    gitErrorResponse(res, err);
+  }
+});
+
+// { "remote": "review", "branch": "feature/x" }, the remote by its name in GIT_REMOTES and the
+// current branch by default
+app.post('/projects/:id/git/push', loadProject, express.json(), async (req, res) => {
+  const { remote, branch } = req.body || {};
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  try {
+    res.json(await projectGit.pushBranch(projectStore.getProjectDir(req.project.id), { remote, branch, signal: controller.signal }));
+  } catch (err) {
+    gitErrorResponse(res, err);
+  }
+});
 
-  const tfDir = path.join(__dirname, '..', `generated_${uniqueId}`);
-  if (!fs.existsSync(tfDir)) {
-    fs.mkdirSync(tfDir, { recursive: true });
+// `git format-patch` series for `git am`: the commits after revision ?from= (all of them by
+// default) up to ?to= (the current branch)
+app.get('/projects/:id/git/patches', loadProject, (req, res) => {
+  try {
+    const from = req.query.from ? revisionCommit(req.project, req.query.from) : null;
+    const to = req.query.to ? revisionCommit(req.project, req.query.to) : 'HEAD';
+    const patches = projectGit.formatPatches(projectStore.getProjectDir(req.project.id), { from, to });
+    res.attachment(`${req.project.id}.patch`).type('text/x-patch').send(patches);
+  } catch (err) {
+    gitErrorResponse(res, err);
   }
+});
 
-  return path.join(tfDir, filename);
+function editSyntaxErrorResponse(res, project, err) {
+  const name = err instanceof HclSyntaxError ? 'HCL' : getTarget(project.target).language;
+  console.error(`[ERROR] Edited code is not valid ${name}:`, err.message);
+  return res.status(422).json({ error: `The edited code is not valid ${name}: ${err.message}` });
 }
 
-// 📸 Upload and process diagram
-app.post('/upload', upload.single('diagram'), async (req, res) => {
+// 🧠 Edit the project code dynamically
+app.post('/projects/:id/edit', loadProject, express.json(), async (req, res) => {
+  const body = req.body || {};
+  const instruction = typeof body.instruction === 'string' ? body.instruction.trim() : '';
+  if (!instruction) return res.status(400).json({ error: 'instruction is required' });
+  const repairOptions = resolveRepairOptions({
+    repair: body.repair ?? req.query.repair,
+    maxAttempts: body.maxRepairAttempts ?? req.query.maxRepairAttempts,
+  });
   try {
-    console.log('[DEBUG] Received diagram:', req.file.path);
+    res.json(await pipeline.editProject(req.project, instruction, repairOptions, resolveCacheSession(body.cache ?? req.query.cache)));
+  } catch (err) {
+    if (err instanceof HclSyntaxError || err instanceof CodeSyntaxError) return editSyntaxErrorResponse(res, req.project, err);
+    console.error('[ERROR] Editing failed:', err);
+    res.status(500).send('Failed to edit code');
+  }
+});
 
-    const rawGeminiResponse = await processImageWithGemini(req.file.path);
-    console.log('[DEBUG] Raw Gemini response:', rawGeminiResponse);
+// 💬 Chat with the project's agent (services/chatAgent.js): it answers questions about the code and
+// runs the lint, validate, cost, policy, diff and edit tools itself, with the project's chat history
 
-    const cleanedRawResponse = rawGeminiResponse.replace(/```json/g, '').replace(/```/g, '').trim();
+app.get('/projects/:id/chat', loadProject, (req, res) => {
+  res.json(projectStore.listChatMessages(req.project.id));
+});
 
-    let parsedDiagramJson;
-    try {
-      parsedDiagramJson = JSON.parse(cleanedRawResponse);
-      console.log('[DEBUG] Parsed JSON successfully');
-    } catch (err) {
-      console.error('[ERROR] Failed to parse Gemini JSON response:', err);
-      // If Gemini's JSON is malformed or invalid, it might be an 'error' block
-      if (cleanedRawResponse.includes('"error":')) {
-        return res.status(400).json({ error: cleanedRawResponse });
-      }
-      return res.status(500).send('Error processing diagram: Invalid JSON from AI.');
-    }
+app.delete('/projects/:id/chat', loadProject, (req, res) => {
+  projectStore.clearChatHistory(req.project.id);
+  res.status(204).end();
+});
 
-    // --- Cloud Provider Detection Logic ---
-    let cloudProvider = parsedDiagramJson.cloudProvider ? parsedDiagramJson.cloudProvider.toLowerCase() : 'unknown';
-    const supportedProviders = ['aws', 'azure', 'gcp'];
-
-    if (cloudProvider === 'unknown' || !supportedProviders.includes(cloudProvider)) {
-        // If the user explicitly provided a cloudProvider in the query, prioritize it
-        const userProvidedProvider = req.query.cloudProvider ? req.query.cloudProvider.toLowerCase() : null;
-
-        if (userProvidedProvider && supportedProviders.includes(userProvidedProvider)) {
-            cloudProvider = userProvidedProvider;
-            console.log(`[INFO] AI could not detect provider, using user-specified provider: ${cloudProvider}`);
-        } else if (userProvidedProvider && !supportedProviders.includes(userProvidedProvider)) {
-            return res.status(400).json({
-                error: `Unsupported cloud provider specified: '${userProvidedProvider}'. Supported are: ${supportedProviders.join(', ')}.`,
-                action: 'Please specify a supported cloud provider in the query parameter (e.g., ?cloudProvider=aws).'
-            });
-        } else {
-            // AI could not detect, and user did not specify
-            return res.status(400).json({
-                error: 'Could not confidently identify the cloud provider from the diagram.',
-                action: `Please specify the cloud provider manually in the query parameter (e.g., ?cloudProvider=aws). Supported providers are: ${supportedProviders.join(', ')}.`
-            });
-        }
-    }
+app.post('/projects/:id/chat', loadProject, express.json(), (req, res) => {
+  const body = req.body || {};
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  if (!message) return res.status(400).json({ error: 'message is required' });
+  const repairOptions = resolveRepairOptions({
+    repair: body.repair ?? req.query.repair,
+    maxAttempts: body.maxRepairAttempts ?? req.query.maxRepairAttempts,
+  });
+  const cache = resolveCacheSession(body.cache ?? req.query.cache);
+  const job = jobs.submit('chat', (context) => chatAgent.chat(context, req.project, message, { repairOptions, cache }), { projectId: req.project.id });
+  respondWithJob(req, res, job, (result) => res.json(result));
+});
 
-    console.log(`[INFO] Detected/Using cloud provider: ${cloudProvider}`);
-
-
-    // Now generate Terraform using the detected/specified cloudProvider
-    let terraformCode = await generateTerraformFromJson(JSON.stringify(parsedDiagramJson, null, 2), cloudProvider);
-    console.log(`[DEBUG] Terraform code generated by Gemini for ${cloudProvider}`);
-
-    let cleanedTerraform = terraformCode;
-
-    // --- Generic Cleanups (apply to all providers) ---
-    // Remove 'resource "local_file"' blocks completely.
-    cleanedTerraform = cleanedTerraform
-      .replace(/resource\s+"local_file"\s+"[^"]+"\s*{[^}]*}/gs, '');
-    console.log('[DEBUG] Removed local_file resources.');
-
-    // Remove 'data "archive_file"' blocks completely.
-    cleanedTerraform = cleanedTerraform
-      .replace(/data\s+"archive_file"\s+"[^"]+"\s*{[^}]*}/gs, '');
-    console.log('[DEBUG] Removed archive_file data sources.');
-
-    // Remove any dynamic hash calculations that imply local files
-    cleanedTerraform = cleanedTerraform
-      .replace(/source_code_hash\s*=\s*filebase64sha256\(.*\)\n?/g, '');
-    console.log('[DEBUG] Removed filebase64sha256 references.');
-
-    // --- Provider-Specific Serverless Function Cleanups ---
-    if (cloudProvider.toLowerCase() === 'aws') {
-      cleanedTerraform = cleanedTerraform.replace(
-        /(resource\s+"aws_lambda_function"\s+"[^"]+"\s*{[\s\S]*?})/g,
-        (lambdaBlock) => {
-          let modifiedBlock = lambdaBlock;
-          let originalIndent = '';
-          const indentMatch = lambdaBlock.match(/^(\s*)resource/m);
-          if (indentMatch) {
-              originalIndent = indentMatch[1];
-          }
-          const blockContentIndent = originalIndent + '  ';
-
-          const runtimeMatch = modifiedBlock.match(/runtime\s*=\s*"(python[^"]*|node[^"]*|go[^"]*|java[^"]*|ruby[^"]*)"/);
-          const runtime = runtimeMatch ? runtimeMatch[1] : 'python3.9';
-
-          const handlerMatch = modifiedBlock.match(/handler\s*=\s*"([^"]*)"/);
-          const handlerValue = handlerMatch ? handlerMatch[1] : 'handler.handler';
-          const handlerFunctionName = handlerValue.split('.')[0];
-
-          let placeholderCode;
-          if (runtime.startsWith('node')) {
-            placeholderCode = `exports.${handlerFunctionName} = async (event) => { return { statusCode: 200, body: JSON.stringify(\\"OK\\") }; };`;
-          } else if (runtime.startsWith('python')) {
-            placeholderCode = `def ${handlerFunctionName}(event, context): return {\\"statusCode\\": 200, \\"body\\": \\"OK\\"}`;
-          } else {
-            placeholderCode = `/* Placeholder code for ${handlerValue} */`;
-          }
-
-          modifiedBlock = modifiedBlock
-            .replace(/\s*filename\s*=\s*.*?\n/g, '\n')
-            .replace(/\s*inline_code\s*{[\s\S]*?}\n/g, '\n');
-
-          if (!modifiedBlock.match(/handler\s*=\s*".*?"/)) {
-              const fnNameOrRoleLineMatch = modifiedBlock.match(/(\s*)(function_name\s*=\s*".*?"|\s*role\s*=\s*[^}\n]*)/);
-              let insertPoint = modifiedBlock.indexOf('{') + 1;
-              let currentLineIndent = blockContentIndent;
-              if (fnNameOrRoleLineMatch) {
-                  insertPoint = modifiedBlock.indexOf(fnNameOrRoleLineMatch[0]) + fnNameOrRoleLineMatch[0].length;
-                  currentLineIndent = fnNameOrRoleLineMatch[1] || blockContentIndent;
-              }
-              modifiedBlock = modifiedBlock.substring(0, insertPoint) +
-                              `\n${currentLineIndent}handler          = "${handlerValue}"` +
-                              modifiedBlock.substring(insertPoint);
-          }
-
-          if (!modifiedBlock.match(/source_code\s*=\s*(".*?"|<<EOF[\s\S]*?EOF)/)) {
-            const lastBraceIndex = modifiedBlock.lastIndexOf('}');
-            if (lastBraceIndex !== -1) {
-              modifiedBlock = modifiedBlock.substring(0, lastBraceIndex) +
-                              `${blockContentIndent}source_code      = "${placeholderCode}"\n` +
-                              modifiedBlock.substring(lastBraceIndex);
-            }
-          }
-          return modifiedBlock;
-        }
-      );
-      console.log('[DEBUG] Processed aws_lambda_function resources for inline code.');
-    } else if (cloudProvider.toLowerCase() === 'gcp') {
-      cleanedTerraform = cleanedTerraform.replace(
-        /(resource\s+"google_cloud_function"\s+"[^"]+"\s*{[\s\S]*?})/g,
-        (gcpFunctionBlock) => {
-          let modifiedBlock = gcpFunctionBlock;
-          let originalIndent = '';
-          const indentMatch = gcpFunctionBlock.match(/^(\s*)resource/m);
-          if (indentMatch) {
-              originalIndent = indentMatch[1];
-          }
-          const blockContentIndent = originalIndent + '  ';
-
-          // Remove problematic source attributes
-          modifiedBlock = modifiedBlock
-            .replace(/\s*source_repository\s*=\s*.*?\n/g, '\n')
-            .replace(/\s*build_environment_variables\s*=\s*.*?\n/g, '\n')
-            .replace(/\s*source_archive_bucket\s*=\s*.*?\n/g, '\n')
-            .replace(/\s*source_archive_object\s*=\s*.*?\n/g, '\n');
-
-          // Ensure source_archive_url and entry_point for validation
-          if (!modifiedBlock.match(/source_archive_url\s*=\s*".*?"/)) {
-            const lastBraceIndex = modifiedBlock.lastIndexOf('}');
-            if (lastBraceIndex !== -1) {
-              modifiedBlock = modifiedBlock.substring(0, lastBraceIndex) +
-                              `${blockContentIndent}source_archive_url = "gs://your-dummy-gcp-bucket/dummy-function.zip"\n` +
-                              modifiedBlock.substring(lastBraceIndex);
-            }
-          }
-          if (!modifiedBlock.match(/entry_point\s*=\s*".*?"/)) {
-            const lastBraceIndex = modifiedBlock.lastIndexOf('}');
-            if (lastBraceIndex !== -1) {
-              modifiedBlock = modifiedBlock.substring(0, lastBraceIndex) +
-                              `${blockContentIndent}entry_point        = "main"\n` +
-                              modifiedBlock.substring(lastBraceIndex);
-            }
-          }
-          return modifiedBlock;
-        }
-      );
-      console.log('[DEBUG] Processed google_cloud_function resources for dummy source URL.');
-    } else if (cloudProvider.toLowerCase() === 'azure') {
-      cleanedTerraform = cleanedTerraform.replace(
-        /(resource\s+"azurerm_function_app"\s+"[^"]+"\s*{[\s\S]*?})/g,
-        (azureFunctionBlock) => {
-          let modifiedBlock = azureFunctionBlock;
-          // Remove app_settings that indicate local deployment or external zip
-          modifiedBlock = modifiedBlock
-            .replace(/^\s*WEBSITE_RUN_FROM_PACKAGE\s*=\s*".*?"\n?/gm, '')
-            .replace(/^\s*FUNCTIONS_WORKER_RUNTIME\s*=\s*".*?"\n?/gm, '')
-            .replace(/^\s*APPINSIGHTS_INSTRUMENTATIONKEY\s*=\s*.*?\n?/gm, '');
-
-          // Remove any inline app_settings block if it only contained problematic settings
-          modifiedBlock = modifiedBlock.replace(
-            /(app_settings\s*=\s*{[\s\S]*?})/g,
-            (appSettingsBlock) => {
-              const cleanedAppSettings = appSettingsBlock
-                                          .replace(/^\s*WEBSITE_RUN_FROM_PACKAGE\s*=\s*".*?"\n?/gm, '')
-                                          .replace(/^\s*FUNCTIONS_WORKER_RUNTIME\s*=\s*".*?"\n?/gm, '')
-                                          .replace(/^\s*APPINSIGHTS_INSTRUMENTATIONKEY\s*=\s*".*?"\n?/gm, ''); // Ensure all placeholders are removed
-              if (cleanedAppSettings.trim() === 'app_settings = {}' || !/[a-zA-Z0-9_]+=/.test(cleanedAppSettings)) {
-                return '';
-              }
-              return appSettingsBlock;
-            }
-          );
-          return modifiedBlock;
-        }
-      );
-      console.log('[DEBUG] Processed azurerm_function_app resources for deployment-agnostic validation.');
-    }
+// 🏷️ Generation profiles: regions, versions, naming, tags and backend for generated Terraform
 
-    // --- Final General Cleanups ---
-    // Fix unclosed interpolation expressions
-    cleanedTerraform = cleanedTerraform
-      .replace(/\$\{path\.module\s*$/gm, '${path.module}')
-      .replace(/\$\{([^}]+)\n/g, (_, expr) => `\${${expr.trim()}}`);
-    console.log('[DEBUG] Fixed interpolation expressions.');
-
-    // Clean up excessive empty lines (replaces 2 or more empty lines with just one)
-    cleanedTerraform = cleanedTerraform
-      .replace(/(\n\s*){2,}/g, '\n\n');
-    console.log('[DEBUG] Cleaned up empty lines.');
-
-    // Final trim to remove any leading/trailing whitespace
-    cleanedTerraform = cleanedTerraform.trim();
-
-    const tfFilePath = getUniqueTfFilePath();
-    fs.writeFileSync(tfFilePath, cleanedTerraform);
-    console.log('[DEBUG] Cleaned & saved Terraform code to:', tfFilePath);
-
-    // ✅ Create .tflint.hcl for linting
-    const tflintConfig = `
-plugin "terraform" {
-  enabled = true
-  preset  = "recommended"
+function profileErrorResponse(res, err) {
+  if (err instanceof generationProfiles.ProfileError) return res.status(400).json({ error: err.message });
+  console.error('[ERROR] Profile request failed:', err);
+  return res.status(500).json({ error: 'Profile request failed' });
 }
-`;
-    const tfDir = path.dirname(tfFilePath);
-    fs.writeFileSync(path.join(tfDir, '.tflint.hcl'), tflintConfig);
-    console.log('[DEBUG] .tflint.hcl created');
 
-    lastGeneratedCode = cleanedTerraform;
-    lastTfFilePath = tfFilePath;
+app.get('/profiles', (req, res) => {
+  res.json(generationProfiles.listProfiles());
+});
 
-    res.type('text/plain').send(cleanedTerraform);
+app.get('/profiles/:name', (req, res) => {
+  try {
+    const profile = generationProfiles.getProfile(req.params.name);
+    if (!profile) return res.status(404).json({ error: `Profile not found: ${req.params.name}` });
+    res.json(profile);
   } catch (err) {
-    console.error('[ERROR] Failed to process image or generate Terraform code:', err);
-    res.status(500).send('Error generating Terraform code');
+    profileErrorResponse(res, err);
   }
 });
 
-// 🧠 Edit Terraform code dynamically
-app.post('/edit', express.json(), async (req, res) => {
-  const { instruction } = req.body;
+app.put('/profiles/:name', express.json(), (req, res) => {
   try {
-    const updatedCode = await editTerraformCode(lastGeneratedCode, instruction);
-    lastGeneratedCode = updatedCode;
-
-    if (lastTfFilePath) {
-      fs.writeFileSync(lastTfFilePath, updatedCode);
-      console.log('[DEBUG] Updated Terraform code saved to:', lastTfFilePath);
-    }
-
-    res.type('text/plain').send(updatedCode);
+    res.json(generationProfiles.saveProfile(req.params.name, req.body));
   } catch (err) {
-    console.error('[ERROR] Editing failed:', err);
-    res.status(500).send('Failed to edit code');
+    profileErrorResponse(res, err);
   }
 });
 
-// 🧹 Linting Endpoint
-app.get('/lint', async (req, res) => {
-  if (!lastTfFilePath) return res.status(400).send('No Terraform file for linting.');
+app.delete('/profiles/:name', (req, res) => {
+  try {
+    if (!generationProfiles.deleteProfile(req.params.name)) return res.status(404).json({ error: `Profile not found: ${req.params.name}` });
+    res.status(204).end();
+  } catch (err) {
+    profileErrorResponse(res, err);
+  }
+});
 
-  const tfDir = path.dirname(lastTfFilePath);
-  const tfFilename = path.basename(lastTfFilePath);
+// 🛡️ Security and compliance policies
 
-  const cmd = `
-    cd ${tfDir} &&
-    terraform init -input=false -no-color &&
-    terraform init -input=false -no-color -upgrade &&
-    terraform validate -no-color &&
-    tflint --filter=${tfFilename}
-  `;
+// Policy report for the module files, or with ?source=plan for the plan of the last cost estimate
+function checkProjectPolicies(project, source) {
+  if (source !== 'plan') return policy.checkFiles(project.files);
+  const planPath = projectStore.getProjectFilePath(project.id, 'tfplan.json');
+  if (!fs.existsSync(planPath)) return null;
+  return policy.checkPlan(JSON.parse(fs.readFileSync(planPath, 'utf8')));
+}
 
-  exec(cmd, (error, stdout, stderr) => {
-    let output = '';
+function policyErrorResponse(res, err) {
+  if (err instanceof HclSyntaxError) return res.status(422).json({ error: `The code is not valid HCL: ${err.message}` });
+  if (err instanceof policy.PolicyRuleError) {
+    console.error('[ERROR] Invalid policy rules:', err.message);
+    return res.status(500).json({ error: `Invalid policy rules: ${err.message}` });
+  }
+  console.error('[ERROR] Policy check failed:', err);
+  return res.status(500).json({ error: 'Policy check failed' });
+}
 
-    if (stdout) {
-      output += `[STDOUT] ${stdout}\n`;
-    }
-    if (stderr) {
-      output += `[STDERR] ${stderr}\n`;
-    }
+app.get('/projects/:id/policy', loadProject, requireTerraform, (req, res) => {
+  const source = req.query.source || 'hcl';
+  if (!['hcl', 'plan'].includes(source)) return res.status(400).json({ error: 'source must be hcl or plan' });
+  try {
+    const result = checkProjectPolicies(req.project, source);
+    if (!result) return res.status(409).json({ error: 'The project has no plan yet, run a cost estimate first' });
+    res.json({ revision: req.project.revision, ...result });
+  } catch (err) {
+    policyErrorResponse(res, err);
+  }
+});
 
-    if (error) {
-      console.error('[ERROR] Linting failed:', output);
-      return res.status(500).send(`Linting failed: ${output}`);
-    }
+// Have the code editor fix the findings with the given ids, e.g. { "findings": ["AWS_DB_UNENCRYPTED:aws_db_instance.main"] }
+app.post('/projects/:id/policy/fix', loadProject, requireTerraform, express.json(), async (req, res) => {
+  const body = req.body || {};
+  const ids = Array.isArray(body.findings) ? body.findings : [];
+  if (!ids.length) return res.status(400).json({ error: 'findings must list the ids of the findings to fix' });
+  let findings;
+  try {
+    const current = policy.checkFiles(req.project.files).findings;
+    const unknownIds = ids.filter((id) => !current.some((finding) => finding.id === id));
+    if (unknownIds.length) return res.status(400).json({ error: `No such findings in the current revision: ${unknownIds.join(', ')}` });
+    findings = current.filter((finding) => ids.includes(finding.id));
+  } catch (err) {
+    return policyErrorResponse(res, err);
+  }
 
-    if (!output) {
-      output = 'No linting issues found.';
-    }
+  const repairOptions = resolveRepairOptions({
+    repair: body.repair ?? req.query.repair,
+    maxAttempts: body.maxRepairAttempts ?? req.query.maxRepairAttempts,
+  });
+  try {
+    const result = await pipeline.editProject(req.project, policy.fixInstruction(findings), repairOptions, resolveCacheSession(body.cache ?? req.query.cache));
+    // Which of the selected findings the edit did not fix
+    const remaining = policy.checkFiles(result.files).findings.filter((finding) => ids.includes(finding.id));
+    res.json({ ...result, fixed: ids.filter((id) => !remaining.some((finding) => finding.id === id)), remaining });
+  } catch (err) {
+    if (err instanceof HclSyntaxError) return editSyntaxErrorResponse(res, req.project, err);
+    console.error('[ERROR] Fixing policy findings failed:', err);
+    res.status(500).json({ error: 'Failed to fix the findings' });
+  }
+});
 
+// 🧹 Linting Endpoint
+app.get('/projects/:id/lint', loadProject, (req, res) => {
+  const dir = projectStore.getProjectDir(req.project.id);
+  const target = getTarget(req.project.target);
+  const job = jobs.submit('lint', (context) => pipeline.lintDirectory(context, dir, target), { projectId: req.project.id });
+  respondWithJob(req, res, job, ({ passed, output }) => {
+    if (!passed) return res.status(500).send(`Linting failed: ${output}`);
     res.type('text/plain').send(output);
   });
 });
 
 // 💰 Cost Estimation (OpenInfraQuote)
-app.get('/estimate-cost', async (req, res) => {
-  if (!lastTfFilePath) return res.status(400).send('No Terraform file for cost estimation.');
-
-  const tfDir = path.dirname(lastTfFilePath);
-
-  const cmd = `
-    cd ${tfDir} &&
-    curl -s https://oiq.terrateam.io/prices.csv.gz | gunzip > prices.csv
-    terraform init -input=false -no-color &&
-    terraform validate -no-color &&
-    terraform plan -out=tf.plan -no-color &&
-    terraform show -json tf.plan > tfplan.json &&
-    oiq match --pricesheet prices.csv tfplan.json | oiq price
-  `;
-
-  console.log('[INFO] Running cost estimation in:', tfDir);
-
-  exec(cmd, { shell: '/bin/bash', maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
-    if (error) {
-      console.error('[ERROR] OIQ estimation failed:', stderr || error);
-      return res.status(500).send('Error running OpenInfraQuote.');
-    }
 
-    if (stderr) {
-        console.warn('OIQ STDERR:', stderr);
-    }
+app.get('/projects/:id/estimate-cost', loadProject, requireTerraform, (req, res) => {
+  const budget = resolveBudget(req.query.budget);
+  if (budget === undefined) return res.status(400).json({ error: 'budget must be a non-negative number' });
+  console.log('[INFO] Running cost estimation in:', projectStore.getProjectDir(req.project.id));
+  const job = jobs.submit('estimate-cost', (context) => pipeline.estimateProjectCost(context, req.project, budget), { projectId: req.project.id });
+  respondWithJob(req, res, job, (result) => res.json(result));
+});
 
-    // Send raw stdout as preformatted text
-    res.type('text/plain').send(stdout);
+// Cost history, oldest first, each estimate with its change from the one before
+app.get('/projects/:id/costs', loadProject, (req, res) => {
+  const estimates = projectStore.listCostEstimates(req.project.id);
+  res.json(estimates.map((estimate, index) => {
+    const change = costChange(previousEstimate(estimates.slice(0, index), estimate.revision), estimate);
+    return { ...estimate, change, summary: describeCostChange(change) };
+  }));
+});
+
+// ⏳ Jobs
+app.get('/jobs', (req, res) => {
+  res.json(jobs.list({ projectId: req.query.projectId }));
+});
+
+app.get('/jobs/:jobId', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+  res.json(job);
+});
+
+// Server-Sent Events: status, stage and log events, then `done` with the result. Replays
+// everything after Last-Event-ID (or ?after=), so reconnecting clients miss nothing.
+app.get('/jobs/:jobId/events', (req, res) => {
+  if (!jobs.get(req.params.jobId)) return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+  const after = parseInt(req.get('Last-Event-ID') || req.query.after, 10) || 0;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 2000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let unsubscribe = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  unsubscribe = jobs.subscribe(req.params.jobId, after, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'done') setImmediate(close);
   });
+  req.on('close', close);
+});
+
+app.post('/jobs/:jobId/cancel', (req, res) => {
+  const job = jobs.cancel(req.params.jobId);
+  if (!job) return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+  res.json(job);
+});
+
+// Request bodies express.json() could not read (invalid JSON, too large) answer with JSON
+// instead of Express's HTML error page
+app.use((err, req, res, next) => {
+  if (res.headersSent || !err.type || !err.status) return next(err);
+  res.status(err.status).json({ error: `The request body could not be read: ${err.message}` });
 });
 
 // Start Server
 const PORT = process.env.PORT || 3005;
 const HOST = process.env.HOST || '0.0.0.0';
+// Uploads and generated_* directories are only kept for UPLOAD_RETENTION_HOURS
+uploadIntake.startUploadCleanup();
 app.listen(PORT, HOST, () => {
   console.log(`🚀 Server running at http://${HOST}:${PORT}`);
 });
@@ -0,0 +1,623 @@
+#!/usr/bin/env node
+// src/cli.js
+// Command line interface to the diagram to IaC pipeline (services/pipeline.js), for batch
+// conversions and CI. Output directories hold the project files plus project.json and ir.json,
+// so edit, lint and cost can pick them up later.
+//
+// Exit codes: 0 success, 1 the command failed (conversion error, lint errors, budget exceeded,
+// a failed diagram in a batch), 2 invalid usage.
+const util = require('util');
+
+// Services log while they are loaded and while they work: stdout is kept for the command's
+// output, their logs go to stderr with --verbose and are dropped otherwise
+const VERBOSE = process.argv.includes('--verbose');
+const toStderr = (...args) => {
+  if (VERBOSE) process.stderr.write(`${args.map((arg) => (typeof arg === 'string' ? arg : util.inspect(arg))).join(' ')}\n`);
+};
+console.log = toStderr;
+console.info = toStderr;
+console.warn = toStderr;
+console.error = toStderr;
+
+const fs = require('fs');
+const path = require('path');
+const pipeline = require('../services/pipeline');
+const uploadIntake = require('../services/uploadIntake');
+const generationProfiles = require('../services/generationProfiles');
+const { tflintConfig } = require('../services/projectStore');
+const { createJobContext, JobFailure, JobCancelledError } = require('../services/jobQueue');
+const { getSupportedProviders } = require('../services/componentCatalog');
+const { getTarget, listTargets, CodeSyntaxError } = require('../services/iacTargets');
+const { HclSyntaxError } = require('../services/hcl');
+const { budgetStatus, CURRENCY } = require('../services/costReport');
+const { diffFiles } = require('../services/moduleDiff');
+const { DEFAULT_CACHE_DIR, getConfigFromEnv } = require('../services/llm');
+const responseCache = require('../services/llm/responseCache');
+const evaluation = require('../services/evaluation');
+const { renderReport } = require('../services/evaluation/report');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const META_FILE = 'project.json';
+const IR_FILE = 'ir.json';
+const SUMMARY_FILE = 'summary.json';
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+
+Commands:
+  convert <diagram...>         Generate IaC from one diagram, or from several views of one architecture
+  convert <folder>             Convert every diagram in a folder into a project of its own
+  analyze <diagram...>         Extract the architecture as JSON, to review and correct before generating
+  generate <architecture.json> Generate IaC from an architecture written by analyze
+  edit <dir> "<instruction>"   Change a generated project with the code editor
+  lint <dir>                   Validate a project with the tools of its target
+  cost <dir>                   Estimate the monthly cost of a Terraform project
+  cache list                   List the cached model responses
+  cache export <dir>           Write the cached responses as fixtures of the mock provider
+  cache clear                  Remove all cached responses
+  eval [corpus]                Score the pipeline on a corpus of diagrams with known architectures
+                               (default fixtures/eval) and compare with its baseline
+
+Options:
+  --provider <name>   Cloud provider when the diagram does not show it (${getSupportedProviders().join(', ')})
+  --target <name>     IaC format: ${listTargets().map((t) => t.name).join(', ')} (default terraform)
+  --profile <name>    Generation profile for Terraform
+  --out <dir>         Output directory of convert and generate, out/<diagram name> by default; for a
+                      folder the directory the projects are written to, out by default. For analyze
+                      the JSON file, stdout by default; for eval the directory of results.json and
+                      report.html, out/eval by default
+  --budget <amount>   Monthly budget for cost, exceeding it fails the command
+  --no-cache          Ask the model again instead of reusing cached responses
+  --task <name>       Only export the responses of this task, can be repeated
+  --case <id>         Only evaluate this case (aws/web-app) or provider (aws), can be repeated
+  --baseline <file>   Baseline of eval, <corpus>/baseline.json by default
+  --update-baseline   Save the scores of this run as the baseline
+  --tolerance <n>     How far below the baseline a score may drop, default ${evaluation.DEFAULT_TOLERANCE}
+  --live              Ask the configured model instead of replaying the recorded responses
+  --record            With --live, save the model's answers as the recorded responses
+  --no-validate       Skip terraform validate during eval
+  --json              Print the result as JSON
+  --verbose           Print progress and service logs to stderr
+  -h, --help          Show this help
+`;
+
+const OPTIONS = {
+  provider: { type: 'string' },
+  target: { type: 'string' },
+  profile: { type: 'string' },
+  out: { type: 'string' },
+  budget: { type: 'string' },
+  'no-cache': { type: 'boolean', default: false },
+  task: { type: 'string', multiple: true },
+  case: { type: 'string', multiple: true },
+  baseline: { type: 'string' },
+  'update-baseline': { type: 'boolean', default: false },
+  tolerance: { type: 'string' },
+  live: { type: 'boolean', default: false },
+  record: { type: 'boolean', default: false },
+  'no-validate': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// --- Output ---
+
+function print(text = '') {
+  process.stdout.write(`${text}\n`);
+}
+
+function printJson(value) {
+  print(JSON.stringify(value, null, 2));
+}
+
+function formatMoney(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+function formatRange({ min, max }) {
+  return min === max ? formatMoney(max) : `${formatMoney(min)} - ${formatMoney(max)}`;
+}
+
+// A job context reporting stages and tool output on stderr with --verbose
+function createContext(signal) {
+  return createJobContext({
+    signal,
+    onStage: (name) => toStderr(`==> ${name}`),
+    onLog: (text) => {
+      if (VERBOSE) process.stderr.write(text);
+    },
+  });
+}
+
+// --- Project directories ---
+
+function writeProjectDir(dir, result) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Files of an earlier conversion into the same directory that this one does not have
+  const previous = fs.existsSync(path.join(dir, META_FILE)) ? readMeta(dir).files || [] : [];
+  previous.filter((name) => !(name in result.files)).forEach((name) => fs.rmSync(path.join(dir, name), { force: true }));
+
+  for (const [name, content] of Object.entries(result.files)) fs.writeFileSync(path.join(dir, name), content);
+  if (result.target === 'terraform') fs.writeFileSync(path.join(dir, '.tflint.hcl'), tflintConfig);
+  fs.writeFileSync(path.join(dir, IR_FILE), JSON.stringify(result.ir, null, 2));
+  const now = new Date().toISOString();
+  const meta = {
+    cloudProvider: result.cloudProvider,
+    providers: result.providers,
+    target: result.target,
+    diagramName: result.diagramName,
+    diagramFormat: result.diagramFormat,
+    files: Object.keys(result.files),
+    sources: result.sources,
+    profile: result.profile ? result.profile.name : null,
+    generatedBy: result.generatedBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+  fs.writeFileSync(path.join(dir, META_FILE), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+function readMeta(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, META_FILE), 'utf8'));
+}
+
+// -> { ...meta, dir, files, code }
+function readProjectDir(dir) {
+  if (!fs.existsSync(path.join(dir, META_FILE))) {
+    throw new UsageError(`${dir} is not a project directory (no ${META_FILE}), create one with convert.`);
+  }
+  const meta = readMeta(dir);
+  const target = getTarget(meta.target);
+  const files = Object.fromEntries(meta.files
+    .filter((name) => fs.existsSync(path.join(dir, name)))
+    .map((name) => [name, fs.readFileSync(path.join(dir, name), 'utf8')]));
+  return { ...meta, dir, files, code: target.combine(files) };
+}
+
+// --- Commands ---
+
+function resolveConvertOptions(values) {
+  const target = getTarget(values.target);
+  if (!target) throw new UsageError(`Unsupported target '${values.target}'. Supported are: ${listTargets().map((t) => t.name).join(', ')}.`);
+  if (values.provider && !getSupportedProviders().includes(values.provider.toLowerCase())) {
+    throw new UsageError(`Unsupported cloud provider '${values.provider}'. Supported are: ${getSupportedProviders().join(', ')}.`);
+  }
+  let profile = null;
+  if (values.profile) {
+    if (target.name !== 'terraform') throw new UsageError(`Generation profiles only apply to the terraform target, not ${target.name}.`);
+    try {
+      profile = generationProfiles.getProfile(values.profile);
+    } catch (err) {
+      if (err instanceof generationProfiles.ProfileError) throw new UsageError(err.message);
+      throw err;
+    }
+    if (!profile) {
+      const names = generationProfiles.listProfiles().map((p) => p.name);
+      throw new UsageError(`Unknown generation profile '${values.profile}'. Available are: ${names.join(', ') || 'none'}.`);
+    }
+  }
+  return { target, cloudProvider: values.provider || null, profile };
+}
+
+// A response cache session per conversion or edit, --no-cache bypasses the cache
+function cacheSession(values) {
+  return responseCache.createCacheSession({ bypass: values['no-cache'] });
+}
+
+// Diagram file -> upload with the detected format, like /upload does
+function diagramUpload(file) {
+  const upload = { path: path.resolve(file), originalname: path.basename(file) };
+  return Object.assign(upload, uploadIntake.detectUpload(uploadIntake.readHead(upload.path), upload.originalname));
+}
+
+// Summary of a conversion, as printed and as kept in the batch report
+function conversionSummary(result, dir) {
+  return {
+    dir,
+    cloudProvider: result.cloudProvider,
+    providers: result.providers,
+    target: result.target,
+    diagramFormat: result.diagramFormat,
+    views: result.views,
+    components: result.ir.components.length,
+    files: Object.keys(result.files),
+    templates: result.sources.templates.length,
+    model: result.sources.model.length,
+    issues: result.ir.issues,
+    profile: result.profile,
+    cache: result.cache,
+  };
+}
+
+function printConversion(name, summary) {
+  print(`${name}: ${summary.target} for ${summary.providers.join(', ')} in ${summary.dir}`);
+  print(`  ${summary.components} component(s) from ${summary.views.length} view(s), ${summary.templates} block(s) from templates, ${summary.model} from the model`);
+  print(`  files: ${summary.files.join(', ')}`);
+  if (summary.cache.calls.length) print(`  model responses: ${summary.cache.hits} cached, ${summary.cache.misses} new`);
+  summary.issues.forEach((issue) => print(`  ${issue.severity}: ${issue.path || '(root)'}: ${issue.message}`));
+  if (summary.profile) {
+    summary.profile.violations.forEach((v) => print(`  profile ${summary.profile.name}: ${v.address} ${v.message}`));
+  }
+}
+
+function diagramUploads(files) {
+  const missing = files.find((file) => !fs.existsSync(file));
+  if (missing) throw new UsageError(`No such file: ${missing}`);
+  try {
+    return files.map(diagramUpload);
+  } catch (err) {
+    if (err instanceof uploadIntake.UnsupportedUploadError) throw new UsageError(err.message);
+    throw err;
+  }
+}
+
+// Write a generated project to --out (out/<title> by default) and report it
+function finishConversion(result, values) {
+  const dir = path.resolve(values.out || path.join('out', result.title));
+  writeProjectDir(dir, result);
+
+  const summary = conversionSummary(result, dir);
+  if (values.json) printJson({ ...summary, ir: result.ir, sources: result.sources, cleanup: result.cleanup });
+  else printConversion(result.diagramName || result.title, summary);
+  return EXIT_OK;
+}
+
+async function convertFiles(files, values, signal) {
+  const options = resolveConvertOptions(values);
+  const uploads = diagramUploads(files);
+  const result = await pipeline.convertDiagram(createContext(signal), uploads, { ...options, cache: cacheSession(values) });
+  return finishConversion(result, values);
+}
+
+// Every diagram of a folder into <out>/<name>/, then a summary report (also written to <out>/summary.json)
+async function convertFolder(folder, values, signal) {
+  const options = resolveConvertOptions(values);
+  const outDir = path.resolve(values.out || 'out');
+  const names = fs.readdirSync(folder)
+    .filter((name) => !name.startsWith('.') && fs.statSync(path.join(folder, name)).isFile())
+    .sort();
+
+  const results = [];
+  const usedDirs = new Set();
+  // Diagrams of the same name, e.g. shop.png and shop.drawio, get the extension added
+  const projectDir = (title, name) => {
+    let dir = title;
+    if (usedDirs.has(dir)) dir = `${title}-${path.extname(name).slice(1)}`;
+    for (let i = 2; usedDirs.has(dir); i++) dir = `${title}-${i}`;
+    usedDirs.add(dir);
+    return path.join(outDir, dir);
+  };
+  for (const name of names) {
+    let upload;
+    try {
+      upload = diagramUpload(path.join(folder, name));
+    } catch (err) {
+      if (!(err instanceof uploadIntake.UnsupportedUploadError)) throw err;
+      results.push({ file: name, status: 'skipped', error: err.message });
+      continue;
+    }
+    const started = Date.now();
+    try {
+      const result = await pipeline.convertDiagram(createContext(signal), [upload], { ...options, cache: cacheSession(values) });
+      const summary = conversionSummary(result, projectDir(result.title, name));
+      writeProjectDir(summary.dir, result);
+      results.push({ file: name, status: 'converted', durationMs: Date.now() - started, ...summary });
+    } catch (err) {
+      if (signal.aborted) throw err;
+      results.push({ file: name, status: 'failed', durationMs: Date.now() - started, error: err.message, ...(err.details || {}) });
+    }
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  const report = {
+    folder: path.resolve(folder),
+    out: outDir,
+    summary: { total: results.length, converted: count('converted'), failed: count('failed'), skipped: count('skipped') },
+    results,
+  };
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, SUMMARY_FILE), JSON.stringify(report, null, 2));
+
+  if (values.json) {
+    printJson(report);
+  } else {
+    for (const r of results) {
+      if (r.status === 'converted') print(`✔ ${r.file}: ${r.target} for ${r.providers.join(', ')}, ${r.components} component(s) -> ${r.dir}`);
+      else print(`${r.status === 'failed' ? '✘' : '-'} ${r.file}: ${r.status}, ${r.error}`);
+    }
+    const { total, converted, failed, skipped } = report.summary;
+    print(`\n${converted} of ${total} converted, ${failed} failed, ${skipped} skipped. Report: ${path.join(outDir, SUMMARY_FILE)}`);
+  }
+  return report.summary.failed ? EXIT_FAILED : EXIT_OK;
+}
+
+async function convert(positionals, values, signal) {
+  if (!positionals.length) throw new UsageError('convert needs a diagram file or a folder of diagrams.');
+  const missing = positionals.find((file) => !fs.existsSync(file));
+  if (missing) throw new UsageError(`No such file or folder: ${missing}`);
+  if (fs.statSync(positionals[0]).isDirectory()) {
+    if (positionals.length > 1) throw new UsageError('convert takes a single folder, or diagram files.');
+    return convertFolder(positionals[0], values, signal);
+  }
+  return convertFiles(positionals, values, signal);
+}
+
+// The extracted architecture, to be corrected by hand and passed to generate
+async function analyze(files, values, signal) {
+  if (!files.length) throw new UsageError('analyze needs one or more diagram files.');
+  if (values.provider && !getSupportedProviders().includes(values.provider.toLowerCase())) {
+    throw new UsageError(`Unsupported cloud provider '${values.provider}'. Supported are: ${getSupportedProviders().join(', ')}.`);
+  }
+  const uploads = diagramUploads(files);
+  const { architecture } = await pipeline.analyzeDiagram(createContext(signal), uploads, { cloudProvider: values.provider || null, cache: cacheSession(values) });
+  const json = JSON.stringify(architecture, null, 2);
+  if (!values.out) {
+    print(json);
+    return EXIT_OK;
+  }
+  fs.writeFileSync(values.out, `${json}\n`);
+  if (values.json) {
+    printJson({ file: path.resolve(values.out), components: architecture.components.length, connections: architecture.connections.length, issues: architecture.issues });
+  } else {
+    print(`${architecture.diagramName}: ${architecture.components.length} component(s), ${architecture.connections.length} connection(s) for ${architecture.providers.join(', ')} in ${path.resolve(values.out)}`);
+    architecture.issues.forEach((issue) => print(`  ${issue.severity}: ${issue.path || '(root)'}: ${issue.message}`));
+  }
+  return EXIT_OK;
+}
+
+async function generate([file], values, signal) {
+  if (!file) throw new UsageError('generate needs an architecture JSON file, as written by analyze.');
+  if (!fs.existsSync(file)) throw new UsageError(`No such file: ${file}`);
+  let architecture;
+  try {
+    architecture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError(`${file} is not valid JSON: ${err.message}`);
+  }
+  const options = resolveConvertOptions(values);
+  const result = await pipeline.generateFromArchitecture(createContext(signal), architecture, { ...options, cache: cacheSession(values) });
+  return finishConversion(result, values);
+}
+
+async function edit([dir, rawInstruction], values) {
+  const instruction = (rawInstruction || '').trim();
+  if (!dir || !instruction) throw new UsageError('edit needs a project directory and an instruction.');
+  const project = readProjectDir(dir);
+  const session = cacheSession(values);
+  let files;
+  try {
+    ({ files } = await pipeline.editCode(project, instruction, { cache: session }));
+  } catch (err) {
+    if (!(err instanceof HclSyntaxError) && !(err instanceof CodeSyntaxError)) throw err;
+    // Nothing is written, the project keeps its code
+    const name = err instanceof HclSyntaxError ? 'HCL' : getTarget(project.target).language;
+    reportFailure(new Error(`The edited code is not valid ${name}: ${err.message}`), values.json);
+    return EXIT_FAILED;
+  }
+
+  Object.keys(project.files).filter((name) => !(name in files)).forEach((name) => fs.rmSync(path.join(dir, name), { force: true }));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  const meta = { ...readMeta(dir), files: Object.keys(files), updatedAt: new Date().toISOString() };
+  fs.writeFileSync(path.join(dir, META_FILE), JSON.stringify(meta, null, 2));
+
+  const diff = diffFiles(project.files, files);
+  const profile = pipeline.checkProjectProfile(project, files);
+  if (values.json) {
+    printJson({ dir: path.resolve(dir), files: Object.keys(files), diff, profile, cache: responseCache.summarizeSession(session) });
+  } else {
+    print(diff || 'The edit changed nothing.');
+    if (profile && profile.violations) profile.violations.forEach((v) => print(`profile ${profile.name}: ${v.address} ${v.message}`));
+  }
+  return EXIT_OK;
+}
+
+async function lint([dir], values, signal) {
+  if (!dir) throw new UsageError('lint needs a project directory.');
+  const project = readProjectDir(dir);
+  const result = await pipeline.lintDirectory(createContext(signal), path.resolve(dir), getTarget(project.target));
+  if (values.json) printJson(result);
+  else print(result.output.trimEnd());
+  return result.passed ? EXIT_OK : EXIT_FAILED;
+}
+
+async function cost([dir], values, signal) {
+  if (!dir) throw new UsageError('cost needs a project directory.');
+  let budget = null;
+  if (values.budget !== undefined) {
+    budget = Number(values.budget);
+    if (!Number.isFinite(budget) || budget < 0) throw new UsageError('--budget must be a non-negative number.');
+  }
+  const project = readProjectDir(dir);
+  const target = getTarget(project.target);
+  if (target.name !== 'terraform') throw new UsageError(`Cost estimates are only available for Terraform projects, ${dir} is ${target.label}.`);
+
+  const { report, priceSheet, steps } = await pipeline.estimateCost(createContext(signal), path.resolve(dir));
+  const status = budgetStatus(report.total, budget);
+  if (values.json) {
+    printJson({ ...report, budget: status, priceSheet, steps });
+  } else {
+    print(`Monthly cost: ${formatRange(report.total)} ${CURRENCY}`);
+    const width = Math.max(0, ...report.resources.map((r) => r.address.length));
+    report.resources.forEach((r) => print(`  ${r.address.padEnd(width)}  ${formatRange(r.monthly)}`));
+    if (report.unpriced.length) print(`No price for: ${report.unpriced.join(', ')}`);
+    if (status) {
+      print(status.exceeded
+        ? `Over the budget of ${formatMoney(status.limit)} by ${formatMoney(status.overBy)}`
+        : `Within the budget of ${formatMoney(status.limit)}, ${formatMoney(status.remaining)} left`);
+    }
+  }
+  return status && status.exceeded ? EXIT_FAILED : EXIT_OK;
+}
+
+// Entries of LLM_CACHE_DIR; export turns them into fixtures, so a generation can be replayed
+// with LLM_PROVIDER=mock, e.g. in tests
+async function cache([action, outDir], values) {
+  const cacheDir = getConfigFromEnv().cacheDir || DEFAULT_CACHE_DIR;
+  if (action === 'list') {
+    const entries = responseCache.listEntries(cacheDir);
+    if (values.json) {
+      printJson(entries);
+    } else {
+      entries.forEach((e) => print(`${e.key.slice(0, 12)}  ${e.task}  ${e.provider}/${e.model}  prompt v${e.promptVersion}  ${e.createdAt}`));
+      print(`${entries.length} cached response(s) in ${cacheDir}`);
+    }
+    return EXIT_OK;
+  }
+  if (action === 'export') {
+    if (!outDir) throw new UsageError('cache export needs the fixtures directory, e.g. fixtures/llm.');
+    const written = responseCache.exportFixtures(cacheDir, path.resolve(outDir), { tasks: values.task || null });
+    if (values.json) printJson({ fixtures: written });
+    else print(`Exported ${written.length} fixture(s) to ${path.resolve(outDir)}`);
+    return EXIT_OK;
+  }
+  if (action === 'clear') {
+    const count = responseCache.clearCache(cacheDir);
+    if (values.json) printJson({ removed: count });
+    else print(`Removed ${count} cached response(s)`);
+    return EXIT_OK;
+  }
+  throw new UsageError('cache takes list, export <dir> or clear.');
+}
+
+function printEvaluation(results, comparison) {
+  const { summary } = results;
+  const compared = new Map(comparison ? comparison.metrics.map((entry) => [entry.metric, entry]) : []);
+  const percent = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+  print(`${summary.cases} case(s), ${summary.failed} failed (${results.mode}, prompts ${Object.entries(results.promptVersions).map(([task, v]) => `${task} v${v}`).join(', ')})`);
+  const width = Math.max(...evaluation.METRICS.map((metric) => metric.length));
+  for (const metric of evaluation.METRICS) {
+    const entry = compared.get(metric);
+    const delta = entry && entry.delta !== null ? `  ${entry.delta >= 0 ? '+' : ''}${(entry.delta * 100).toFixed(1)}  ${entry.status}` : '';
+    print(`  ${metric.padEnd(width)}  ${percent(summary[metric]).padStart(6)}${delta}`);
+  }
+  for (const c of results.cases) {
+    const problems = [
+      c.error,
+      !c.provider.correct && `provider ${c.provider.detected || 'none'}, expected ${c.provider.expected}`,
+      c.components.missing.length && `missing ${c.components.missing.join(', ')}`,
+      c.components.mistyped.length && `mistyped ${c.components.mistyped.map((m) => m.name).join(', ')}`,
+      c.connections.missing.length && `${c.connections.missing.length} connection(s) missing`,
+      !c.hcl.valid && 'invalid HCL',
+      c.validate.status === 'failed' && 'terraform validate failed',
+    ].filter(Boolean);
+    print(`${c.status === 'failed' ? 'FAIL' : 'ok  '} ${c.id}${problems.length ? `: ${problems.join('; ')}` : ''}`);
+  }
+  if (comparison) {
+    comparison.promptChanges.forEach((p) => print(`Prompt ${p.task} changed since the baseline: v${p.baseline} -> v${p.current}`));
+    print(comparison.regressions.length ? `Regressed: ${comparison.regressions.join(', ')}` : 'No regressions against the baseline');
+  }
+}
+
+// Replays the recorded responses of every case by default, so only pipeline changes move the
+// scores; --live measures the configured model. Fails on regressions against the baseline.
+async function evaluate([corpus], values, signal) {
+  if (values.record && !values.live) throw new UsageError('--record needs --live, offline runs replay the recordings.');
+  if (values['update-baseline'] && values.case) throw new UsageError('--update-baseline needs a run of the whole corpus, without --case.');
+  let tolerance = evaluation.DEFAULT_TOLERANCE;
+  if (values.tolerance !== undefined) {
+    tolerance = Number(values.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0) throw new UsageError('--tolerance must be a non-negative number.');
+  }
+  const corpusDir = path.resolve(corpus || evaluation.DEFAULT_CORPUS_DIR);
+  const baselineFile = path.resolve(values.baseline || path.join(corpusDir, evaluation.BASELINE_FILE));
+
+  const results = await evaluation.runEvaluation(createContext(signal), corpusDir, {
+    only: values.case || null,
+    live: values.live,
+    record: values.record,
+    validate: !values['no-validate'],
+    noCache: values['no-cache'],
+  });
+  const baseline = evaluation.readBaseline(baselineFile);
+  // A baseline of the whole corpus is not compared with a run of some of its cases
+  const comparison = baseline && !values.case ? evaluation.compareWithBaseline(results, baseline, { tolerance }) : null;
+
+  const outDir = path.resolve(values.out || path.join('out', 'eval'));
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'results.json'), `${JSON.stringify({ ...results, comparison }, null, 2)}\n`);
+  fs.writeFileSync(path.join(outDir, 'report.html'), renderReport(results, comparison));
+  if (values['update-baseline']) evaluation.writeBaseline(baselineFile, results);
+
+  if (values.json) {
+    printJson({ ...results, comparison, report: path.join(outDir, 'report.html') });
+  } else {
+    printEvaluation(results, comparison);
+    if (values['update-baseline']) print(`Baseline written to ${baselineFile}`);
+    else if (!baseline) print(`No baseline at ${baselineFile}, write one with --update-baseline`);
+    print(`Report: ${path.join(outDir, 'report.html')}`);
+  }
+  return comparison && comparison.regressions.length && !values['update-baseline'] ? EXIT_FAILED : EXIT_OK;
+}
+
+const COMMANDS = { convert, analyze, generate, edit, lint, cost, cache, eval: evaluate };
+
+// Failures of the pipeline carry the details the API would answer with, e.g. IR issues or tool output
+function reportFailure(err, json) {
+  const details = err instanceof JobFailure ? err.details : {};
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ error: err.message, ...details }, null, 2)}\n`);
+    return;
+  }
+  const lines = [`Error: ${err.message}`];
+  (details.issues || []).forEach((issue) => lines.push(`  ${issue.path || '(root)'}: ${issue.message}`));
+  if (details.action) lines.push(details.action);
+  if (details.output) lines.push(details.output);
+  process.stderr.write(`${lines.join('\n')}\n`);
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = util.parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  const { values, positionals: [command, ...args] } = parsed;
+  if (values.help || !command) {
+    (values.help ? process.stdout : process.stderr).write(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    process.stderr.write(`Unknown command '${command}'.\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  // Ctrl+C cancels the running step, e.g. terraform plan
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  try {
+    return await COMMANDS[command](args, values, controller.signal);
+  } catch (err) {
+    // A corpus the evaluation cannot read is a usage error too
+    if (err instanceof UsageError || err instanceof evaluation.EvaluationError) {
+      process.stderr.write(`${err.message}\n`);
+      return EXIT_USAGE;
+    }
+    if (err instanceof JobCancelledError || controller.signal.aborted) {
+      process.stderr.write('Cancelled.\n');
+      return EXIT_FAILED;
+    }
+    if (!(err instanceof JobFailure)) toStderr('[ERROR]', err);
+    reportFailure(err, values.json);
+    return EXIT_FAILED;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
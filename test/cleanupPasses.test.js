@@ -0,0 +1,202 @@
+// test/cleanupPasses.test.js
+// Every cleanup pass on its own: a small input and the code it prints
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const hcl = require('../services/hcl');
+const { runCleanupPasses, getPasses } = require('../services/cleanupPasses');
+
+const ALL_PROVIDERS = ['aws', 'azure', 'gcp', 'kubernetes', 'oci'];
+
+// -> { code, changes } of the tree pass `name` alone
+function runPass(name, source) {
+  const pass = getPasses(ALL_PROVIDERS).find((candidate) => candidate.name === name);
+  assert.ok(pass, `no pass ${name}`);
+  const body = hcl.parse(source);
+  const changes = pass.apply(body);
+  return { code: hcl.print(body), changes };
+}
+
+test('remove-local-file-resources', () => {
+  const { code, changes } = runPass('remove-local-file-resources', `resource "local_file" "config" {
+  filename = "config.json"
+  content  = "{}"
+}
+
+resource "aws_s3_bucket" "logs" {
+  bucket = "logs"
+}
+`);
+  assert.equal(changes, 1);
+  assert.equal(code, `resource "aws_s3_bucket" "logs" {
+  bucket = "logs"
+}
+`);
+});
+
+test('remove-archive-file-data', () => {
+  const { code, changes } = runPass('remove-archive-file-data', `data "archive_file" "zip" {
+  type        = "zip"
+  source_dir  = "src"
+  output_path = "app.zip"
+}
+
+data "aws_region" "current" {}
+`);
+  assert.equal(changes, 1);
+  assert.equal(code, 'data "aws_region" "current" {}\n');
+});
+
+test('remove-local-source-hashes', () => {
+  const { code, changes } = runPass('remove-local-source-hashes', `resource "aws_lambda_function" "api" {
+  function_name    = "api"
+  source_code_hash = filebase64sha256("app.zip")
+}
+`);
+  assert.equal(changes, 1);
+  assert.equal(code, `resource "aws_lambda_function" "api" {
+  function_name = "api"
+}
+`);
+});
+
+test('aws-lambda-inline-placeholder', () => {
+  const { code, changes } = runPass('aws-lambda-inline-placeholder', `resource "aws_lambda_function" "api" {
+  function_name = "api"
+  role          = aws_iam_role.api.arn
+  runtime       = "nodejs20.x"
+  filename      = "app.zip"
+}
+`);
+  assert.equal(changes, 3);
+  assert.equal(code, `resource "aws_lambda_function" "api" {
+  function_name = "api"
+  handler       = "handler.handler"
+  role          = aws_iam_role.api.arn
+  runtime       = "nodejs20.x"
+  source_code   = "exports.handler = async (event) => { return { statusCode: 200, body: JSON.stringify(\\"OK\\") }; };"
+}
+`);
+});
+
+test('aws-lambda-inline-placeholder leaves packages from S3 alone', () => {
+  const source = `resource "aws_lambda_function" "api" {
+  function_name = "api"
+  s3_bucket     = "artifacts"
+  s3_key        = "api.zip"
+}
+`;
+  assert.deepEqual(runPass('aws-lambda-inline-placeholder', source), { code: source, changes: 0 });
+});
+
+test('gcp-cloud-function-dummy-source', () => {
+  const { code, changes } = runPass('gcp-cloud-function-dummy-source', `resource "google_cloud_function" "ingest" {
+  name                  = "ingest"
+  runtime               = "python312"
+  source_archive_bucket = google_storage_bucket.src.name
+  source_archive_object = "ingest.zip"
+}
+`);
+  assert.equal(changes, 4);
+  assert.equal(code, `resource "google_cloud_function" "ingest" {
+  name               = "ingest"
+  runtime            = "python312"
+  source_archive_url = "gs://your-dummy-gcp-bucket/dummy-function.zip"
+  entry_point        = "main"
+}
+`);
+});
+
+test('azure-function-app-settings', () => {
+  const { code, changes } = runPass('azure-function-app-settings', `resource "azurerm_function_app" "thumbs" {
+  name = "thumbs"
+  app_settings = {
+    WEBSITE_RUN_FROM_PACKAGE = "1"
+    LOG_LEVEL                = "info"
+  }
+}
+`);
+  assert.equal(changes, 1);
+  assert.equal(code, `resource "azurerm_function_app" "thumbs" {
+  name = "thumbs"
+  app_settings = {
+    LOG_LEVEL = "info"
+  }
+}
+`);
+});
+
+test('helm-release-local-values', () => {
+  const { code, changes } = runPass('helm-release-local-values', `resource "helm_release" "redis" {
+  name   = "redis"
+  chart  = "redis"
+  values = [file("values.yaml")]
+}
+`);
+  assert.equal(changes, 1);
+  assert.equal(code, `resource "helm_release" "redis" {
+  name  = "redis"
+  chart = "redis"
+}
+`);
+});
+
+test('oci-function-placeholder-image', () => {
+  const { code, changes } = runPass('oci-function-placeholder-image', `resource "oci_functions_function" "resize" {
+  display_name  = "resize"
+  memory_in_mbs = 256
+}
+`);
+  assert.equal(changes, 1);
+  assert.equal(code, `resource "oci_functions_function" "resize" {
+  display_name  = "resize"
+  memory_in_mbs = 256
+  image         = "iad.ocir.io/your-tenancy-namespace/placeholder-function:0.0.1"
+}
+`);
+});
+
+test('passes only run for their providers', () => {
+  const names = getPasses('aws').map((pass) => pass.name);
+  assert.ok(names.includes('aws-lambda-inline-placeholder'));
+  assert.ok(!names.includes('oci-function-placeholder-image'));
+});
+
+test('strip-markdown-fences', () => {
+  const { code, applied } = runCleanupPasses('```hcl\nresource "aws_s3_bucket" "b" {\n  bucket = "b"\n}\n```\n', ['aws']);
+  assert.deepEqual(applied, [{ name: 'strip-markdown-fences', changes: 1 }]);
+  assert.equal(code.trim(), 'resource "aws_s3_bucket" "b" {\n  bucket = "b"\n}');
+});
+
+test('close-interpolations closes the interpolation and the string left open', () => {
+  const { code, applied } = runCleanupPasses(`locals {
+  archive = "\${path.module/app.zip"
+  prefix  = "\${var.name
+}
+`, ['aws']);
+  assert.deepEqual(applied, [{ name: 'close-interpolations', changes: 2 }]);
+  assert.equal(code, `locals {
+  archive = "\${path.module/app.zip}"
+  prefix  = "\${var.name}"
+}
+`);
+});
+
+test('close-interpolations leaves valid multi-line interpolations alone', () => {
+  const source = `locals {
+  joined = "\${ join(",",
+    ["a", "b"]) }"
+  list   = <<EOT
+%{ for name in ["a", "b"] }
+\${name}
+%{ endfor }
+EOT
+}
+`;
+  const { code, applied } = runCleanupPasses(source, ['aws']);
+  assert.deepEqual(applied, []);
+  assert.equal(code, source);
+});
+
+test('code the repairs cannot fix fails with the original syntax error', () => {
+  assert.throws(() => runCleanupPasses('resource "aws_s3_bucket" "b" {\n  bucket = \n', ['aws']), hcl.HclSyntaxError);
+});
@@ -0,0 +1,57 @@
+// test/costReport.test.js
+// Reading oiq price reports (fixtures/oiq) into estimates, and comparing estimates
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCostReport, budgetStatus, costChange, describeCostChange } = require('../services/costReport');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'oiq');
+const plan = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'plan.json'), 'utf8'));
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const ESTIMATE = {
+  currency: 'USD',
+  total: { min: 147.75, max: 147.75 },
+  resources: [
+    { address: 'aws_instance.web', type: 'aws_instance', name: 'web', monthly: { min: 7.59, max: 7.59 } },
+    { address: 'aws_instance.m5_large[0]', type: 'aws_instance', name: 'm5_large[0]', monthly: { min: 70.08, max: 70.08 } },
+    { address: 'aws_instance.m5_large[1]', type: 'aws_instance', name: 'm5_large[1]', monthly: { min: 70.08, max: 70.08 } },
+  ],
+  unpriced: ['aws_vpc.main'],
+};
+
+test('text reports: totals, one row per instance, removed resources left out', () => {
+  assert.deepEqual(parseCostReport(fixture('price.txt'), { format: 'text', plan }), ESTIMATE);
+});
+
+test('JSON reports give the same estimate', () => {
+  assert.deepEqual(parseCostReport(fixture('price.json'), { format: 'json', plan }), ESTIMATE);
+});
+
+test('only the price columns are read, not digits elsewhere on a line', () => {
+  const report = `Min Price: 7.59 USD
+Max Price: 7.59 USD
+Resources
+                Name            Type  Min Price (USD)  Max Price (USD)  Change
+  aws_instance.web t3.micro Linux
+                 web    aws_instance                -                -     add
+`;
+  const estimate = parseCostReport(report, { format: 'text', plan });
+  assert.deepEqual(estimate.resources, []);
+  assert.ok(estimate.unpriced.includes('aws_instance.web'));
+  assert.deepEqual(estimate.total, { min: 7.59, max: 7.59 });
+});
+
+test('without totals in the report the resources add up to them', () => {
+  const report = fixture('price.txt').replace(/^M(in|ax) Price: .*\n/gm, '');
+  assert.deepEqual(parseCostReport(report, { format: 'text', plan }).total, { min: 147.75, max: 147.75 });
+});
+
+test('budgets and changes between estimates', () => {
+  assert.deepEqual(budgetStatus(ESTIMATE.total, 100), { limit: 100, exceeded: true, overBy: 47.75, remaining: 0 });
+  const previous = { revision: 1, total: { min: 7.59, max: 7.59 }, resources: ESTIMATE.resources.slice(0, 1) };
+  const change = costChange(previous, { ...ESTIMATE, revision: 2 });
+  assert.deepEqual(change.resources.map((resource) => [resource.address, resource.change]), [['aws_instance.m5_large[0]', 'added'], ['aws_instance.m5_large[1]', 'added']]);
+  assert.equal(describeCostChange(change), 'Revision 2 added $140.16/month compared to revision 1.');
+});
@@ -0,0 +1,95 @@
+// test/diagramImport.test.js
+// The deterministic importers: draw.io, Mermaid and PlantUML sources to components and connections
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { DiagramValidationError } = require('../services/diagramIr');
+const { importDiagram, importDiagramPages } = require('../services/diagramImport');
+
+const WEB_AND_DB = {
+  cloudProvider: 'aws',
+  components: [
+    { type: 'ec2', name: 'web', provider: 'aws', properties: {} },
+    { type: 'rds', name: 'orders', provider: 'aws', properties: {} },
+  ],
+  connections: [{ from: 'web', to: 'orders', label: 'SQL' }],
+};
+
+const DRAWIO_PAGE = `<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/>
+<mxCell id="vm" value="web" style="shape=mxgraph.aws4.resourceIcon;resIcon=mxgraph.aws4.ec2;" vertex="1" parent="1"><mxGeometry x="0" y="0" width="60" height="60" as="geometry"/></mxCell>
+<mxCell id="db" value="orders" style="shape=mxgraph.aws4.resourceIcon;resIcon=mxgraph.aws4.rds;" vertex="1" parent="1"><mxGeometry x="200" y="0" width="60" height="60" as="geometry"/></mxCell>
+<mxCell id="e" value="SQL" edge="1" source="vm" target="db" parent="1"/>
+</root></mxGraphModel>`;
+
+test('draw.io shapes are typed by their library icon', () => {
+  assert.deepEqual(importDiagram(`<mxfile><diagram name="Overview">${DRAWIO_PAGE}</diagram></mxfile>`, 'drawio'), WEB_AND_DB);
+});
+
+test('draw.io files keep every page, compressed or not', () => {
+  const compressed = zlib.deflateRawSync(Buffer.from(encodeURIComponent(DRAWIO_PAGE))).toString('base64');
+  const pages = importDiagramPages(`<mxfile><diagram name="Plain">${DRAWIO_PAGE}</diagram><diagram name="Compressed">${compressed}</diagram></mxfile>`, 'drawio');
+  assert.deepEqual(pages.map((page) => page.name), ['Plain', 'Compressed']);
+  pages.forEach((page) => assert.deepEqual(page.diagram, WEB_AND_DB));
+});
+
+test('Mermaid flowcharts take types from icons, shapes and subgraphs', () => {
+  assert.deepEqual(importDiagram(`flowchart LR
+  subgraph vpc[VPC]
+    web@{ icon: "aws:ec2", label: "web" } --> db[(RDS: orders)]
+  end
+  users((Users)) -->|HTTPS| web
+`, 'mermaid'), {
+    cloudProvider: 'aws',
+    components: [
+      { type: 'vpc', name: 'VPC', properties: {} },
+      { type: 'ec2', name: 'web', provider: 'aws', properties: {} },
+      { type: 'database', name: 'orders', properties: {} },
+      { type: 'users', name: 'Users', properties: {} },
+    ],
+    connections: [
+      { from: 'web', to: 'VPC' },
+      { from: 'orders', to: 'VPC' },
+      { from: 'web', to: 'orders' },
+      { from: 'Users', to: 'web', label: 'HTTPS' },
+    ],
+  });
+});
+
+test('Mermaid architecture diagrams keep their groups', () => {
+  const diagram = importDiagram(`architecture-beta
+  group vpc(logos:aws-vpc)[Main VPC]
+  service web(logos:aws-ec2)[web] in vpc
+  service db(database)[orders] in vpc
+  web:R --> L:db
+`, 'mermaid');
+  assert.equal(diagram.cloudProvider, 'aws');
+  assert.deepEqual(diagram.components.map((component) => [component.type, component.name]), [['vpc', 'Main VPC'], ['ec2', 'web'], ['database', 'orders']]);
+  assert.deepEqual(diagram.connections, [{ from: 'web', to: 'Main VPC' }, { from: 'orders', to: 'Main VPC' }, { from: 'web', to: 'orders' }]);
+});
+
+test('PlantUML library macros and stereotyped elements', () => {
+  assert.deepEqual(importDiagram(`@startuml
+!define AWSPuml https://raw.githubusercontent.com/awslabs/aws-icons-for-plantuml/v18.0/dist
+!include AWSPuml/AWSCommon.puml
+!include AWSPuml/Compute/EC2.puml
+VPCGroup(vpc, "Main VPC") {
+  EC2(web, "web", "t3.micro")
+}
+database "orders (RDS)" as db
+web --> db : SQL
+@enduml
+`, 'plantuml'), {
+    cloudProvider: 'aws',
+    components: [
+      { type: 'vpc', name: 'Main VPC', provider: 'aws', properties: {} },
+      { type: 'ec2', name: 'web', provider: 'aws', properties: { technology: 't3.micro' } },
+      { type: 'rds', name: 'orders', provider: 'aws', properties: {} },
+    ],
+    connections: [{ from: 'web', to: 'Main VPC' }, { from: 'web', to: 'orders', label: 'SQL' }],
+  });
+});
+
+test('sources that cannot be read fail as DiagramValidationError', () => {
+  assert.throws(() => importDiagram('<mxfile><diagram>', 'drawio'), DiagramValidationError);
+  assert.throws(() => importDiagram('flowchart LR', 'visio'), /Unsupported diagram format/);
+});
@@ -0,0 +1,73 @@
+// test/hcl.test.js
+// HCL parser and printer: formatted code prints back byte for byte, edits keep the rest intact
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const hcl = require('../services/hcl');
+
+const FORMATTED = `terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+  }
+}
+
+# Network of the web tier
+resource "aws_vpc" "main" {
+  cidr_block           = "10.0.0.0/16"
+  enable_dns_hostnames = true
+
+  tags = {
+    Name = "\${var.prefix}-vpc" // inline comment
+  }
+}
+
+resource "aws_security_group" "web" {
+  name   = "web"
+  vpc_id = aws_vpc.main.id
+
+  dynamic "ingress" {
+    for_each = [80, 443]
+    content {
+      from_port   = ingress.value
+      to_port     = ingress.value
+      protocol    = "tcp"
+      cidr_blocks = ["0.0.0.0/0"]
+    }
+  }
+}
+
+locals {
+  names   = [for s in var.subnets : upper(s.name) if s.public]
+  enabled = var.count > 0 ? true : false
+  policy  = <<EOT
+{
+  "Version": "2012-10-17"
+}
+EOT
+}
+`;
+
+test('printing parsed code gives back the formatted source', () => {
+  assert.equal(hcl.print(hcl.parse(FORMATTED)), FORMATTED);
+});
+
+test('printing is stable when the output is parsed again', () => {
+  const once = hcl.print(hcl.parse('resource "aws_s3_bucket" "b" {\n    bucket="logs"\n  force_destroy = true\n}\n'));
+  assert.equal(hcl.print(hcl.parse(once)), once);
+});
+
+test('multi-line interpolations and template directives parse', () => {
+  const source = 'locals {\n  a = "${ join(",",\n    ["a", "b"]) }"\n  b = <<EOT\n%{ for x in ["a"] }\n${x}\n%{ endfor }\nEOT\n}\n';
+  assert.equal(hcl.print(hcl.parse(source)), source);
+});
+
+test('syntax errors name the line and column the broken text starts at', () => {
+  assert.throws(() => hcl.parse('locals {\n  a = "${path.module\n  b = 1\n}\n'), (err) => {
+    assert.ok(err instanceof hcl.HclSyntaxError);
+    assert.equal(err.line, 2);
+    assert.equal(err.column, 7);
+    return true;
+  });
+});
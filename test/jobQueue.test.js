@@ -0,0 +1,109 @@
+// test/jobQueue.test.js
+// Queued jobs: concurrency, cancelling, event replay, failures and retention
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue, JobFailure } = require('../services/jobQueue');
+
+// A promise with its resolve function, to hold a job until the test lets it finish
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('jobs beyond the concurrency wait in the queue', async () => {
+  const jobs = createJobQueue({ concurrency: 1 });
+  const first = deferred();
+  const a = jobs.submit('lint', () => first.promise);
+  const b = jobs.submit('lint', async () => 'second');
+  await tick();
+  assert.equal(jobs.get(a.id).status, 'running');
+  assert.equal(jobs.get(b.id).status, 'queued');
+
+  first.resolve('first');
+  assert.equal((await a.done).result, 'first');
+  const finished = await b.done;
+  assert.equal(finished.status, 'succeeded');
+  assert.equal(finished.result, 'second');
+});
+
+test('stages and logs are kept as events that subscribe replays after an id', async () => {
+  const jobs = createJobQueue();
+  const release = deferred();
+  const job = jobs.submit('estimate-cost', async (context) => {
+    context.stage('init');
+    context.log('Initializing');
+    await release.promise;
+    context.stage('plan');
+    return { total: 1 };
+  }, { projectId: 'p1' });
+  await tick();
+
+  const live = [];
+  const unsubscribe = jobs.subscribe(job.id, 2, (event) => live.push(event));
+  release.resolve();
+  const finished = await job.done;
+  unsubscribe();
+
+  assert.deepEqual(finished.stages.map((stage) => [stage.name, stage.status]), [['init', 'done'], ['plan', 'done']]);
+  const all = [];
+  jobs.subscribe(job.id, 0, (event) => all.push(event));
+  assert.deepEqual(all.map((event) => event.type), ['status', 'status', 'stage', 'log', 'stage', 'stage', 'stage', 'done']);
+  assert.deepEqual(all.map((event) => event.id), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.deepEqual(live, all.slice(2));
+  assert.deepEqual(jobs.list({ projectId: 'p1' }).map((listed) => listed.id), [job.id]);
+  assert.deepEqual(jobs.list({ projectId: 'p2' }), []);
+});
+
+test('cancelling a queued job drops it without running it', async () => {
+  const jobs = createJobQueue({ concurrency: 1 });
+  const first = deferred();
+  jobs.submit('lint', () => first.promise);
+  let ran = false;
+  const queued = jobs.submit('lint', async () => { ran = true; });
+  assert.equal(jobs.cancel(queued.id).status, 'cancelled');
+  first.resolve();
+  const finished = await queued.done;
+  assert.equal(ran, false);
+  assert.deepEqual(finished.error, { message: 'Job was cancelled', status: 499 });
+});
+
+test('cancelling a running job aborts its signal', async () => {
+  const jobs = createJobQueue();
+  const job = jobs.submit('estimate-cost', (context) => new Promise((resolve, reject) => {
+    context.signal.addEventListener('abort', () => reject(new Error('terraform was stopped')));
+  }));
+  await tick();
+  jobs.cancel(job.id);
+  const finished = await job.done;
+  assert.equal(finished.status, 'cancelled');
+  assert.equal(finished.error.status, 499);
+  assert.equal(jobs.cancel(job.id).status, 'cancelled');
+  assert.equal(jobs.cancel('no-such-job'), null);
+});
+
+test('JobFailure sets the status and response fields, other errors fail with 500', async () => {
+  const jobs = createJobQueue();
+  const rejected = await jobs.submit('generate', async () => {
+    throw new JobFailure('Diagram validation failed', { status: 422, details: { issues: [{ path: 'components[0]' }] } });
+  }).done;
+  assert.equal(rejected.status, 'failed');
+  assert.deepEqual(rejected.error, { message: 'Diagram validation failed', status: 422, issues: [{ path: 'components[0]' }] });
+
+  const crashed = await jobs.submit('generate', async () => { throw new Error('boom'); }).done;
+  assert.deepEqual(crashed.error, { message: 'boom', status: 500 });
+});
+
+test('finished jobs are pruned once they are older than the retention', async () => {
+  const jobs = createJobQueue({ retentionMs: 5 });
+  const old = jobs.submit('lint', async () => 'done');
+  await old.done;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const fresh = jobs.submit('lint', async () => 'done');
+  assert.equal(jobs.get(old.id), null);
+  assert.equal(jobs.subscribe(old.id, 0, () => {}), null);
+  assert.ok(jobs.get(fresh.id));
+  await fresh.done;
+});
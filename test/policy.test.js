@@ -0,0 +1,136 @@
+// test/policy.test.js
+// The built-in policy rules on small modules and plans, and the team's rule files
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const policy = require('../services/policy');
+
+const BUILTIN_RULES = policy.loadRules({ rulesPath: null });
+
+// -> [ruleId, resource, file, line] of every finding, most severe first
+function findings(files, rules = BUILTIN_RULES) {
+  return policy.checkFiles(files, { rules }).findings.map((finding) => [finding.ruleId, finding.resource, finding.file, finding.line]);
+}
+
+test('findings point at the offending attribute, most severe first', () => {
+  const result = policy.checkFiles({
+    'main.tf': `resource "aws_security_group" "web" {
+  name = "web"
+  ingress {
+    from_port   = 22
+    to_port     = 22
+    protocol    = "tcp"
+    cidr_blocks = ["0.0.0.0/0"]
+  }
+}
+
+resource "aws_db_instance" "orders" {
+  engine                          = "postgres"
+  storage_encrypted               = true
+  password                        = "hunter22"
+  enabled_cloudwatch_logs_exports = ["postgresql"]
+}
+`,
+    'variables.tf': `variable "db_password" {
+  default = "changeme"
+}
+`,
+  }, { rules: BUILTIN_RULES });
+  assert.deepEqual(result.findings.map((finding) => [finding.ruleId, finding.resource, finding.file, finding.line]), [
+    ['HARDCODED_CREDENTIALS', 'aws_db_instance.orders', 'main.tf', 14],
+    ['HARDCODED_CREDENTIAL_DEFAULT', 'var.db_password', 'variables.tf', 2],
+    ['AWS_SG_OPEN_INGRESS', 'aws_security_group.web', 'main.tf', 7],
+  ]);
+  assert.deepEqual(result.summary, { critical: 2, high: 1, medium: 0, low: 0 });
+});
+
+test('unknown values never produce a finding on their own', () => {
+  assert.deepEqual(findings({
+    'main.tf': `resource "aws_ebs_volume" "data" {
+  size      = 10
+  encrypted = var.encrypted
+}
+
+resource "aws_security_group" "web" {
+  ingress {
+    cidr_blocks = var.allowed_cidrs
+  }
+}
+`,
+  }), []);
+});
+
+test('require conditions report what is missing', () => {
+  assert.deepEqual(findings({
+    'main.tf': `resource "aws_ebs_volume" "data" {
+  size = 10
+}
+`,
+  }), [['AWS_EBS_UNENCRYPTED', 'aws_ebs_volume.data', 'main.tf', 1]]);
+});
+
+test('referencedBy holds when another resource refers to the resource', () => {
+  const bucket = `resource "aws_s3_bucket" "logs" {
+  bucket = "logs"
+}
+`;
+  const ruleIds = (files) => findings(files).map(([ruleId]) => ruleId);
+  assert.ok(ruleIds({ 'main.tf': bucket }).includes('AWS_S3_NO_PUBLIC_ACCESS_BLOCK'));
+  assert.ok(!ruleIds({
+    'main.tf': `${bucket}
+resource "aws_s3_bucket_public_access_block" "logs" {
+  bucket                  = aws_s3_bucket.logs.id
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+`,
+  }).includes('AWS_S3_NO_PUBLIC_ACCESS_BLOCK'));
+});
+
+test('plans are checked on their planned values, without files or lines', () => {
+  const plan = {
+    planned_values: {
+      root_module: {
+        resources: [{ address: 'aws_ebs_volume.data', mode: 'managed', type: 'aws_ebs_volume', values: { size: 10, encrypted: false } }],
+      },
+    },
+    configuration: { root_module: { resources: [{ address: 'aws_ebs_volume.data', expressions: { encrypted: { constant_value: false } } }] } },
+  };
+  const result = policy.checkPlan(plan, { rules: BUILTIN_RULES });
+  assert.equal(result.source, 'plan');
+  assert.deepEqual(result.findings.map((finding) => [finding.ruleId, finding.resource, finding.file, finding.line]), [
+    ['AWS_EBS_UNENCRYPTED', 'aws_ebs_volume.data', null, null],
+  ]);
+});
+
+test('team rule files add, replace and disable rules', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'team.json'), JSON.stringify({
+    disable: ['AWS_EBS_UNENCRYPTED'],
+    rules: [
+      { id: 'TEAM_EBS_PROVISIONED_IOPS', title: 'EBS volume with provisioned IOPS', severity: 'low', resource: 'aws_ebs_volume', deny: { attribute: 'type', in: ['io1', 'io2'] } },
+      { id: 'HARDCODED_CREDENTIALS', title: 'Password in the code', severity: 'medium', resource: '*', deny: { attributePattern: '^password$', literal: true } },
+    ],
+  }));
+  const rules = policy.loadRules({ rulesPath: dir });
+  assert.ok(!rules.some((rule) => rule.id === 'AWS_EBS_UNENCRYPTED'));
+  const result = policy.checkFiles({ 'main.tf': 'resource "aws_ebs_volume" "data" {\n  type     = "io2"\n  password = "hunter22"\n}\n' }, { rules });
+  assert.deepEqual(result.findings.map((finding) => [finding.ruleId, finding.severity, finding.line]), [
+    ['HARDCODED_CREDENTIALS', 'medium', 3],
+    ['TEAM_EBS_PROVISIONED_IOPS', 'low', 2],
+  ]);
+});
+
+test('invalid rule files are rejected with the rule they name', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'team.json'), JSON.stringify([
+    { id: 'TEAM_BAD', title: 'Bad rule', severity: 'urgent', resource: '*', deny: { attribute: 'name', exists: true } },
+  ]));
+  assert.throws(() => policy.loadRules({ rulesPath: dir }), (error) => error instanceof policy.PolicyRuleError && /TEAM_BAD: severity/.test(error.message));
+});
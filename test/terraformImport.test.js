@@ -0,0 +1,59 @@
+// test/terraformImport.test.js
+// Reading uploaded modules: which entries become files, assets or skipped
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const archiver = require('archiver');
+const { readUpload, ImportError } = require('../services/terraformImport');
+
+const MAIN = 'resource "aws_s3_bucket" "logs" {\n  bucket = "logs"\n}\n';
+
+// A zip of `entries` ({ name: content }) as multer hands it over
+function zipUpload(entries, originalname = 'network.zip') {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip');
+    const chunks = [];
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', () => resolve({ originalname, buffer: Buffer.concat(chunks) }));
+    archive.on('error', reject);
+    Object.entries(entries).forEach(([name, content]) => archive.append(content, { name }));
+    archive.finalize();
+  });
+}
+
+test('the directory a zipped folder shares is stripped', async () => {
+  const source = readUpload(await zipUpload({ 'network/main.tf': MAIN, 'network/modules/vpc/main.tf': MAIN, 'network/templates/init.sh': '#!/bin/sh\n' }));
+  assert.deepEqual(Object.keys(source.files), ['main.tf', 'modules/vpc/main.tf']);
+  assert.deepEqual(Object.keys(source.assets), ['templates/init.sh']);
+});
+
+test('skipped entries do not keep the shared directory in place', async () => {
+  const source = readUpload(await zipUpload({
+    'network/main.tf': MAIN,
+    'network/.terraform/providers/x.tf': MAIN,
+    '__MACOSX/network/._main.tf': 'clutter',
+    'network/terraform.tfstate': '{}',
+  }));
+  assert.deepEqual(Object.keys(source.files), ['main.tf']);
+  assert.deepEqual(source.skipped.sort(), ['__MACOSX/network/._main.tf', 'network/.terraform/providers/x.tf', 'network/terraform.tfstate']);
+});
+
+test('entries leaving the module do not keep the shared directory in place', async () => {
+  const upload = await zipUpload({ 'network/main.tf': MAIN, 'zz/x.tf': MAIN });
+  // archiver drops `..` from names, so write the name into the zip after the fact
+  const buffer = Buffer.from(upload.buffer.toString('latin1').split('zz/x.tf').join('../x.tf'), 'latin1');
+  const source = readUpload({ ...upload, buffer });
+  assert.deepEqual(Object.keys(source.files), ['main.tf']);
+  assert.deepEqual(source.skipped, ['../x.tf']);
+});
+
+test('workspace files and revisions are skipped after the shared directory is stripped', async () => {
+  const source = readUpload(await zipUpload({ 'network/main.tf': MAIN, 'network/project.json': '{}', 'network/revisions/1/main.tf': MAIN }));
+  assert.deepEqual(Object.keys(source.files), ['main.tf']);
+  assert.deepEqual(Object.keys(source.assets), []);
+  assert.deepEqual(source.skipped.sort(), ['network/project.json', 'network/revisions/1/main.tf']);
+});
+
+test('uploads without .tf files are rejected', async () => {
+  await assert.rejects(async () => readUpload(await zipUpload({ 'network/README.md': '# network\n' })), (error) => error instanceof ImportError && error.status === 422);
+  assert.throws(() => readUpload({ originalname: 'notes.txt', buffer: Buffer.from('hi') }), (error) => error instanceof ImportError && error.status === 415);
+});
@@ -0,0 +1,49 @@
+// test/terraformModule.test.js
+// Splitting the editor's combined code of imported projects back into files
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CodeSyntaxError } = require('../services/iacTargets/common');
+const { isSectionFileName, combineFileSections, splitFileSections } = require('../services/terraformModule');
+
+const PREVIOUS = {
+  'main.tf': 'resource "aws_s3_bucket" "logs" {\n  bucket   =   "logs"\n}\n',
+  'network.tf': 'resource "aws_vpc" "main" {\n  cidr_block = "10.0.0.0/16"\n}\n',
+};
+
+test('section file names are relative .tf paths outside the reserved directories', () => {
+  assert.ok(isSectionFileName('network.tf'));
+  assert.ok(isSectionFileName('modules/vpc/main.tf'));
+  for (const name of ['../main.tf', '/etc/main.tf', 'modules/./main.tf', 'main.tf.json', 'revisions/1/main.tf', '.terraform/modules/x.tf', 'modules/vpc/.terraform/x.tf', '.git/x.tf']) {
+    assert.ok(!isSectionFileName(name), name);
+  }
+});
+
+test('sections naming reserved paths are rejected with their line', () => {
+  const code = '# ==> main.tf <==\nlocals {}\n# ==> revisions/1/main.tf <==\nlocals {}\n';
+  assert.throws(() => splitFileSections(code, PREVIOUS), (error) => error instanceof CodeSyntaxError && error.line === 3);
+});
+
+test('unchanged and reformatted files keep their bytes, files left out are kept', () => {
+  const code = '# ==> main.tf <==\nresource "aws_s3_bucket" "logs" {\n  bucket = "logs"\n}\n';
+  const { files } = splitFileSections(code, PREVIOUS);
+  assert.deepEqual(files, PREVIOUS);
+});
+
+test('changed and new sections are written', () => {
+  const code = `${combineFileSections(PREVIOUS).replace('10.0.0.0/16', '10.1.0.0/16')}\n# ==> outputs.tf <==\noutput "vpc_id" {\n  value = aws_vpc.main.id\n}\n`;
+  const { files } = splitFileSections(code, PREVIOUS);
+  assert.equal(files['main.tf'], PREVIOUS['main.tf']);
+  assert.match(files['network.tf'], /10\.1\.0\.0\/16/);
+  assert.match(files['outputs.tf'], /output "vpc_id"/);
+});
+
+test('a deleted marker removes the file', () => {
+  const { files } = splitFileSections('# ==> network.tf <== deleted\n', PREVIOUS);
+  assert.deepEqual(Object.keys(files), ['main.tf']);
+});
+
+test('deleting every .tf file or writing a deleted file is rejected', () => {
+  assert.throws(() => splitFileSections('# ==> main.tf <== deleted\n# ==> network.tf <== deleted\n', PREVIOUS), CodeSyntaxError);
+  assert.throws(() => splitFileSections('# ==> main.tf <== deleted\n# ==> main.tf <==\nlocals {}\n', PREVIOUS), CodeSyntaxError);
+  assert.throws(() => splitFileSections('# ==> main.tf <== deleted\nlocals {}\n', PREVIOUS), CodeSyntaxError);
+});
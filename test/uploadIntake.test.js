@@ -0,0 +1,30 @@
+// test/uploadIntake.test.js
+// Upload formats come from the content, the file name only helps with text diagram sources
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectUpload, UnsupportedUploadError } = require('../services/uploadIntake');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+const DRAWIO = '<mxfile host="app.diagrams.net"><diagram name="Page-1"></diagram></mxfile>\n';
+
+test('images and PDFs are detected by their magic bytes', () => {
+  assert.deepEqual(detectUpload(PNG, 'diagram.png'), { format: 'image', mimeType: 'image/png' });
+  assert.deepEqual(detectUpload(Buffer.from('%PDF-1.7\n'), 'diagram.pdf'), { format: 'pdf', mimeType: 'application/pdf' });
+});
+
+test('mislabeled files are detected by their content', () => {
+  assert.deepEqual(detectUpload(Buffer.from('%PDF-1.7\n'), 'diagram.png'), { format: 'pdf', mimeType: 'application/pdf' });
+  assert.deepEqual(detectUpload(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>'), 'diagram.png'), { format: 'svg', mimeType: 'image/svg+xml' });
+  assert.deepEqual(detectUpload(PNG, 'diagram.mmd'), { format: 'image', mimeType: 'image/png' });
+  assert.deepEqual(detectUpload(Buffer.from(DRAWIO), 'diagram.mmd'), { format: 'drawio', mimeType: 'text/plain' });
+  assert.deepEqual(detectUpload(Buffer.from('flowchart LR\n  a --> b\n'), 'diagram.puml'), { format: 'mermaid', mimeType: 'text/plain' });
+});
+
+test('the extension names text sources the content does not identify', () => {
+  assert.deepEqual(detectUpload(Buffer.from('%% services\nsequenceDiagram\n'), 'flow.mmd'), { format: 'mermaid', mimeType: 'text/plain' });
+  assert.throws(() => detectUpload(Buffer.from('sequenceDiagram\n'), 'flow.txt'), UnsupportedUploadError);
+});
+
+test('unsupported binary formats are rejected whatever their name', () => {
+  assert.throws(() => detectUpload(Buffer.from('GIF89a'), 'diagram.png'), (error) => error instanceof UnsupportedUploadError && error.status === 415 && /GIF/.test(error.message));
+});